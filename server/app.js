@@ -13,7 +13,16 @@ const path = require('path');
 // Import routes
 const authRoutes = require('./routes/auth.routes');
 const citizenRoutes = require('./routes/citizen.routes');
+const citizenApplicationRoutes = require('./routes/citizenApplication.routes');
+const duplicateRoutes = require('./routes/duplicate.routes');
+const citizenMergeRoutes = require('./routes/citizenMerge.routes');
+const idBlockRoutes = require('./routes/idBlock.routes');
 const userRoutes = require('./routes/user.routes');
+const roleRoutes = require('./routes/role.routes');
+const permissionRoutes = require('./routes/permission.routes');
+const officeRoutes = require('./routes/office.routes');
+const geographyRoutes = require('./routes/geography.routes');
+const menuRoutes = require('./routes/menu.routes');
 const dashboardRoutes = require('./routes/dashboard.routes');
 const reportRoutes = require('./routes/report.routes');
 const noticeRoutes = require('./routes/notice.routes');
@@ -22,6 +31,7 @@ const fileRoutes = require('./routes/file.routes');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler.middleware');
+const { localize } = require('./middleware/locale.middleware');
 
 const app = express();
 
@@ -62,6 +72,9 @@ app.use(cors({
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
+// Response language (Accept-Language) and message translation
+app.use(localize);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -86,7 +99,16 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/citizens', citizenRoutes);
+app.use('/api/citizen-applications', citizenApplicationRoutes);
+app.use('/api/duplicates', duplicateRoutes);
+app.use('/api/citizen-merges', citizenMergeRoutes);
+app.use('/api/id-blocks', idBlockRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/offices', officeRoutes);
+app.use('/api/geography', geographyRoutes);
+app.use('/api/menus', menuRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/notices', noticeRoutes);
@@ -108,7 +130,7 @@ app.get('/', (req, res) => {
 app.use((req, res) => {
     res.status(404).json({
         success: false,
-        message: 'Endpoint not found'
+        message: 'common.endpointNotFound'
     });
 });
 
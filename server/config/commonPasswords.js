@@ -0,0 +1,27 @@
+/**
+ * Common Password Blocklist
+ * Passwords rejected by the password policy regardless of length or character classes.
+ * Entries are compared case-insensitively.
+ */
+
+module.exports = [
+  // Widely used passwords
+  '123456', '1234567', '12345678', '123456789', '1234567890', '12345', '1234', '111111',
+  '000000', '123123', '654321', '666666', '888888', '121212', '112233', '123321',
+  'password', 'password1', 'password12', 'password123', 'passw0rd', 'p@ssw0rd', 'p@ssword',
+  'qwerty', 'qwerty123', 'qwertyuiop', 'asdfgh', 'asdfghjkl', 'zxcvbnm', '1q2w3e4r',
+  '1qaz2wsx', 'abc123', 'abcd1234', 'aa123456', 'iloveyou', 'welcome', 'welcome1',
+  'welcome123', 'letmein', 'monkey', 'dragon', 'sunshine', 'princess', 'football',
+  'baseball', 'master', 'shadow', 'superman', 'trustno1', 'starwars', 'whatever',
+  'freedom', 'hello123', 'login', 'changeme', 'default', 'secret', 'test1234',
+  'admin', 'admin1', 'admin123', 'admin@123', 'administrator', 'root', 'toor',
+  'user', 'user123', 'guest', 'guest123', 'demo', 'demo123',
+
+  // Local and system-specific passwords
+  'nira', 'nira123', 'nira2024', 'nira2025', 'nira@123', 'nirasystem',
+  'officer', 'officer1', 'officer123', 'viewer123',
+  'somalia', 'somalia1', 'somalia123', 'soomaaliya', 'somali123',
+  'mogadishu', 'muqdisho', 'hargeisa', 'kismayo', 'baidoa', 'garowe',
+  'allah', 'allah123', 'bismillah', 'alhamdulillah', 'inshallah', 'mashallah',
+  'mohamed', 'mohamed123', 'maxamed', 'ahmed123', 'abdi123', 'hassan123'
+];
@@ -0,0 +1,195 @@
+/**
+ * Geography Reference Data
+ * Seeded countries and Somali regions, districts and main towns, in the same shape as the CSV import.
+ * Region codes follow ISO 3166-2:SO. Further countries and areas can be imported from CSV.
+ */
+
+const countries = [
+  { code: 'SO', alpha3: 'SOM', name: 'Somalia', nationality: 'Somali', aliases: 'Soomaaliya|Somaliya|الصومال|صومالي' },
+  { code: 'DJ', alpha3: 'DJI', name: 'Djibouti', nationality: 'Djiboutian', aliases: 'Jabuuti|جيبوتي' },
+  { code: 'ET', alpha3: 'ETH', name: 'Ethiopia', nationality: 'Ethiopian', aliases: 'Itoobiya|إثيوبيا' },
+  { code: 'KE', alpha3: 'KEN', name: 'Kenya', nationality: 'Kenyan', aliases: 'Kiiniya|كينيا' },
+  { code: 'ER', alpha3: 'ERI', name: 'Eritrea', nationality: 'Eritrean', aliases: 'Eritreeya|إريتريا' },
+  { code: 'YE', alpha3: 'YEM', name: 'Yemen', nationality: 'Yemeni', aliases: 'Yaman|اليمن' },
+  { code: 'SD', alpha3: 'SDN', name: 'Sudan', nationality: 'Sudanese', aliases: 'Suudaan|السودان' },
+  { code: 'SS', alpha3: 'SSD', name: 'South Sudan', nationality: 'South Sudanese', aliases: 'جنوب السودان' },
+  { code: 'UG', alpha3: 'UGA', name: 'Uganda', nationality: 'Ugandan', aliases: 'أوغندا' },
+  { code: 'TZ', alpha3: 'TZA', name: 'Tanzania', nationality: 'Tanzanian', aliases: 'تنزانيا' },
+  { code: 'EG', alpha3: 'EGY', name: 'Egypt', nationality: 'Egyptian', aliases: 'Masar|مصر' },
+  { code: 'SA', alpha3: 'SAU', name: 'Saudi Arabia', nationality: 'Saudi', aliases: 'Sacuudi Carabiya|السعودية' },
+  { code: 'AE', alpha3: 'ARE', name: 'United Arab Emirates', nationality: 'Emirati', aliases: 'UAE|Imaaraadka|الإمارات' },
+  { code: 'OM', alpha3: 'OMN', name: 'Oman', nationality: 'Omani', aliases: 'Cumaan|عمان' },
+  { code: 'QA', alpha3: 'QAT', name: 'Qatar', nationality: 'Qatari', aliases: 'Qadar|قطر' },
+  { code: 'TR', alpha3: 'TUR', name: 'Türkiye', nationality: 'Turkish', aliases: 'Turkey|Turkiga|تركيا' },
+  { code: 'GB', alpha3: 'GBR', name: 'United Kingdom', nationality: 'British', aliases: 'UK|Great Britain|Ingiriiska|المملكة المتحدة' },
+  { code: 'US', alpha3: 'USA', name: 'United States', nationality: 'American', aliases: 'USA|Maraykanka|الولايات المتحدة' },
+  { code: 'CA', alpha3: 'CAN', name: 'Canada', nationality: 'Canadian', aliases: 'Kanada|كندا' },
+  { code: 'SE', alpha3: 'SWE', name: 'Sweden', nationality: 'Swedish', aliases: 'Iswiidhan|السويد' },
+  { code: 'NO', alpha3: 'NOR', name: 'Norway', nationality: 'Norwegian', aliases: 'Noorweey|النرويج' },
+  { code: 'DK', alpha3: 'DNK', name: 'Denmark', nationality: 'Danish', aliases: 'الدنمارك' },
+  { code: 'FI', alpha3: 'FIN', name: 'Finland', nationality: 'Finnish', aliases: 'فنلندا' },
+  { code: 'NL', alpha3: 'NLD', name: 'Netherlands', nationality: 'Dutch', aliases: 'Holland|Holand|هولندا' },
+  { code: 'DE', alpha3: 'DEU', name: 'Germany', nationality: 'German', aliases: 'Jarmalka|ألمانيا' },
+  { code: 'IT', alpha3: 'ITA', name: 'Italy', nationality: 'Italian', aliases: 'Talyaani|إيطاليا' },
+  { code: 'AU', alpha3: 'AUS', name: 'Australia', nationality: 'Australian', aliases: 'Awstaraaliya|أستراليا' },
+  { code: 'CN', alpha3: 'CHN', name: 'China', nationality: 'Chinese', aliases: 'Shiinaha|الصين' },
+  { code: 'IN', alpha3: 'IND', name: 'India', nationality: 'Indian', aliases: 'Hindiya|الهند' },
+  { code: 'PK', alpha3: 'PAK', name: 'Pakistan', nationality: 'Pakistani', aliases: 'Bakistaan|باكستان' }
+];
+
+// Regions, then districts (parentCode is the region), then towns spanning several districts
+const areas = [
+  { level: 'REGION', code: 'AW', name: 'Awdal', aliases: 'Awdel|أودل' },
+  { level: 'REGION', code: 'WO', name: 'Woqooyi Galbeed', aliases: 'Waqooyi Galbeed|Maroodi Jeex|Northwest' },
+  { level: 'REGION', code: 'TO', name: 'Togdheer', aliases: 'Togdher|توجدير' },
+  { level: 'REGION', code: 'SA', name: 'Sanaag', aliases: 'Sanag|سناج' },
+  { level: 'REGION', code: 'SO', name: 'Sool', aliases: 'Sol|سول' },
+  { level: 'REGION', code: 'BR', name: 'Bari', aliases: 'باري' },
+  { level: 'REGION', code: 'NU', name: 'Nugaal', aliases: 'Nugal|نوجال' },
+  { level: 'REGION', code: 'MU', name: 'Mudug', aliases: 'مدق' },
+  { level: 'REGION', code: 'GA', name: 'Galguduud', aliases: 'Galgudud|جلجدود' },
+  { level: 'REGION', code: 'HI', name: 'Hiiraan', aliases: 'Hiran|Hiraan|هيران' },
+  { level: 'REGION', code: 'SD', name: 'Shabeellaha Dhexe', aliases: 'Middle Shabelle|Shabelle Dhexe|شبيلي الوسطى' },
+  { level: 'REGION', code: 'BN', name: 'Banaadir', aliases: 'Banadir|Benadir|بنادر' },
+  { level: 'REGION', code: 'SH', name: 'Shabeellaha Hoose', aliases: 'Lower Shabelle|Shabelle Hoose|شبيلي السفلى' },
+  { level: 'REGION', code: 'BY', name: 'Bay', aliases: 'Baay|باي' },
+  { level: 'REGION', code: 'BK', name: 'Bakool', aliases: 'Bakol|باكول' },
+  { level: 'REGION', code: 'GE', name: 'Gedo', aliases: 'جدو' },
+  { level: 'REGION', code: 'JD', name: 'Jubbada Dhexe', aliases: 'Middle Juba|Jubada Dhexe|جوبا الوسطى' },
+  { level: 'REGION', code: 'JH', name: 'Jubbada Hoose', aliases: 'Lower Juba|Jubada Hoose|جوبا السفلى' },
+
+  // Banaadir
+  { level: 'DISTRICT', code: 'BN-ABDIAZIZ', name: 'Abdiaziz', parentCode: 'BN', aliases: 'Cabdicasiis|Abdulaziz' },
+  { level: 'DISTRICT', code: 'BN-BONDHERE', name: 'Bondhere', parentCode: 'BN', aliases: 'Boondheere' },
+  { level: 'DISTRICT', code: 'BN-DAYNILE', name: 'Daynile', parentCode: 'BN', aliases: 'Dayniile' },
+  { level: 'DISTRICT', code: 'BN-DHARKENLEY', name: 'Dharkenley', parentCode: 'BN', aliases: 'Dharkeynley' },
+  { level: 'DISTRICT', code: 'BN-HAMARJAJAB', name: 'Hamar Jajab', parentCode: 'BN', aliases: 'Xamar Jajab' },
+  { level: 'DISTRICT', code: 'BN-HAMARWEYNE', name: 'Hamar Weyne', parentCode: 'BN', aliases: 'Xamar Weyne|Hamarweyne' },
+  { level: 'DISTRICT', code: 'BN-HODAN', name: 'Hodan', parentCode: 'BN' },
+  { level: 'DISTRICT', code: 'BN-HOWLWADAAG', name: 'Howlwadaag', parentCode: 'BN', aliases: 'Hawl Wadaag|Hawlwadaag' },
+  { level: 'DISTRICT', code: 'BN-HELIWA', name: 'Heliwa', parentCode: 'BN', aliases: 'Huriwa|Huriwaa' },
+  { level: 'DISTRICT', code: 'BN-KARAAN', name: 'Karaan', parentCode: 'BN', aliases: 'Kaaraan|Karan' },
+  { level: 'DISTRICT', code: 'BN-KAXDA', name: 'Kaxda', parentCode: 'BN', aliases: 'Kahda' },
+  { level: 'DISTRICT', code: 'BN-SHANGANI', name: 'Shangani', parentCode: 'BN', aliases: 'Shangaani' },
+  { level: 'DISTRICT', code: 'BN-SHIBIS', name: 'Shibis', parentCode: 'BN', aliases: 'Shibbis' },
+  { level: 'DISTRICT', code: 'BN-WABERI', name: 'Waberi', parentCode: 'BN', aliases: 'Waaberi' },
+  { level: 'DISTRICT', code: 'BN-WADAJIR', name: 'Wadajir', parentCode: 'BN', aliases: 'Wadajiir' },
+  { level: 'DISTRICT', code: 'BN-WARDHIGLEY', name: 'Wardhigley', parentCode: 'BN', aliases: 'Wardhiigleey' },
+  { level: 'DISTRICT', code: 'BN-YAQSHID', name: 'Yaqshid', parentCode: 'BN', aliases: 'Yaaqshiid' },
+
+  // Awdal
+  { level: 'DISTRICT', code: 'AW-BORAMA', name: 'Borama', parentCode: 'AW', aliases: 'Boorama' },
+  { level: 'DISTRICT', code: 'AW-BAKI', name: 'Baki', parentCode: 'AW' },
+  { level: 'DISTRICT', code: 'AW-LUGHAYA', name: 'Lughaya', parentCode: 'AW', aliases: 'Lughaye' },
+  { level: 'DISTRICT', code: 'AW-ZEILA', name: 'Zeila', parentCode: 'AW', aliases: 'Saylac|Zaila' },
+
+  // Woqooyi Galbeed
+  { level: 'DISTRICT', code: 'WO-HARGEISA', name: 'Hargeisa', parentCode: 'WO', aliases: 'Hargeysa|هرجيسا' },
+  { level: 'DISTRICT', code: 'WO-BERBERA', name: 'Berbera', parentCode: 'WO', aliases: 'Barbara|بربرة' },
+  { level: 'DISTRICT', code: 'WO-GABILEY', name: 'Gabiley', parentCode: 'WO', aliases: 'Gabiiley' },
+
+  // Togdheer
+  { level: 'DISTRICT', code: 'TO-BURAO', name: 'Burao', parentCode: 'TO', aliases: 'Burco|Bur\'o' },
+  { level: 'DISTRICT', code: 'TO-ODWEYNE', name: 'Odweyne', parentCode: 'TO', aliases: 'Oodweyne' },
+  { level: 'DISTRICT', code: 'TO-SHEIKH', name: 'Sheikh', parentCode: 'TO', aliases: 'Sheekh' },
+  { level: 'DISTRICT', code: 'TO-BUHODLE', name: 'Buhodle', parentCode: 'TO', aliases: 'Buuhoodle' },
+
+  // Sanaag
+  { level: 'DISTRICT', code: 'SA-ERIGAVO', name: 'Erigavo', parentCode: 'SA', aliases: 'Ceerigaabo' },
+  { level: 'DISTRICT', code: 'SA-BADHAN', name: 'Badhan', parentCode: 'SA' },
+  { level: 'DISTRICT', code: 'SA-LASQORAY', name: 'Las Qoray', parentCode: 'SA', aliases: 'Laasqoray' },
+  { level: 'DISTRICT', code: 'SA-ELAFWEYN', name: 'El Afweyn', parentCode: 'SA', aliases: 'Ceel Afweyn' },
+
+  // Sool
+  { level: 'DISTRICT', code: 'SO-LASANOD', name: 'Las Anod', parentCode: 'SO', aliases: 'Laascaanood' },
+  { level: 'DISTRICT', code: 'SO-TALEH', name: 'Taleh', parentCode: 'SO', aliases: 'Taleex' },
+  { level: 'DISTRICT', code: 'SO-HUDUN', name: 'Hudun', parentCode: 'SO', aliases: 'Xudun' },
+  { level: 'DISTRICT', code: 'SO-AINABO', name: 'Ainabo', parentCode: 'SO', aliases: 'Caynabo' },
+
+  // Bari
+  { level: 'DISTRICT', code: 'BR-BOSASO', name: 'Bosaso', parentCode: 'BR', aliases: 'Boosaaso|Bosasso|بوصاصو' },
+  { level: 'DISTRICT', code: 'BR-QARDHO', name: 'Qardho', parentCode: 'BR', aliases: 'Gardo' },
+  { level: 'DISTRICT', code: 'BR-ISKUSHUBAN', name: 'Iskushuban', parentCode: 'BR' },
+  { level: 'DISTRICT', code: 'BR-ALULA', name: 'Alula', parentCode: 'BR', aliases: 'Caluula' },
+  { level: 'DISTRICT', code: 'BR-BANDARBEYLA', name: 'Bandarbeyla', parentCode: 'BR', aliases: 'Bender Beila' },
+  { level: 'DISTRICT', code: 'BR-QANDALA', name: 'Qandala', parentCode: 'BR' },
+
+  // Nugaal
+  { level: 'DISTRICT', code: 'NU-GAROWE', name: 'Garowe', parentCode: 'NU', aliases: 'Garoowe' },
+  { level: 'DISTRICT', code: 'NU-EYL', name: 'Eyl', parentCode: 'NU', aliases: 'Eil' },
+  { level: 'DISTRICT', code: 'NU-BURTINLE', name: 'Burtinle', parentCode: 'NU' },
+
+  // Mudug
+  { level: 'DISTRICT', code: 'MU-GALKAYO', name: 'Galkayo', parentCode: 'MU', aliases: 'Gaalkacyo|جالكعيو' },
+  { level: 'DISTRICT', code: 'MU-HOBYO', name: 'Hobyo', parentCode: 'MU', aliases: 'Obbia' },
+  { level: 'DISTRICT', code: 'MU-HARARDHERE', name: 'Harardhere', parentCode: 'MU', aliases: 'Xarardheere' },
+  { level: 'DISTRICT', code: 'MU-JARIBAN', name: 'Jariban', parentCode: 'MU', aliases: 'Jariiban' },
+  { level: 'DISTRICT', code: 'MU-GALDOGOB', name: 'Galdogob', parentCode: 'MU', aliases: 'Goldogob' },
+
+  // Galguduud
+  { level: 'DISTRICT', code: 'GA-DHUSAMAREB', name: 'Dhusamareb', parentCode: 'GA', aliases: 'Dhuusamarreeb' },
+  { level: 'DISTRICT', code: 'GA-ABUDWAK', name: 'Abudwak', parentCode: 'GA', aliases: 'Cabudwaaq' },
+  { level: 'DISTRICT', code: 'GA-ADADO', name: 'Adado', parentCode: 'GA', aliases: 'Cadaado' },
+  { level: 'DISTRICT', code: 'GA-ELBUR', name: 'El Bur', parentCode: 'GA', aliases: 'Ceel Buur' },
+  { level: 'DISTRICT', code: 'GA-ELDHER', name: 'El Dher', parentCode: 'GA', aliases: 'Ceel Dheer' },
+
+  // Hiiraan
+  { level: 'DISTRICT', code: 'HI-BELEDWEYNE', name: 'Beledweyne', parentCode: 'HI', aliases: 'Baladweyne|Beletweyne|بلدوين' },
+  { level: 'DISTRICT', code: 'HI-BULOBURDE', name: 'Bulo Burde', parentCode: 'HI', aliases: 'Buulobarde' },
+  { level: 'DISTRICT', code: 'HI-JALALAQSI', name: 'Jalalaqsi', parentCode: 'HI' },
+
+  // Shabeellaha Dhexe
+  { level: 'DISTRICT', code: 'SD-JOWHAR', name: 'Jowhar', parentCode: 'SD', aliases: 'Jawhar|Giohar' },
+  { level: 'DISTRICT', code: 'SD-BALCAD', name: 'Balcad', parentCode: 'SD', aliases: 'Balad' },
+  { level: 'DISTRICT', code: 'SD-ADALE', name: 'Adale', parentCode: 'SD', aliases: 'Cadale' },
+  { level: 'DISTRICT', code: 'SD-ADANYABAL', name: 'Adan Yabal', parentCode: 'SD', aliases: 'Aadan Yabaal' },
+
+  // Shabeellaha Hoose
+  { level: 'DISTRICT', code: 'SH-MERCA', name: 'Merca', parentCode: 'SH', aliases: 'Marka' },
+  { level: 'DISTRICT', code: 'SH-AFGOOYE', name: 'Afgooye', parentCode: 'SH', aliases: 'Afgoye|Afgoi' },
+  { level: 'DISTRICT', code: 'SH-BARAAWE', name: 'Baraawe', parentCode: 'SH', aliases: 'Brava|Barawa' },
+  { level: 'DISTRICT', code: 'SH-KURTUNWAAREY', name: 'Kurtunwaarey', parentCode: 'SH', aliases: 'Kurtunwarey' },
+  { level: 'DISTRICT', code: 'SH-QORYOLEY', name: 'Qoryoley', parentCode: 'SH', aliases: 'Qoryooley' },
+  { level: 'DISTRICT', code: 'SH-SABLAALE', name: 'Sablaale', parentCode: 'SH', aliases: 'Sablale' },
+  { level: 'DISTRICT', code: 'SH-WANLAWEYN', name: 'Wanlaweyn', parentCode: 'SH', aliases: 'Wanla Weyn' },
+
+  // Bay
+  { level: 'DISTRICT', code: 'BY-BAIDOA', name: 'Baidoa', parentCode: 'BY', aliases: 'Baydhabo|بيدوا' },
+  { level: 'DISTRICT', code: 'BY-BURHAKABA', name: 'Bur Hakaba', parentCode: 'BY', aliases: 'Buurhakaba' },
+  { level: 'DISTRICT', code: 'BY-DINSOOR', name: 'Dinsoor', parentCode: 'BY', aliases: 'Dinsor' },
+  { level: 'DISTRICT', code: 'BY-QANSAXDHEERE', name: 'Qansax Dheere', parentCode: 'BY', aliases: 'Qansah Dhere' },
+
+  // Bakool
+  { level: 'DISTRICT', code: 'BK-HUDUR', name: 'Hudur', parentCode: 'BK', aliases: 'Xuddur' },
+  { level: 'DISTRICT', code: 'BK-WAJID', name: 'Wajid', parentCode: 'BK', aliases: 'Waajid' },
+  { level: 'DISTRICT', code: 'BK-TIYEGLOW', name: 'Tiyeglow', parentCode: 'BK', aliases: 'Tiyeeglow' },
+  { level: 'DISTRICT', code: 'BK-ELBARDE', name: 'El Barde', parentCode: 'BK', aliases: 'Ceel Barde' },
+  { level: 'DISTRICT', code: 'BK-RABDHURE', name: 'Rabdhure', parentCode: 'BK', aliases: 'Rab Dhuure' },
+
+  // Gedo
+  { level: 'DISTRICT', code: 'GE-GARBAHAAREY', name: 'Garbahaarey', parentCode: 'GE', aliases: 'Garbaharey' },
+  { level: 'DISTRICT', code: 'GE-BARDERA', name: 'Bardera', parentCode: 'GE', aliases: 'Baardheere' },
+  { level: 'DISTRICT', code: 'GE-BELEDHAWO', name: 'Beled Hawo', parentCode: 'GE', aliases: 'Beled Xaawo|Balad Hawo' },
+  { level: 'DISTRICT', code: 'GE-ELWAK', name: 'El Wak', parentCode: 'GE', aliases: 'Ceel Waaq' },
+  { level: 'DISTRICT', code: 'GE-LUUQ', name: 'Luuq', parentCode: 'GE', aliases: 'Lugh' },
+  { level: 'DISTRICT', code: 'GE-DOLOW', name: 'Dolow', parentCode: 'GE', aliases: 'Doolow' },
+
+  // Jubbada Dhexe
+  { level: 'DISTRICT', code: 'JD-BUAALE', name: 'Bu\'aale', parentCode: 'JD', aliases: 'Buaale|Bu\'ale' },
+  { level: 'DISTRICT', code: 'JD-JILIB', name: 'Jilib', parentCode: 'JD' },
+  { level: 'DISTRICT', code: 'JD-SAAKOW', name: 'Saakow', parentCode: 'JD', aliases: 'Sakow' },
+
+  // Jubbada Hoose
+  { level: 'DISTRICT', code: 'JH-KISMAYO', name: 'Kismayo', parentCode: 'JH', aliases: 'Kismaayo|Kisimayo|Chisimaio|كسمايو' },
+  { level: 'DISTRICT', code: 'JH-AFMADOW', name: 'Afmadow', parentCode: 'JH' },
+  { level: 'DISTRICT', code: 'JH-BADHAADHE', name: 'Badhaadhe', parentCode: 'JH', aliases: 'Badhadhe' },
+  { level: 'DISTRICT', code: 'JH-JAMAAME', name: 'Jamaame', parentCode: 'JH', aliases: 'Jamame' },
+
+  // Mogadishu covers every district of Banaadir
+  { level: 'LOCALITY', code: 'BN-MOGADISHU', name: 'Mogadishu', parentCode: 'BN', aliases: 'Muqdisho|Xamar|Hamar|Mogadiscio|مقديشو' }
+];
+
+module.exports = {
+  countries,
+  areas
+};
@@ -0,0 +1,429 @@
+/**
+ * Arabic message catalog
+ * Keys missing here fall back to English.
+ */
+
+module.exports = {
+  // Common
+  'common.validationError': 'خطأ في التحقق من البيانات',
+  'common.endpointNotFound': 'الخدمة المطلوبة غير موجودة',
+  'common.serverError': 'خطأ في الخادم',
+  'common.resourceNotFound': 'المورد غير موجود',
+  'common.pagePositive': 'يجب أن يكون رقم الصفحة عددًا صحيحًا موجبًا',
+  'common.limitRange': 'يجب أن يكون الحد بين 1 و 100',
+  'common.descriptionTooLong': 'لا يمكن أن يتجاوز الوصف 255 حرفًا',
+  'common.reasonTooLong': 'لا يمكن أن يتجاوز السبب 255 حرفًا',
+  'common.startDateInvalid': 'يجب أن يكون تاريخ البدء تاريخًا صالحًا',
+  'common.expiryDateInvalid': 'يجب أن يكون تاريخ الانتهاء تاريخًا صالحًا',
+  'common.searchQueryRequired': 'عبارة البحث مطلوبة',
+  'common.notAllowedByCors': 'غير مسموح به (CORS)',
+
+  // Authentication
+  'auth.required': 'المصادقة مطلوبة',
+  'auth.requiredLogin': 'المصادقة مطلوبة. يرجى تسجيل الدخول.',
+  'auth.error': 'خطأ في المصادقة',
+  'auth.accessDenied': 'تم رفض الوصول',
+  'auth.invalidToken': 'رمز غير صالح',
+  'auth.tokenExpired': 'انتهت صلاحية الرمز',
+  'auth.usernameRequired': 'اسم المستخدم مطلوب',
+  'auth.passwordRequired': 'كلمة المرور مطلوبة',
+  'auth.invalidCredentials': 'اسم المستخدم أو كلمة المرور غير صحيحة. يرجى التأكد من بياناتك.',
+  'auth.accountDisabled': 'تم تعطيل حسابك ولا يمكنك تسجيل الدخول',
+  'auth.userDisabled': 'حساب المستخدم معطل',
+  'auth.userDeleted': 'تم حذف حساب المستخدم',
+  'auth.tooManyAttempts': 'محاولات تسجيل دخول فاشلة كثيرة. يرجى المحاولة لاحقًا.',
+  'auth.loginSuccessful': 'تم تسجيل الدخول بنجاح',
+  'auth.loginFailed': 'فشل تسجيل الدخول: {error}',
+  'auth.logoutSuccessful': 'تم تسجيل الخروج بنجاح',
+  'auth.logoutFailed': 'فشل تسجيل الخروج',
+  'auth.userInfoFailed': 'تعذر استرداد معلومات المستخدم',
+  'auth.userNotFoundOrInactive': 'المستخدم غير موجود أو غير نشط',
+  'auth.challengeTokenRequired': 'رمز التحقق المؤقت مطلوب',
+  'auth.invalidChallengeToken': 'رمز التحقق المؤقت غير صالح أو منتهي الصلاحية',
+  'auth.refreshTokenRequired': 'رمز التحديث مطلوب',
+  'auth.invalidRefreshToken': 'رمز التحديث غير صالح',
+  'auth.invalidOrExpiredRefreshToken': 'رمز التحديث غير صالح أو منتهي الصلاحية',
+  'auth.refreshTokenReuse': 'تم اكتشاف إعادة استخدام رمز التحديث. تم إنهاء الجلسة',
+  'auth.phoneRequired': 'رقم الهاتف مطلوب',
+  'auth.phoneUpdated': 'تم تحديث رقم الهاتف بنجاح',
+  'auth.imageRequired': 'ملف الصورة مطلوب',
+  'auth.profilePictureUpdated': 'تم تحديث صورة الملف الشخصي بنجاح',
+  'auth.profilePictureRemoved': 'تمت إزالة صورة الملف الشخصي بنجاح',
+  'auth.noProfilePicture': 'لا توجد صورة ملف شخصي لإزالتها',
+
+  // Sessions
+  'session.idle': 'انتهت الجلسة بسبب عدم النشاط. يرجى تسجيل الدخول مرة أخرى.',
+  'session.expired': 'انتهت صلاحية الجلسة. يرجى تسجيل الدخول مرة أخرى.',
+  'session.revoked': 'انتهت الجلسة. يرجى تسجيل الدخول مرة أخرى.',
+  'session.notFound': 'الجلسة غير موجودة',
+  'session.revokedSuccessfully': 'تم إنهاء الجلسة بنجاح',
+  'session.othersRevoked': 'تم إنهاء الجلسات الأخرى بنجاح',
+  'session.terminated': 'تم إنهاء الجلسة بنجاح',
+  'session.userSessionsTerminated': 'تم إنهاء جلسات المستخدم بنجاح',
+
+  // Passwords
+  'password.currentRequired': 'كلمة المرور الحالية مطلوبة',
+  'password.newRequired': 'كلمة المرور الجديدة مطلوبة',
+  'password.currentIncorrect': 'كلمة المرور الحالية غير صحيحة',
+  'password.incorrect': 'كلمة المرور غير صحيحة',
+  'password.changed': 'تم تغيير كلمة المرور بنجاح',
+  'password.changeFailed': 'فشل تغيير كلمة المرور: {error}',
+  'password.reset': 'تمت إعادة تعيين كلمة المرور بنجاح',
+  'password.expired': 'انتهت صلاحية كلمة المرور. يرجى اختيار كلمة مرور جديدة.',
+  'password.mustChange': 'يجب تغيير كلمة المرور قبل المتابعة',
+  'password.required': 'كلمة المرور مطلوبة',
+  'password.tooShort': 'يجب أن تتكون كلمة المرور من {min} أحرف على الأقل',
+  'password.tooLong': 'لا يمكن أن تتجاوز كلمة المرور {max} حرفًا',
+  'password.needsUppercase': 'يجب أن تحتوي كلمة المرور على حرف كبير',
+  'password.needsLowercase': 'يجب أن تحتوي كلمة المرور على حرف صغير',
+  'password.needsDigit': 'يجب أن تحتوي كلمة المرور على رقم',
+  'password.needsSymbol': 'يجب أن تحتوي كلمة المرور على رمز',
+  'password.tooCommon': 'كلمة المرور شائعة جدًا',
+  'password.containsUsername': 'لا يمكن أن تحتوي كلمة المرور على اسم المستخدم',
+
+  // Two-factor authentication
+  'twoFactor.verificationRequired': 'التحقق بخطوتين مطلوب',
+  'twoFactor.enrollmentRequired': 'يجب إعداد التحقق بخطوتين قبل تسجيل الدخول',
+  'twoFactor.codeRequired': 'رمز التحقق مطلوب',
+  'twoFactor.codeOrRecoveryRequired': 'رمز التحقق أو رمز الاسترداد مطلوب',
+  'twoFactor.invalidCode': 'رمز التحقق غير صالح',
+  'twoFactor.setupStarted': 'امسح رمز QR بتطبيق المصادقة، ثم أكّد برمز',
+  'twoFactor.enabled': 'تم تفعيل التحقق بخطوتين. احفظ رموز الاسترداد في مكان آمن.',
+  'twoFactor.disabled': 'تم تعطيل التحقق بخطوتين',
+  'twoFactor.recoveryCodesRegenerated': 'تم إنشاء رموز استرداد جديدة. احفظها في مكان آمن.',
+  'twoFactor.reset': 'تمت إعادة تعيين التحقق بخطوتين بنجاح',
+  'twoFactor.alreadyEnabled': 'التحقق بخطوتين مفعّل بالفعل',
+  'twoFactor.notEnabled': 'التحقق بخطوتين غير مفعّل',
+  'twoFactor.requiredForRole': 'التحقق بخطوتين إلزامي لدورك',
+  'twoFactor.setupNotStarted': 'لم يبدأ إعداد التحقق بخطوتين',
+
+  // Users
+  'user.notFound': 'المستخدم غير موجود',
+  'user.created': 'تم إنشاء المستخدم بنجاح',
+  'user.updated': 'تم تحديث المستخدم بنجاح',
+  'user.deleted': 'تم حذف المستخدم بنجاح',
+  'user.restored': 'تمت استعادة المستخدم بنجاح',
+  'user.permanentlyDeleted': 'تم حذف المستخدم نهائيًا',
+  'user.statusUpdated': 'تم تحديث حالة المستخدم بنجاح',
+  'user.statusInvalid': 'يجب أن تكون الحالة ACTIVE أو DISABLED',
+  'user.unlocked': 'تم إلغاء قفل المستخدم بنجاح',
+  'user.notLocked': 'المستخدم لم يكن مقفلًا',
+  'user.usernameExists': 'اسم المستخدم موجود بالفعل',
+  'user.usernameLength': 'يجب أن يكون اسم المستخدم بين 3 و 100 حرف',
+  'user.roleIdRequired': 'معرّف الدور مطلوب',
+  'user.invalidRoleId': 'معرّف الدور غير صالح',
+  'user.invalidRole': 'معرّف الدور أو اسمه غير صالح',
+  'user.cannotChangeAdminRole': 'لا يمكن تغيير دور المسؤول',
+  'user.invalidPhone': 'صيغة رقم الهاتف غير صالحة',
+  'user.invalidPhoneFormat': 'صيغة رقم الهاتف غير صالحة. استخدم من 8 إلى 15 رقمًا مع رمز الدولة اختياريًا',
+  'user.passwordReused': 'لا يمكن أن تكون كلمة المرور واحدة من آخر {count} كلمات مرور استخدمتها',
+
+  // Roles
+  'role.notFound': 'الدور غير موجود',
+  'role.created': 'تم إنشاء الدور بنجاح',
+  'role.updated': 'تم تحديث الدور بنجاح',
+  'role.deleted': 'تم حذف الدور بنجاح',
+  'role.nameRequired': 'اسم الدور مطلوب',
+  'role.nameEmpty': 'لا يمكن أن يكون اسم الدور فارغًا',
+  'role.nameExists': 'اسم الدور موجود بالفعل',
+  'role.nameInvalid': 'يجب أن يتكون اسم الدور من 2 إلى 50 حرفًا: أحرف وأرقام وشرطات سفلية، ويبدأ بحرف',
+  'role.systemCannotDelete': 'لا يمكن حذف أدوار النظام',
+  'role.systemCannotRename': 'لا يمكن إعادة تسمية أدوار النظام',
+  'role.inUse': 'الدور مُسند إلى {count} مستخدم. أعد إسنادهم قبل حذف الدور.',
+  'role.unknownPermissions': 'رموز صلاحيات غير معروفة: {codes}',
+
+  // Permissions
+  'permission.insufficient': 'صلاحيات غير كافية',
+  'permission.checkError': 'خطأ في التحقق من الصلاحيات',
+  'permission.notFound': 'الصلاحية غير موجودة',
+  'permission.updated': 'تم تحديث الصلاحية بنجاح',
+  'permission.nameRequired': 'اسم الصلاحية مطلوب',
+  'permission.nameEmpty': 'لا يمكن أن يكون اسم الصلاحية فارغًا',
+  'permission.moduleTooLong': 'لا يمكن أن يتجاوز اسم الوحدة 50 حرفًا',
+  'permission.codesArray': 'يجب أن تكون الصلاحيات قائمة برموز الصلاحيات',
+  'permission.codeRequired': 'رمز الصلاحية مطلوب',
+  'permission.effectInvalid': 'يجب أن يكون التأثير ALLOW أو DENY',
+  'permission.overrideAdded': 'تمت إضافة استثناء الصلاحية بنجاح',
+  'permission.overrideRevoked': 'تم إلغاء استثناء الصلاحية بنجاح',
+  'permission.overrideNotFound': 'استثناء الصلاحية غير موجود',
+  'permission.cannotChangeOwn': 'لا يمكنك تغيير صلاحياتك الخاصة',
+  'permission.invalidDates': 'تاريخ البدء أو الانتهاء غير صالح',
+  'permission.expiryAfterStart': 'يجب أن يكون تاريخ الانتهاء بعد تاريخ البدء',
+  'permission.expiryInFuture': 'يجب أن يكون تاريخ الانتهاء في المستقبل',
+
+  // Citizens
+  'citizen.notFound': 'المواطن غير موجود',
+  'citizen.registered': 'تم تسجيل المواطن بنجاح',
+  'citizen.updated': 'تم تحديث بيانات المواطن بنجاح',
+  'citizen.deleted': 'تم حذف المواطن بنجاح',
+  'citizen.restored': 'تمت استعادة المواطن بنجاح',
+  'citizen.permanentlyDeleted': 'تم حذف المواطن نهائيًا',
+  'citizen.firstNameRequired': 'الاسم الأول مطلوب',
+  'citizen.lastNameRequired': 'اسم العائلة مطلوب',
+  'citizen.genderInvalid': 'يجب أن يكون الجنس MALE أو FEMALE',
+  'citizen.dateOfBirthInvalid': 'يجب أن يكون تاريخ الميلاد تاريخًا صالحًا',
+  'citizen.dateOfBirthFuture': 'لا يمكن أن يكون تاريخ الميلاد في المستقبل',
+  'citizen.dateOfBirthTooOld': 'لا يمكن أن يكون تاريخ الميلاد قبل أكثر من 100 عام',
+  'citizen.placeOfBirthRequired': 'مكان الميلاد مطلوب',
+  'citizen.statusInvalid': 'يجب أن تكون الحالة ACTIVE أو DECEASED',
+  'citizen.scopeError': 'خطأ في تحديد نطاق الوصول',
+  'citizen.officeOutOfScope': 'لا يمكنك تسجيل مواطنين لهذا المكتب',
+  'citizen.noActiveOffice': 'لم يتم تعيينك إلى مكتب نشط',
+  'citizen.correctionSubmitted': 'تم تحديث بيانات المواطن. أُرسلت تغييرات الهوية للموافقة',
+  'citizen.nationalIdInvalid': 'يجب أن يتكون الرقم الوطني من 8 إلى 16 رقماً',
+  'citizen.nationalIdCheckDigit': 'رقم التحقق في الرقم الوطني غير صحيح',
+  'citizen.registrationOfficeRequired': 'يلزم مكتب تسجيل لإصدار رقم وطني',
+  'citizen.idPrefixMissing': 'لم يتم تعيين بادئة للرقم الوطني لهذا المكتب أو الإقليم',
+  'citizen.notFoundById': 'المواطن {nationalId} غير موجود',
+  'citizen.fieldRequired': 'الحقل \'{field}\' مطلوب',
+  'citizen.serialsExhausted': 'نفدت الأرقام التسلسلية للهوية الوطنية للبادئة \'{prefix}\'',
+
+  // Citizen applications
+  'application.notFound': 'الطلب غير موجود',
+  'application.submitted': 'تم إرسال التسجيل للموافقة',
+  'application.draftSaved': 'تم حفظ التسجيل كمسودة',
+  'application.resubmitted': 'تمت إعادة إرسال الطلب للموافقة',
+  'application.updated': 'تم تحديث الطلب بنجاح',
+  'application.rejected': 'تم رفض الطلب',
+  'application.correctionApproved': 'تمت الموافقة على التصحيح وتطبيقه',
+  'application.commentTooLong': 'لا يمكن أن يتجاوز التعليق 500 حرف',
+  'application.rejectionReasonRequired': 'سبب الرفض مطلوب',
+  'application.rejectionReasonTooLong': 'لا يمكن أن يتجاوز سبب الرفض 500 حرف',
+  'application.notEditable': 'لا يمكن تعديل إلا الطلبات المسودة أو المرفوضة',
+  'application.notSubmittable': 'لا يمكن إرسال إلا الطلبات المسودة أو المرفوضة',
+  'application.notReviewable': 'لا يمكن مراجعة إلا الطلبات المرسلة',
+  'application.ownApplication': 'لا يمكنك مراجعة طلب قمت بإعداده أو إرساله',
+  'application.correctionPending': 'يوجد تصحيح لهذا المواطن بانتظار الموافقة بالفعل',
+
+  // Citizen history
+  'history.revisionNotFound': 'المراجعة غير موجودة',
+  'history.revisionInvalid': 'يجب أن يكون رقم المراجعة عدداً صحيحاً موجباً',
+  'history.revertReasonRequired': 'سبب الاسترجاع مطلوب',
+  'history.reverted': 'تمت إعادة المواطن إلى المراجعة المحددة',
+  'history.revertSubmitted': 'تم تقديم الاسترجاع. أُرسلت تغييرات الهوية للموافقة',
+  'history.alreadyAtRevision': 'المواطن مطابق لهذه المراجعة بالفعل',
+  'history.immutable': 'لا يمكن تعديل مراجعات المواطن',
+
+  // Duplicate detection
+  'duplicate.notFound': 'المرشح المكرر غير موجود',
+  'duplicate.decisionInvalid': 'يجب أن يكون القرار DUPLICATE أو NOT_DUPLICATE',
+  'duplicate.alreadyAdjudicated': 'تم البت في هذا المرشح المكرر بالفعل',
+  'duplicate.pending': 'يجب البت في التكرارات المحتملة قبل الموافقة',
+  'duplicate.confirmed': 'تم تأكيد التكرار ورُفض الطلب',
+  'duplicate.cleared': 'تم تحديده على أنه غير مكرر',
+  'duplicate.likely': 'يُرجّح أنه مكرر للمواطن المسجل {nationalId}',
+
+  // Citizen merges
+  'merge.notFound': 'عملية الدمج غير موجودة',
+  'merge.merged': 'تم دمج المواطنين بنجاح',
+  'merge.split': 'تم فصل الدمج بنجاح',
+  'merge.redirected': 'تم دمج هذا الرقم الوطني في سجل آخر',
+  'merge.survivorRequired': 'الرقم الوطني الباقي مطلوب',
+  'merge.retiredRequired': 'الرقم الوطني المُلغى مطلوب',
+  'merge.choicesInvalid': 'يجب أن تربط الخيارات الحقول بـ SURVIVOR أو RETIRED',
+  'merge.reasonRequired': 'السبب مطلوب',
+  'merge.reasonTooLong': 'لا يمكن أن يتجاوز السبب 500 حرف',
+  'merge.mergeReasonRequired': 'سبب الدمج مطلوب',
+  'merge.splitReasonRequired': 'سبب الفصل مطلوب',
+  'merge.selfMerge': 'لا يمكن دمج المواطن مع نفسه',
+  'merge.openApplications': 'يجب معالجة الطلبات المفتوحة لهؤلاء المواطنين قبل الدمج',
+  'merge.alreadySplit': 'تم فصل هذا الدمج بالفعل',
+  'merge.survivorMissing': 'المواطن الباقي لم يعد موجوداً أو محذوف',
+  'merge.inProgress': 'أحد هؤلاء المواطنين قيد الدمج بالفعل',
+  'merge.statusDiffers': 'سجّل الوفاة أو أعد تفعيل السجل ليكون للمواطنَين الوضع نفسه قبل الدمج',
+  'merge.choicesMissing': 'يلزم اختيار القيم المتعارضة للحقول: {fields}',
+  'merge.nationalIdInUse': 'رقم الهوية الوطنية {nationalId} مستخدم بالفعل',
+
+  // National ID blocks
+  'idBlock.notFound': 'كتلة الأرقام غير موجودة',
+  'idBlock.reserved': 'تم حجز كتلة الأرقام بنجاح',
+  'idBlock.synced': 'تمت مزامنة التسجيلات غير المتصلة',
+  'idBlock.closed': 'تم إغلاق كتلة الأرقام وإرجاع الأرقام غير المستخدمة',
+  'idBlock.isClosed': 'كتلة الأرقام مغلقة',
+  'idBlock.officeRequired': 'المكتب مطلوب',
+  'idBlock.countInvalid': 'يجب أن يكون حجم الكتلة بين 1 و{max}',
+  'idBlock.deviceIdTooLong': 'لا يمكن أن يتجاوز معرف الجهاز 100 حرف',
+  'idBlock.noteTooLong': 'لا يمكن أن تتجاوز الملاحظة 500 حرف',
+  'idBlock.citizensRequired': 'قدّم ما بين 1 و500 مواطن للمزامنة',
+  'idBlock.nationalIdRequired': 'يحتاج كل مواطن إلى الرقم الوطني المخصص من الكتلة',
+  'idBlock.registeredAtInvalid': 'يجب أن يكون وقت التسجيل تاريخاً صالحاً',
+  'idBlock.notInBlock': 'الرقم الوطني ليس جزءاً من هذه الكتلة',
+  'idBlock.alreadyUsed': 'تم استخدام هذا الرقم الوطني من الكتلة بالفعل',
+  'idBlock.nationalIdInUse': 'الرقم الوطني مستخدم بالفعل',
+
+  // Family relationships
+  'relationship.notFound': 'العلاقة غير موجودة',
+  'relationship.added': 'تمت إضافة العلاقة بنجاح',
+  'relationship.updated': 'تم تحديث الزواج بنجاح',
+  'relationship.removed': 'تمت إزالة العلاقة بنجاح',
+  'relationship.relatedRequired': 'الرقم الوطني للقريب مطلوب',
+  'relationship.typeInvalid': 'يجب أن يكون نوع العلاقة PARENT أو CHILD أو SPOUSE أو GUARDIAN أو WARD',
+  'relationship.marriageDateInvalid': 'يجب أن يكون تاريخ الزواج تاريخاً صالحاً',
+  'relationship.marriageStatusInvalid': 'يجب أن تكون حالة الزواج MARRIED أو DIVORCED أو WIDOWED',
+  'relationship.depthRange': 'يجب أن يكون العمق بين 1 و 5',
+  'relationship.self': 'لا يمكن ربط المواطن بنفسه',
+  'relationship.alreadyLinked': 'هؤلاء المواطنون مرتبطون بالفعل',
+  'relationship.parentAge': 'يجب أن يكون الوالد أكبر من الطفل بـ {age} عاماً على الأقل',
+  'relationship.tooManyParents': 'لا يمكن أن يكون للمواطن أكثر من والدين اثنين',
+  'relationship.guardianMinorOnly': 'الوصاية للقاصرين فقط',
+  'relationship.guardianAdult': 'يجب أن يكون الوصي بالغاً',
+  'relationship.marriageDateFuture': 'يجب أن يكون تاريخ الزواج تاريخاً صالحاً وليس في المستقبل',
+  'relationship.marriageBeforeBirth': 'لا يمكن أن يكون تاريخ الزواج قبل ولادة أي من الزوجين',
+  'relationship.onlyMarriages': 'يمكن تحديث الزواج فقط؛ احذف العلاقات الأخرى وأعد إضافتها',
+
+  // Citizen addresses
+  'address.changed': 'تم تغيير العنوان بنجاح',
+  'address.corrected': 'تم تصحيح العنوان بنجاح',
+  'address.regionRequired': 'الإقليم مطلوب',
+  'address.districtRequired': 'المديرية مطلوبة',
+  'address.cityRequired': 'المدينة أو القرية مطلوبة',
+  'address.latitudeInvalid': 'يجب أن يكون خط العرض بين -90 و 90',
+  'address.longitudeInvalid': 'يجب أن يكون خط الطول بين -180 و 180',
+  'address.effectiveFromInvalid': 'يجب أن يكون تاريخ السريان تاريخاً صالحاً',
+  'address.correctionInvalid': 'يجب أن يكون التصحيح true أو false',
+  'address.coordinatesIncomplete': 'تتطلب إحداثيات GPS خط العرض وخط الطول معاً',
+  'address.coordinatesRange': 'إحداثيات GPS خارج النطاق',
+  'address.effectiveFromFuture': 'يجب أن يكون تاريخ سريان العنوان تاريخاً صالحاً وليس في المستقبل',
+  'address.noCurrent': 'لا يوجد للمواطن عنوان حالي لتصحيحه',
+  'address.notAfterCurrent': 'يجب أن يسري العنوان الجديد بعد العنوان الحالي',
+  'address.fieldRequired': 'حقل العنوان \'{field}\' مطلوب',
+
+  // Death registration
+  'death.registered': 'تم تسجيل الوفاة بنجاح',
+  'death.reactivationSubmitted': 'تم تقديم طلب إعادة التفعيل للموافقة',
+  'death.reactivationApproved': 'تمت إعادة تفعيل المواطن بنجاح',
+  'death.registrationRequired': 'يجب تسجيل الوفاة بتسجيل وفاة وشهادة',
+  'death.dateOfDeathRequired': 'تاريخ الوفاة مطلوب',
+  'death.dateOfDeathInvalid': 'يجب أن يكون تاريخ الوفاة تاريخاً صالحاً',
+  'death.dateOfDeathFuture': 'لا يمكن أن يكون تاريخ الوفاة في المستقبل',
+  'death.dateOfDeathBeforeBirth': 'لا يمكن أن يكون تاريخ الوفاة قبل تاريخ الميلاد',
+  'death.placeOfDeathRequired': 'مكان الوفاة مطلوب',
+  'death.causeCategoryInvalid': 'فئة سبب الوفاة غير صالحة',
+  'death.causeDetailTooLong': 'لا يمكن أن يتجاوز سبب الوفاة 500 حرف',
+  'death.informantNameRequired': 'اسم المبلّغ مطلوب',
+  'death.informantRelationshipRequired': 'صلة المبلّغ مطلوبة',
+  'death.informantIsDeceased': 'لا يمكن أن يكون المبلّغ هو المتوفى',
+  'death.informantNotRegistered': 'الرقم الوطني للمبلّغ غير مسجل',
+  'death.certificateRequired': 'شهادة الوفاة مطلوبة',
+  'death.alreadyDeceased': 'المواطن مسجل بالفعل كمتوفى',
+  'death.notDeceased': 'المواطن غير مسجل كمتوفى',
+  'death.reactivationReasonRequired': 'سبب إعادة التفعيل مطلوب',
+  'death.reactivationReasonTooLong': 'لا يمكن أن يتجاوز سبب إعادة التفعيل 500 حرف',
+  'death.reactivationPending': 'يوجد طلب إعادة تفعيل لهذا المواطن بانتظار الموافقة بالفعل',
+
+  // Birth registration
+  'birth.submitted': 'تم تقديم تسجيل الولادة للموافقة',
+  'birth.motherNationalIdInvalid': 'يجب أن يتكون الرقم الوطني للأم من أرقام فقط',
+  'birth.fatherNationalIdInvalid': 'يجب أن يتكون الرقم الوطني للأب من أرقام فقط',
+  'birth.parentRequired': 'يتطلب تسجيل الولادة الأم أو الأب',
+  'birth.sameParent': 'لا يمكن أن تكون الأم والأب المواطن نفسه',
+  'birth.facilityTypeInvalid': 'يجب أن يكون نوع مكان الولادة HOSPITAL أو HEALTH_CENTRE أو HOME أو OTHER',
+  'birth.facilityNameRequired': 'اسم المستشفى أو المركز الصحي مطلوب',
+  'birth.attendantTypeInvalid': 'نوع القائم على الولادة غير صالح',
+  'birth.attendantNameRequired': 'اسم القائم على الولادة مطلوب',
+  'birth.motherNotFemale': 'يجب أن تكون الأم مواطنة أنثى',
+  'birth.fatherNotMale': 'يجب أن يكون الأب مواطناً ذكراً',
+  'birth.motherTooYoung': 'يجب أن تكون الأم أكبر من الطفل بـ {age} سنة على الأقل',
+  'birth.fatherTooYoung': 'يجب أن يكون الأب أكبر من الطفل بـ {age} سنة على الأقل',
+  'birth.motherDied': 'توفيت الأم قبل تاريخ الولادة',
+  'birth.fatherDied': 'توفي الأب قبل تاريخ الولادة بمدة طويلة جداً',
+  'birth.nationalityRequired': 'جنسية الطفل مطلوبة عندما تختلف جنسيتا الوالدين',
+  'birth.nationalityMismatch': 'جنسية الطفل لا تتبع جنسية الوالدين',
+  'birth.notMinor': 'تسجيل الولادة مخصص فقط للأطفال دون {age} سنة',
+  'birth.motherNotRegistered': 'الأم ({nationalId}) ليست مواطنة مسجلة',
+  'birth.fatherNotRegistered': 'الأب ({nationalId}) ليس مواطناً مسجلاً',
+
+  // Offices
+  'office.notFound': 'المكتب غير موجود',
+  'office.created': 'تم إنشاء المكتب بنجاح',
+  'office.updated': 'تم تحديث المكتب بنجاح',
+  'office.deleted': 'تم حذف المكتب بنجاح',
+  'office.codeRequired': 'رمز المكتب مطلوب',
+  'office.codeInvalid': 'يجب أن يتكون رمز المكتب من 2 إلى 20 حرفًا أو رقمًا أو شرطة',
+  'office.codeExists': 'رمز المكتب موجود بالفعل',
+  'office.nameRequired': 'اسم المكتب مطلوب',
+  'office.regionRequired': 'الإقليم مطلوب',
+  'office.districtRequired': 'المديرية مطلوبة لمكاتب المديريات ومراكز التسجيل',
+  'office.levelInvalid': 'يجب أن يكون المستوى REGION أو DISTRICT أو CENTER',
+  'office.idPrefixInvalid': 'يجب أن تتكون بادئة الرقم من 2 إلى 4 أرقام',
+  'office.statusInvalid': 'يجب أن تكون الحالة ACTIVE أو INACTIVE',
+  'office.invalidId': 'معرّف المكتب غير صالح',
+  'office.invalidOrInactive': 'المكتب غير صالح أو غير نشط',
+  'office.inUse': 'المكتب مستخدم من قبل {userCount} مستخدم و{citizenCount} سجل مواطن. اجعله INACTIVE بدلاً من ذلك.',
+
+  // Geography reference data
+  'geography.countryNotFound': 'الدولة غير موجودة',
+  'geography.areaNotFound': 'المنطقة غير موجودة',
+  'geography.countryCreated': 'تم إنشاء الدولة بنجاح',
+  'geography.countryUpdated': 'تم تحديث الدولة بنجاح',
+  'geography.countryDeleted': 'تم حذف الدولة بنجاح',
+  'geography.areaCreated': 'تم إنشاء المنطقة بنجاح',
+  'geography.areaUpdated': 'تم تحديث المنطقة بنجاح',
+  'geography.areaDeleted': 'تم حذف المنطقة بنجاح',
+  'geography.imported': 'اكتمل الاستيراد',
+  'geography.countryCodeInvalid': 'يجب أن يكون رمز الدولة رمز ISO 3166 alpha-2',
+  'geography.alpha3Invalid': 'يجب أن يتكون رمز alpha-3 من ثلاثة أحرف',
+  'geography.areaCodeInvalid': 'يجب أن يتكون رمز المنطقة من 2-30 حرفاً أو رقماً أو شرطة',
+  'geography.nameRequired': 'الاسم مطلوب',
+  'geography.statusInvalid': 'يجب أن تكون الحالة ACTIVE أو INACTIVE',
+  'geography.levelInvalid': 'يجب أن يكون مستوى المنطقة REGION أو DISTRICT أو LOCALITY',
+  'geography.importKindInvalid': 'يجب أن يكون نوع الاستيراد \'countries\' أو \'areas\'',
+  'geography.csvRequired': 'محتوى CSV مطلوب',
+  'geography.countryCodeRequired': 'رمز الدولة مطلوب',
+  'geography.countryNameRequired': 'اسم الدولة مطلوب',
+  'geography.countryCodeExists': 'رمز الدولة موجود بالفعل',
+  'geography.areaCodeRequired': 'رمز المنطقة مطلوب',
+  'geography.areaNameRequired': 'اسم المنطقة مطلوب',
+  'geography.areaCodeExists': 'رمز المنطقة موجود بالفعل',
+  'geography.districtParent': 'تحتاج المديرية إلى إقليم تتبع له',
+  'geography.localityParent': 'تحتاج البلدة إلى مديرية أو إقليم تتبع له',
+  'geography.ownParent': 'لا يمكن أن تكون المنطقة أصلاً لنفسها',
+  'geography.csvEmpty': 'لا يحتوي ملف CSV على صفوف بيانات',
+  'geography.csvTooLong': 'لا يمكن أن يحتوي ملف CSV على أكثر من {max} صف',
+  'geography.csvUnterminated': 'يحتوي ملف CSV على حقل مقتبس غير مغلق',
+  'geography.countryInUse': 'الدولة مستخدمة في {citizenCount} سجل مواطن. اجعلها INACTIVE بدلاً من ذلك.',
+  'geography.areaInUse': 'المنطقة مستخدمة من قبل {childCount} منطقة فرعية و{citizenCount} سجل مواطن. اجعلها INACTIVE بدلاً من ذلك.',
+
+  // Menus
+  'menu.notFound': 'القائمة غير موجودة',
+  'menu.created': 'تم إنشاء القائمة بنجاح',
+  'menu.updated': 'تم تحديث القائمة بنجاح',
+  'menu.deleted': 'تم حذف القائمة بنجاح',
+  'menu.reordered': 'تمت إعادة ترتيب القوائم بنجاح',
+  'menu.nameRequired': 'اسم القائمة مطلوب',
+  'menu.nameEmpty': 'لا يمكن أن يكون اسم القائمة فارغًا',
+  'menu.orderIndexInvalid': 'يجب أن يكون ترتيب العرض عددًا صحيحًا',
+  'menu.itemsRequired': 'يجب أن تكون العناصر قائمة غير فارغة',
+  'menu.itemIdRequired': 'يحتاج كل عنصر إلى معرّف القائمة',
+  'menu.itemOrderRequired': 'يحتاج كل عنصر إلى ترتيب عرض صحيح',
+  'menu.parentNotFound': 'القائمة الأم غير موجودة',
+  'menu.cycle': 'لا يمكن وضع القائمة تحت نفسها أو تحت إحدى القوائم المتفرعة منها',
+  'menu.labelsInvalid': 'يجب أن تكون التسميات كائنًا مفاتيحه رموز اللغات',
+  'menu.itemNotFound': 'القائمة غير موجودة: {id}',
+  'menu.listedTwice': 'القائمة مذكورة أكثر من مرة: {id}',
+  'menu.itemOrderInvalid': 'ترتيب غير صالح للقائمة {id}',
+  'menu.parentNotFoundId': 'القائمة الأم غير موجودة: {id}',
+  'menu.hasChildren': 'تحتوي القائمة على {count} عنصر فرعي. انقلها أو احذفها أولاً.',
+  'menu.unknownPermission': 'رمز صلاحية غير معروف: {code}',
+  'menu.unsupportedLocale': 'لغة غير مدعومة: {locale}',
+
+  // Notices
+  'notice.created': 'تم إنشاء الإشعار بنجاح',
+  'notice.deleted': 'تم حذف الإشعار بنجاح',
+  'notice.notFound': 'الإشعار غير موجود',
+  'notice.titleRequired': 'العنوان مطلوب',
+  'notice.messageRequired': 'الرسالة مطلوبة',
+
+  // Reports
+  'report.asOfInvalid': 'يجب أن يكون تاريخ الاحتساب تاريخاً صالحاً',
+  'report.minAgeInvalid': 'يجب أن يكون الحد الأدنى للعمر عدداً صحيحاً من 0 إلى 120',
+  'report.formatInvalid': 'يجب أن تكون الصيغة json أو csv',
+
+  // Files
+  'file.pathRequired': 'مسار الملف مطلوب',
+  'file.notFound': 'الملف غير موجود',
+  'file.serveError': 'خطأ في عرض الملف',
+  'file.invalidImageType': 'نوع الملف غير صالح. يُسمح فقط بصور JPEG وPNG وGIF وWEBP.',
+  'file.invalidDocumentType': 'نوع الملف غير صالح. يُسمح فقط بمستندات PDF وWord وJPEG وPNG.',
+  'file.invalidImage': 'ملف الصورة غير صالح أو غير مدعوم'
+};
@@ -0,0 +1,429 @@
+/**
+ * English message catalog
+ * The reference catalog: every key must exist here. {name} placeholders are interpolated.
+ */
+
+module.exports = {
+  // Common
+  'common.validationError': 'Validation error',
+  'common.endpointNotFound': 'Endpoint not found',
+  'common.serverError': 'Server error',
+  'common.resourceNotFound': 'Resource not found',
+  'common.pagePositive': 'Page must be a positive integer',
+  'common.limitRange': 'Limit must be between 1 and 100',
+  'common.descriptionTooLong': 'Description cannot exceed 255 characters',
+  'common.reasonTooLong': 'Reason cannot exceed 255 characters',
+  'common.startDateInvalid': 'Start date must be a valid date',
+  'common.expiryDateInvalid': 'Expiry date must be a valid date',
+  'common.searchQueryRequired': 'Search query is required',
+  'common.notAllowedByCors': 'Not allowed by CORS',
+
+  // Authentication
+  'auth.required': 'Authentication required',
+  'auth.requiredLogin': 'Authentication required. Please login.',
+  'auth.error': 'Authentication error',
+  'auth.accessDenied': 'Access denied',
+  'auth.invalidToken': 'Invalid token',
+  'auth.tokenExpired': 'Token expired',
+  'auth.usernameRequired': 'Username is required',
+  'auth.passwordRequired': 'Password is required',
+  'auth.invalidCredentials': 'Incorrect username or password. Please make sure your credentials are correct.',
+  'auth.accountDisabled': 'you are disabled you cannot login',
+  'auth.userDisabled': 'User account is disabled',
+  'auth.userDeleted': 'User account has been deleted',
+  'auth.tooManyAttempts': 'Too many failed login attempts. Please try again later.',
+  'auth.loginSuccessful': 'Login successful',
+  'auth.loginFailed': 'Login failed: {error}',
+  'auth.logoutSuccessful': 'Logout successful',
+  'auth.logoutFailed': 'Logout failed',
+  'auth.userInfoFailed': 'Failed to retrieve user information',
+  'auth.userNotFoundOrInactive': 'User not found or inactive',
+  'auth.challengeTokenRequired': 'Challenge token is required',
+  'auth.invalidChallengeToken': 'Invalid or expired challenge token',
+  'auth.refreshTokenRequired': 'Refresh token is required',
+  'auth.invalidRefreshToken': 'Invalid refresh token',
+  'auth.invalidOrExpiredRefreshToken': 'Invalid or expired refresh token',
+  'auth.refreshTokenReuse': 'Refresh token reuse detected. Session has been revoked',
+  'auth.phoneRequired': 'Phone number is required',
+  'auth.phoneUpdated': 'Phone number updated successfully',
+  'auth.imageRequired': 'Image file is required',
+  'auth.profilePictureUpdated': 'Profile picture updated successfully',
+  'auth.profilePictureRemoved': 'Profile picture removed successfully',
+  'auth.noProfilePicture': 'No profile picture to remove',
+
+  // Sessions
+  'session.idle': 'Session timed out due to inactivity. Please login again.',
+  'session.expired': 'Session has expired. Please login again.',
+  'session.revoked': 'Session has ended. Please login again.',
+  'session.notFound': 'Session not found',
+  'session.revokedSuccessfully': 'Session revoked successfully',
+  'session.othersRevoked': 'Other sessions revoked successfully',
+  'session.terminated': 'Session terminated successfully',
+  'session.userSessionsTerminated': 'User sessions terminated successfully',
+
+  // Passwords
+  'password.currentRequired': 'Current password is required',
+  'password.newRequired': 'New password is required',
+  'password.currentIncorrect': 'Current password is incorrect',
+  'password.incorrect': 'Incorrect password',
+  'password.changed': 'Password changed successfully',
+  'password.changeFailed': 'Password change failed: {error}',
+  'password.reset': 'Password reset successfully',
+  'password.expired': 'Your password has expired. Please choose a new password.',
+  'password.mustChange': 'You must change your password before continuing',
+  'password.required': 'Password is required',
+  'password.tooShort': 'Password must be at least {min} characters',
+  'password.tooLong': 'Password cannot exceed {max} characters',
+  'password.needsUppercase': 'Password must contain an uppercase letter',
+  'password.needsLowercase': 'Password must contain a lowercase letter',
+  'password.needsDigit': 'Password must contain a digit',
+  'password.needsSymbol': 'Password must contain a symbol',
+  'password.tooCommon': 'Password is too common',
+  'password.containsUsername': 'Password cannot contain the username',
+
+  // Two-factor authentication
+  'twoFactor.verificationRequired': 'Two-factor verification required',
+  'twoFactor.enrollmentRequired': 'Two-factor authentication must be set up before login',
+  'twoFactor.codeRequired': 'Verification code is required',
+  'twoFactor.codeOrRecoveryRequired': 'Verification code or recovery code is required',
+  'twoFactor.invalidCode': 'Invalid verification code',
+  'twoFactor.setupStarted': 'Scan the QR code with your authenticator app, then confirm with a code',
+  'twoFactor.enabled': 'Two-factor authentication enabled. Store your recovery codes safely.',
+  'twoFactor.disabled': 'Two-factor authentication disabled',
+  'twoFactor.recoveryCodesRegenerated': 'Recovery codes regenerated. Store them safely.',
+  'twoFactor.reset': 'Two-factor authentication reset successfully',
+  'twoFactor.alreadyEnabled': 'Two-factor authentication is already enabled',
+  'twoFactor.notEnabled': 'Two-factor authentication is not enabled',
+  'twoFactor.requiredForRole': 'Two-factor authentication is required for your role',
+  'twoFactor.setupNotStarted': 'Two-factor setup has not been started',
+
+  // Users
+  'user.notFound': 'User not found',
+  'user.created': 'User created successfully',
+  'user.updated': 'User updated successfully',
+  'user.deleted': 'User deleted successfully',
+  'user.restored': 'User restored successfully',
+  'user.permanentlyDeleted': 'User permanently deleted',
+  'user.statusUpdated': 'User status updated successfully',
+  'user.statusInvalid': 'Status must be ACTIVE or DISABLED',
+  'user.unlocked': 'User unlocked successfully',
+  'user.notLocked': 'User was not locked',
+  'user.usernameExists': 'Username already exists',
+  'user.usernameLength': 'Username must be between 3 and 100 characters',
+  'user.roleIdRequired': 'Role ID is required',
+  'user.invalidRoleId': 'Invalid role ID',
+  'user.invalidRole': 'Invalid role ID or name',
+  'user.cannotChangeAdminRole': 'Cannot change role of an Admin user',
+  'user.invalidPhone': 'Invalid phone number format',
+  'user.invalidPhoneFormat': 'Invalid phone number format. Use 8-15 digits with optional country code',
+  'user.passwordReused': 'Password cannot be one of your last {count} passwords',
+
+  // Roles
+  'role.notFound': 'Role not found',
+  'role.created': 'Role created successfully',
+  'role.updated': 'Role updated successfully',
+  'role.deleted': 'Role deleted successfully',
+  'role.nameRequired': 'Role name is required',
+  'role.nameEmpty': 'Role name cannot be empty',
+  'role.nameExists': 'Role name already exists',
+  'role.nameInvalid': 'Role name must be 2-50 characters: letters, digits and underscores, starting with a letter',
+  'role.systemCannotDelete': 'System roles cannot be deleted',
+  'role.systemCannotRename': 'System roles cannot be renamed',
+  'role.inUse': 'Role is assigned to {count} user(s). Reassign them before deleting the role.',
+  'role.unknownPermissions': 'Unknown permission code(s): {codes}',
+
+  // Permissions
+  'permission.insufficient': 'Insufficient permissions',
+  'permission.checkError': 'Permission check error',
+  'permission.notFound': 'Permission not found',
+  'permission.updated': 'Permission updated successfully',
+  'permission.nameRequired': 'Permission name is required',
+  'permission.nameEmpty': 'Permission name cannot be empty',
+  'permission.moduleTooLong': 'Module cannot exceed 50 characters',
+  'permission.codesArray': 'Permissions must be an array of permission codes',
+  'permission.codeRequired': 'Permission code is required',
+  'permission.effectInvalid': 'Effect must be ALLOW or DENY',
+  'permission.overrideAdded': 'Permission override added successfully',
+  'permission.overrideRevoked': 'Permission override revoked successfully',
+  'permission.overrideNotFound': 'Permission override not found',
+  'permission.cannotChangeOwn': 'You cannot change your own permissions',
+  'permission.invalidDates': 'Invalid start or expiry date',
+  'permission.expiryAfterStart': 'Expiry date must be after the start date',
+  'permission.expiryInFuture': 'Expiry date must be in the future',
+
+  // Citizens
+  'citizen.notFound': 'Citizen not found',
+  'citizen.registered': 'Citizen registered successfully',
+  'citizen.updated': 'Citizen updated successfully',
+  'citizen.deleted': 'Citizen deleted successfully',
+  'citizen.restored': 'Citizen restored successfully',
+  'citizen.permanentlyDeleted': 'Citizen permanently deleted',
+  'citizen.firstNameRequired': 'First name is required',
+  'citizen.lastNameRequired': 'Last name is required',
+  'citizen.genderInvalid': 'Gender must be MALE or FEMALE',
+  'citizen.dateOfBirthInvalid': 'Date of birth must be a valid date',
+  'citizen.dateOfBirthFuture': 'Date of birth cannot be in the future',
+  'citizen.dateOfBirthTooOld': 'Date of birth cannot be more than 100 years ago',
+  'citizen.placeOfBirthRequired': 'Place of birth is required',
+  'citizen.statusInvalid': 'Status must be ACTIVE or DECEASED',
+  'citizen.scopeError': 'Scope resolution error',
+  'citizen.officeOutOfScope': 'You cannot register citizens for this office',
+  'citizen.noActiveOffice': 'You are not assigned to an active office',
+  'citizen.correctionSubmitted': 'Citizen updated. Identity changes were submitted for approval',
+  'citizen.nationalIdInvalid': 'National ID must be 8-16 digits',
+  'citizen.nationalIdCheckDigit': 'National ID check digit is invalid',
+  'citizen.registrationOfficeRequired': 'A registration office is required to issue a national ID',
+  'citizen.idPrefixMissing': 'No national ID prefix is configured for this office or region',
+  'citizen.notFoundById': 'Citizen {nationalId} not found',
+  'citizen.fieldRequired': 'Field \'{field}\' is required',
+  'citizen.serialsExhausted': 'National ID serial numbers are exhausted for prefix \'{prefix}\'',
+
+  // Citizen applications
+  'application.notFound': 'Application not found',
+  'application.submitted': 'Registration submitted for approval',
+  'application.draftSaved': 'Registration saved as draft',
+  'application.resubmitted': 'Application resubmitted for approval',
+  'application.updated': 'Application updated successfully',
+  'application.rejected': 'Application rejected',
+  'application.correctionApproved': 'Correction approved and applied',
+  'application.commentTooLong': 'Comment cannot exceed 500 characters',
+  'application.rejectionReasonRequired': 'Rejection reason is required',
+  'application.rejectionReasonTooLong': 'Rejection reason cannot exceed 500 characters',
+  'application.notEditable': 'Only draft or rejected applications can be edited',
+  'application.notSubmittable': 'Only draft or rejected applications can be submitted',
+  'application.notReviewable': 'Only submitted applications can be reviewed',
+  'application.ownApplication': 'You cannot review an application you prepared or submitted',
+  'application.correctionPending': 'A correction for this citizen is already awaiting approval',
+
+  // Citizen history
+  'history.revisionNotFound': 'Revision not found',
+  'history.revisionInvalid': 'Revision must be a positive integer',
+  'history.revertReasonRequired': 'Revert reason is required',
+  'history.reverted': 'Citizen reverted to the selected revision',
+  'history.revertSubmitted': 'Revert filed. Identity changes were submitted for approval',
+  'history.alreadyAtRevision': 'Citizen already matches this revision',
+  'history.immutable': 'Citizen revisions cannot be modified',
+
+  // Duplicate detection
+  'duplicate.notFound': 'Duplicate candidate not found',
+  'duplicate.decisionInvalid': 'Decision must be DUPLICATE or NOT_DUPLICATE',
+  'duplicate.alreadyAdjudicated': 'Duplicate candidate has already been adjudicated',
+  'duplicate.pending': 'Possible duplicates must be adjudicated before approval',
+  'duplicate.confirmed': 'Confirmed as a duplicate; the application was rejected',
+  'duplicate.cleared': 'Marked as not a duplicate',
+  'duplicate.likely': 'Likely duplicate of existing citizen {nationalId}',
+
+  // Citizen merges
+  'merge.notFound': 'Merge not found',
+  'merge.merged': 'Citizens merged successfully',
+  'merge.split': 'Merge split successfully',
+  'merge.redirected': 'This national ID was merged into another record',
+  'merge.survivorRequired': 'Surviving national ID is required',
+  'merge.retiredRequired': 'Retired national ID is required',
+  'merge.choicesInvalid': 'Choices must map fields to SURVIVOR or RETIRED',
+  'merge.reasonRequired': 'Reason is required',
+  'merge.reasonTooLong': 'Reason cannot exceed 500 characters',
+  'merge.mergeReasonRequired': 'Merge reason is required',
+  'merge.splitReasonRequired': 'Split reason is required',
+  'merge.selfMerge': 'A citizen cannot be merged with itself',
+  'merge.openApplications': 'Resolve open applications for these citizens before merging',
+  'merge.alreadySplit': 'Merge has already been split',
+  'merge.survivorMissing': 'The surviving citizen no longer exists or is deleted',
+  'merge.inProgress': 'One of these citizens is already being merged',
+  'merge.statusDiffers': 'Register the death or reactivate the record so both citizens have the same status before merging',
+  'merge.choicesMissing': 'Conflict choices required for: {fields}',
+  'merge.nationalIdInUse': 'National ID {nationalId} is already in use',
+
+  // National ID blocks
+  'idBlock.notFound': 'ID block not found',
+  'idBlock.reserved': 'ID block reserved successfully',
+  'idBlock.synced': 'Offline registrations synced',
+  'idBlock.closed': 'ID block closed and unused IDs returned',
+  'idBlock.isClosed': 'ID block is closed',
+  'idBlock.officeRequired': 'Office is required',
+  'idBlock.countInvalid': 'Block size must be between 1 and {max}',
+  'idBlock.deviceIdTooLong': 'Device ID cannot exceed 100 characters',
+  'idBlock.noteTooLong': 'Note cannot exceed 500 characters',
+  'idBlock.citizensRequired': 'Provide between 1 and 500 citizens to sync',
+  'idBlock.nationalIdRequired': 'Each citizen needs the national ID assigned from the block',
+  'idBlock.registeredAtInvalid': 'Registration time must be a valid date',
+  'idBlock.notInBlock': 'National ID is not part of this block',
+  'idBlock.alreadyUsed': 'National ID from this block has already been used',
+  'idBlock.nationalIdInUse': 'National ID is already in use',
+
+  // Family relationships
+  'relationship.notFound': 'Relationship not found',
+  'relationship.added': 'Relationship added successfully',
+  'relationship.updated': 'Marriage updated successfully',
+  'relationship.removed': 'Relationship removed successfully',
+  'relationship.relatedRequired': 'Related citizen national ID is required',
+  'relationship.typeInvalid': 'Relationship type must be PARENT, CHILD, SPOUSE, GUARDIAN or WARD',
+  'relationship.marriageDateInvalid': 'Marriage date must be a valid date',
+  'relationship.marriageStatusInvalid': 'Marriage status must be MARRIED, DIVORCED or WIDOWED',
+  'relationship.depthRange': 'Depth must be between 1 and 5',
+  'relationship.self': 'A citizen cannot be related to themselves',
+  'relationship.alreadyLinked': 'These citizens are already linked',
+  'relationship.parentAge': 'A parent must be at least {age} years older than the child',
+  'relationship.tooManyParents': 'A citizen cannot have more than two parents',
+  'relationship.guardianMinorOnly': 'Only minors can have a guardian',
+  'relationship.guardianAdult': 'A guardian must be an adult',
+  'relationship.marriageDateFuture': 'Marriage date must be a valid date that is not in the future',
+  'relationship.marriageBeforeBirth': 'Marriage date cannot be before either spouse was born',
+  'relationship.onlyMarriages': 'Only marriages can be updated; remove and re-add other relationships',
+
+  // Citizen addresses
+  'address.changed': 'Address changed successfully',
+  'address.corrected': 'Address corrected successfully',
+  'address.regionRequired': 'Region is required',
+  'address.districtRequired': 'District is required',
+  'address.cityRequired': 'City or village is required',
+  'address.latitudeInvalid': 'Latitude must be between -90 and 90',
+  'address.longitudeInvalid': 'Longitude must be between -180 and 180',
+  'address.effectiveFromInvalid': 'Effective date must be a valid date',
+  'address.correctionInvalid': 'Correction must be true or false',
+  'address.coordinatesIncomplete': 'GPS coordinates need both latitude and longitude',
+  'address.coordinatesRange': 'GPS coordinates are out of range',
+  'address.effectiveFromFuture': 'Address effective date must be a valid date that is not in the future',
+  'address.noCurrent': 'Citizen has no current address to correct',
+  'address.notAfterCurrent': 'A new address must take effect after the current one',
+  'address.fieldRequired': 'Address field \'{field}\' is required',
+
+  // Death registration
+  'death.registered': 'Death registered successfully',
+  'death.reactivationSubmitted': 'Reactivation submitted for approval',
+  'death.reactivationApproved': 'Citizen reactivated successfully',
+  'death.registrationRequired': 'Deaths must be recorded with a death registration and certificate',
+  'death.dateOfDeathRequired': 'Date of death is required',
+  'death.dateOfDeathInvalid': 'Date of death must be a valid date',
+  'death.dateOfDeathFuture': 'Date of death cannot be in the future',
+  'death.dateOfDeathBeforeBirth': 'Date of death cannot be before the date of birth',
+  'death.placeOfDeathRequired': 'Place of death is required',
+  'death.causeCategoryInvalid': 'Cause of death category is invalid',
+  'death.causeDetailTooLong': 'Cause of death cannot exceed 500 characters',
+  'death.informantNameRequired': 'Informant name is required',
+  'death.informantRelationshipRequired': 'Informant relationship is required',
+  'death.informantIsDeceased': 'The informant cannot be the deceased',
+  'death.informantNotRegistered': 'Informant national ID is not registered',
+  'death.certificateRequired': 'Death certificate is required',
+  'death.alreadyDeceased': 'Citizen is already registered as deceased',
+  'death.notDeceased': 'Citizen is not registered as deceased',
+  'death.reactivationReasonRequired': 'Reactivation reason is required',
+  'death.reactivationReasonTooLong': 'Reactivation reason cannot exceed 500 characters',
+  'death.reactivationPending': 'A reactivation for this citizen is already awaiting approval',
+
+  // Birth registration
+  'birth.submitted': 'Birth registration submitted for approval',
+  'birth.motherNationalIdInvalid': 'Mother\'s national ID must contain only digits',
+  'birth.fatherNationalIdInvalid': 'Father\'s national ID must contain only digits',
+  'birth.parentRequired': 'A birth registration needs the mother or the father',
+  'birth.sameParent': 'The mother and the father cannot be the same citizen',
+  'birth.facilityTypeInvalid': 'Birth facility type must be HOSPITAL, HEALTH_CENTRE, HOME or OTHER',
+  'birth.facilityNameRequired': 'The name of the hospital or health centre is required',
+  'birth.attendantTypeInvalid': 'Birth attendant type is invalid',
+  'birth.attendantNameRequired': 'Birth attendant name is required',
+  'birth.motherNotFemale': 'The mother must be a female citizen',
+  'birth.fatherNotMale': 'The father must be a male citizen',
+  'birth.motherTooYoung': 'The mother must be at least {age} years older than the child',
+  'birth.fatherTooYoung': 'The father must be at least {age} years older than the child',
+  'birth.motherDied': 'The mother died before the date of birth',
+  'birth.fatherDied': 'The father died too long before the date of birth',
+  'birth.nationalityRequired': 'The child\'s nationality is required when the parents\' nationalities differ',
+  'birth.nationalityMismatch': 'The child\'s nationality does not follow from the parents\'',
+  'birth.notMinor': 'Birth registration is only for children under {age}',
+  'birth.motherNotRegistered': 'The mother ({nationalId}) is not a registered citizen',
+  'birth.fatherNotRegistered': 'The father ({nationalId}) is not a registered citizen',
+
+  // Offices
+  'office.notFound': 'Office not found',
+  'office.created': 'Office created successfully',
+  'office.updated': 'Office updated successfully',
+  'office.deleted': 'Office deleted successfully',
+  'office.codeRequired': 'Office code is required',
+  'office.codeInvalid': 'Office code must be 2-20 letters, digits, dashes or underscores',
+  'office.codeExists': 'Office code already exists',
+  'office.nameRequired': 'Office name is required',
+  'office.regionRequired': 'Region is required',
+  'office.districtRequired': 'District is required for district offices and registration centers',
+  'office.levelInvalid': 'Level must be REGION, DISTRICT or CENTER',
+  'office.idPrefixInvalid': 'ID prefix must be 2-4 digits',
+  'office.statusInvalid': 'Status must be ACTIVE or INACTIVE',
+  'office.invalidId': 'Invalid office ID',
+  'office.invalidOrInactive': 'Invalid or inactive office',
+  'office.inUse': 'Office is in use by {userCount} user(s) and {citizenCount} citizen record(s). Set it INACTIVE instead.',
+
+  // Geography reference data
+  'geography.countryNotFound': 'Country not found',
+  'geography.areaNotFound': 'Area not found',
+  'geography.countryCreated': 'Country created successfully',
+  'geography.countryUpdated': 'Country updated successfully',
+  'geography.countryDeleted': 'Country deleted successfully',
+  'geography.areaCreated': 'Area created successfully',
+  'geography.areaUpdated': 'Area updated successfully',
+  'geography.areaDeleted': 'Area deleted successfully',
+  'geography.imported': 'Import finished',
+  'geography.countryCodeInvalid': 'Country code must be an ISO 3166 alpha-2 code',
+  'geography.alpha3Invalid': 'Alpha-3 code must be three letters',
+  'geography.areaCodeInvalid': 'Area code must be 2-30 letters, digits or dashes',
+  'geography.nameRequired': 'Name is required',
+  'geography.statusInvalid': 'Status must be ACTIVE or INACTIVE',
+  'geography.levelInvalid': 'Area level must be REGION, DISTRICT or LOCALITY',
+  'geography.importKindInvalid': 'Import type must be \'countries\' or \'areas\'',
+  'geography.csvRequired': 'CSV content is required',
+  'geography.countryCodeRequired': 'Country code is required',
+  'geography.countryNameRequired': 'Country name is required',
+  'geography.countryCodeExists': 'Country code already exists',
+  'geography.areaCodeRequired': 'Area code is required',
+  'geography.areaNameRequired': 'Area name is required',
+  'geography.areaCodeExists': 'Area code already exists',
+  'geography.districtParent': 'A district needs a parent region',
+  'geography.localityParent': 'A locality needs a parent district or region',
+  'geography.ownParent': 'An area cannot be its own parent',
+  'geography.csvEmpty': 'CSV has no data rows',
+  'geography.csvTooLong': 'CSV cannot have more than {max} rows',
+  'geography.csvUnterminated': 'CSV has an unterminated quoted field',
+  'geography.countryInUse': 'Country is in use by {citizenCount} citizen record(s). Set it INACTIVE instead.',
+  'geography.areaInUse': 'Area is in use by {childCount} sub-area(s) and {citizenCount} citizen record(s). Set it INACTIVE instead.',
+
+  // Menus
+  'menu.notFound': 'Menu not found',
+  'menu.created': 'Menu created successfully',
+  'menu.updated': 'Menu updated successfully',
+  'menu.deleted': 'Menu deleted successfully',
+  'menu.reordered': 'Menus reordered successfully',
+  'menu.nameRequired': 'Menu name is required',
+  'menu.nameEmpty': 'Menu name cannot be empty',
+  'menu.orderIndexInvalid': 'Order index must be an integer',
+  'menu.itemsRequired': 'Items must be a non-empty array',
+  'menu.itemIdRequired': 'Each item needs a menu ID',
+  'menu.itemOrderRequired': 'Each item needs an integer order index',
+  'menu.parentNotFound': 'Parent menu not found',
+  'menu.cycle': 'A menu cannot be placed under itself or one of its descendants',
+  'menu.labelsInvalid': 'Labels must be an object keyed by locale',
+  'menu.itemNotFound': 'Menu not found: {id}',
+  'menu.listedTwice': 'Menu listed more than once: {id}',
+  'menu.itemOrderInvalid': 'Invalid order index for menu {id}',
+  'menu.parentNotFoundId': 'Parent menu not found: {id}',
+  'menu.hasChildren': 'Menu has {count} child item(s). Move or delete them first.',
+  'menu.unknownPermission': 'Unknown permission code: {code}',
+  'menu.unsupportedLocale': 'Unsupported locale: {locale}',
+
+  // Notices
+  'notice.created': 'Notice created successfully',
+  'notice.deleted': 'Notice deleted successfully',
+  'notice.notFound': 'Notice not found',
+  'notice.titleRequired': 'Title is required',
+  'notice.messageRequired': 'Message is required',
+
+  // Reports
+  'report.asOfInvalid': 'As-of date must be a valid date',
+  'report.minAgeInvalid': 'Minimum age must be a whole number from 0 to 120',
+  'report.formatInvalid': 'Format must be json or csv',
+
+  // Files
+  'file.pathRequired': 'File path is required',
+  'file.notFound': 'File not found',
+  'file.serveError': 'Error serving file',
+  'file.invalidImageType': 'Invalid file type. Only JPEG, PNG, GIF, and WEBP images are allowed.',
+  'file.invalidDocumentType': 'Invalid file type. Only PDF, Word, JPEG, and PNG documents are allowed.',
+  'file.invalidImage': 'Invalid or unsupported image file'
+};
@@ -0,0 +1,429 @@
+/**
+ * Somali message catalog
+ * Keys missing here fall back to English.
+ */
+
+module.exports = {
+  // Common
+  'common.validationError': 'Khalad xagga xogta ah',
+  'common.endpointNotFound': 'Adeeggan lama helin',
+  'common.serverError': 'Khalad ka dhacay server-ka',
+  'common.resourceNotFound': 'Xogta lama helin',
+  'common.pagePositive': 'Bogga waa inuu noqdaa tiro togan',
+  'common.limitRange': 'Xadku waa inuu u dhexeeyaa 1 iyo 100',
+  'common.descriptionTooLong': 'Sharraxaaddu kama badnaan karto 255 xaraf',
+  'common.reasonTooLong': 'Sababtu kama badnaan karto 255 xaraf',
+  'common.startDateInvalid': 'Taariikhda bilowgu waa inay noqotaa taariikh sax ah',
+  'common.expiryDateInvalid': 'Taariikhda dhicitaanku waa inay noqotaa taariikh sax ah',
+  'common.searchQueryRequired': 'Erayga raadinta waa loo baahan yahay',
+  'common.notAllowedByCors': 'Lama oggola (CORS)',
+
+  // Authentication
+  'auth.required': 'Waa in lagu xaqiijiyaa',
+  'auth.requiredLogin': 'Waa in lagu xaqiijiyaa. Fadlan soo gal.',
+  'auth.error': 'Khalad xagga xaqiijinta ah',
+  'auth.accessDenied': 'Galitaanka waa la diiday',
+  'auth.invalidToken': 'Token-ku ma saxna',
+  'auth.tokenExpired': 'Token-ku wuu dhacay',
+  'auth.usernameRequired': 'Magaca isticmaalaha waa loo baahan yahay',
+  'auth.passwordRequired': 'Furaha sirta waa loo baahan yahay',
+  'auth.invalidCredentials': 'Magaca isticmaalaha ama furaha sirta waa khalad. Fadlan hubi xogtaada.',
+  'auth.accountDisabled': 'Akoonkaaga waa la xannibay, ma soo geli kartid',
+  'auth.userDisabled': 'Akoonka isticmaalaha waa la xannibay',
+  'auth.userDeleted': 'Akoonka isticmaalaha waa la tirtiray',
+  'auth.tooManyAttempts': 'Isku day badan oo gal ah ayaa fashilmay. Fadlan mar dambe isku day.',
+  'auth.loginSuccessful': 'Si guul leh ayaad u soo gashay',
+  'auth.loginFailed': 'Galitaanku wuu fashilmay: {error}',
+  'auth.logoutSuccessful': 'Si guul leh ayaad u baxday',
+  'auth.logoutFailed': 'Ka bixitaanku wuu fashilmay',
+  'auth.userInfoFailed': 'Xogta isticmaalaha lama soo helin',
+  'auth.userNotFoundOrInactive': 'Isticmaalaha lama helin ama ma shaqaynayo',
+  'auth.challengeTokenRequired': 'Token-ka xaqiijinta waa loo baahan yahay',
+  'auth.invalidChallengeToken': 'Token-ka xaqiijinta ma saxna ama wuu dhacay',
+  'auth.refreshTokenRequired': 'Token-ka cusboonaysiinta waa loo baahan yahay',
+  'auth.invalidRefreshToken': 'Token-ka cusboonaysiinta ma saxna',
+  'auth.invalidOrExpiredRefreshToken': 'Token-ka cusboonaysiinta ma saxna ama wuu dhacay',
+  'auth.refreshTokenReuse': 'Token-ka cusboonaysiinta ayaa mar kale la isticmaalay. Fadhiga waa la joojiyay',
+  'auth.phoneRequired': 'Lambarka taleefanka waa loo baahan yahay',
+  'auth.phoneUpdated': 'Lambarka taleefanka si guul leh ayaa loo cusboonaysiiyay',
+  'auth.imageRequired': 'Sawir waa loo baahan yahay',
+  'auth.profilePictureUpdated': 'Sawirka astaanta si guul leh ayaa loo cusboonaysiiyay',
+  'auth.profilePictureRemoved': 'Sawirka astaanta si guul leh ayaa looga saaray',
+  'auth.noProfilePicture': 'Ma jiro sawir astaan oo laga saaro',
+
+  // Sessions
+  'session.idle': 'Fadhigu wuu dhacay sababtoo ah firfircooni la\'aan. Fadlan mar kale soo gal.',
+  'session.expired': 'Fadhigu wuu dhacay. Fadlan mar kale soo gal.',
+  'session.revoked': 'Fadhigu wuu dhammaaday. Fadlan mar kale soo gal.',
+  'session.notFound': 'Fadhiga lama helin',
+  'session.revokedSuccessfully': 'Fadhiga si guul leh ayaa loo joojiyay',
+  'session.othersRevoked': 'Fadhiyada kale si guul leh ayaa loo joojiyay',
+  'session.terminated': 'Fadhiga si guul leh ayaa loo soo afjaray',
+  'session.userSessionsTerminated': 'Fadhiyada isticmaalaha si guul leh ayaa loo soo afjaray',
+
+  // Passwords
+  'password.currentRequired': 'Furaha sirta ee hadda waa loo baahan yahay',
+  'password.newRequired': 'Furaha sirta cusub waa loo baahan yahay',
+  'password.currentIncorrect': 'Furaha sirta ee hadda waa khalad',
+  'password.incorrect': 'Furaha sirta waa khalad',
+  'password.changed': 'Furaha sirta si guul leh ayaa loo beddelay',
+  'password.changeFailed': 'Beddelidda furaha sirta way fashilantay: {error}',
+  'password.reset': 'Furaha sirta si guul leh ayaa dib loogu dejiyay',
+  'password.expired': 'Furaha sirtaadu wuu dhacay. Fadlan dooro fure cusub.',
+  'password.mustChange': 'Waa inaad beddeshaa furaha sirta ka hor intaadan sii wadin',
+  'password.required': 'Furaha sirta waa loo baahan yahay',
+  'password.tooShort': 'Furaha sirta waa inuu ahaadaa ugu yaraan {min} xaraf',
+  'password.tooLong': 'Furaha sirta ma dhaafi karo {max} xaraf',
+  'password.needsUppercase': 'Furaha sirta waa inuu ka kooban yahay xaraf weyn',
+  'password.needsLowercase': 'Furaha sirta waa inuu ka kooban yahay xaraf yar',
+  'password.needsDigit': 'Furaha sirta waa inuu ka kooban yahay tiro',
+  'password.needsSymbol': 'Furaha sirta waa inuu ka kooban yahay calaamad',
+  'password.tooCommon': 'Furaha sirta aad ayuu u caadi yahay',
+  'password.containsUsername': 'Furaha sirta kuma jiri karo magaca isticmaalaha',
+
+  // Two-factor authentication
+  'twoFactor.verificationRequired': 'Xaqiijinta laba-tallaabo ayaa loo baahan yahay',
+  'twoFactor.enrollmentRequired': 'Xaqiijinta laba-tallaabo waa in la dejiyaa ka hor galitaanka',
+  'twoFactor.codeRequired': 'Koodhka xaqiijinta waa loo baahan yahay',
+  'twoFactor.codeOrRecoveryRequired': 'Koodhka xaqiijinta ama koodhka soo celinta waa loo baahan yahay',
+  'twoFactor.invalidCode': 'Koodhka xaqiijinta ma saxna',
+  'twoFactor.setupStarted': 'Ku akhri koodhka QR barnaamijkaaga xaqiijinta, kadibna ku xaqiiji koodh',
+  'twoFactor.enabled': 'Xaqiijinta laba-tallaabo waa la daaray. Si ammaan ah u kaydi koodhadhka soo celinta.',
+  'twoFactor.disabled': 'Xaqiijinta laba-tallaabo waa la demiyay',
+  'twoFactor.recoveryCodesRegenerated': 'Koodhadhka soo celinta waa la cusboonaysiiyay. Si ammaan ah u kaydi.',
+  'twoFactor.reset': 'Xaqiijinta laba-tallaabo si guul leh ayaa dib loogu dejiyay',
+  'twoFactor.alreadyEnabled': 'Xaqiijinta laba-tallaabo horay ayaa loo daaray',
+  'twoFactor.notEnabled': 'Xaqiijinta laba-tallaabo lama daarin',
+  'twoFactor.requiredForRole': 'Xaqiijinta laba-tallaabo waa khasab doorkaaga',
+  'twoFactor.setupNotStarted': 'Dejinta xaqiijinta laba-tallaabo lama bilaabin',
+
+  // Users
+  'user.notFound': 'Isticmaalaha lama helin',
+  'user.created': 'Isticmaalaha si guul leh ayaa loo abuuray',
+  'user.updated': 'Isticmaalaha si guul leh ayaa loo cusboonaysiiyay',
+  'user.deleted': 'Isticmaalaha si guul leh ayaa loo tirtiray',
+  'user.restored': 'Isticmaalaha si guul leh ayaa loo soo celiyay',
+  'user.permanentlyDeleted': 'Isticmaalaha si joogto ah ayaa loo tirtiray',
+  'user.statusUpdated': 'Xaaladda isticmaalaha si guul leh ayaa loo cusboonaysiiyay',
+  'user.statusInvalid': 'Xaaladdu waa inay noqotaa ACTIVE ama DISABLED',
+  'user.unlocked': 'Isticmaalaha si guul leh ayaa loo furay',
+  'user.notLocked': 'Isticmaalaha ma xirnayn',
+  'user.usernameExists': 'Magaca isticmaalaha horay ayuu u jiraa',
+  'user.usernameLength': 'Magaca isticmaalaha waa inuu u dhexeeyaa 3 ilaa 100 xaraf',
+  'user.roleIdRequired': 'Aqoonsiga doorka waa loo baahan yahay',
+  'user.invalidRoleId': 'Aqoonsiga doorka ma saxna',
+  'user.invalidRole': 'Aqoonsiga ama magaca doorka ma saxna',
+  'user.cannotChangeAdminRole': 'Doorka maamulaha lama beddeli karo',
+  'user.invalidPhone': 'Qaabka lambarka taleefanka ma saxna',
+  'user.invalidPhoneFormat': 'Qaabka lambarka taleefanka ma saxna. Isticmaal 8-15 god oo leh koodhka dalka (ikhtiyaari)',
+  'user.passwordReused': 'Furaha sirta ah ma noqon karo mid ka mid ah {count}-dii furood ee kuugu dambeeyay',
+
+  // Roles
+  'role.notFound': 'Doorka lama helin',
+  'role.created': 'Doorka si guul leh ayaa loo abuuray',
+  'role.updated': 'Doorka si guul leh ayaa loo cusboonaysiiyay',
+  'role.deleted': 'Doorka si guul leh ayaa loo tirtiray',
+  'role.nameRequired': 'Magaca doorka waa loo baahan yahay',
+  'role.nameEmpty': 'Magaca doorka ma noqon karo mid madhan',
+  'role.nameExists': 'Magaca doorka horay ayuu u jiraa',
+  'role.nameInvalid': 'Magaca doorka waa inuu ahaadaa 2-50 xaraf: xarfo, tirooyin iyo hoosta-xariiq, kuna bilowdaa xaraf',
+  'role.systemCannotDelete': 'Doorarka nidaamka lama tirtiri karo',
+  'role.systemCannotRename': 'Doorarka nidaamka magacooda lama beddeli karo',
+  'role.inUse': 'Doorkan waxaa loo xilsaaray {count} isticmaale. U wareeji ka hor intaadan tirtirin doorka.',
+  'role.unknownPermissions': 'Koodh(ad) ogolaansho oo aan la aqoon: {codes}',
+
+  // Permissions
+  'permission.insufficient': 'Ogolaansho kuma filna',
+  'permission.checkError': 'Khalad ka dhacay hubinta ogolaanshaha',
+  'permission.notFound': 'Ogolaanshaha lama helin',
+  'permission.updated': 'Ogolaanshaha si guul leh ayaa loo cusboonaysiiyay',
+  'permission.nameRequired': 'Magaca ogolaanshaha waa loo baahan yahay',
+  'permission.nameEmpty': 'Magaca ogolaanshaha ma noqon karo mid madhan',
+  'permission.moduleTooLong': 'Qaybtu kama badnaan karto 50 xaraf',
+  'permission.codesArray': 'Ogolaanshuhu waa inay noqdaan liis koodh ogolaansho ah',
+  'permission.codeRequired': 'Koodhka ogolaanshaha waa loo baahan yahay',
+  'permission.effectInvalid': 'Saamayntu waa inay noqotaa ALLOW ama DENY',
+  'permission.overrideAdded': 'Ogolaansho gaar ah si guul leh ayaa loo daray',
+  'permission.overrideRevoked': 'Ogolaanshaha gaarka ah si guul leh ayaa loo joojiyay',
+  'permission.overrideNotFound': 'Ogolaanshaha gaarka ah lama helin',
+  'permission.cannotChangeOwn': 'Ma beddeli kartid ogolaanshahaaga',
+  'permission.invalidDates': 'Taariikhda bilowga ama dhicitaanka ma saxna',
+  'permission.expiryAfterStart': 'Taariikhda dhicitaanku waa inay ka dambaysaa taariikhda bilowga',
+  'permission.expiryInFuture': 'Taariikhda dhicitaanku waa inay noqotaa mustaqbalka',
+
+  // Citizens
+  'citizen.notFound': 'Muwaadinka lama helin',
+  'citizen.registered': 'Muwaadinka si guul leh ayaa loo diiwaangeliyay',
+  'citizen.updated': 'Muwaadinka si guul leh ayaa loo cusboonaysiiyay',
+  'citizen.deleted': 'Muwaadinka si guul leh ayaa loo tirtiray',
+  'citizen.restored': 'Muwaadinka si guul leh ayaa loo soo celiyay',
+  'citizen.permanentlyDeleted': 'Muwaadinka si joogto ah ayaa loo tirtiray',
+  'citizen.firstNameRequired': 'Magaca koowaad waa loo baahan yahay',
+  'citizen.lastNameRequired': 'Magaca dambe waa loo baahan yahay',
+  'citizen.genderInvalid': 'Jinsigu waa inuu noqdaa MALE ama FEMALE',
+  'citizen.dateOfBirthInvalid': 'Taariikhda dhalashadu waa inay noqotaa taariikh sax ah',
+  'citizen.dateOfBirthFuture': 'Taariikhda dhalashadu ma noqon karto mustaqbalka',
+  'citizen.dateOfBirthTooOld': 'Taariikhda dhalashadu kama horrayn karto 100 sano',
+  'citizen.placeOfBirthRequired': 'Goobta dhalashada waa loo baahan yahay',
+  'citizen.statusInvalid': 'Xaaladdu waa inay noqotaa ACTIVE ama DECEASED',
+  'citizen.scopeError': 'Khalad ka dhacay go\'aaminta xadka galitaanka',
+  'citizen.officeOutOfScope': 'Uma diiwaangelin kartid muwaadiniin xafiiskan',
+  'citizen.noActiveOffice': 'Laguma meeleyn xafiis shaqaynaya',
+  'citizen.correctionSubmitted': 'Muwaadinka waa la cusboonaysiiyay. Isbeddellada aqoonsiga waxaa loo gudbiyay oggolaansho',
+  'citizen.nationalIdInvalid': 'Aqoonsiga qaranku waa inuu ahaadaa 8-16 god',
+  'citizen.nationalIdCheckDigit': 'Godka hubinta ee aqoonsiga qaranku waa khalad',
+  'citizen.registrationOfficeRequired': 'Xafiis diiwaangelin ayaa loo baahan yahay si loo bixiyo aqoonsi qaran',
+  'citizen.idPrefixMissing': 'Horgale aqoonsi qaran looma dejin xafiiskan ama gobolkan',
+  'citizen.notFoundById': 'Muwaadinka {nationalId} lama helin',
+  'citizen.fieldRequired': 'Goobta \'{field}\' waa loo baahan yahay',
+  'citizen.serialsExhausted': 'Lambarrada taxanaha aqoonsiga qaranka way ka dhammaadeen horgalaha \'{prefix}\'',
+
+  // Citizen applications
+  'application.notFound': 'Codsiga lama helin',
+  'application.submitted': 'Diiwaangelinta waxaa loo gudbiyay oggolaansho',
+  'application.draftSaved': 'Diiwaangelinta waxaa loo kaydiyay qabyo ahaan',
+  'application.resubmitted': 'Codsiga mar kale ayaa loo gudbiyay oggolaansho',
+  'application.updated': 'Codsiga si guul leh ayaa loo cusboonaysiiyay',
+  'application.rejected': 'Codsiga waa la diiday',
+  'application.correctionApproved': 'Saxitaanka waa la oggolaaday waana la dabaqay',
+  'application.commentTooLong': 'Faalladu kama badnaan karto 500 xaraf',
+  'application.rejectionReasonRequired': 'Sababta diidmada waa loo baahan yahay',
+  'application.rejectionReasonTooLong': 'Sababta diidmadu kama badnaan karto 500 xaraf',
+  'application.notEditable': 'Codsiyada qabyada ah ama la diiday oo keliya ayaa wax laga beddeli karaa',
+  'application.notSubmittable': 'Codsiyada qabyada ah ama la diiday oo keliya ayaa la gudbin karaa',
+  'application.notReviewable': 'Codsiyada la gudbiyay oo keliya ayaa dib loo eegi karaa',
+  'application.ownApplication': 'Dib uma eegi kartid codsi aad adigu diyaarisay ama gudbisay',
+  'application.correctionPending': 'Saxitaan muwaadinkan ah ayaa horay u sugaya oggolaansho',
+
+  // Citizen history
+  'history.revisionNotFound': 'Nuqulka lama helin',
+  'history.revisionInvalid': 'Nuqulku waa inuu noqdaa tiro togan',
+  'history.revertReasonRequired': 'Sababta dib-u-celinta waa loo baahan yahay',
+  'history.reverted': 'Muwaadinka waxaa loo celiyay nuqulka la doortay',
+  'history.revertSubmitted': 'Dib u celinta waa la gudbiyay. Isbeddellada aqoonsiga waxaa loo gudbiyay ansixin',
+  'history.alreadyAtRevision': 'Muwaadinku horeba wuu la mid yahay nuqulkan',
+  'history.immutable': 'Nuqulada muwaadinka lama beddeli karo',
+
+  // Duplicate detection
+  'duplicate.notFound': 'Musharraxa nuqulka ah lama helin',
+  'duplicate.decisionInvalid': 'Go\'aanku waa inuu noqdaa DUPLICATE ama NOT_DUPLICATE',
+  'duplicate.alreadyAdjudicated': 'Musharraxan horay ayaa go\'aan loogu gaaray',
+  'duplicate.pending': 'Nuqulada suurtagalka ah waa in go\'aan laga gaaro ka hor oggolaanshaha',
+  'duplicate.confirmed': 'Waxaa la xaqiijiyay inuu nuqul yahay; codsiga waa la diiday',
+  'duplicate.cleared': 'Waxaa lagu calaamadeeyay inaanu nuqul ahayn',
+  'duplicate.likely': 'Waxay u badan tahay inuu nuqul ka yahay muwaadinka jira {nationalId}',
+
+  // Citizen merges
+  'merge.notFound': 'Isku-darka lama helin',
+  'merge.merged': 'Muwaadiniinta si guul leh ayaa la isugu daray',
+  'merge.split': 'Isku-darka si guul leh ayaa loo kala saaray',
+  'merge.redirected': 'Aqoonsigan qaran waxaa lagu daray diiwaan kale',
+  'merge.survivorRequired': 'Aqoonsiga qaran ee haraya waa loo baahan yahay',
+  'merge.retiredRequired': 'Aqoonsiga qaran ee la hawlgabinayo waa loo baahan yahay',
+  'merge.choicesInvalid': 'Doorashooyinku waa inay meelaha u qoondeeyaan SURVIVOR ama RETIRED',
+  'merge.reasonRequired': 'Sababta waa loo baahan yahay',
+  'merge.reasonTooLong': 'Sababtu kama badnaan karto 500 xaraf',
+  'merge.mergeReasonRequired': 'Sababta isku-darka waa loo baahan yahay',
+  'merge.splitReasonRequired': 'Sababta kala-saarka waa loo baahan yahay',
+  'merge.selfMerge': 'Muwaadin laguma dari karo naftiisa',
+  'merge.openApplications': 'Xalli codsiyada furan ee muwaadiniintan ka hor isku-darka',
+  'merge.alreadySplit': 'Isku-darkan horay ayaa loo kala saaray',
+  'merge.survivorMissing': 'Muwaadinka haraya ma jiro ama waa la tirtiray',
+  'merge.inProgress': 'Mid ka mid ah muwaadiniintan horay ayaa loo isku darayaa',
+  'merge.statusDiffers': 'Diiwaangeli dhimashada ama dib u hawlgeli diiwaanka si labada muwaadin ay isku xaalad u noqdaan ka hor isku darka',
+  'merge.choicesMissing': 'Doorashooyinka isku dhaca waa loo baahan yahay: {fields}',
+  'merge.nationalIdInUse': 'Aqoonsiga qaranka {nationalId} horay ayaa loo isticmaalay',
+
+  // National ID blocks
+  'idBlock.notFound': 'Xirmada aqoonsiga lama helin',
+  'idBlock.reserved': 'Xirmada aqoonsiga si guul leh ayaa loo kaydiyay',
+  'idBlock.synced': 'Diiwaangelinnada khadka ka baxsan waa la isku waafajiyay',
+  'idBlock.closed': 'Xirmada aqoonsiga waa la xiray, aqoonsiyada aan la isticmaalinna waa la celiyay',
+  'idBlock.isClosed': 'Xirmada aqoonsigu waa xiran tahay',
+  'idBlock.officeRequired': 'Xafiiska waa loo baahan yahay',
+  'idBlock.countInvalid': 'Cabbirka xirmadu waa inuu u dhexeeyaa 1 iyo {max}',
+  'idBlock.deviceIdTooLong': 'Aqoonsiga qalabku kama badnaan karo 100 xaraf',
+  'idBlock.noteTooLong': 'Qoraalku kama badnaan karo 500 xaraf',
+  'idBlock.citizensRequired': 'Soo gudbi inta u dhexeysa 1 ilaa 500 muwaadin',
+  'idBlock.nationalIdRequired': 'Muwaadin kasta wuxuu u baahan yahay aqoonsiga qaran ee xirmada laga siiyay',
+  'idBlock.registeredAtInvalid': 'Waqtiga diiwaangelintu waa inuu ahaadaa taariikh sax ah',
+  'idBlock.notInBlock': 'Aqoonsiga qaran kama mid aha xirmadan',
+  'idBlock.alreadyUsed': 'Aqoonsigan qaran ee xirmada horay ayaa loo isticmaalay',
+  'idBlock.nationalIdInUse': 'Aqoonsiga qaran horay ayaa loo isticmaalay',
+
+  // Family relationships
+  'relationship.notFound': 'Xiriirka lama helin',
+  'relationship.added': 'Xiriirka si guul leh ayaa loo daray',
+  'relationship.updated': 'Guurka si guul leh ayaa loo cusboonaysiiyay',
+  'relationship.removed': 'Xiriirka si guul leh ayaa looga saaray',
+  'relationship.relatedRequired': 'Lambarka aqoonsiga qaranka ee qofka la xiriira waa loo baahan yahay',
+  'relationship.typeInvalid': 'Nooca xiriirka waa inuu noqdaa PARENT, CHILD, SPOUSE, GUARDIAN ama WARD',
+  'relationship.marriageDateInvalid': 'Taariikhda guurka waa inay noqotaa taariikh sax ah',
+  'relationship.marriageStatusInvalid': 'Xaaladda guurka waa inay noqotaa MARRIED, DIVORCED ama WIDOWED',
+  'relationship.depthRange': 'Qoto-dheerida waa inay u dhexaysaa 1 iyo 5',
+  'relationship.self': 'Muwaadin lama xiriirin karo naftiisa',
+  'relationship.alreadyLinked': 'Muwaadiniintan horay ayaa loo xiriiriyay',
+  'relationship.parentAge': 'Waalidku waa inuu ilmaha ka weyn yahay ugu yaraan {age} sano',
+  'relationship.tooManyParents': 'Muwaadin ma yeelan karo in ka badan laba waalid',
+  'relationship.guardianMinorOnly': 'Kaliya carruurta aan qaan-gaarin ayaa yeelan kara mas\'uul',
+  'relationship.guardianAdult': 'Mas\'uulku waa inuu noqdaa qof qaan-gaar ah',
+  'relationship.marriageDateFuture': 'Taariikhda guurka waa inay noqotaa taariikh sax ah oo aan mustaqbalka ahayn',
+  'relationship.marriageBeforeBirth': 'Taariikhda guurku ma noqon karto ka hor dhalashada mid ka mid ah lammaanaha',
+  'relationship.onlyMarriages': 'Kaliya guurka ayaa la cusboonaysiin karaa; xiriirada kale ka saar oo dib u dar',
+
+  // Citizen addresses
+  'address.changed': 'Cinwaanka si guul leh ayaa loo beddelay',
+  'address.corrected': 'Cinwaanka si guul leh ayaa loo saxay',
+  'address.regionRequired': 'Gobolka waa loo baahan yahay',
+  'address.districtRequired': 'Degmada waa loo baahan yahay',
+  'address.cityRequired': 'Magaalada ama tuulada waa loo baahan yahay',
+  'address.latitudeInvalid': 'Loolka waa inuu u dhexeeyaa -90 iyo 90',
+  'address.longitudeInvalid': 'Dhigga waa inuu u dhexeeyaa -180 iyo 180',
+  'address.effectiveFromInvalid': 'Taariikhda dhaqangalka waa inay noqotaa taariikh sax ah',
+  'address.correctionInvalid': 'Saxiddu waa inay noqotaa true ama false',
+  'address.coordinatesIncomplete': 'Isku-duwayaasha GPS waxay u baahan yihiin lool iyo dhig labadaba',
+  'address.coordinatesRange': 'Isku-duwayaasha GPS way ka baxsan yihiin xadka',
+  'address.effectiveFromFuture': 'Taariikhda dhaqangalka cinwaanka waa inay noqotaa taariikh sax ah oo aan mustaqbalka ahayn',
+  'address.noCurrent': 'Muwaadinku ma laha cinwaan hadda jira oo la saxo',
+  'address.notAfterCurrent': 'Cinwaanka cusub waa inuu dhaqan galaa ka dib kan hadda jira',
+  'address.fieldRequired': 'Goobta cinwaanka \'{field}\' waa loo baahan yahay',
+
+  // Death registration
+  'death.registered': 'Dhimashada si guul leh ayaa loo diiwaangeliyay',
+  'death.reactivationSubmitted': 'Dib u hawlgelinta waxaa loo gudbiyay ansixin',
+  'death.reactivationApproved': 'Muwaadinka si guul leh ayaa dib loogu hawlgeliyay',
+  'death.registrationRequired': 'Dhimashada waa in lagu diiwaangeliyaa diiwaanka dhimashada iyo shahaadada',
+  'death.dateOfDeathRequired': 'Taariikhda dhimashada waa loo baahan yahay',
+  'death.dateOfDeathInvalid': 'Taariikhda dhimashadu waa inay noqotaa taariikh sax ah',
+  'death.dateOfDeathFuture': 'Taariikhda dhimashadu ma noqon karto mustaqbalka',
+  'death.dateOfDeathBeforeBirth': 'Taariikhda dhimashadu ma noqon karto ka hor taariikhda dhalashada',
+  'death.placeOfDeathRequired': 'Goobta dhimashada waa loo baahan yahay',
+  'death.causeCategoryInvalid': 'Nooca sababta dhimashadu waa khalad',
+  'death.causeDetailTooLong': 'Sababta dhimashadu ma dhaafi karto 500 xaraf',
+  'death.informantNameRequired': 'Magaca warbixiyaha waa loo baahan yahay',
+  'death.informantRelationshipRequired': 'Xiriirka warbixiyaha waa loo baahan yahay',
+  'death.informantIsDeceased': 'Warbixiyuhu ma noqon karo qofka dhintay',
+  'death.informantNotRegistered': 'Lambarka aqoonsiga warbixiyaha lama diiwaangelin',
+  'death.certificateRequired': 'Shahaadada dhimashada waa loo baahan yahay',
+  'death.alreadyDeceased': 'Muwaadinka horay ayaa loogu diiwaangeliyay inuu dhintay',
+  'death.notDeceased': 'Muwaadinka looma diiwaangelin inuu dhintay',
+  'death.reactivationReasonRequired': 'Sababta dib u hawlgelinta waa loo baahan yahay',
+  'death.reactivationReasonTooLong': 'Sababta dib u hawlgelintu ma dhaafi karto 500 xaraf',
+  'death.reactivationPending': 'Dib u hawlgelin muwaadinkan ah ayaa horay u sugaysa ansixin',
+
+  // Birth registration
+  'birth.submitted': 'Diiwaangelinta dhalashada waxaa loo gudbiyay ansixin',
+  'birth.motherNationalIdInvalid': 'Lambarka aqoonsiga hooyadu waa inuu ka koobnaadaa tirooyin kaliya',
+  'birth.fatherNationalIdInvalid': 'Lambarka aqoonsiga aabbuhu waa inuu ka koobnaadaa tirooyin kaliya',
+  'birth.parentRequired': 'Diiwaangelinta dhalashadu waxay u baahan tahay hooyada ama aabbaha',
+  'birth.sameParent': 'Hooyada iyo aabbuhu ma noqon karaan isla muwaadin',
+  'birth.facilityTypeInvalid': 'Nooca goobta dhalashadu waa inuu noqdaa HOSPITAL, HEALTH_CENTRE, HOME ama OTHER',
+  'birth.facilityNameRequired': 'Magaca isbitaalka ama xarunta caafimaadka waa loo baahan yahay',
+  'birth.attendantTypeInvalid': 'Nooca qofka dhalinta caawiyay waa khalad',
+  'birth.attendantNameRequired': 'Magaca qofka dhalinta caawiyay waa loo baahan yahay',
+  'birth.motherNotFemale': 'Hooyadu waa inay noqotaa muwaadin dumar ah',
+  'birth.fatherNotMale': 'Aabbuhu waa inuu noqdaa muwaadin lab ah',
+  'birth.motherTooYoung': 'Hooyadu waa inay ilmaha ka weynaataa ugu yaraan {age} sano',
+  'birth.fatherTooYoung': 'Aabbuhu waa inuu ilmaha ka weynaadaa ugu yaraan {age} sano',
+  'birth.motherDied': 'Hooyadu waxay dhimatay ka hor taariikhda dhalashada',
+  'birth.fatherDied': 'Aabbuhu wuxuu dhintay waqti aad uga horreeya taariikhda dhalashada',
+  'birth.nationalityRequired': 'Dhalashada ilmaha waa loo baahan yahay marka waalidku dhalasho kala duwan leeyihiin',
+  'birth.nationalityMismatch': 'Dhalashada ilmuhu kama timaado tan waalidkiis',
+  'birth.notMinor': 'Diiwaangelinta dhalashadu waxay u tahay oo kaliya carruurta ka yar {age}',
+  'birth.motherNotRegistered': 'Hooyada ({nationalId}) ma aha muwaadin diiwaangashan',
+  'birth.fatherNotRegistered': 'Aabbaha ({nationalId}) ma aha muwaadin diiwaangashan',
+
+  // Offices
+  'office.notFound': 'Xafiiska lama helin',
+  'office.created': 'Xafiiska si guul leh ayaa loo abuuray',
+  'office.updated': 'Xafiiska si guul leh ayaa loo cusboonaysiiyay',
+  'office.deleted': 'Xafiiska si guul leh ayaa loo tirtiray',
+  'office.codeRequired': 'Koodhka xafiiska waa loo baahan yahay',
+  'office.codeInvalid': 'Koodhka xafiisku waa inuu ahaadaa 2-20 xaraf, tiro, jiitin ama hoosta-xariiq',
+  'office.codeExists': 'Koodhka xafiiska horay ayuu u jiraa',
+  'office.nameRequired': 'Magaca xafiiska waa loo baahan yahay',
+  'office.regionRequired': 'Gobolka waa loo baahan yahay',
+  'office.districtRequired': 'Degmada waa loo baahan yahay xafiisyada degmada iyo xarumaha diiwaangelinta',
+  'office.levelInvalid': 'Heerku waa inuu noqdaa REGION, DISTRICT ama CENTER',
+  'office.idPrefixInvalid': 'Horgalaha aqoonsigu waa inuu ahaadaa 2-4 god',
+  'office.statusInvalid': 'Xaaladdu waa inay noqotaa ACTIVE ama INACTIVE',
+  'office.invalidId': 'Aqoonsiga xafiiska ma saxna',
+  'office.invalidOrInactive': 'Xafiisku ma saxna ama ma shaqaynayo',
+  'office.inUse': 'Xafiiskan waxaa isticmaala {userCount} isticmaale iyo {citizenCount} diiwaan muwaadin. Ka dhig INACTIVE.',
+
+  // Geography reference data
+  'geography.countryNotFound': 'Dalka lama helin',
+  'geography.areaNotFound': 'Deegaanka lama helin',
+  'geography.countryCreated': 'Dalka si guul leh ayaa loo abuuray',
+  'geography.countryUpdated': 'Dalka si guul leh ayaa loo cusboonaysiiyay',
+  'geography.countryDeleted': 'Dalka si guul leh ayaa loo tirtiray',
+  'geography.areaCreated': 'Deegaanka si guul leh ayaa loo abuuray',
+  'geography.areaUpdated': 'Deegaanka si guul leh ayaa loo cusboonaysiiyay',
+  'geography.areaDeleted': 'Deegaanka si guul leh ayaa loo tirtiray',
+  'geography.imported': 'Soo dejintu way dhammaatay',
+  'geography.countryCodeInvalid': 'Koodka dalku waa inuu noqdaa kood ISO 3166 alpha-2 ah',
+  'geography.alpha3Invalid': 'Koodka alpha-3 waa inuu noqdaa saddex xaraf',
+  'geography.areaCodeInvalid': 'Koodka deegaanku waa inuu noqdaa 2-30 xaraf, tiro ama jiitin',
+  'geography.nameRequired': 'Magaca waa loo baahan yahay',
+  'geography.statusInvalid': 'Xaaladdu waa inay noqotaa ACTIVE ama INACTIVE',
+  'geography.levelInvalid': 'Heerka deegaanku waa inuu noqdaa REGION, DISTRICT ama LOCALITY',
+  'geography.importKindInvalid': 'Nooca soo dejintu waa inuu noqdaa \'countries\' ama \'areas\'',
+  'geography.csvRequired': 'Nuxurka CSV waa loo baahan yahay',
+  'geography.countryCodeRequired': 'Koodka dalka waa loo baahan yahay',
+  'geography.countryNameRequired': 'Magaca dalka waa loo baahan yahay',
+  'geography.countryCodeExists': 'Koodka dalku horay ayuu u jiray',
+  'geography.areaCodeRequired': 'Koodka deegaanka waa loo baahan yahay',
+  'geography.areaNameRequired': 'Magaca deegaanka waa loo baahan yahay',
+  'geography.areaCodeExists': 'Koodka deegaanku horay ayuu u jiray',
+  'geography.districtParent': 'Degmadu waxay u baahan tahay gobol ay ka tirsan tahay',
+  'geography.localityParent': 'Deegaanku wuxuu u baahan yahay degmo ama gobol uu ka tirsan yahay',
+  'geography.ownParent': 'Deegaan ma noqon karo waalidkiisa',
+  'geography.csvEmpty': 'CSV-gu ma laha saf xog ah',
+  'geography.csvTooLong': 'CSV-gu ma yeelan karo in ka badan {max} saf',
+  'geography.csvUnterminated': 'CSV-gu wuxuu leeyahay goob xigasho aan la xirin',
+  'geography.countryInUse': 'Dalkan waxaa isticmaala {citizenCount} diiwaan muwaadin. Ka dhig INACTIVE.',
+  'geography.areaInUse': 'Deegaankan waxaa isticmaala {childCount} deegaan-hoosaad iyo {citizenCount} diiwaan muwaadin. Ka dhig INACTIVE.',
+
+  // Menus
+  'menu.notFound': 'Liiska lama helin',
+  'menu.created': 'Liiska si guul leh ayaa loo abuuray',
+  'menu.updated': 'Liiska si guul leh ayaa loo cusboonaysiiyay',
+  'menu.deleted': 'Liiska si guul leh ayaa loo tirtiray',
+  'menu.reordered': 'Liisaska si guul leh ayaa dib loo habeeyay',
+  'menu.nameRequired': 'Magaca liiska waa loo baahan yahay',
+  'menu.nameEmpty': 'Magaca liiska ma noqon karo mid madhan',
+  'menu.orderIndexInvalid': 'Tirada kala horreyntu waa inay noqotaa tiro dhan',
+  'menu.itemsRequired': 'Walxuhu waa inay noqdaan liis aan madhnayn',
+  'menu.itemIdRequired': 'Walax kasta waxay u baahan tahay aqoonsiga liiska',
+  'menu.itemOrderRequired': 'Walax kasta waxay u baahan tahay tiro kala horreyn oo dhan',
+  'menu.parentNotFound': 'Liiska waalidka lama helin',
+  'menu.cycle': 'Liis lama dhigi karo hoostiisa ama hoos mid ka mid ah faraciisa',
+  'menu.labelsInvalid': 'Calaamaduhu waa inay noqdaan shay ku qotoma luqadda',
+  'menu.itemNotFound': 'Liiska lama helin: {id}',
+  'menu.listedTwice': 'Liiska hal mar in ka badan ayaa la qoray: {id}',
+  'menu.itemOrderInvalid': 'Tirada kala horreynta liiska {id} waa khalad',
+  'menu.parentNotFoundId': 'Liiska waalidka lama helin: {id}',
+  'menu.hasChildren': 'Liisku wuxuu leeyahay {count} qayb-hoosaad. Marka hore wareeji ama tirtir.',
+  'menu.unknownPermission': 'Koodhka ogolaanshaha lama yaqaan: {code}',
+  'menu.unsupportedLocale': 'Luqadda lama taageero: {locale}',
+
+  // Notices
+  'notice.created': 'Ogeysiiska si guul leh ayaa loo abuuray',
+  'notice.deleted': 'Ogeysiiska si guul leh ayaa loo tirtiray',
+  'notice.notFound': 'Ogeysiiska lama helin',
+  'notice.titleRequired': 'Cinwaanka waa loo baahan yahay',
+  'notice.messageRequired': 'Fariinta waa loo baahan yahay',
+
+  // Reports
+  'report.asOfInvalid': 'Taariikhda xisaabtu waa inay noqotaa taariikh sax ah',
+  'report.minAgeInvalid': 'Da\'da ugu yar waa inay noqotaa tiro dhan oo u dhaxaysa 0 iyo 120',
+  'report.formatInvalid': 'Qaabku waa inuu noqdaa json ama csv',
+
+  // Files
+  'file.pathRequired': 'Waddada faylka waa loo baahan yahay',
+  'file.notFound': 'Faylka lama helin',
+  'file.serveError': 'Khalad ka dhacay soo bandhigista faylka',
+  'file.invalidImageType': 'Nooca faylka ma saxna. Sawirada JPEG, PNG, GIF iyo WEBP oo keliya ayaa la oggol yahay.',
+  'file.invalidDocumentType': 'Nooca faylku waa khalad. Kaliya dukumentiyada PDF, Word, JPEG iyo PNG ayaa la oggol yahay.',
+  'file.invalidImage': 'Faylka sawirka ma saxna ama lama taageero'
+};
@@ -0,0 +1,36 @@
+/**
+ * Geography Migration
+ * Maps existing citizens' free-text place of birth, nationality and address to reference data.
+ * Run after seeding or importing geography:  node config/migrateGeography.js [--dry-run]
+ * Safe to re-run; add aliases for the unmatched values it reports and run it again.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const GeographyService = require('../services/geography.service');
+
+const migrateGeography = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/nira_system');
+    console.log('Connected to MongoDB');
+
+    const dryRun = process.argv.includes('--dry-run');
+    const result = await GeographyService.migrateCitizens({ dryRun });
+
+    console.log(`✓ ${result.processed} citizen(s) checked, ${result.updated} ${dryRun ? 'would be updated (dry run)' : 'updated'}`);
+
+    for (const [field, values] of Object.entries(result.unmatched)) {
+      if (values.length === 0) continue;
+
+      console.log(`\nUnmatched ${field} values (most frequent first):`);
+      values.forEach(({ value, count }) => console.log(`  ${count}\t${value}`));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating geography:', error);
+    process.exit(1);
+  }
+};
+
+migrateGeography();
@@ -0,0 +1,29 @@
+/**
+ * Match Key Migration
+ * Fills in the name lookup keys duplicate detection searches by, for citizens saved before it existed.
+ * Run once after upgrading:  node config/migrateMatchKeys.js [--dry-run]
+ * Safe to re-run; only citizens without keys are touched.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const DuplicateService = require('../services/duplicate.service');
+
+const migrateMatchKeys = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/nira_system');
+    console.log('Connected to MongoDB');
+
+    const dryRun = process.argv.includes('--dry-run');
+    const result = await DuplicateService.backfillMatchKeys({ dryRun });
+
+    console.log(`✓ ${result.processed} citizen(s) without match keys, ${result.updated} ${dryRun ? 'would be updated (dry run)' : 'updated'}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating match keys:', error);
+    process.exit(1);
+  }
+};
+
+migrateMatchKeys();
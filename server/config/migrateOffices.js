@@ -0,0 +1,36 @@
+/**
+ * Office Migration
+ * Assigns citizens registered before offices existed (no officeId) to an office by their address.
+ * Run after creating offices:  node config/migrateOffices.js [--dry-run] [--default=CODE]
+ * Safe to re-run; only citizens without an office are touched.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const OfficeService = require('../services/office.service');
+
+const migrateOffices = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/nira_system');
+    console.log('Connected to MongoDB');
+
+    const dryRun = process.argv.includes('--dry-run');
+    const defaultOfficeCode = process.argv.find(arg => arg.startsWith('--default='))?.split('=')[1] || null;
+    const result = await OfficeService.assignLegacyCitizens({ dryRun, defaultOfficeCode });
+
+    console.log(`✓ ${result.processed} citizen(s) without an office, ${result.assigned} ${dryRun ? 'would be assigned (dry run)' : 'assigned'}`);
+    result.offices.forEach(({ code, count }) => console.log(`  ${count}\t${code}`));
+
+    if (result.unassigned.length > 0) {
+      console.log('\nNo office found for (most frequent first):');
+      result.unassigned.forEach(({ area, count }) => console.log(`  ${count}\t${area}`));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating offices:', error);
+    process.exit(1);
+  }
+};
+
+migrateOffices();
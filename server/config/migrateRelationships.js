@@ -0,0 +1,43 @@
+/**
+ * Relationship Migration
+ * Stores the category and parent slot of relationships saved before they existed, then
+ * rebuilds the relationship indexes (the old one-link-per-type index is dropped).
+ * Run once after upgrading:  node config/migrateRelationships.js [--dry-run]
+ * Safe to re-run; only relationships without them are touched.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const CitizenRelationship = require('../models/CitizenRelationship.model');
+const RelationshipService = require('../services/relationship.service');
+
+const migrateRelationships = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/nira_system');
+    console.log('Connected to MongoDB');
+
+    const dryRun = process.argv.includes('--dry-run');
+    const result = await RelationshipService.backfillLinkFields({ dryRun });
+
+    const verb = dryRun ? 'would be updated (dry run)' : 'updated';
+    console.log(`✓ ${result.categorized} relationship(s) without a category ${verb}`);
+    console.log(`✓ ${result.slotted} parent link(s) without a slot ${verb}`);
+
+    if (result.overLimit.length > 0) {
+      console.log(`⚠ ${result.overLimit.length} citizen(s) have more than two parents; remove the extra links and run again:`);
+      result.overLimit.forEach(nationalId => console.log(`  ${nationalId}`));
+    }
+
+    if (!dryRun) {
+      await CitizenRelationship.syncIndexes();
+      console.log('✓ Relationship indexes rebuilt');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating relationships:', error);
+    process.exit(1);
+  }
+};
+
+migrateRelationships();
@@ -1,6 +1,6 @@
 /**
  * Database Seeder
- * Seeds initial data (roles, permissions, menus, default users)
+ * Seeds initial data (roles, permissions, menus, offices, default users)
  */
 
 require('dotenv').config();
@@ -8,7 +8,10 @@ const mongoose = require('mongoose');
 const User = require('../models/User.model');
 const Role = require('../models/Role.model');
 const Permission = require('../models/Permission.model');
+const Office = require('../models/Office.model');
 const Menu = require('../models/Menu.model');
+const GeographyService = require('../services/geography.service');
+const geography = require('./geography');
 
 const seedDatabase = async () => {
   try {
@@ -25,19 +28,19 @@ const seedDatabase = async () => {
     // Create Roles
     const adminRole = await Role.findOneAndUpdate(
       { name: 'ADMIN' },
-      { name: 'ADMIN', description: 'System Administrator with full access' },
+      { name: 'ADMIN', description: 'System Administrator with full access', isSystem: true },
       { upsert: true, new: true }
     );
 
     const officerRole = await Role.findOneAndUpdate(
       { name: 'OFFICER' },
-      { name: 'OFFICER', description: 'Registration Officer with citizen management access' },
+      { name: 'OFFICER', description: 'Registration Officer with citizen management access', isSystem: true },
       { upsert: true, new: true }
     );
 
     const viewerRole = await Role.findOneAndUpdate(
       { name: 'VIEWER' },
-      { name: 'VIEWER', description: 'View-only access to citizen records' },
+      { name: 'VIEWER', description: 'View-only access to citizen records', isSystem: true },
       { upsert: true, new: true }
     );
 
@@ -45,15 +48,25 @@ const seedDatabase = async () => {
 
     // Create Permissions
     const permissions = [
-      { code: 'MANAGE_USERS', name: 'Manage Users', description: 'Create, update, and delete system users' },
-      { code: 'VIEW_CITIZEN', name: 'View Citizens', description: 'View citizen records' },
-      { code: 'CREATE_CITIZEN', name: 'Create Citizens', description: 'Register new citizens' },
-      { code: 'UPDATE_CITIZEN', name: 'Update Citizens', description: 'Update citizen information' },
-      { code: 'DELETE_CITIZEN', name: 'Delete Citizens', description: 'Delete citizen records' },
-      { code: 'VIEW_DASHBOARD', name: 'View Dashboard', description: 'Access dashboard statistics' },
-      { code: 'VIEW_REPORTS', name: 'View Reports', description: 'Access system reports' },
-      { code: 'MANAGE_NOTICES', name: 'Manage Notices', description: 'Create and manage system notices' },
-      { code: 'VIEW_ACTIVITIES', name: 'View Activities', description: 'View system activity logs' }
+      { code: 'MANAGE_USERS', name: 'Manage Users', description: 'Create, update, and delete system users', module: 'Administration' },
+      { code: 'MANAGE_ROLES', name: 'Manage Roles', description: 'Create, update, and delete roles and their permissions', module: 'Administration' },
+      { code: 'MANAGE_MENUS', name: 'Manage Menus', description: 'Create, reorder, and delete navigation menus', module: 'Administration' },
+      { code: 'MANAGE_OFFICES', name: 'Manage Offices', description: 'Create, update, and delete registration offices', module: 'Administration' },
+      { code: 'MANAGE_GEOGRAPHY', name: 'Manage Geography', description: 'Maintain and import countries, regions, districts and localities', module: 'Administration' },
+      { code: 'VIEW_CITIZEN', name: 'View Citizens', description: 'View citizen records', module: 'Citizens' },
+      { code: 'VIEW_ALL_CITIZENS', name: 'National Citizen Access', description: 'Access citizen records of every office nationwide', module: 'Citizens' },
+      { code: 'CREATE_CITIZEN', name: 'Create Citizens', description: 'Register new citizens', module: 'Citizens' },
+      { code: 'UPDATE_CITIZEN', name: 'Update Citizens', description: 'Update citizen information', module: 'Citizens' },
+      { code: 'APPROVE_CITIZEN', name: 'Approve Citizens', description: 'Approve or reject registrations and identity corrections', module: 'Citizens' },
+      { code: 'REVERT_CITIZEN', name: 'Revert Citizens', description: 'Revert citizen records to an earlier revision', module: 'Citizens' },
+      { code: 'MERGE_CITIZEN', name: 'Merge Citizens', description: 'Merge duplicate citizen records and split wrong merges', module: 'Citizens' },
+      { code: 'MANAGE_ID_BLOCKS', name: 'Manage ID Blocks', description: 'Reserve and close national ID blocks for offline registration', module: 'Citizens' },
+      { code: 'DELETE_CITIZEN', name: 'Delete Citizens', description: 'Delete citizen records', module: 'Citizens' },
+      { code: 'VIEW_DASHBOARD', name: 'View Dashboard', description: 'Access dashboard statistics', module: 'Reporting' },
+      { code: 'VIEW_REPORTS', name: 'View Reports', description: 'Access system reports', module: 'Reporting' },
+      { code: 'EXPORT_CITIZENS', name: 'Export Citizen Lists', description: 'Export voter and eligibility lists of living citizens', module: 'Reporting' },
+      { code: 'MANAGE_NOTICES', name: 'Manage Notices', description: 'Create and manage system notices', module: 'Communication' },
+      { code: 'VIEW_ACTIVITIES', name: 'View Activities', description: 'View system activity logs', module: 'Administration' }
     ];
 
     const createdPermissions = [];
@@ -88,11 +101,11 @@ const seedDatabase = async () => {
     // Menus matching PHP/MySQL database structure
     // Note: MongoDB uses 'name' field, but we map it to 'label' in the response to match PHP format
     const menus = [
-      { name: 'Dashboard', route: '/dashboard', icon: 'home', orderIndex: 1, permissionCode: 'VIEW_DASHBOARD', parentId: null },
-      { name: 'Citizens', route: '/citizens', icon: 'users', orderIndex: 2, permissionCode: 'VIEW_CITIZEN', parentId: null },
-      { name: 'Add Citizen', route: '/citizens/create', icon: 'user-plus', orderIndex: 3, permissionCode: 'CREATE_CITIZEN', parentId: null },
-      { name: 'Reports', route: '/reports', icon: 'bar-chart', orderIndex: 4, permissionCode: 'VIEW_REPORTS', parentId: null },
-      { name: 'User Management', route: '/users', icon: 'settings', orderIndex: 5, permissionCode: 'MANAGE_USERS', parentId: null }
+      { name: 'Dashboard', labels: { so: 'Shaashadda Guud', ar: 'لوحة التحكم' }, route: '/dashboard', icon: 'home', orderIndex: 1, permissionCode: 'VIEW_DASHBOARD', parentId: null },
+      { name: 'Citizens', labels: { so: 'Muwaadiniinta', ar: 'المواطنون' }, route: '/citizens', icon: 'users', orderIndex: 2, permissionCode: 'VIEW_CITIZEN', parentId: null },
+      { name: 'Add Citizen', labels: { so: 'Ku dar Muwaadin', ar: 'إضافة مواطن' }, route: '/citizens/create', icon: 'user-plus', orderIndex: 3, permissionCode: 'CREATE_CITIZEN', parentId: null },
+      { name: 'Reports', labels: { so: 'Warbixinnada', ar: 'التقارير' }, route: '/reports', icon: 'bar-chart', orderIndex: 4, permissionCode: 'VIEW_REPORTS', parentId: null },
+      { name: 'User Management', labels: { so: 'Maamulka Isticmaalayaasha', ar: 'إدارة المستخدمين' }, route: '/users', icon: 'settings', orderIndex: 5, permissionCode: 'MANAGE_USERS', parentId: null }
     ];
 
     const createdMenus = [];
@@ -117,6 +130,25 @@ const seedDatabase = async () => {
 
     console.log('✓ Menus created');
 
+    // Create default registration office
+    const headOffice = await Office.findOneAndUpdate(
+      { code: 'BN-HQ' },
+      { code: 'BN-HQ', name: 'Banadir Registration Office', level: 'REGION', region: 'Banadir', district: null, idPrefix: '11' },
+      { upsert: true, new: true }
+    );
+
+    console.log('✓ Offices created');
+
+    // Reference geography (existing codes are updated, so the seeder can be re-run)
+    const countryImport = await GeographyService.importRows('countries', geography.countries);
+    const areaImport = await GeographyService.importRows('areas', geography.areas);
+    [...countryImport.errors, ...areaImport.errors].forEach(e => console.warn(`  ! ${e.code}: ${e.error}`));
+
+    console.log('✓ Geography reference data created');
+
+    // Role names now come only from roleId; drop the old duplicated role string
+    await User.collection.updateMany({ role: { $exists: true } }, { $unset: { role: '' } });
+
     // Create default users
     const adminExists = await User.findOne({ username: 'admin' });
     if (!adminExists) {
@@ -124,8 +156,8 @@ const seedDatabase = async () => {
         username: 'admin',
         password: 'admin123', // Will be hashed by pre-save hook
         roleId: adminRole._id,
-        role: 'ADMIN',
-        status: 'ACTIVE'
+        status: 'ACTIVE',
+        mustChangePassword: true
       });
       await admin.save();
       console.log('✓ Admin user created (username: admin, password: admin123)');
@@ -137,8 +169,9 @@ const seedDatabase = async () => {
         username: 'officer1',
         password: 'admin123', // Will be hashed by pre-save hook
         roleId: officerRole._id,
-        role: 'OFFICER',
-        status: 'ACTIVE'
+        officeIds: [headOffice._id],
+        status: 'ACTIVE',
+        mustChangePassword: true
       });
       await officer.save();
       console.log('✓ Officer user created (username: officer1, password: admin123)');
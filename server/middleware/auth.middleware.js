@@ -6,6 +6,13 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User.model');
 const Role = require('../models/Role.model');
+const SessionService = require('../services/session.service');
+
+const SESSION_END_MESSAGES = {
+  idle: 'session.idle',
+  expired: 'session.expired',
+  revoked: 'session.revoked'
+};
 
 /**
  * Verify JWT access token
@@ -18,7 +25,7 @@ const authenticate = async (req, res, next) => {
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({
         success: false,
-        message: 'Authentication required. Please login.'
+        message: 'auth.requiredLogin'
       });
     }
 
@@ -27,6 +34,24 @@ const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    if (decoded.type === 'refresh' || decoded.type === 'challenge') {
+      return res.status(401).json({
+        success: false,
+        message: 'auth.invalidToken'
+      });
+    }
+
+    // Check the session is still active (not logged out, revoked, idle or expired)
+    const { session, reason } = await SessionService.checkSession(decoded.sid, decoded.userId);
+    if (!session || reason) {
+      return res.status(401).json({
+        success: false,
+        message: SESSION_END_MESSAGES[reason] || SESSION_END_MESSAGES.revoked,
+        sessionRevoked: true,
+        reason: reason || 'revoked'
+      });
+    }
+
     // Get user from database
     const user = await User.findById(decoded.userId)
       .populate('roleId')
@@ -35,49 +60,53 @@ const authenticate = async (req, res, next) => {
     if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'User not found'
+        message: 'user.notFound'
       });
     }
 
     if (user.status !== 'ACTIVE') {
       return res.status(401).json({
         success: false,
-        message: 'User account is disabled'
+        message: 'auth.userDisabled'
       });
     }
 
     if (user.deletedAt) {
       return res.status(401).json({
         success: false,
-        message: 'User account has been deleted'
+        message: 'auth.userDeleted'
       });
     }
 
+    await SessionService.touchSession(session, req.ip);
+
     // Attach user to request
     req.user = user;
     req.userId = user._id.toString();
-    req.userRole = user.role;
+    req.userRole = user.roleId?.name || null;
+    req.sessionId = session._id.toString();
+    req.authSession = session;
 
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token'
+        message: 'auth.invalidToken'
       });
     }
     
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
-        message: 'Token expired',
+        message: 'auth.tokenExpired',
         expired: true
       });
     }
 
     return res.status(500).json({
       success: false,
-      message: 'Authentication error'
+      message: 'auth.error'
     });
   }
 };
@@ -90,14 +119,14 @@ const requireRole = (...roles) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
-        message: 'Authentication required'
+        message: 'auth.required'
       });
     }
 
     if (!roles.includes(req.userRole)) {
       return res.status(403).json({
         success: false,
-        message: 'Insufficient permissions'
+        message: 'permission.insufficient'
       });
     }
 
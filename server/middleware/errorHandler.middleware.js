@@ -5,14 +5,15 @@
 
 const errorHandler = (err, req, res, next) => {
   let error = { ...err };
-  error.message = err.message;
+  // req.t is missing for errors raised before the locale middleware (e.g. CORS)
+  error.message = req.t ? req.t(err) : err.message;
 
   // Log error
   console.error('Error:', err);
 
   // Mongoose bad ObjectId
   if (err.name === 'CastError') {
-    const message = 'Resource not found';
+    const message = 'common.resourceNotFound';
     error = { message, statusCode: 404 };
   }
 
@@ -31,18 +32,18 @@ const errorHandler = (err, req, res, next) => {
 
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
-    const message = 'Invalid token';
+    const message = 'auth.invalidToken';
     error = { message, statusCode: 401 };
   }
 
   if (err.name === 'TokenExpiredError') {
-    const message = 'Token expired';
+    const message = 'auth.tokenExpired';
     error = { message, statusCode: 401, expired: true };
   }
 
   res.status(error.statusCode || 500).json({
     success: false,
-    message: error.message || 'Server error',
+    message: error.message || 'common.serverError',
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
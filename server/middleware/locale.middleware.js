@@ -0,0 +1,43 @@
+/**
+ * Locale Middleware
+ * Negotiates the response language and translates response messages
+ */
+
+const { negotiateLocale, translate } = require('../utils/i18n.util');
+
+/**
+ * Set req.locale and req.t, and translate `message` and validation `errors[].msg`
+ * in every JSON response
+ */
+const localize = (req, res, next) => {
+  req.locale = negotiateLocale(req);
+  req.t = (message, params) => translate(req.locale, message, params);
+
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body === 'object' && !Array.isArray(body)) {
+      body = { ...body };
+
+      if (typeof body.message === 'string') {
+        body.message = req.t(body.message);
+      }
+
+      if (Array.isArray(body.errors)) {
+        body.errors = body.errors.map(error =>
+          error && typeof error.msg === 'string' ? { ...error, msg: req.t(error.msg) } : error
+        );
+      }
+    }
+
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  localize
+};
@@ -0,0 +1,53 @@
+/**
+ * National ID Middleware
+ * Rejects malformed national IDs in route parameters before they reach a lookup
+ */
+
+const Citizen = require('../models/Citizen.model');
+const { isValidNationalId, NATIONAL_ID_PATTERN, ID_SCHEME } = require('../utils/nationalIdGenerator.util');
+
+/**
+ * Validate req.params.nationalId: digits only, with a correct check digit
+ * IDs issued before check digits (or under another algorithm) pass only if such a record exists
+ */
+const validateNationalIdParam = async (req, res, next) => {
+  const { nationalId } = req.params;
+
+  if (!NATIONAL_ID_PATTERN.test(nationalId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'citizen.nationalIdInvalid'
+    });
+  }
+
+  if (isValidNationalId(nationalId)) {
+    return next();
+  }
+
+  try {
+    const issuedEarlier = await Citizen.exists({
+      $or: [
+        { nationalId, checkDigitScheme: { $ne: ID_SCHEME.checkDigit } },
+        { aliases: nationalId }
+      ]
+    });
+
+    if (!issuedEarlier) {
+      return res.status(400).json({
+        success: false,
+        message: 'citizen.nationalIdCheckDigit'
+      });
+    }
+
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: req.t(error)
+    });
+  }
+};
+
+module.exports = {
+  validateNationalIdParam
+};
@@ -3,8 +3,7 @@
  * RBAC-based permission checking
  */
 
-const Permission = require('../models/Permission.model');
-const Role = require('../models/Role.model');
+const RBACService = require('../services/rbac.service');
 
 /**
  * Require specific permission(s)
@@ -15,40 +14,38 @@ const requirePermission = (...permissionCodes) => {
       if (!req.user) {
         return res.status(401).json({
           success: false,
-          message: 'Authentication required'
+          message: 'auth.required'
         });
       }
 
-      // Get user's role
-      const role = await Role.findById(req.user.roleId).populate('permissions');
-      
-      if (!role) {
+      if (!req.user.roleId) {
         return res.status(403).json({
           success: false,
-          message: 'Role not found'
+          message: 'role.notFound'
         });
       }
 
-      // Get permission codes for this role
-      const userPermissions = role.permissions.map(p => p.code);
+      // Get effective permission codes (role permissions with per-user overrides)
+      const userPermissions = await RBACService.getEffectivePermissions(req.user._id, req.user.roleId);
 
       // Check if user has any of the required permissions
-      const hasPermission = permissionCodes.some(code => 
+      const hasPermission = permissionCodes.some(code =>
         userPermissions.includes(code)
       );
 
       if (!hasPermission) {
         return res.status(403).json({
           success: false,
-          message: 'Insufficient permissions'
+          message: 'permission.insufficient'
         });
       }
 
+      req.permissions = userPermissions;
       next();
     } catch (error) {
       return res.status(500).json({
         success: false,
-        message: 'Permission check error'
+        message: 'permission.checkError'
       });
     }
   };
@@ -0,0 +1,30 @@
+/**
+ * Scope Middleware
+ * Resolves which citizen records the current user may access
+ */
+
+const OfficeService = require('../services/office.service');
+const RBACService = require('../services/rbac.service');
+
+/**
+ * Attach the user's citizen scope to req.citizenScope
+ * Must run after authenticate (and normally after requirePermission)
+ */
+const resolveCitizenScope = async (req, res, next) => {
+  try {
+    const permissions = req.permissions
+      || await RBACService.getEffectivePermissions(req.user._id, req.user.roleId);
+
+    req.citizenScope = await OfficeService.getCitizenScope(req.user, permissions);
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'citizen.scopeError'
+    });
+  }
+};
+
+module.exports = {
+  resolveCitizenScope
+};
@@ -0,0 +1,69 @@
+/**
+ * Admin Area Model - MongoDB Schema
+ * Administrative geography: regions, their districts, and towns or villages
+ */
+
+const mongoose = require('mongoose');
+const { canonicalName } = require('../utils/nameMatching.util');
+
+const adminAreaSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    required: true,
+    enum: ['REGION', 'DISTRICT', 'LOCALITY']
+  },
+  // e.g. BN for Banaadir, BN-HODAN for one of its districts
+  code: {
+    type: String,
+    required: [true, 'Area code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9-]{2,30}$/, 'Area code must be 2-30 letters, digits or dashes']
+  },
+  name: {
+    type: String,
+    required: [true, 'Area name is required'],
+    trim: true,
+    maxlength: [100, 'Area name cannot exceed 100 characters']
+  },
+  // Region of a district; district (or region) of a locality
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea',
+    default: null
+  },
+  // Other spellings, e.g. "Muqdisho" and "Xamar" for Mogadishu
+  aliases: {
+    type: [String],
+    default: []
+  },
+  // Canonical forms of the name and aliases, used to match free text
+  matchKeys: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'INACTIVE'],
+    default: 'ACTIVE'
+  }
+}, {
+  timestamps: true,
+  collection: 'admin_areas'
+});
+
+// Indexes
+// adminAreaSchema.index({ code: 1 }, { unique: true });
+// adminAreaSchema.index({ level: 1, parentId: 1 });
+// adminAreaSchema.index({ matchKeys: 1 });
+
+adminAreaSchema.pre('save', function(next) {
+  const names = [this.name, ...this.aliases].filter(Boolean);
+  this.matchKeys = [...new Set(names.map(canonicalName).filter(Boolean))];
+  next();
+});
+
+const AdminArea = mongoose.model('AdminArea', adminAreaSchema);
+
+module.exports = AdminArea;
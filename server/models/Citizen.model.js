@@ -4,6 +4,106 @@
  */
 
 const mongoose = require('mongoose');
+const { nameSkeleton } = require('../utils/nameMatching.util');
+
+// A residential address and the period it applied
+const addressSchema = new mongoose.Schema({
+  region: {
+    type: String,
+    required: [true, 'Region is required'],
+    trim: true,
+    maxlength: [100, 'Region cannot exceed 100 characters']
+  },
+  district: {
+    type: String,
+    required: [true, 'District is required'],
+    trim: true,
+    maxlength: [100, 'District cannot exceed 100 characters']
+  },
+  city: {
+    type: String,
+    required: [true, 'City or village is required'],
+    trim: true,
+    maxlength: [100, 'City or village cannot exceed 100 characters']
+  },
+  // Reference areas the text above matched (null when unmatched)
+  regionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea',
+    default: null
+  },
+  districtId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea',
+    default: null
+  },
+  localityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea',
+    default: null
+  },
+  neighbourhood: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Neighbourhood cannot exceed 100 characters'],
+    default: null
+  },
+  latitude: {
+    type: Number,
+    min: -90,
+    max: 90,
+    default: null
+  },
+  longitude: {
+    type: Number,
+    min: -180,
+    max: 180,
+    default: null
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  // Set when the citizen moves; null on the current address
+  effectiveTo: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Where and with whom a child registered at birth was born
+const birthSchema = new mongoose.Schema({
+  motherNationalId: {
+    type: String,
+    default: null
+  },
+  fatherNationalId: {
+    type: String,
+    default: null
+  },
+  facilityName: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Birth facility cannot exceed 150 characters'],
+    default: null
+  },
+  facilityType: {
+    type: String,
+    required: true,
+    enum: ['HOSPITAL', 'HEALTH_CENTRE', 'HOME', 'OTHER']
+  },
+  attendantName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Birth attendant name cannot exceed 100 characters'],
+    default: null
+  },
+  attendantType: {
+    type: String,
+    required: true,
+    enum: ['DOCTOR', 'NURSE', 'MIDWIFE', 'TRADITIONAL_BIRTH_ATTENDANT', 'OTHER', 'NONE']
+  }
+}, { _id: false });
 
 const citizenSchema = new mongoose.Schema({
   nationalId: {
@@ -11,8 +111,13 @@ const citizenSchema = new mongoose.Schema({
     required: [true, 'National ID is required'],
     unique: true,
     trim: true,
-    length: [10, 'National ID must be exactly 10 digits'],
-    match: [/^\d{10}$/, 'National ID must be 10 digits']
+    match: [/^\d{8,16}$/, 'National ID must be 8-16 digits']
+  },
+  // Check digit algorithm the ID was issued under (null for IDs issued before check digits)
+  checkDigitScheme: {
+    type: String,
+    enum: ['LUHN', 'VERHOEFF', null],
+    default: null
   },
   firstName: {
     type: String,
@@ -57,12 +162,24 @@ const citizenSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Place of birth cannot exceed 200 characters']
   },
+  // Reference area matching placeOfBirth; the text is kept as entered for display
+  placeOfBirthId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea',
+    default: null
+  },
   nationality: {
     type: String,
     default: 'Somali',
     trim: true,
     maxlength: [100, 'Nationality cannot exceed 100 characters']
   },
+  // Reference country matching nationality
+  nationalityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Country',
+    default: null
+  },
   imagePath: {
     type: String,
     default: null
@@ -76,9 +193,48 @@ const citizenSchema = new mongoose.Schema({
     enum: ['ACTIVE', 'DECEASED'],
     default: 'ACTIVE'
   },
+  officeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    default: null
+  },
+  // Current residential address, and earlier ones (oldest first)
+  address: {
+    type: addressSchema,
+    default: null
+  },
+  previousAddresses: {
+    type: [addressSchema],
+    default: []
+  },
+  // Set for citizens registered at birth against their parents' records
+  birth: {
+    type: birthSchema,
+    default: null
+  },
   deletedAt: {
     type: Date,
     default: null
+  },
+  // Retired national IDs merged into this record; they still resolve here
+  aliases: {
+    type: [String],
+    default: []
+  },
+  // Name skeletons used to look up duplicate candidates
+  matchKeys: {
+    firstName: { type: String, default: null },
+    lastName: { type: String, default: null }
+  },
+  // Set while the citizen is one side of a merge in progress (the merge's ID)
+  mergeLock: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Latest revision number in citizen_revisions
+  revision: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true,
@@ -91,6 +247,27 @@ const citizenSchema = new mongoose.Schema({
 // citizenSchema.index({ deletedAt: 1 });
 // citizenSchema.index({ firstName: 1, middleName: 1, lastName: 1 });
 // citizenSchema.index({ createdAt: -1 });
+// citizenSchema.index({ officeId: 1 });
+// citizenSchema.index({ 'address.region': 1, 'address.district': 1 });
+// citizenSchema.index({ 'address.regionId': 1, 'address.districtId': 1 });
+// citizenSchema.index({ placeOfBirthId: 1 });
+// citizenSchema.index({ nationalityId: 1 });
+// citizenSchema.index({ aliases: 1 });
+
+// Duplicate candidate lookup (DuplicateService.findMatches)
+citizenSchema.index({ 'matchKeys.firstName': 1, dateOfBirth: 1 });
+citizenSchema.index({ 'matchKeys.lastName': 1, dateOfBirth: 1 });
+
+// Keep duplicate lookup keys in step with the name
+citizenSchema.pre('save', function(next) {
+  if (this.isModified('firstName') || this.isModified('lastName') || !this.matchKeys?.firstName) {
+    this.matchKeys = {
+      firstName: nameSkeleton(this.firstName),
+      lastName: nameSkeleton(this.lastName)
+    };
+  }
+  next();
+});
 
 // Virtual for full name
 citizenSchema.virtual('fullName').get(function() {
@@ -0,0 +1,147 @@
+/**
+ * Citizen Application Model - MongoDB Schema
+ * Registrations, identity corrections and reactivations awaiting maker-checker approval
+ */
+
+const mongoose = require('mongoose');
+
+const applicationEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ['CREATED', 'UPDATED', 'SUBMITTED', 'RESUBMITTED', 'APPROVED', 'REJECTED']
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  comment: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const citizenApplicationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['REGISTRATION', 'CORRECTION', 'REACTIVATION']
+  },
+  // APPROVING while an approval is being applied
+  status: {
+    type: String,
+    enum: ['DRAFT', 'SUBMITTED', 'APPROVING', 'APPROVED', 'REJECTED'],
+    default: 'DRAFT'
+  },
+  // Proposed identity fields (all fields for a registration, changed fields for a correction)
+  data: {
+    firstName: { type: String, trim: true, default: undefined },
+    middleName: { type: String, trim: true, default: undefined },
+    lastName: { type: String, trim: true, default: undefined },
+    gender: { type: String, enum: ['MALE', 'FEMALE'], default: undefined },
+    dateOfBirth: { type: Date, default: undefined },
+    placeOfBirth: { type: String, trim: true, default: undefined },
+    nationality: { type: String, trim: true, default: undefined },
+    // Residential address for registrations, already checked by CitizenService.validateAddress
+    address: { type: mongoose.Schema.Types.Mixed, default: undefined }
+  },
+  // Birth details and parents for a birth registration, already checked by BirthService.validateBirth
+  birth: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Values before the correction (or the death registration a reactivation revokes), for the reviewer
+  previousData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Issued on approval for registrations (pre-assigned for offline ones); the citizen concerned otherwise
+  nationalId: {
+    type: String,
+    default: null
+  },
+  // Offline registrations carry an ID pre-assigned from a reserved block
+  idBlockId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IdBlock',
+    default: null
+  },
+  registeredOfflineAt: {
+    type: Date,
+    default: null
+  },
+  officeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    default: null
+  },
+  imagePath: {
+    type: String,
+    default: null
+  },
+  documentPath: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters'],
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  history: {
+    type: [applicationEventSchema],
+    default: []
+  }
+}, {
+  timestamps: true,
+  collection: 'citizen_applications'
+});
+
+// Indexes
+// citizenApplicationSchema.index({ status: 1, submittedAt: 1 });
+// citizenApplicationSchema.index({ nationalId: 1, type: 1, status: 1 });
+// citizenApplicationSchema.index({ officeId: 1 });
+
+// Users who prepared or submitted the application; none of them may review it
+citizenApplicationSchema.methods.getMakerIds = function() {
+  const makerActions = ['CREATED', 'UPDATED', 'SUBMITTED', 'RESUBMITTED'];
+  const ids = this.history
+    .filter(event => makerActions.includes(event.action))
+    .map(event => event.by.toString());
+
+  return [...new Set([this.createdBy.toString(), ...ids])];
+};
+
+const CitizenApplication = mongoose.model('CitizenApplication', citizenApplicationSchema);
+
+module.exports = CitizenApplication;
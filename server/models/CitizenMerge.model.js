@@ -0,0 +1,113 @@
+/**
+ * Citizen Merge Model - MongoDB Schema
+ * Merges of duplicate citizen records, with what is needed to split them again
+ */
+
+const mongoose = require('mongoose');
+
+const citizenMergeSchema = new mongoose.Schema({
+  survivorNationalId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  retiredNationalId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Survivor's office at merge time, for scoping
+  officeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['MERGED', 'SPLIT'],
+    default: 'MERGED'
+  },
+  // Conflict choices as given: field -> SURVIVOR | RETIRED
+  choices: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Fields the survivor took from the retired record
+  takenFields: {
+    type: [String],
+    default: []
+  },
+  // Survivor and retired documents as they were before the merge
+  survivorBefore: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  retiredRecord: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Records re-pointed from the retired ID to the survivor
+  movedStatusLogIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StatusChangeLog'
+  }],
+  movedDeathRegistrationIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeathRegistration'
+  }],
+  movedActivityIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity'
+  }],
+  // Relationship pairs moved to the survivor, and the ones dropped as duplicates
+  movedRelationshipPairIds: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  removedRelationships: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  splitBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  splitAt: {
+    type: Date,
+    default: null
+  },
+  splitReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  },
+  // Fields left as they were on split because the survivor changed them after the merge
+  keptFields: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: { createdAt: 'mergedAt', updatedAt: true },
+  collection: 'citizen_merges'
+});
+
+// Indexes
+// citizenMergeSchema.index({ survivorNationalId: 1 });
+// citizenMergeSchema.index({ retiredNationalId: 1 });
+// citizenMergeSchema.index({ status: 1, mergedAt: -1 });
+
+const CitizenMerge = mongoose.model('CitizenMerge', citizenMergeSchema);
+
+module.exports = CitizenMerge;
@@ -0,0 +1,74 @@
+/**
+ * Citizen Relationship Model - MongoDB Schema
+ * Typed family links between citizens, stored as reciprocal pairs of edges
+ */
+
+const mongoose = require('mongoose');
+
+const citizenRelationshipSchema = new mongoose.Schema({
+  // Owner of the edge
+  nationalId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  relatedNationalId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // What the related citizen is to the owner, e.g. PARENT: relatedNationalId is the owner's parent
+  type: {
+    type: String,
+    required: true,
+    enum: ['PARENT', 'CHILD', 'SPOUSE', 'GUARDIAN', 'WARD']
+  },
+  // Family or guardianship; two citizens are linked at most once in each
+  category: {
+    type: String,
+    required: true,
+    enum: ['FAMILY', 'GUARDIANSHIP']
+  },
+  // On a child's PARENT edges only: which of the two parent places the link takes
+  parentSlot: {
+    type: Number,
+    min: 1,
+    max: 2
+  },
+  // Shared by an edge and its reciprocal
+  pairId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  marriageDate: {
+    type: Date,
+    default: null
+  },
+  marriageStatus: {
+    type: String,
+    enum: ['MARRIED', 'DIVORCED', 'WIDOWED', null],
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'citizen_relationships'
+});
+
+// Indexes
+// One edge of each category between two citizens, even when links are added concurrently
+citizenRelationshipSchema.index({ nationalId: 1, relatedNationalId: 1, category: 1 }, { unique: true });
+// Two parent slots per child, so concurrent links cannot add a third parent
+citizenRelationshipSchema.index(
+  { nationalId: 1, parentSlot: 1 },
+  { unique: true, partialFilterExpression: { parentSlot: { $type: 'number' } } }
+);
+// citizenRelationshipSchema.index({ pairId: 1 });
+
+const CitizenRelationship = mongoose.model('CitizenRelationship', citizenRelationshipSchema);
+
+module.exports = CitizenRelationship;
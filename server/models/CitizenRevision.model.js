@@ -0,0 +1,92 @@
+/**
+ * Citizen Revision Model - MongoDB Schema
+ * Immutable field-level history of citizen records
+ */
+
+const mongoose = require('mongoose');
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+const citizenRevisionSchema = new mongoose.Schema({
+  nationalId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Sequential per citizen, allocated from Citizen.revision
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['BASELINE', 'CREATE', 'UPDATE', 'CORRECTION', 'ADDRESS', 'FILES', 'DELETE', 'RESTORE', 'REVERT', 'PURGE', 'MERGE', 'SPLIT', 'DEATH', 'REACTIVATE']
+  },
+  changes: {
+    type: [fieldChangeSchema],
+    default: []
+  },
+  // Tracked field values after this revision
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  comment: {
+    type: String,
+    default: null
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CitizenApplication',
+    default: null
+  },
+  revertedFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'changedAt', updatedAt: false },
+  collection: 'citizen_revisions'
+});
+
+// Indexes
+// Revision numbers are allocated per citizen; two writers must never get the same one
+citizenRevisionSchema.index({ nationalId: 1, revision: -1 }, { unique: true });
+
+// Revisions are append-only
+citizenRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Citizen revisions cannot be modified'));
+  }
+  next();
+});
+
+const blockWrite = function(next) {
+  next(new Error('Citizen revisions cannot be modified'));
+};
+
+citizenRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], blockWrite);
+citizenRevisionSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, blockWrite);
+
+const CitizenRevision = mongoose.model('CitizenRevision', citizenRevisionSchema);
+
+module.exports = CitizenRevision;
@@ -0,0 +1,25 @@
+/**
+ * Counter Model - MongoDB Schema
+ * Named sequences incremented atomically (e.g. national ID serial numbers)
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // Sequence name, e.g. "nationalId" or "nationalId:12"
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'counters'
+});
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
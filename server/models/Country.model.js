@@ -0,0 +1,72 @@
+/**
+ * Country Model - MongoDB Schema
+ * ISO 3166 countries, used as reference data for nationality
+ */
+
+const mongoose = require('mongoose');
+const { canonicalName } = require('../utils/nameMatching.util');
+
+const countrySchema = new mongoose.Schema({
+  // ISO 3166-1 alpha-2
+  code: {
+    type: String,
+    required: [true, 'Country code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{2}$/, 'Country code must be an ISO 3166 alpha-2 code']
+  },
+  // ISO 3166-1 alpha-3
+  alpha3: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Alpha-3 code must be three letters'],
+    default: null
+  },
+  name: {
+    type: String,
+    required: [true, 'Country name is required'],
+    trim: true,
+    maxlength: [100, 'Country name cannot exceed 100 characters']
+  },
+  // Demonym used as the nationality, e.g. "Somali"
+  nationality: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Nationality cannot exceed 100 characters'],
+    default: null
+  },
+  // Other spellings and languages, e.g. "Soomaaliya"
+  aliases: {
+    type: [String],
+    default: []
+  },
+  // Canonical forms of the name, nationality and aliases, used to match free text
+  matchKeys: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'INACTIVE'],
+    default: 'ACTIVE'
+  }
+}, {
+  timestamps: true,
+  collection: 'countries'
+});
+
+// Indexes
+// countrySchema.index({ code: 1 }, { unique: true });
+// countrySchema.index({ matchKeys: 1 });
+
+countrySchema.pre('save', function(next) {
+  const names = [this.name, this.nationality, ...this.aliases].filter(Boolean);
+  this.matchKeys = [...new Set(names.map(canonicalName).filter(Boolean))];
+  next();
+});
+
+const Country = mongoose.model('Country', countrySchema);
+
+module.exports = Country;
@@ -0,0 +1,134 @@
+/**
+ * Death Registration Model - MongoDB Schema
+ * Registered deaths with their certificate details; revoked when a record is reactivated
+ */
+
+const mongoose = require('mongoose');
+
+const informantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Informant name is required'],
+    trim: true
+  },
+  // What the informant is to the deceased, e.g. "Son" or "Hospital officer"
+  relationship: {
+    type: String,
+    required: [true, 'Informant relationship is required'],
+    trim: true
+  },
+  // Set when the informant is a registered citizen
+  nationalId: {
+    type: String,
+    default: null
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
+const deathRegistrationSchema = new mongoose.Schema({
+  nationalId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  dateOfDeath: {
+    type: Date,
+    required: [true, 'Date of death is required']
+  },
+  placeOfDeath: {
+    type: String,
+    required: [true, 'Place of death is required'],
+    trim: true
+  },
+  // Reference area matching placeOfDeath, when there is one
+  placeOfDeathId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea',
+    default: null
+  },
+  causeCategory: {
+    type: String,
+    required: true,
+    enum: ['NATURAL', 'DISEASE', 'ACCIDENT', 'VIOLENCE', 'MATERNAL', 'UNDETERMINED']
+  },
+  causeDetail: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cause of death cannot exceed 500 characters'],
+    default: null
+  },
+  informant: {
+    type: informantSchema,
+    required: true
+  },
+  certificateNumber: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  certificatePath: {
+    type: String,
+    required: [true, 'Death certificate is required']
+  },
+  officeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    default: null
+  },
+  registeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Marriages that became WIDOWED with this death, restored if it is revoked
+  widowedPairIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['REGISTERED', 'REVOKED'],
+    default: 'REGISTERED'
+  },
+  // Set by an approved reactivation
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revocationReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  revocationApplicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CitizenApplication',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'death_registrations'
+});
+
+// Indexes
+// A citizen has at most one death registration in effect; named so it does not clash with
+// the plain nationalId index that lookups of every status use
+deathRegistrationSchema.index(
+  { nationalId: 1 },
+  { name: 'nationalId_registered_unique', unique: true, partialFilterExpression: { status: 'REGISTERED' } }
+);
+// deathRegistrationSchema.index({ nationalId: 1, status: 1 });
+// deathRegistrationSchema.index({ dateOfDeath: -1 });
+
+const DeathRegistration = mongoose.model('DeathRegistration', deathRegistrationSchema);
+
+module.exports = DeathRegistration;
@@ -0,0 +1,74 @@
+/**
+ * Duplicate Candidate Model - MongoDB Schema
+ * Existing citizens that an application may duplicate, awaiting or past adjudication
+ */
+
+const mongoose = require('mongoose');
+
+const duplicateCandidateSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CitizenApplication',
+    required: true
+  },
+  // Citizen being corrected (null for registrations)
+  subjectNationalId: {
+    type: String,
+    default: null
+  },
+  candidateNationalId: {
+    type: String,
+    required: true
+  },
+  // Office of the application, for scoping
+  officeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    default: null
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  breakdown: {
+    name: { type: Number, default: 0 },
+    dateOfBirth: { type: Number, default: 0 },
+    placeOfBirth: { type: Number, default: 0 },
+    gender: { type: Number, default: 0 }
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'NOT_DUPLICATE', 'DUPLICATE'],
+    default: 'PENDING'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Comment cannot exceed 500 characters'],
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'duplicate_candidates'
+});
+
+// Indexes
+// A citizen is flagged at most once per application
+duplicateCandidateSchema.index({ applicationId: 1, candidateNationalId: 1 }, { unique: true });
+// duplicateCandidateSchema.index({ status: 1, createdAt: 1 });
+// duplicateCandidateSchema.index({ candidateNationalId: 1 });
+
+const DuplicateCandidate = mongoose.model('DuplicateCandidate', duplicateCandidateSchema);
+
+module.exports = DuplicateCandidate;
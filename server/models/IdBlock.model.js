@@ -0,0 +1,76 @@
+/**
+ * ID Block Model - MongoDB Schema
+ * National IDs reserved in advance for an office or device that registers offline
+ */
+
+const mongoose = require('mongoose');
+
+const idBlockSchema = new mongoose.Schema({
+  officeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    required: [true, 'Office is required']
+  },
+  deviceId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device ID cannot exceed 100 characters'],
+    default: null
+  },
+  prefix: {
+    type: String,
+    default: ''
+  },
+  // Every ID in the block, in issue order
+  ids: {
+    type: [String],
+    default: []
+  },
+  // IDs accepted through sync
+  usedIds: {
+    type: [String],
+    default: []
+  },
+  // IDs never used, handed back to the generator when the block closed
+  returnedIds: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['OPEN', 'CLOSED'],
+    default: 'OPEN'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: null
+  },
+  reservedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'reservedAt', updatedAt: true },
+  collection: 'id_blocks'
+});
+
+// Indexes
+// idBlockSchema.index({ officeId: 1, status: 1 });
+// idBlockSchema.index({ ids: 1 });
+// idBlockSchema.index({ status: 1, prefix: 1 });
+
+const IdBlock = mongoose.model('IdBlock', idBlockSchema);
+
+module.exports = IdBlock;
@@ -0,0 +1,63 @@
+/**
+ * Login Attempt Model - MongoDB Schema
+ * Tracks failed login attempts per username and per IP address
+ */
+
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  scope: {
+    type: String,
+    required: true,
+    enum: ['USERNAME', 'IP']
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  firstFailedAt: {
+    type: Date,
+    default: null
+  },
+  lastFailedAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Lockouts are kept here, including those of usernames that do not exist
+  lastLockedAt: {
+    type: Date,
+    default: null
+  },
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  // Removed once neither the counting window nor a lockout can still apply
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'login_attempts'
+});
+
+// Indexes
+// loginAttemptSchema.index({ key: 1 }, { unique: true });
+// loginAttemptSchema.index({ lockedUntil: 1 });
+// Attempts for any username or IP are recorded, so they must not pile up
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
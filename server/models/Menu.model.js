@@ -11,6 +11,12 @@ const menuSchema = new mongoose.Schema({
     required: [true, 'Menu name is required'],
     trim: true
   },
+  // Translated labels by locale code (e.g. so, ar); `name` is the English label
+  labels: {
+    type: Map,
+    of: String,
+    default: {}
+  },
   route: {
     type: String,
     default: null,
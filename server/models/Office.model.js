@@ -0,0 +1,63 @@
+/**
+ * Office Model - MongoDB Schema
+ * Represents registration offices and the area (region/district) they cover
+ */
+
+const mongoose = require('mongoose');
+
+const officeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Office code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{2,20}$/, 'Office code must be 2-20 letters, digits, dashes or underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Office name is required'],
+    trim: true,
+    maxlength: [150, 'Office name cannot exceed 150 characters']
+  },
+  level: {
+    type: String,
+    enum: ['REGION', 'DISTRICT', 'CENTER'],
+    default: 'CENTER'
+  },
+  region: {
+    type: String,
+    required: [true, 'Region is required'],
+    trim: true,
+    maxlength: [100, 'Region cannot exceed 100 characters']
+  },
+  district: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'District cannot exceed 100 characters'],
+    default: null
+  },
+  // Digits that start national IDs issued here, when the ID scheme uses office or region prefixes
+  idPrefix: {
+    type: String,
+    trim: true,
+    match: [/^\d{2,4}$/, 'ID prefix must be 2-4 digits'],
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'INACTIVE'],
+    default: 'ACTIVE'
+  }
+}, {
+  timestamps: true,
+  collection: 'offices'
+});
+
+// Indexes
+// officeSchema.index({ code: 1 }, { unique: true });
+// officeSchema.index({ region: 1, district: 1 });
+
+const Office = mongoose.model('Office', officeSchema);
+
+module.exports = Office;
@@ -0,0 +1,46 @@
+/**
+ * Permission Model - MongoDB Schema
+ * Represents a permission that can be granted to roles
+ */
+
+const mongoose = require('mongoose');
+
+const permissionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Permission code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z][A-Z0-9_]*$/, 'Permission code must contain only letters, digits and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Permission name is required'],
+    trim: true,
+    maxlength: [100, 'Permission name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'Description cannot exceed 255 characters'],
+    default: null
+  },
+  module: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Module cannot exceed 50 characters'],
+    default: 'General'
+  }
+}, {
+  timestamps: true,
+  collection: 'permissions'
+});
+
+// Indexes
+// permissionSchema.index({ code: 1 }, { unique: true });
+// permissionSchema.index({ module: 1 });
+
+const Permission = mongoose.model('Permission', permissionSchema);
+
+module.exports = Permission;
@@ -1,6 +1,6 @@
 /**
  * Role Model - MongoDB Schema
- * Represents user roles (Admin, Officer, Viewer)
+ * Represents user roles and their permission sets
  */
 
 const mongoose = require('mongoose');
@@ -10,8 +10,9 @@ const roleSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Role name is required'],
     unique: true,
-    enum: ['ADMIN', 'OFFICER', 'VIEWER'],
-    uppercase: true
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z][A-Z0-9_]{1,49}$/, 'Role name must be 2-50 characters: letters, digits and underscores, starting with a letter']
   },
   description: {
     type: String,
@@ -21,7 +22,11 @@ const roleSchema = new mongoose.Schema({
   permissions: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Permission'
-  }]
+  }],
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
 }, {
   timestamps: true,
   collection: 'roles'
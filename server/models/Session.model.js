@@ -0,0 +1,66 @@
+/**
+ * Session Model - MongoDB Schema
+ * Represents a login session and its refresh token family
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters'],
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['LOGOUT', 'TOKEN_REUSE', 'REVOKED_BY_USER', 'REVOKED_BY_ADMIN', 'USER_DISABLED', 'USER_DELETED', 'IDLE_TIMEOUT', 'EXPIRED', null],
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'sessions'
+});
+
+// Indexes
+sessionSchema.index({ userId: 1 });
+// Remove sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for active check
+sessionSchema.virtual('isActive').get(function() {
+  return this.revokedAt === null && this.expiresAt > new Date();
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -26,6 +26,23 @@ const statusChangeLogSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // The death registration behind a change to DECEASED, or revoked by a reactivation
+  deathRegistrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeathRegistration',
+    default: null
+  },
+  // The approved reactivation application
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CitizenApplication',
+    default: null
   }
 }, {
   timestamps: { createdAt: 'changedAt', updatedAt: false },
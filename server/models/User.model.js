@@ -17,24 +17,33 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters']
+    required: [true, 'Password is required']
+  },
+  passwordHistory: [{
+    type: String
+  }],
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  mustChangePassword: {
+    type: Boolean,
+    default: false
   },
   roleId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Role',
     required: true
   },
-  role: {
-    type: String,
-    enum: ['ADMIN', 'OFFICER', 'VIEWER'],
-    default: 'OFFICER'
-  },
   status: {
     type: String,
     enum: ['ACTIVE', 'DISABLED'],
     default: 'ACTIVE'
   },
+  officeIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office'
+  }],
   phoneNumber: {
     type: String,
     trim: true,
@@ -44,6 +53,31 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null
+    },
+    pendingSecret: {
+      type: String,
+      default: null
+    },
+    recoveryCodes: [{
+      type: String
+    }],
+    lastUsedStep: {
+      type: Number,
+      default: null
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
   deletedAt: {
     type: Date,
     default: null
@@ -80,10 +114,27 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check a candidate against the current and previous passwords
+userSchema.methods.isPasswordReused = async function(candidatePassword, historyCount) {
+  const hashes = [this.password, ...(this.passwordHistory || []).slice(0, historyCount)];
+
+  for (const hash of hashes) {
+    if (hash && await bcrypt.compare(candidatePassword, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
 // Method to exclude password from JSON
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.passwordHistory;
+  if (obj.twoFactor) {
+    obj.twoFactor = { enabled: obj.twoFactor.enabled, enabledAt: obj.twoFactor.enabledAt };
+  }
   return obj;
 };
 
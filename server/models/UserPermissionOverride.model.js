@@ -0,0 +1,70 @@
+/**
+ * User Permission Override Model - MongoDB Schema
+ * Per-user permission grants (ALLOW) and denials (DENY) on top of role permissions
+ */
+
+const mongoose = require('mongoose');
+
+const userPermissionOverrideSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  permissionCode: {
+    type: String,
+    required: [true, 'Permission code is required'],
+    trim: true,
+    uppercase: true
+  },
+  effect: {
+    type: String,
+    required: [true, 'Effect is required'],
+    enum: ['ALLOW', 'DENY']
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'Reason cannot exceed 255 characters'],
+    default: null
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'user_permission_overrides'
+});
+
+// Indexes
+// userPermissionOverrideSchema.index({ userId: 1, revokedAt: 1 });
+
+// Check if the override applies at a point in time
+userPermissionOverrideSchema.methods.isActiveAt = function(date = new Date()) {
+  return this.revokedAt === null
+    && this.startsAt <= date
+    && (this.expiresAt === null || this.expiresAt > date);
+};
+
+const UserPermissionOverride = mongoose.model('UserPermissionOverride', userPermissionOverrideSchema);
+
+module.exports = UserPermissionOverride;
@@ -28,7 +28,7 @@ router.get('/recent',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -3,26 +3,181 @@
  * POST /api/auth/login - User login
  * POST /api/auth/logout - User logout
  * GET /api/auth/me - Get current user info
- * POST /api/auth/refresh - Refresh access token
+ * POST /api/auth/refresh - Rotate refresh token and issue a new access token
+ * PUT /api/auth/me/password - Change my password
+ * PUT /api/auth/me/phone - Update my phone number
+ * POST /api/auth/me/profile-picture - Upload my profile picture
+ * DELETE /api/auth/me/profile-picture - Remove my profile picture
+ * GET /api/auth/sessions - List my active sessions
+ * POST /api/auth/sessions/revoke-others - Revoke all my other sessions
+ * DELETE /api/auth/sessions/:sessionId - Revoke one of my sessions
+ * POST /api/auth/password/change - Change an expired or reset password during login
+ * GET /api/auth/password-policy - Get the password rules
+ * POST /api/auth/2fa/verify - Second login step with a TOTP or recovery code
+ * GET /api/auth/2fa - Get my two-factor status
+ * POST /api/auth/2fa/setup - Start two-factor enrollment
+ * POST /api/auth/2fa/enable - Confirm enrollment and get recovery codes
+ * POST /api/auth/2fa/disable - Disable two-factor authentication
+ * POST /api/auth/2fa/recovery-codes - Regenerate recovery codes
  */
 
 const express = require('express');
 const router = express.Router();
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User.model');
 const Role = require('../models/Role.model');
 const { authenticate } = require('../middleware/auth.middleware');
-const { generateAccessToken, generateRefreshToken } = require('../utils/jwt.util');
+const { generateChallengeToken, verifyToken } = require('../utils/jwt.util');
 const ActivityService = require('../services/activity.service');
+const SessionService = require('../services/session.service');
+const LoginAttemptService = require('../services/loginAttempt.service');
+const TwoFactorService = require('../services/twoFactor.service');
+const UserService = require('../services/user.service');
+const { isPasswordExpired, getPasswordPolicy } = require('../utils/passwordPolicy.util');
+const { uploadImage, resizeImage, deleteFile, getFileUrl } = require('../utils/fileUpload.util');
 const RBACService = require('../services/rbac.service');
+const { getLocaleInfo } = require('../utils/i18n.util');
+
+// Hash of a random value, compared against when the username does not exist
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+/**
+ * Get the user a challenge token was issued to, or null if the token is invalid
+ */
+const getChallengeUser = async (challengeToken, purpose) => {
+  try {
+    const decoded = verifyToken(challengeToken);
+    if (decoded.type !== 'challenge' || decoded.purpose !== purpose) {
+      return null;
+    }
+
+    const user = await User.findById(decoded.userId).populate('roleId');
+    if (!user || user.status !== 'ACTIVE' || user.deletedAt) {
+      return null;
+    }
+
+    return user;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Authenticate with an access token, or with a 2FA enrollment challenge token
+ * in the body (for users whose role requires 2FA but who have not enrolled yet)
+ */
+const authenticateEnrollment = async (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return authenticate(req, res, next);
+  }
+
+  const user = await getChallengeUser(req.body.challengeToken, '2fa_enroll');
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'auth.invalidChallengeToken'
+    });
+  }
+
+  req.user = user;
+  req.userId = user._id.toString();
+  req.challenge = true;
+  next();
+};
+
+/**
+ * Complete a login once all factors are verified
+ * Users with an expired or admin-set password get a password change challenge instead of tokens
+ */
+const finishLogin = async (req, res, user, extraData = {}) => {
+  const passwordExpired = isPasswordExpired(user);
+
+  if (user.mustChangePassword || passwordExpired) {
+    return res.json({
+      success: true,
+      message: passwordExpired
+        ? 'password.expired'
+        : 'password.mustChange',
+      data: {
+        passwordChangeRequired: true,
+        reason: passwordExpired ? 'EXPIRED' : 'RESET',
+        challengeToken: generateChallengeToken(user._id.toString(), 'password_change'),
+        passwordPolicy: getPasswordPolicy(),
+        ...extraData
+      }
+    });
+  }
+
+  await sendLoginResponse(req, res, user, extraData);
+};
+
+/**
+ * Create a session for an authenticated user and send the login response
+ */
+const sendLoginResponse = async (req, res, user, extraData = {}) => {
+  // Create session and generate tokens
+  const { session, accessToken, refreshToken } = await SessionService.createSession(user._id, {
+    deviceName: req.body.deviceName,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  // Log activity
+  await ActivityService.logActivity(
+    user._id,
+    'LOGIN',
+    'auth',
+    null,
+    `User logged in: ${user.username}`,
+    req.ip,
+    req.get('user-agent')
+  );
+
+  // Get user permissions and menus using RBAC service
+  const permissions = await RBACService.getUserPermissions(user._id.toString());
+  const menus = await RBACService.getUserMenus(user._id.toString(), req.locale);
+
+  // Get role info
+  const role = await Role.findById(user.roleId);
+
+  res.json({
+    success: true,
+    message: 'auth.loginSuccessful',
+    data: {
+      accessToken,
+      refreshToken,
+      user: {
+        id: user._id,
+        username: user.username,
+        phoneNumber: user.phoneNumber,
+        profilePictureUrl: user.profilePicturePath,
+        role: role ? {
+          id: role._id,
+          name: role.name,
+          description: role.description
+        } : null,
+        status: user.status,
+        twoFactorEnabled: TwoFactorService.isEnabled(user)
+      },
+      permissions,
+      menus,
+      locale: getLocaleInfo(req.locale),
+      ...extraData
+    },
+    sessionExpiresAt: SessionService.getSessionExpiresAt(session),
+    ...SessionService.getSessionTimeouts()
+  });
+};
 
 /**
  * POST /api/auth/login
  * User login with username and password
  */
 router.post('/login', [
-  body('username').trim().notEmpty().withMessage('Username is required'),
-  body('password').notEmpty().withMessage('Password is required')
+  body('username').trim().notEmpty().withMessage('auth.usernameRequired'),
+  body('password').notEmpty().withMessage('auth.passwordRequired')
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -30,93 +185,416 @@ router.post('/login', [
     if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Validation error',
+        message: 'common.validationError',
         errors: errors.array()
       });
     }
 
     const { username, password, rememberMe } = req.body;
 
+    // Refuse while the username or IP address is locked out
+    const lockout = await LoginAttemptService.getLockout(username, req.ip);
+    if (lockout) {
+      res.set('Retry-After', lockout.retryAfter.toString());
+      return res.status(429).json({
+        success: false,
+        message: 'auth.tooManyAttempts',
+        retryAfter: lockout.retryAfter
+      });
+    }
+
+    // Slow down repeated failures
+    const delay = await LoginAttemptService.getDelay(username, req.ip);
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
     // Find user (including checking for deleted status later)
     const user = await User.findOne({
       username: username.trim()
     }).populate('roleId');
 
-    if (!user || user.deletedAt) {
+    // Check password (compare against a dummy hash for unknown users so timing does not reveal them)
+    const userExists = !!user && !user.deletedAt;
+    const isPasswordValid = userExists
+      ? await user.comparePassword(password)
+      : await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+
+    if (!userExists || !isPasswordValid) {
+      const lockedScopes = await LoginAttemptService.recordFailure(username, req.ip);
+
+      // Lockouts of unknown usernames stay on the attempt record only
+      if (lockedScopes.length > 0 && userExists) {
+        await ActivityService.logActivity(
+          user._id,
+          'ACCOUNT_LOCKED',
+          'auth',
+          user._id.toString(),
+          `Login locked after repeated failures (${lockedScopes.join(', ')}): ${user.username}`,
+          req.ip,
+          req.get('user-agent')
+        );
+      }
+
       return res.status(401).json({
         success: false,
-        message: 'user is not exist'
+        message: 'auth.invalidCredentials'
       });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
+    await LoginAttemptService.recordSuccess(username);
+
+    // Check if user is active
+    if (user.status !== 'ACTIVE') {
       return res.status(401).json({
         success: false,
-        message: 'Incorrect username or password. Please make sure your credentials are correct.'
+        message: 'auth.accountDisabled'
       });
     }
 
-    // Check if user is active
-    if (user.status !== 'ACTIVE') {
+    // Password is correct; a second factor is still needed when enabled or required
+    if (TwoFactorService.isEnabled(user) || TwoFactorService.isRequired(user)) {
+      const enrollmentRequired = !TwoFactorService.isEnabled(user);
+
+      return res.json({
+        success: true,
+        message: enrollmentRequired
+          ? 'twoFactor.enrollmentRequired'
+          : 'twoFactor.verificationRequired',
+        data: {
+          twoFactorRequired: true,
+          enrollmentRequired,
+          challengeToken: generateChallengeToken(user._id.toString(), enrollmentRequired ? '2fa_enroll' : '2fa')
+        }
+      });
+    }
+
+    await finishLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('auth.loginFailed', { error: req.t(error) })
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/verify
+ * Second login step: exchange a challenge token and TOTP or recovery code for tokens
+ */
+router.post('/2fa/verify', [
+  body('challengeToken').notEmpty().withMessage('auth.challengeTokenRequired'),
+  body().custom(value => !!(value.code || value.recoveryCode)).withMessage('twoFactor.codeOrRecoveryRequired')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'common.validationError',
+        errors: errors.array()
+      });
+    }
+
+    const user = await getChallengeUser(req.body.challengeToken, '2fa');
+    if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'you are disabled you cannot login'
+        message: 'auth.invalidChallengeToken'
       });
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id.toString());
-    const refreshToken = generateRefreshToken(user._id.toString());
+    // Codes are brute-forceable, so they share the login lockout
+    const lockout = await LoginAttemptService.getLockout(user.username, req.ip);
+    if (lockout) {
+      res.set('Retry-After', lockout.retryAfter.toString());
+      return res.status(429).json({
+        success: false,
+        message: 'auth.tooManyAttempts',
+        retryAfter: lockout.retryAfter
+      });
+    }
+
+    const method = await TwoFactorService.verify(user._id, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode
+    });
+
+    if (!method) {
+      const lockedScopes = await LoginAttemptService.recordFailure(user.username, req.ip);
+
+      if (lockedScopes.length > 0) {
+        await ActivityService.logActivity(
+          user._id,
+          'ACCOUNT_LOCKED',
+          'auth',
+          user._id.toString(),
+          `Login locked after repeated two-factor failures (${lockedScopes.join(', ')}): ${user.username}`,
+          req.ip,
+          req.get('user-agent')
+        );
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'twoFactor.invalidCode'
+      });
+    }
+
+    await LoginAttemptService.recordSuccess(user.username);
+
+    if (method === 'recovery_code') {
+      await ActivityService.logActivity(
+        user._id,
+        'USE_RECOVERY_CODE',
+        'auth',
+        user._id.toString(),
+        `Recovery code used to login: ${user.username}`,
+        req.ip,
+        req.get('user-agent')
+      );
+    }
+
+    await finishLogin(req, res, user);
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('auth.loginFailed', { error: req.t(error) })
+    });
+  }
+});
+
+/**
+ * POST /api/auth/password/change
+ * Change an expired or admin-reset password during login, then complete the login
+ */
+router.post('/password/change', [
+  body('challengeToken').notEmpty().withMessage('auth.challengeTokenRequired'),
+  body('newPassword').notEmpty().withMessage('password.newRequired')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'common.validationError',
+        errors: errors.array()
+      });
+    }
+
+    const challengeUser = await getChallengeUser(req.body.challengeToken, 'password_change');
+    if (!challengeUser) {
+      return res.status(401).json({
+        success: false,
+        message: 'auth.invalidChallengeToken'
+      });
+    }
+
+    try {
+      await UserService.changeOwnPassword(challengeUser._id, req.body.newPassword);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
 
-    // Log activity
     await ActivityService.logActivity(
-      user._id,
-      'LOGIN',
-      'auth',
-      null,
-      `User logged in: ${user.username}`,
+      challengeUser._id,
+      'CHANGE_PASSWORD',
+      'user',
+      challengeUser._id.toString(),
+      `Password changed at login: ${challengeUser.username}`,
       req.ip,
       req.get('user-agent')
     );
 
-    // Get user permissions and menus using RBAC service
-    const permissions = await RBACService.getUserPermissions(user._id.toString());
-    const menus = await RBACService.getUserMenus(user._id.toString());
+    const user = await User.findById(challengeUser._id).populate('roleId');
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('password.changeFailed', { error: req.t(error) })
+    });
+  }
+});
+
+/**
+ * GET /api/auth/password-policy
+ * Get the password rules (for client-side hints)
+ */
+router.get('/password-policy', (req, res) => {
+  res.json({
+    success: true,
+    data: getPasswordPolicy()
+  });
+});
 
-    // Get role info
-    const role = await Role.findById(user.roleId);
+/**
+ * GET /api/auth/2fa
+ * Get my two-factor status
+ */
+router.get('/2fa', authenticate, async (req, res) => {
+  res.json({
+    success: true,
+    data: TwoFactorService.getStatus(req.user)
+  });
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start two-factor enrollment (authenticated, or with an enrollment challenge token)
+ */
+router.post('/2fa/setup', authenticateEnrollment, async (req, res) => {
+  try {
+    const setup = await TwoFactorService.beginSetup(req.userId);
 
     res.json({
       success: true,
-      message: 'Login successful',
-      data: {
-        accessToken,
-        refreshToken,
-        user: {
-          id: user._id,
-          username: user.username,
-          phoneNumber: user.phoneNumber,
-          profilePictureUrl: user.profilePicturePath,
-          role: role ? {
-            id: role._id,
-            name: role.name,
-            description: role.description
-          } : null,
-          status: user.status
-        },
-        permissions,
-        menus
-      },
-      sessionExpiresAt: Date.now() + (parseInt(process.env.SESSION_TIMEOUT) * 1000 || 300000),
-      sessionTimeout: parseInt(process.env.SESSION_TIMEOUT) || 300
+      message: 'twoFactor.setupStarted',
+      data: setup
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
+    res.status(400).json({
+      success: false,
+      message: req.t(error)
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a code and receive recovery codes
+ * With an enrollment challenge token, this also completes the login
+ */
+router.post('/2fa/enable', authenticateEnrollment, [
+  body('code').notEmpty().withMessage('twoFactor.codeRequired')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'common.validationError',
+        errors: errors.array()
+      });
+    }
+
+    const recoveryCodes = await TwoFactorService.enable(req.userId, req.body.code);
+
+    await ActivityService.logActivity(
+      req.userId,
+      'ENABLE_2FA',
+      'user',
+      req.userId,
+      `Two-factor authentication enabled: ${req.user.username}`,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    if (req.challenge) {
+      return await finishLogin(req, res, req.user, { recoveryCodes });
+    }
+
+    res.json({
+      success: true,
+      message: 'twoFactor.enabled',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: req.t(error)
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Disable two-factor authentication (password and code required)
+ */
+router.post('/2fa/disable', authenticate, [
+  body('password').notEmpty().withMessage('auth.passwordRequired'),
+  body('code').notEmpty().withMessage('twoFactor.codeRequired')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'common.validationError',
+        errors: errors.array()
+      });
+    }
+
+    await TwoFactorService.disable(req.userId, {
+      password: req.body.password,
+      code: req.body.code
+    });
+
+    await ActivityService.logActivity(
+      req.userId,
+      'DISABLE_2FA',
+      'user',
+      req.userId,
+      `Two-factor authentication disabled: ${req.user.username}`,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'twoFactor.disabled'
+    });
+  } catch (error) {
+    res.status(400).json({
       success: false,
-      message: 'Login failed: ' + error.message
+      message: req.t(error)
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace my recovery codes (code required)
+ */
+router.post('/2fa/recovery-codes', authenticate, [
+  body('code').notEmpty().withMessage('twoFactor.codeRequired')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'common.validationError',
+        errors: errors.array()
+      });
+    }
+
+    const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.userId, req.body.code);
+
+    await ActivityService.logActivity(
+      req.userId,
+      'REGENERATE_RECOVERY_CODES',
+      'user',
+      req.userId,
+      `Recovery codes regenerated: ${req.user.username}`,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'twoFactor.recoveryCodesRegenerated',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: req.t(error)
     });
   }
 });
@@ -134,13 +612,13 @@ router.get('/me', authenticate, async (req, res) => {
     if (!user || user.status !== 'ACTIVE' || user.deletedAt) {
       return res.status(401).json({
         success: false,
-        message: 'User not found or inactive'
+        message: 'auth.userNotFoundOrInactive'
       });
     }
 
     // Get permissions and menus using RBAC service
     const permissions = await RBACService.getUserPermissions(user._id.toString());
-    const menus = await RBACService.getUserMenus(user._id.toString());
+    const menus = await RBACService.getUserMenus(user._id.toString(), req.locale);
 
     // Get role info (user.roleId is populated)
     const role = user.roleId;
@@ -157,47 +635,227 @@ router.get('/me', authenticate, async (req, res) => {
           name: role.name,
           description: role.description
         } : null,
-        status: user.status
+        status: user.status,
+        twoFactorEnabled: TwoFactorService.isEnabled(user)
       },
       permissions,
       menus,
-      sessionExpiresAt: Date.now() + (parseInt(process.env.SESSION_TIMEOUT) * 1000 || 300000),
-      sessionTimeout: parseInt(process.env.SESSION_TIMEOUT) || 300
+      locale: getLocaleInfo(req.locale),
+      sessionExpiresAt: SessionService.getSessionExpiresAt(req.authSession),
+      ...SessionService.getSessionTimeouts()
     });
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve user information'
+      message: 'auth.userInfoFailed'
+    });
+  }
+});
+
+/**
+ * PUT /api/auth/me/password
+ * Change my password (current password required)
+ */
+router.put('/me/password', authenticate, [
+  body('currentPassword').notEmpty().withMessage('password.currentRequired'),
+  body('newPassword').notEmpty().withMessage('password.newRequired')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'common.validationError',
+        errors: errors.array()
+      });
+    }
+
+    await UserService.changeOwnPassword(req.userId, req.body.newPassword, {
+      currentPassword: req.body.currentPassword
+    });
+
+    // Sign out everywhere else
+    await SessionService.revokeUserSessions(req.userId, 'REVOKED_BY_USER', req.sessionId);
+
+    await ActivityService.logActivity(
+      req.userId,
+      'CHANGE_PASSWORD',
+      'user',
+      req.userId,
+      `Password changed: ${req.user.username}`,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'password.changed'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: req.t(error)
+    });
+  }
+});
+
+/**
+ * PUT /api/auth/me/phone
+ * Update my phone number (empty value removes it)
+ */
+router.put('/me/phone', authenticate, [
+  body('phoneNumber').exists().withMessage('auth.phoneRequired')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'common.validationError',
+        errors: errors.array()
+      });
+    }
+
+    const user = await UserService.updateUser(req.userId, {
+      phoneNumber: req.body.phoneNumber?.toString() || null
+    });
+
+    await ActivityService.logActivity(
+      req.userId,
+      'UPDATE_PROFILE',
+      'user',
+      req.userId,
+      `Phone number updated: ${user.username}`,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'auth.phoneUpdated',
+      data: user
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: req.t(error)
+    });
+  }
+});
+
+/**
+ * POST /api/auth/me/profile-picture
+ * Upload my profile picture (multipart field "image"), resized to a square thumbnail
+ */
+router.post('/me/profile-picture', authenticate, uploadImage.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'auth.imageRequired'
+      });
+    }
+
+    const profilePicturePath = await resizeImage(req.file.path);
+    const oldPath = req.user.profilePicturePath;
+
+    const user = await UserService.updateUser(req.userId, { profilePicturePath });
+
+    if (oldPath) {
+      deleteFile(oldPath);
+    }
+
+    await ActivityService.logActivity(
+      req.userId,
+      'UPDATE_PROFILE',
+      'user',
+      req.userId,
+      `Profile picture updated: ${user.username}`,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'auth.profilePictureUpdated',
+      data: {
+        profilePicturePath,
+        profilePictureUrl: getFileUrl(profilePicturePath)
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: req.t(error)
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/me/profile-picture
+ * Remove my profile picture
+ */
+router.delete('/me/profile-picture', authenticate, async (req, res) => {
+  try {
+    const oldPath = req.user.profilePicturePath;
+
+    if (!oldPath) {
+      return res.status(400).json({
+        success: false,
+        message: 'auth.noProfilePicture'
+      });
+    }
+
+    await UserService.updateUser(req.userId, { profilePicturePath: null });
+    deleteFile(oldPath);
+
+    await ActivityService.logActivity(
+      req.userId,
+      'UPDATE_PROFILE',
+      'user',
+      req.userId,
+      `Profile picture removed: ${req.user.username}`,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'auth.profilePictureRemoved'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: req.t(error)
     });
   }
 });
 
 /**
  * POST /api/auth/refresh
- * Refresh access token using refresh token
+ * Rotate refresh token and issue a new access token
  */
 router.post('/refresh', [
-  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+  body('refreshToken').notEmpty().withMessage('auth.refreshTokenRequired')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Refresh token is required'
+        message: 'auth.refreshTokenRequired'
       });
     }
 
     const { refreshToken } = req.body;
-    const { verifyToken } = require('../utils/jwt.util');
 
     const decoded = verifyToken(refreshToken);
 
     if (decoded.type !== 'refresh') {
       return res.status(401).json({
         success: false,
-        message: 'Invalid refresh token'
+        message: 'auth.invalidRefreshToken'
       });
     }
 
@@ -205,30 +863,50 @@ router.post('/refresh', [
     if (!user || user.status !== 'ACTIVE' || user.deletedAt) {
       return res.status(401).json({
         success: false,
-        message: 'User not found or inactive'
+        message: 'auth.userNotFoundOrInactive'
       });
     }
 
-    const accessToken = generateAccessToken(user._id.toString());
+    const tokens = await SessionService.rotateRefreshToken(refreshToken);
 
     res.json({
       success: true,
-      accessToken
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
     });
   } catch (error) {
+    if (error.reuseDetected) {
+      await ActivityService.logActivity(
+        error.userId,
+        'REFRESH_TOKEN_REUSE',
+        'auth',
+        error.sessionId,
+        'Refresh token reuse detected, session revoked',
+        req.ip,
+        req.get('user-agent')
+      );
+
+      return res.status(401).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+
     res.status(401).json({
       success: false,
-      message: 'Invalid or expired refresh token'
+      message: 'auth.invalidOrExpiredRefreshToken'
     });
   }
 });
 
 /**
  * POST /api/auth/logout
- * User logout (client-side token removal, server-side activity log)
+ * User logout (revokes the current session and its refresh token)
  */
 router.post('/logout', authenticate, async (req, res) => {
   try {
+    await SessionService.revokeSession(req.sessionId, 'LOGOUT');
+
     // Log activity
     await ActivityService.logActivity(
       req.userId,
@@ -242,12 +920,93 @@ router.post('/logout', authenticate, async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Logout successful'
+      message: 'auth.logoutSuccessful'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'auth.logoutFailed'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List my active sessions
+ */
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await SessionService.listUserSessions(req.userId, req.sessionId);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: req.t(error)
+    });
+  }
+});
+
+/**
+ * POST /api/auth/sessions/revoke-others
+ * Revoke all my sessions except the current one
+ */
+router.post('/sessions/revoke-others', authenticate, async (req, res) => {
+  try {
+    const revoked = await SessionService.revokeUserSessions(req.userId, 'REVOKED_BY_USER', req.sessionId);
+
+    await ActivityService.logActivity(
+      req.userId,
+      'REVOKE_SESSIONS',
+      'session',
+      null,
+      `Revoked ${revoked} other session(s)`,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'session.othersRevoked',
+      revoked
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Logout failed'
+      message: req.t(error)
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Revoke one of my sessions
+ */
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+  try {
+    await SessionService.revokeUserSession(req.userId, req.params.sessionId, 'REVOKED_BY_USER');
+
+    await ActivityService.logActivity(
+      req.userId,
+      'REVOKE_SESSION',
+      'session',
+      req.params.sessionId,
+      `Revoked session: ${req.params.sessionId}`,
+      req.ip,
+      req.get('user-agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'session.revokedSuccessfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: req.t(error)
     });
   }
 });
@@ -5,51 +5,35 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult, query } = require('express-validator');
+const { body, param, validationResult, query } = require('express-validator');
 const { authenticate } = require('../middleware/auth.middleware');
 const { requirePermission } = require('../middleware/permission.middleware');
+const { resolveCitizenScope } = require('../middleware/scope.middleware');
+const { validateNationalIdParam } = require('../middleware/nationalId.middleware');
 const CitizenService = require('../services/citizen.service');
+const CitizenApplicationService = require('../services/citizenApplication.service');
+const CitizenHistoryService = require('../services/citizenHistory.service');
+const RelationshipService = require('../services/relationship.service');
+const DeathService = require('../services/death.service');
+const BirthService = require('../services/birth.service');
 const ActivityService = require('../services/activity.service');
-const { uploadImage, uploadDocument, getFileUrl } = require('../utils/fileUpload.util');
-const multer = require('multer');
-
-// Multer configuration for file uploads
-const upload = multer({
-  storage: multer.diskStorage({
-    destination: (req, file, cb) => {
-      let uploadPath = './uploads';
-      if (file.fieldname === 'image') {
-        uploadPath = './uploads/images';
-      } else if (file.fieldname === 'document') {
-        uploadPath = './uploads/documents';
-      }
-      cb(null, uploadPath);
-    },
-    filename: (req, file, cb) => {
-      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-      const ext = require('path').extname(file.originalname);
-      cb(null, `${req.nationalId || 'file'}_${uniqueSuffix}${ext}`);
-    }
-  })
-});
+const { uploadCitizenFiles, uploadDeathCertificate } = require('../utils/fileUpload.util');
 
 /**
  * POST /api/citizens
- * Create a new citizen
+ * Apply to register a new citizen (submitted for approval, or a draft with submit=false)
  */
 router.post('/',
   authenticate,
   requirePermission('CREATE_CITIZEN'),
-  upload.fields([
-    { name: 'image', maxCount: 1 },
-    { name: 'document', maxCount: 1 }
-  ]),
+  resolveCitizenScope,
+  uploadCitizenFiles,
   [
-    body('firstName').trim().notEmpty().withMessage('First name is required'),
-    body('lastName').trim().notEmpty().withMessage('Last name is required'),
-    body('gender').isIn(['MALE', 'FEMALE']).withMessage('Gender must be MALE or FEMALE'),
-    body('dateOfBirth').isISO8601().withMessage('Date of birth must be a valid date'),
-    body('placeOfBirth').trim().notEmpty().withMessage('Place of birth is required')
+    body('firstName').trim().notEmpty().withMessage('citizen.firstNameRequired'),
+    body('lastName').trim().notEmpty().withMessage('citizen.lastNameRequired'),
+    body('gender').isIn(['MALE', 'FEMALE']).withMessage('citizen.genderInvalid'),
+    body('dateOfBirth').isISO8601().withMessage('citizen.dateOfBirthInvalid'),
+    body('placeOfBirth').trim().notEmpty().withMessage('citizen.placeOfBirthRequired')
   ],
   async (req, res) => {
     try {
@@ -57,72 +41,137 @@ router.post('/',
       if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Validation error',
+          message: 'common.validationError',
           errors: errors.array()
         });
       }
 
-      // Create citizen
-      const citizen = await CitizenService.createCitizen(req.body, req.userId);
-
-      // Handle file uploads
-      let imagePath = null;
-      let documentPath = null;
+      // Registrations start as applications; the national ID is issued on approval
+      const submit = req.body.submit !== false && req.body.submit !== 'false';
+      const application = await CitizenApplicationService.createRegistration(
+        req.body,
+        req.userId,
+        req.citizenScope,
+        {
+          submit,
+          files: {
+            imagePath: req.files?.image ? req.files.image[0].path : null,
+            documentPath: req.files?.document ? req.files.document[0].path : null
+          }
+        }
+      );
 
-      if (req.files?.image) {
-        imagePath = req.files.image[0].path;
-      }
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        submit ? 'SUBMIT_CITIZEN_APPLICATION' : 'CREATE_CITIZEN_APPLICATION',
+        'citizen_application',
+        application.id,
+        `${submit ? 'Submitted' : 'Drafted'} registration for ${application.data.firstName} ${application.data.lastName}`,
+        req.ip,
+        req.get('user-agent')
+      );
 
-      if (req.files?.document) {
-        documentPath = req.files.document[0].path;
-      }
+      res.status(201).json({
+        success: true,
+        message: submit ? 'application.submitted' : 'application.draftSaved',
+        data: application
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
 
-      // Update citizen with file paths
-      if (imagePath || documentPath) {
-        await CitizenService.updateCitizenFiles(citizen.nationalId, {
-          imagePath,
-          documentPath
+/**
+ * POST /api/citizens/births
+ * Apply to register a newborn against a registered mother and/or father (submitted for approval,
+ * or a draft with submit=false); the child is linked to the parents on approval
+ */
+router.post('/births',
+  authenticate,
+  requirePermission('CREATE_CITIZEN'),
+  resolveCitizenScope,
+  uploadCitizenFiles,
+  [
+    body('firstName').trim().notEmpty().withMessage('citizen.firstNameRequired'),
+    body('lastName').trim().notEmpty().withMessage('citizen.lastNameRequired'),
+    body('gender').isIn(['MALE', 'FEMALE']).withMessage('citizen.genderInvalid'),
+    body('dateOfBirth').isISO8601().withMessage('citizen.dateOfBirthInvalid'),
+    body('placeOfBirth').trim().notEmpty().withMessage('citizen.placeOfBirthRequired'),
+    body('motherNationalId').optional({ nullable: true, checkFalsy: true }).trim().isNumeric().withMessage('birth.motherNationalIdInvalid'),
+    body('fatherNationalId').optional({ nullable: true, checkFalsy: true }).trim().isNumeric().withMessage('birth.fatherNationalIdInvalid'),
+    body('facilityType').isIn(BirthService.FACILITY_TYPES).withMessage('birth.facilityTypeInvalid'),
+    body('attendantType').isIn(BirthService.ATTENDANT_TYPES).withMessage('birth.attendantTypeInvalid')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
         });
-        citizen.imagePath = imagePath;
-        citizen.imageUrl = imagePath ? getFileUrl(imagePath) : null;
-        citizen.documentPath = documentPath;
-        citizen.documentUrl = documentPath ? getFileUrl(documentPath) : null;
       }
 
+      const submit = req.body.submit !== false && req.body.submit !== 'false';
+      const application = await BirthService.registerBirth(
+        req.body,
+        req.userId,
+        req.citizenScope,
+        {
+          submit,
+          files: {
+            imagePath: req.files?.image ? req.files.image[0].path : null,
+            documentPath: req.files?.document ? req.files.document[0].path : null
+          }
+        }
+      );
+
+      const parents = [
+        application.birth.motherNationalId && `mother ${application.birth.motherNationalId}`,
+        application.birth.fatherNationalId && `father ${application.birth.fatherNationalId}`
+      ].filter(Boolean).join(', ');
+
       // Log activity
       await ActivityService.logActivity(
         req.userId,
-        'CREATE_CITIZEN',
-        'citizen',
-        citizen.nationalId,
-        `Created citizen: ${citizen.firstName} ${citizen.lastName} (ID: ${citizen.nationalId})`,
+        submit ? 'SUBMIT_CITIZEN_APPLICATION' : 'CREATE_CITIZEN_APPLICATION',
+        'citizen_application',
+        application.id,
+        `${submit ? 'Submitted' : 'Drafted'} birth registration for ${application.data.firstName} ${application.data.lastName} (${parents})`,
         req.ip,
         req.get('user-agent')
       );
 
       res.status(201).json({
         success: true,
-        message: 'Citizen registered successfully',
-        data: citizen
+        message: submit ? 'birth.submitted' : 'application.draftSaved',
+        data: application
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
 );
 
 /**
- * GET /api/citizens/search?query=...
- * Search citizens
+ * GET /api/citizens/search?query=...&region=&district=
+ * Search citizens, optionally within a current region or district
  */
 router.get('/search',
   authenticate,
   requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
   [
-    query('query').notEmpty().withMessage('Search query is required')
+    query('query').notEmpty().withMessage('common.searchQueryRequired')
   ],
   async (req, res) => {
     try {
@@ -130,12 +179,15 @@ router.get('/search',
       if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Search query is required'
+          message: 'common.searchQueryRequired'
         });
       }
 
       const limit = parseInt(req.query.limit) || 50;
-      const citizens = await CitizenService.searchCitizens(req.query.query, limit);
+      const citizens = await CitizenService.searchCitizens(req.query.query, limit, req.citizenScope, {
+        region: req.query.region,
+        district: req.query.district
+      });
 
       res.json({
         success: true,
@@ -144,7 +196,7 @@ router.get('/search',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -157,12 +209,13 @@ router.get('/search',
 router.get('/trash',
   authenticate,
   requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
   async (req, res) => {
     try {
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 50;
 
-      const result = await CitizenService.listTrash(page, limit);
+      const result = await CitizenService.listTrash(page, limit, req.citizenScope);
 
       res.json({
         success: true,
@@ -171,7 +224,7 @@ router.get('/trash',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -179,19 +232,33 @@ router.get('/trash',
 
 /**
  * GET /api/citizens/:nationalId
- * Get citizen by National ID
+ * Get citizen by National ID (a merged-away ID returns the survivor with a `redirect` marker)
  */
 router.get('/:nationalId',
   authenticate,
   requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
   async (req, res) => {
     try {
-      const citizen = await CitizenService.getCitizenByNationalId(req.params.nationalId);
+      const citizen = await CitizenService.getCitizenByNationalId(req.params.nationalId, req.citizenScope);
 
       if (!citizen) {
         return res.status(404).json({
           success: false,
-          message: 'Citizen not found'
+          message: 'citizen.notFound'
+        });
+      }
+
+      if (citizen.nationalId !== req.params.nationalId) {
+        return res.json({
+          success: true,
+          message: 'merge.redirected',
+          data: citizen,
+          redirect: {
+            from: req.params.nationalId,
+            to: citizen.nationalId
+          }
         });
       }
 
@@ -202,29 +269,33 @@ router.get('/:nationalId',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
 );
 
 /**
- * GET /api/citizens
- * List all citizens with pagination
+ * GET /api/citizens?region=&district=
+ * List all citizens with pagination, optionally by current region or district
  */
 router.get('/',
   authenticate,
   requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
   [
-    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    query('page').optional().isInt({ min: 1 }).withMessage('common.pagePositive'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('common.limitRange')
   ],
   async (req, res) => {
     try {
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 50;
 
-      const result = await CitizenService.listCitizens(page, limit);
+      const result = await CitizenService.listCitizens(page, limit, req.citizenScope, {
+        region: req.query.region,
+        district: req.query.district
+      });
 
       res.json({
         success: true,
@@ -233,7 +304,7 @@ router.get('/',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -243,22 +314,22 @@ router.get('/',
 
 /**
  * PUT /api/citizens/:nationalId
- * Update citizen
+ * Update citizen (identity field changes are filed as a correction for approval)
  */
 router.put('/:nationalId',
   authenticate,
   requirePermission('UPDATE_CITIZEN'),
-  upload.fields([
-    { name: 'image', maxCount: 1 },
-    { name: 'document', maxCount: 1 }
-  ]),
+  resolveCitizenScope,
+  validateNationalIdParam,
+  uploadCitizenFiles,
   async (req, res) => {
     try {
       // Update citizen data
       const citizen = await CitizenService.updateCitizen(
         req.params.nationalId,
         req.body,
-        req.userId
+        req.userId,
+        req.citizenScope
       );
 
       // Handle file uploads
@@ -287,11 +358,11 @@ router.put('/:nationalId',
           fileData.documentPath = req.files.document[0].path;
         }
 
-        await CitizenService.updateCitizenFiles(req.params.nationalId, fileData);
+        await CitizenService.updateCitizenFiles(req.params.nationalId, fileData, req.userId);
       }
 
       // Get updated citizen
-      const updatedCitizen = await CitizenService.getCitizenByNationalId(req.params.nationalId);
+      const updatedCitizen = await CitizenService.getCitizenByNationalId(req.params.nationalId, req.citizenScope);
 
       // Log activity
       await ActivityService.logActivity(
@@ -304,15 +375,30 @@ router.put('/:nationalId',
         req.get('user-agent')
       );
 
+      // Identity field changes wait for approval
+      const pendingCorrection = citizen.pendingCorrection || null;
+      if (pendingCorrection) {
+        await ActivityService.logActivity(
+          req.userId,
+          'SUBMIT_CITIZEN_CORRECTION',
+          'citizen_application',
+          pendingCorrection.id,
+          `Submitted correction for ${req.params.nationalId}: ${Object.keys(pendingCorrection.data).join(', ')}`,
+          req.ip,
+          req.get('user-agent')
+        );
+      }
+
       res.json({
         success: true,
-        message: 'Citizen updated successfully',
-        data: updatedCitizen
+        message: pendingCorrection ? 'citizen.correctionSubmitted' : 'citizen.updated',
+        data: updatedCitizen,
+        pendingCorrection
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -325,9 +411,11 @@ router.put('/:nationalId',
 router.delete('/:nationalId',
   authenticate,
   requirePermission('DELETE_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
   async (req, res) => {
     try {
-      await CitizenService.deleteCitizen(req.params.nationalId, req.userId);
+      await CitizenService.deleteCitizen(req.params.nationalId, req.userId, req.citizenScope);
 
       // Log activity
       await ActivityService.logActivity(
@@ -342,12 +430,12 @@ router.delete('/:nationalId',
 
       res.json({
         success: true,
-        message: 'Citizen deleted successfully'
+        message: 'citizen.deleted'
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -355,13 +443,19 @@ router.delete('/:nationalId',
 
 /**
  * POST /api/citizens/:nationalId/status
- * Update citizen status (ADMIN only)
+ * Change citizen status: ACTIVE files a reactivation for approval (with a reason);
+ * deaths are recorded with POST /api/citizens/:nationalId/death
  */
 router.post('/:nationalId/status',
   authenticate,
   requirePermission('UPDATE_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
   [
-    body('status').isIn(['ACTIVE', 'DECEASED']).withMessage('Status must be ACTIVE or DECEASED')
+    body('status').isIn(['ACTIVE', 'DECEASED']).withMessage('citizen.statusInvalid'),
+    body('reason').if(body('status').equals('ACTIVE'))
+      .trim().notEmpty().withMessage('death.reactivationReasonRequired')
+      .isLength({ max: 500 }).withMessage('death.reactivationReasonTooLong')
   ],
   async (req, res) => {
     try {
@@ -369,43 +463,685 @@ router.post('/:nationalId/status',
       if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Validation error',
+          message: 'common.validationError',
           errors: errors.array()
         });
       }
 
-      const citizen = await CitizenService.updateCitizen(
+      if (req.body.status === 'DECEASED') {
+        return res.status(400).json({
+          success: false,
+          message: 'death.registrationRequired'
+        });
+      }
+
+      const application = await DeathService.requestReactivation(
         req.params.nationalId,
-        { status: req.body.status },
-        req.userId
+        req.body.reason,
+        req.userId,
+        req.citizenScope
       );
 
       // Log activity
       await ActivityService.logActivity(
         req.userId,
-        'UPDATE_CITIZEN_STATUS',
+        'SUBMIT_CITIZEN_REACTIVATION',
+        'citizen_application',
+        application.id,
+        `Submitted reactivation for ${req.params.nationalId}: ${application.reason}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'death.reactivationSubmitted',
+        data: application
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/citizens/:nationalId/death
+ * Death registration in effect and any revoked by reactivation
+ */
+router.get('/:nationalId/death',
+  authenticate,
+  requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
+  async (req, res) => {
+    try {
+      const records = await DeathService.getDeathRecords(req.params.nationalId, req.citizenScope);
+
+      res.json({
+        success: true,
+        data: records
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/citizens/:nationalId/death
+ * Register a death with the certificate attached as `certificate` (multipart)
+ */
+router.post('/:nationalId/death',
+  authenticate,
+  requirePermission('UPDATE_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
+  uploadDeathCertificate,
+  [
+    body('dateOfDeath').isISO8601().withMessage('death.dateOfDeathInvalid'),
+    body('placeOfDeath').trim().notEmpty().withMessage('death.placeOfDeathRequired'),
+    body('causeCategory').isIn(DeathService.CAUSE_CATEGORIES).withMessage('death.causeCategoryInvalid'),
+    body('causeDetail').optional({ nullable: true }).isLength({ max: 500 }).withMessage('death.causeDetailTooLong'),
+    body('informant.name').trim().notEmpty().withMessage('death.informantNameRequired'),
+    body('informant.relationship').trim().notEmpty().withMessage('death.informantRelationshipRequired')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'death.certificateRequired'
+        });
+      }
+
+      const registration = await DeathService.registerDeath(
+        req.params.nationalId,
+        req.body,
+        req.file.path,
+        req.userId,
+        req.citizenScope
+      );
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'REGISTER_DEATH',
         'citizen',
         req.params.nationalId,
-        `Updated citizen status to ${req.body.status}`,
+        `Registered death of citizen ${req.params.nationalId} on ${registration.dateOfDeath}`,
         req.ip,
         req.get('user-agent')
       );
 
+      res.status(201).json({
+        success: true,
+        message: 'death.registered',
+        data: registration
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/citizens/:nationalId/addresses
+ * Current residential address and earlier ones
+ */
+router.get('/:nationalId/addresses',
+  authenticate,
+  requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
+  async (req, res) => {
+    try {
+      const addresses = await CitizenService.getAddresses(req.params.nationalId, req.citizenScope);
+
       res.json({
         success: true,
-        message: 'Citizen status updated successfully',
-        data: citizen
+        data: addresses
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/citizens/:nationalId/address
+ * Record a move to a new address (or fix the current one with correction=true)
+ */
+router.put('/:nationalId/address',
+  authenticate,
+  requirePermission('UPDATE_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
+  [
+    body('region').trim().notEmpty().withMessage('address.regionRequired'),
+    body('district').trim().notEmpty().withMessage('address.districtRequired'),
+    body('city').trim().notEmpty().withMessage('address.cityRequired'),
+    body('latitude').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).withMessage('address.latitudeInvalid'),
+    body('longitude').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).withMessage('address.longitudeInvalid'),
+    body('effectiveFrom').optional({ nullable: true }).isISO8601().withMessage('address.effectiveFromInvalid'),
+    body('correction').optional().isBoolean().withMessage('address.correctionInvalid')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const correction = req.body.correction === true || req.body.correction === 'true';
+      const addresses = await CitizenService.changeAddress(
+        req.params.nationalId,
+        req.body,
+        req.userId,
+        req.citizenScope,
+        { correction }
+      );
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'CHANGE_CITIZEN_ADDRESS',
+        'citizen',
+        req.params.nationalId,
+        `${correction ? 'Corrected' : 'Changed'} address of citizen ${req.params.nationalId}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: correction ? 'address.corrected' : 'address.changed',
+        data: addresses
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/citizens/:nationalId/history
+ * List a citizen's revisions, newest first (includes trashed records)
+ */
+router.get('/:nationalId/history',
+  authenticate,
+  requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('common.pagePositive'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('common.limitRange')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const result = await CitizenHistoryService.getHistory(
+        req.params.nationalId,
+        page,
+        limit,
+        req.citizenScope
+      );
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      const status = error.message === 'Citizen not found' ? 404 : 500;
+      res.status(status).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/citizens/:nationalId/history/diff?from=&to=
+ * Compare two revisions field by field
+ */
+router.get('/:nationalId/history/diff',
+  authenticate,
+  requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
+  [
+    query('from').isInt({ min: 1 }).withMessage('history.revisionInvalid'),
+    query('to').isInt({ min: 1 }).withMessage('history.revisionInvalid')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const diff = await CitizenHistoryService.diffRevisions(
+        req.params.nationalId,
+        parseInt(req.query.from),
+        parseInt(req.query.to),
+        req.citizenScope
+      );
+
+      res.json({
+        success: true,
+        data: diff
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/citizens/:nationalId/history/:revision
+ * Get one revision with its full snapshot
+ */
+router.get('/:nationalId/history/:revision',
+  authenticate,
+  requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
+  [
+    param('revision').isInt({ min: 1 }).withMessage('history.revisionInvalid')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const revision = await CitizenHistoryService.getRevision(
+        req.params.nationalId,
+        parseInt(req.params.revision),
+        req.citizenScope
+      );
+
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'history.revisionNotFound'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: revision
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/citizens/:nationalId/history/:revision/revert
+ * Restore identity and office to an earlier revision
+ */
+router.post('/:nationalId/history/:revision/revert',
+  authenticate,
+  requirePermission('REVERT_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
+  [
+    param('revision').isInt({ min: 1 }).withMessage('history.revisionInvalid'),
+    body('reason').trim().notEmpty().withMessage('history.revertReasonRequired')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const result = await CitizenHistoryService.revertToRevision(
+        req.params.nationalId,
+        parseInt(req.params.revision),
+        req.userId,
+        req.citizenScope,
+        req.body.reason
+      );
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'REVERT_CITIZEN',
+        'citizen',
+        req.params.nationalId,
+        `Reverted citizen ${req.params.nationalId} to revision ${req.params.revision}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: result.pendingCorrection ? 'history.revertSubmitted' : 'history.reverted',
+        data: result.citizen,
+        revision: result.revision,
+        pendingCorrection: result.pendingCorrection
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
 );
 
+/**
+ * GET /api/citizens/:nationalId/relationships
+ * List a citizen's parents, children, spouses, guardians and wards
+ */
+router.get('/:nationalId/relationships',
+  authenticate,
+  requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
+  async (req, res) => {
+    try {
+      const relationships = await RelationshipService.listRelationships(req.params.nationalId, req.citizenScope);
 
+      res.json({
+        success: true,
+        data: relationships
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/citizens/:nationalId/relationships
+ * Link a citizen to a relative; the reciprocal link is added as well
+ */
+router.post('/:nationalId/relationships',
+  authenticate,
+  requirePermission('UPDATE_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
+  [
+    body('relatedNationalId').trim().notEmpty().withMessage('relationship.relatedRequired'),
+    body('type').trim().toUpperCase()
+      .isIn(['PARENT', 'CHILD', 'SPOUSE', 'GUARDIAN', 'WARD']).withMessage('relationship.typeInvalid'),
+    body('marriageDate').optional({ nullable: true }).isISO8601().withMessage('relationship.marriageDateInvalid'),
+    body('marriageStatus').optional({ nullable: true }).trim().toUpperCase()
+      .isIn(['MARRIED', 'DIVORCED', 'WIDOWED']).withMessage('relationship.marriageStatusInvalid')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const relationship = await RelationshipService.addRelationship(
+        req.params.nationalId,
+        req.body,
+        req.userId,
+        req.citizenScope
+      );
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'ADD_RELATIONSHIP',
+        'citizen',
+        req.params.nationalId,
+        `Linked citizen ${req.params.nationalId} to ${relationship.relatedNationalId} (${relationship.type})`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'relationship.added',
+        data: relationship
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/citizens/:nationalId/relationships/:id
+ * Update a marriage's date or status
+ */
+router.put('/:nationalId/relationships/:id',
+  authenticate,
+  requirePermission('UPDATE_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
+  [
+    body('marriageDate').optional({ nullable: true }).isISO8601().withMessage('relationship.marriageDateInvalid'),
+    body('marriageStatus').optional().trim().toUpperCase()
+      .isIn(['MARRIED', 'DIVORCED', 'WIDOWED']).withMessage('relationship.marriageStatusInvalid')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const relationship = await RelationshipService.updateRelationship(
+        req.params.nationalId,
+        req.params.id,
+        req.body,
+        req.citizenScope
+      );
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'UPDATE_RELATIONSHIP',
+        'citizen',
+        req.params.nationalId,
+        `Updated marriage of ${req.params.nationalId} and ${relationship.relatedNationalId}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'relationship.updated',
+        data: relationship
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/citizens/:nationalId/relationships/:id
+ * Remove a relationship and its reciprocal link
+ */
+router.delete('/:nationalId/relationships/:id',
+  authenticate,
+  requirePermission('UPDATE_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
+  async (req, res) => {
+    try {
+      const relationship = await RelationshipService.removeRelationship(
+        req.params.nationalId,
+        req.params.id,
+        req.citizenScope
+      );
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'REMOVE_RELATIONSHIP',
+        'citizen',
+        req.params.nationalId,
+        `Removed ${relationship.type} link between ${req.params.nationalId} and ${relationship.relatedNationalId}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'relationship.removed'
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/citizens/:nationalId/family?depth=2
+ * Family tree of parents, children and spouses up to `depth` links away (max 5)
+ */
+router.get('/:nationalId/family',
+  authenticate,
+  requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
+  [
+    query('depth').optional().isInt({ min: 1, max: 5 }).withMessage('relationship.depthRange')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const tree = await RelationshipService.getFamilyTree(
+        req.params.nationalId,
+        req.query.depth || 2,
+        req.citizenScope
+      );
+
+      res.json({
+        success: true,
+        data: tree
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/citizens/:nationalId/household
+ * Household members: the citizen, current spouses and their minor children and wards
+ */
+router.get('/:nationalId/household',
+  authenticate,
+  requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
+  async (req, res) => {
+    try {
+      const household = await RelationshipService.getHousehold(req.params.nationalId, req.citizenScope);
+
+      res.json({
+        success: true,
+        data: household
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
 
 /**
  * POST /api/citizens/trash/:nationalId/restore
@@ -414,19 +1150,21 @@ router.post('/:nationalId/status',
 router.post('/trash/:nationalId/restore',
   authenticate,
   requirePermission('DELETE_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
   async (req, res) => {
     try {
-      const citizen = await CitizenService.restoreCitizen(req.params.nationalId);
+      const citizen = await CitizenService.restoreCitizen(req.params.nationalId, req.citizenScope, req.userId);
 
       res.json({
         success: true,
-        message: 'Citizen restored successfully',
+        message: 'citizen.restored',
         data: citizen
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -439,18 +1177,20 @@ router.post('/trash/:nationalId/restore',
 router.delete('/trash/:nationalId',
   authenticate,
   requirePermission('DELETE_CITIZEN'),
+  resolveCitizenScope,
+  validateNationalIdParam,
   async (req, res) => {
     try {
-      await CitizenService.deleteCitizenPermanent(req.params.nationalId);
+      await CitizenService.deleteCitizenPermanent(req.params.nationalId, req.citizenScope, req.userId);
 
       res.json({
         success: true,
-        message: 'Citizen permanently deleted'
+        message: 'citizen.permanentlyDeleted'
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -0,0 +1,342 @@
+/**
+ * Citizen Application Routes
+ * Maker-checker review of registrations and identity corrections
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, query } = require('express-validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { resolveCitizenScope } = require('../middleware/scope.middleware');
+const CitizenApplicationService = require('../services/citizenApplication.service');
+const ActivityService = require('../services/activity.service');
+const { uploadCitizenFiles } = require('../utils/fileUpload.util');
+
+const paginationValidators = [
+  query('page').optional().isInt({ min: 1 }).withMessage('common.pagePositive'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('common.limitRange')
+];
+
+/**
+ * GET /api/citizen-applications
+ * List applications (filter by status, type, nationalId)
+ */
+router.get('/',
+  authenticate,
+  requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
+  paginationValidators,
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const result = await CitizenApplicationService.listApplications({
+        status: req.query.status,
+        type: req.query.type,
+        nationalId: req.query.nationalId
+      }, page, limit, req.citizenScope);
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/citizen-applications/queue
+ * Submitted applications awaiting review by the current user (oldest first)
+ */
+router.get('/queue',
+  authenticate,
+  requirePermission('APPROVE_CITIZEN'),
+  resolveCitizenScope,
+  paginationValidators,
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const result = await CitizenApplicationService.getReviewQueue(req.user._id, page, limit, req.citizenScope);
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/citizen-applications/:id
+ * Get application by ID
+ */
+router.get('/:id',
+  authenticate,
+  requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
+  async (req, res) => {
+    try {
+      const application = await CitizenApplicationService.getApplicationById(req.params.id, req.citizenScope);
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: 'application.notFound'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: application
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/citizen-applications/:id
+ * Edit a draft or rejected application
+ */
+router.put('/:id',
+  authenticate,
+  requirePermission('CREATE_CITIZEN', 'UPDATE_CITIZEN'),
+  resolveCitizenScope,
+  uploadCitizenFiles,
+  [
+    body('gender').optional().isIn(['MALE', 'FEMALE']).withMessage('citizen.genderInvalid'),
+    body('dateOfBirth').optional().isISO8601().withMessage('citizen.dateOfBirthInvalid')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const application = await CitizenApplicationService.updateApplication(
+        req.params.id,
+        req.body,
+        req.userId,
+        req.citizenScope,
+        {
+          imagePath: req.files?.image ? req.files.image[0].path : null,
+          documentPath: req.files?.document ? req.files.document[0].path : null
+        }
+      );
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'UPDATE_CITIZEN_APPLICATION',
+        'citizen_application',
+        application.id,
+        `Updated ${application.type.toLowerCase()} application ${application.id}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'application.updated',
+        data: application
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/citizen-applications/:id/submit
+ * Submit a draft or resubmit a rejected application
+ */
+router.post('/:id/submit',
+  authenticate,
+  requirePermission('CREATE_CITIZEN', 'UPDATE_CITIZEN'),
+  resolveCitizenScope,
+  async (req, res) => {
+    try {
+      const application = await CitizenApplicationService.submitApplication(req.params.id, req.userId, req.citizenScope);
+      const resubmitted = application.history[application.history.length - 1].action === 'RESUBMITTED';
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'SUBMIT_CITIZEN_APPLICATION',
+        'citizen_application',
+        application.id,
+        `${resubmitted ? 'Resubmitted' : 'Submitted'} ${application.type.toLowerCase()} application ${application.id}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: resubmitted ? 'application.resubmitted' : 'application.submitted',
+        data: application
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/citizen-applications/:id/approve
+ * Approve an application (issues the national ID for registrations)
+ */
+router.post('/:id/approve',
+  authenticate,
+  requirePermission('APPROVE_CITIZEN'),
+  resolveCitizenScope,
+  [
+    body('comment').optional({ nullable: true }).isLength({ max: 500 }).withMessage('application.commentTooLong')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const { application, citizen } = await CitizenApplicationService.approveApplication(
+        req.params.id,
+        req.userId,
+        req.citizenScope,
+        req.body.comment
+      );
+
+      const outcomes = {
+        REGISTRATION: {
+          action: 'CREATE_CITIZEN',
+          description: `Approved registration ${application.id}: ${citizen.firstName} ${citizen.lastName} (ID: ${citizen.nationalId})`,
+          message: 'citizen.registered'
+        },
+        CORRECTION: {
+          action: 'UPDATE_CITIZEN',
+          description: `Approved correction ${application.id} for ${citizen.nationalId}: ${Object.keys(application.data).join(', ')}`,
+          message: 'application.correctionApproved'
+        },
+        REACTIVATION: {
+          action: 'REACTIVATE_CITIZEN',
+          description: `Approved reactivation ${application.id} for ${citizen.nationalId}: ${application.reason}`,
+          message: 'death.reactivationApproved'
+        }
+      };
+      const outcome = outcomes[application.type];
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        outcome.action,
+        'citizen',
+        citizen.nationalId,
+        outcome.description,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: outcome.message,
+        data: application,
+        citizen
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/citizen-applications/:id/reject
+ * Reject an application with a reason
+ */
+router.post('/:id/reject',
+  authenticate,
+  requirePermission('APPROVE_CITIZEN'),
+  resolveCitizenScope,
+  [
+    body('reason').trim().notEmpty().withMessage('application.rejectionReasonRequired')
+      .isLength({ max: 500 }).withMessage('application.rejectionReasonTooLong')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const application = await CitizenApplicationService.rejectApplication(
+        req.params.id,
+        req.userId,
+        req.citizenScope,
+        req.body.reason
+      );
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'REJECT_CITIZEN_APPLICATION',
+        'citizen_application',
+        application.id,
+        `Rejected ${application.type.toLowerCase()} application ${application.id}: ${application.rejectionReason}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'application.rejected',
+        data: application
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,242 @@
+/**
+ * Citizen Merge Routes
+ * Merging duplicate citizen records and splitting wrong merges
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, query } = require('express-validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { resolveCitizenScope } = require('../middleware/scope.middleware');
+const CitizenMergeService = require('../services/citizenMerge.service');
+const ActivityService = require('../services/activity.service');
+
+/**
+ * GET /api/citizen-merges
+ * List merges (filter by status, nationalId)
+ */
+router.get('/',
+  authenticate,
+  requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('common.pagePositive'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('common.limitRange')
+  ],
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const result = await CitizenMergeService.listMerges({
+        status: req.query.status,
+        nationalId: req.query.nationalId
+      }, page, limit, req.citizenScope);
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/citizen-merges/preview?survivor=&retired=
+ * Show the conflicts a merge would need choices for
+ */
+router.get('/preview',
+  authenticate,
+  requirePermission('MERGE_CITIZEN'),
+  resolveCitizenScope,
+  [
+    query('survivor').trim().notEmpty().withMessage('merge.survivorRequired'),
+    query('retired').trim().notEmpty().withMessage('merge.retiredRequired')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const preview = await CitizenMergeService.previewMerge(
+        req.query.survivor,
+        req.query.retired,
+        req.citizenScope
+      );
+
+      res.json({
+        success: true,
+        data: preview
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/citizen-merges/:id
+ * Get merge by ID
+ */
+router.get('/:id',
+  authenticate,
+  requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
+  async (req, res) => {
+    try {
+      const merge = await CitizenMergeService.getMergeById(req.params.id, req.citizenScope);
+
+      if (!merge) {
+        return res.status(404).json({
+          success: false,
+          message: 'merge.notFound'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: merge
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/citizen-merges
+ * Merge a retired citizen into a surviving one
+ */
+router.post('/',
+  authenticate,
+  requirePermission('MERGE_CITIZEN'),
+  resolveCitizenScope,
+  [
+    body('survivorNationalId').trim().notEmpty().withMessage('merge.survivorRequired'),
+    body('retiredNationalId').trim().notEmpty().withMessage('merge.retiredRequired'),
+    body('choices').optional().isObject().withMessage('merge.choicesInvalid'),
+    body('reason').trim().notEmpty().withMessage('merge.reasonRequired')
+      .isLength({ max: 500 }).withMessage('merge.reasonTooLong')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const { merge, citizen } = await CitizenMergeService.mergeCitizens(
+        req.body.survivorNationalId,
+        req.body.retiredNationalId,
+        req.body.choices,
+        req.userId,
+        req.citizenScope,
+        req.body.reason
+      );
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'MERGE_CITIZEN',
+        'citizen',
+        merge.survivorNationalId,
+        `Merged citizen ${merge.retiredNationalId} into ${merge.survivorNationalId}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'merge.merged',
+        data: merge,
+        citizen
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/citizen-merges/:id/split
+ * Undo a merge, restoring the retired citizen
+ */
+router.post('/:id/split',
+  authenticate,
+  requirePermission('MERGE_CITIZEN'),
+  resolveCitizenScope,
+  [
+    body('reason').trim().notEmpty().withMessage('merge.reasonRequired')
+      .isLength({ max: 500 }).withMessage('merge.reasonTooLong')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const { merge, survivor, restored } = await CitizenMergeService.splitMerge(
+        req.params.id,
+        req.userId,
+        req.citizenScope,
+        req.body.reason
+      );
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'SPLIT_CITIZEN',
+        'citizen',
+        merge.retiredNationalId,
+        `Split citizen ${merge.retiredNationalId} from ${merge.survivorNationalId}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'merge.split',
+        data: merge,
+        survivor,
+        restored
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -27,7 +27,7 @@ router.get('/stats',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -0,0 +1,139 @@
+/**
+ * Duplicate Routes
+ * Review and adjudication of possible duplicate registrations
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, query } = require('express-validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { resolveCitizenScope } = require('../middleware/scope.middleware');
+const DuplicateService = require('../services/duplicate.service');
+const ActivityService = require('../services/activity.service');
+
+/**
+ * GET /api/duplicates
+ * List duplicate candidates (filter by status, applicationId, nationalId)
+ */
+router.get('/',
+  authenticate,
+  requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('common.pagePositive'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('common.limitRange')
+  ],
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const result = await DuplicateService.listCandidates({
+        status: req.query.status,
+        applicationId: req.query.applicationId,
+        nationalId: req.query.nationalId
+      }, page, limit, req.citizenScope);
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/duplicates/:id
+ * Get a candidate with the application's and the existing citizen's identities
+ */
+router.get('/:id',
+  authenticate,
+  requirePermission('VIEW_CITIZEN'),
+  resolveCitizenScope,
+  async (req, res) => {
+    try {
+      const candidate = await DuplicateService.getCandidateById(req.params.id, req.citizenScope);
+
+      if (!candidate) {
+        return res.status(404).json({
+          success: false,
+          message: 'duplicate.notFound'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: candidate
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/duplicates/:id/adjudicate
+ * Decide whether the application is the same person as the candidate
+ */
+router.post('/:id/adjudicate',
+  authenticate,
+  requirePermission('APPROVE_CITIZEN'),
+  resolveCitizenScope,
+  [
+    body('decision').isIn(['DUPLICATE', 'NOT_DUPLICATE']).withMessage('duplicate.decisionInvalid'),
+    body('comment').optional({ nullable: true }).isLength({ max: 500 }).withMessage('application.commentTooLong')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const candidate = await DuplicateService.adjudicate(
+        req.params.id,
+        req.body.decision,
+        req.userId,
+        req.citizenScope,
+        req.body.comment
+      );
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'ADJUDICATE_DUPLICATE',
+        'citizen_application',
+        candidate.applicationId,
+        `Adjudicated application ${candidate.applicationId} against ${candidate.candidateNationalId}: ${candidate.status}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: candidate.status === 'DUPLICATE' ? 'duplicate.confirmed' : 'duplicate.cleared',
+        data: candidate
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -22,7 +22,7 @@ router.get('/get',
       if (!filePath) {
         return res.status(400).json({
           success: false,
-          message: 'File path is required'
+          message: 'file.pathRequired'
         });
       }
 
@@ -35,7 +35,7 @@ router.get('/get',
       if (!fullPath.startsWith(uploadsDir)) {
         return res.status(403).json({
           success: false,
-          message: 'Access denied'
+          message: 'auth.accessDenied'
         });
       }
 
@@ -43,7 +43,7 @@ router.get('/get',
       if (!fs.existsSync(fullPath)) {
         return res.status(404).json({
           success: false,
-          message: 'File not found'
+          message: 'file.notFound'
         });
       }
 
@@ -70,7 +70,7 @@ router.get('/get',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: 'Error serving file'
+        message: 'file.serveError'
       });
     }
   }
@@ -0,0 +1,459 @@
+/**
+ * Geography Routes
+ * Reference data for countries, regions, districts and localities
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const GeographyService = require('../services/geography.service');
+const ActivityService = require('../services/activity.service');
+
+const countryValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('code').trim().matches(/^[A-Za-z]{2}$/).withMessage('geography.countryCodeInvalid'),
+    field('name').trim().notEmpty().withMessage('geography.nameRequired'),
+    body('alpha3').optional({ nullable: true, checkFalsy: true }).trim().matches(/^[A-Za-z]{3}$/).withMessage('geography.alpha3Invalid'),
+    body('status').optional().isIn(['ACTIVE', 'INACTIVE']).withMessage('geography.statusInvalid')
+  ];
+};
+
+const areaValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    ...(optional ? [] : [body('level').isIn(['REGION', 'DISTRICT', 'LOCALITY']).withMessage('geography.levelInvalid')]),
+    field('code').trim().matches(/^[A-Za-z0-9-]{2,30}$/).withMessage('geography.areaCodeInvalid'),
+    field('name').trim().notEmpty().withMessage('geography.nameRequired'),
+    body('status').optional().isIn(['ACTIVE', 'INACTIVE']).withMessage('geography.statusInvalid')
+  ];
+};
+
+/**
+ * GET /api/geography/countries
+ * List countries (filter by status, search)
+ */
+router.get('/countries',
+  authenticate,
+  async (req, res) => {
+    try {
+      const countries = await GeographyService.listCountries({
+        status: req.query.status,
+        search: req.query.search
+      });
+
+      res.json({
+        success: true,
+        data: countries
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/geography/countries/:id
+ * Get country by ID
+ */
+router.get('/countries/:id',
+  authenticate,
+  async (req, res) => {
+    try {
+      const country = await GeographyService.getCountryById(req.params.id);
+
+      if (!country) {
+        return res.status(404).json({
+          success: false,
+          message: 'geography.countryNotFound'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: country
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/geography/countries
+ * Create a country
+ */
+router.post('/countries',
+  authenticate,
+  requirePermission('MANAGE_GEOGRAPHY'),
+  countryValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const country = await GeographyService.createCountry(req.body);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'CREATE_COUNTRY',
+        'country',
+        country.id,
+        `Created country: ${country.name} (${country.code})`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'geography.countryCreated',
+        data: country
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/geography/countries/:id
+ * Update a country
+ */
+router.put('/countries/:id',
+  authenticate,
+  requirePermission('MANAGE_GEOGRAPHY'),
+  countryValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const country = await GeographyService.updateCountry(req.params.id, req.body);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'UPDATE_COUNTRY',
+        'country',
+        country.id,
+        `Updated country: ${country.name} (${country.code})`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'geography.countryUpdated',
+        data: country
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/geography/countries/:id
+ * Delete a country (not allowed while citizens reference it)
+ */
+router.delete('/countries/:id',
+  authenticate,
+  requirePermission('MANAGE_GEOGRAPHY'),
+  async (req, res) => {
+    try {
+      const country = await GeographyService.deleteCountry(req.params.id);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'DELETE_COUNTRY',
+        'country',
+        req.params.id,
+        `Deleted country: ${country.name} (${country.code})`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'geography.countryDeleted'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/geography/areas
+ * List regions, districts and localities (filter by level, parentId, status, search)
+ */
+router.get('/areas',
+  authenticate,
+  async (req, res) => {
+    try {
+      const areas = await GeographyService.listAreas({
+        level: req.query.level,
+        parentId: req.query.parentId,
+        status: req.query.status,
+        search: req.query.search
+      });
+
+      res.json({
+        success: true,
+        data: areas
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/geography/areas/:id
+ * Get area by ID
+ */
+router.get('/areas/:id',
+  authenticate,
+  async (req, res) => {
+    try {
+      const area = await GeographyService.getAreaById(req.params.id);
+
+      if (!area) {
+        return res.status(404).json({
+          success: false,
+          message: 'geography.areaNotFound'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: area
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/geography/areas
+ * Create a region, district or locality
+ */
+router.post('/areas',
+  authenticate,
+  requirePermission('MANAGE_GEOGRAPHY'),
+  areaValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const area = await GeographyService.createArea(req.body);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'CREATE_AREA',
+        'admin_area',
+        area.id,
+        `Created ${area.level.toLowerCase()}: ${area.name} (${area.code})`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'geography.areaCreated',
+        data: area
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/geography/areas/:id
+ * Update an area
+ */
+router.put('/areas/:id',
+  authenticate,
+  requirePermission('MANAGE_GEOGRAPHY'),
+  areaValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const area = await GeographyService.updateArea(req.params.id, req.body);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'UPDATE_AREA',
+        'admin_area',
+        area.id,
+        `Updated ${area.level.toLowerCase()}: ${area.name} (${area.code})`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'geography.areaUpdated',
+        data: area
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/geography/areas/:id
+ * Delete an area (not allowed while it has sub-areas or citizens reference it)
+ */
+router.delete('/areas/:id',
+  authenticate,
+  requirePermission('MANAGE_GEOGRAPHY'),
+  async (req, res) => {
+    try {
+      const area = await GeographyService.deleteArea(req.params.id);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'DELETE_AREA',
+        'admin_area',
+        req.params.id,
+        `Deleted ${area.level.toLowerCase()}: ${area.name} (${area.code})`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'geography.areaDeleted'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/geography/import/:kind
+ * Import countries or areas from CSV, sent as text/csv or as `csv` in a JSON body
+ */
+router.post('/import/:kind',
+  authenticate,
+  requirePermission('MANAGE_GEOGRAPHY'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  [
+    param('kind').isIn(['countries', 'areas']).withMessage('geography.importKindInvalid')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+      if (!csv || !csv.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'geography.csvRequired'
+        });
+      }
+
+      const result = await GeographyService.importCsv(req.params.kind, csv);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'IMPORT_GEOGRAPHY',
+        req.params.kind === 'countries' ? 'country' : 'admin_area',
+        null,
+        `Imported ${req.params.kind}: ${result.created} created, ${result.updated} updated, ${result.errors.length} failed`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'geography.imported',
+        data: result
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,231 @@
+/**
+ * ID Block Routes
+ * Pre-allocated national IDs for offline registration centers
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult, query } = require('express-validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { resolveCitizenScope } = require('../middleware/scope.middleware');
+const IdBlockService = require('../services/idBlock.service');
+const ActivityService = require('../services/activity.service');
+
+/**
+ * GET /api/id-blocks
+ * List ID blocks with usage counts (filter by status, officeId, deviceId)
+ */
+router.get('/',
+  authenticate,
+  requirePermission('MANAGE_ID_BLOCKS', 'CREATE_CITIZEN'),
+  resolveCitizenScope,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('common.pagePositive'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('common.limitRange')
+  ],
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const result = await IdBlockService.listBlocks({
+        status: req.query.status,
+        officeId: req.query.officeId,
+        deviceId: req.query.deviceId
+      }, page, limit, req.citizenScope);
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/id-blocks/:id
+ * Get a block with its used and unused IDs (for loading onto a device)
+ */
+router.get('/:id',
+  authenticate,
+  requirePermission('MANAGE_ID_BLOCKS', 'CREATE_CITIZEN'),
+  resolveCitizenScope,
+  async (req, res) => {
+    try {
+      const block = await IdBlockService.getBlockById(req.params.id, req.citizenScope);
+
+      if (!block) {
+        return res.status(404).json({
+          success: false,
+          message: 'idBlock.notFound'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: block
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/id-blocks
+ * Reserve a block of national IDs for an office or device
+ */
+router.post('/',
+  authenticate,
+  requirePermission('MANAGE_ID_BLOCKS'),
+  resolveCitizenScope,
+  [
+    body('officeId').notEmpty().withMessage('idBlock.officeRequired'),
+    body('count').isInt({ min: 1, max: 5000 }).withMessage((value, { req }) => req.t('idBlock.countInvalid', { max: 5000 })),
+    body('deviceId').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('idBlock.deviceIdTooLong'),
+    body('note').optional({ nullable: true }).isLength({ max: 500 }).withMessage('idBlock.noteTooLong')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const block = await IdBlockService.reserveBlock(req.body, req.userId, req.citizenScope);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'RESERVE_ID_BLOCK',
+        'id_block',
+        block.id,
+        `Reserved ${block.total} national IDs for office ${block.officeId}${block.deviceId ? ` (device ${block.deviceId})` : ''}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'idBlock.reserved',
+        data: block
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/id-blocks/:id/sync
+ * Submit citizens registered offline with IDs from the block (as registration applications)
+ */
+router.post('/:id/sync',
+  authenticate,
+  requirePermission('CREATE_CITIZEN'),
+  resolveCitizenScope,
+  [
+    body('citizens').isArray({ min: 1, max: 500 }).withMessage('idBlock.citizensRequired'),
+    body('citizens.*.nationalId').trim().notEmpty().withMessage('idBlock.nationalIdRequired'),
+    body('citizens.*.registeredAt').optional({ nullable: true }).isISO8601().withMessage('idBlock.registeredAtInvalid')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const { block, results } = await IdBlockService.syncBlock(
+        req.params.id,
+        req.body.citizens,
+        req.userId,
+        req.citizenScope
+      );
+
+      const accepted = results.filter(r => r.status === 'ACCEPTED').length;
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'SYNC_ID_BLOCK',
+        'id_block',
+        block.id,
+        `Synced ${results.length} offline registration(s), ${accepted} accepted`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'idBlock.synced',
+        data: block,
+        results: results.map(r => (r.error ? { ...r, error: req.t(r.error) } : r))
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/id-blocks/:id/close
+ * Close a block and return its unused IDs
+ */
+router.post('/:id/close',
+  authenticate,
+  requirePermission('MANAGE_ID_BLOCKS'),
+  resolveCitizenScope,
+  async (req, res) => {
+    try {
+      const block = await IdBlockService.closeBlock(req.params.id, req.userId, req.citizenScope);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'CLOSE_ID_BLOCK',
+        'id_block',
+        block.id,
+        `Closed ID block: ${block.used} used, ${block.returned} returned`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'idBlock.closed',
+        data: block
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,256 @@
+/**
+ * Menu Routes
+ * Navigation menu management endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const MenuService = require('../services/menu.service');
+const ActivityService = require('../services/activity.service');
+
+/**
+ * GET /api/menus
+ * Full menu tree (or a flat list with ?flat=true)
+ */
+router.get('/',
+  authenticate,
+  requirePermission('MANAGE_MENUS'),
+  async (req, res) => {
+    try {
+      const menus = req.query.flat === 'true'
+        ? await MenuService.listMenus(req.locale)
+        : await MenuService.getMenuTree(req.locale);
+
+      res.json({
+        success: true,
+        data: menus
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/menus/reorder
+ * Bulk reorder/reparent menus
+ */
+router.put('/reorder',
+  authenticate,
+  requirePermission('MANAGE_MENUS'),
+  [
+    body('items').isArray({ min: 1 }).withMessage('menu.itemsRequired'),
+    body('items.*.id').notEmpty().withMessage('menu.itemIdRequired'),
+    body('items.*.orderIndex').isInt().withMessage('menu.itemOrderRequired')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const menus = await MenuService.reorderMenus(req.body.items, req.locale);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'REORDER_MENUS',
+        'menu',
+        null,
+        `Reordered ${req.body.items.length} menu item(s)`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'menu.reordered',
+        data: menus
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/menus/:id
+ * Get menu by ID
+ */
+router.get('/:id',
+  authenticate,
+  requirePermission('MANAGE_MENUS'),
+  async (req, res) => {
+    try {
+      const menu = await MenuService.getMenuById(req.params.id, req.locale);
+
+      if (!menu) {
+        return res.status(404).json({
+          success: false,
+          message: 'menu.notFound'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: menu
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/menus
+ * Create a menu item
+ */
+router.post('/',
+  authenticate,
+  requirePermission('MANAGE_MENUS'),
+  [
+    body('name').trim().notEmpty().withMessage('menu.nameRequired'),
+    body('labels').optional().isObject().withMessage('menu.labelsInvalid'),
+    body('orderIndex').optional().isInt().withMessage('menu.orderIndexInvalid')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const menu = await MenuService.createMenu(req.body);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'CREATE_MENU',
+        'menu',
+        menu.id,
+        `Created menu: ${menu.name}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'menu.created',
+        data: menu
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/menus/:id
+ * Update a menu item (including moving it to another parent)
+ */
+router.put('/:id',
+  authenticate,
+  requirePermission('MANAGE_MENUS'),
+  [
+    body('name').optional().trim().notEmpty().withMessage('menu.nameEmpty'),
+    body('labels').optional().isObject().withMessage('menu.labelsInvalid'),
+    body('orderIndex').optional().isInt().withMessage('menu.orderIndexInvalid')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const menu = await MenuService.updateMenu(req.params.id, req.body);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'UPDATE_MENU',
+        'menu',
+        menu.id,
+        `Updated menu: ${menu.name}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'menu.updated',
+        data: menu
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/menus/:id
+ * Delete a menu item (only when it has no children)
+ */
+router.delete('/:id',
+  authenticate,
+  requirePermission('MANAGE_MENUS'),
+  async (req, res) => {
+    try {
+      const menu = await MenuService.deleteMenu(req.params.id);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'DELETE_MENU',
+        'menu',
+        req.params.id,
+        `Deleted menu: ${menu.name}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'menu.deleted'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+module.exports = router;
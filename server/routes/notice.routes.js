@@ -27,7 +27,7 @@ router.get('/',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -41,8 +41,8 @@ router.post('/',
   authenticate,
   requirePermission('MANAGE_NOTICES'),
   [
-    body('title').trim().notEmpty().withMessage('Title is required'),
-    body('message').trim().notEmpty().withMessage('Message is required'),
+    body('title').trim().notEmpty().withMessage('notice.titleRequired'),
+    body('message').trim().notEmpty().withMessage('notice.messageRequired'),
     body('priority').optional().isIn(['LOW', 'MEDIUM', 'HIGH', 'URGENT'])
   ],
   async (req, res) => {
@@ -51,7 +51,7 @@ router.post('/',
       if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Validation error',
+          message: 'common.validationError',
           errors: errors.array()
         });
       }
@@ -60,13 +60,13 @@ router.post('/',
 
       res.status(201).json({
         success: true,
-        message: 'Notice created successfully',
+        message: 'notice.created',
         data: notice
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -85,12 +85,12 @@ router.delete('/:id',
 
       res.json({
         success: true,
-        message: 'Notice deleted successfully'
+        message: 'notice.deleted'
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
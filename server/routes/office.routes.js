@@ -0,0 +1,210 @@
+/**
+ * Office Routes
+ * Registration office management endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const OfficeService = require('../services/office.service');
+const ActivityService = require('../services/activity.service');
+
+const officeValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('code').trim().matches(/^[A-Za-z0-9_-]{2,20}$/).withMessage('office.codeInvalid'),
+    field('name').trim().notEmpty().withMessage('office.nameRequired'),
+    field('region').trim().notEmpty().withMessage('office.regionRequired'),
+    body('level').optional().isIn(['REGION', 'DISTRICT', 'CENTER']).withMessage('office.levelInvalid'),
+    body('idPrefix').optional({ nullable: true, checkFalsy: true }).matches(/^\d{2,4}$/).withMessage('office.idPrefixInvalid'),
+    body('status').optional().isIn(['ACTIVE', 'INACTIVE']).withMessage('office.statusInvalid')
+  ];
+};
+
+/**
+ * GET /api/offices
+ * List offices (filter by region, district, status)
+ */
+router.get('/',
+  authenticate,
+  async (req, res) => {
+    try {
+      const offices = await OfficeService.listOffices({
+        region: req.query.region,
+        district: req.query.district,
+        status: req.query.status
+      });
+
+      res.json({
+        success: true,
+        data: offices
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/offices/:id
+ * Get office by ID
+ */
+router.get('/:id',
+  authenticate,
+  async (req, res) => {
+    try {
+      const office = await OfficeService.getOfficeById(req.params.id);
+
+      if (!office) {
+        return res.status(404).json({
+          success: false,
+          message: 'office.notFound'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: office
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/offices
+ * Create an office
+ */
+router.post('/',
+  authenticate,
+  requirePermission('MANAGE_OFFICES'),
+  officeValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const office = await OfficeService.createOffice(req.body);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'CREATE_OFFICE',
+        'office',
+        office.id,
+        `Created office: ${office.name} (${office.code})`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'office.created',
+        data: office
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/offices/:id
+ * Update an office
+ */
+router.put('/:id',
+  authenticate,
+  requirePermission('MANAGE_OFFICES'),
+  officeValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const office = await OfficeService.updateOffice(req.params.id, req.body);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'UPDATE_OFFICE',
+        'office',
+        office.id,
+        `Updated office: ${office.name} (${office.code})`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'office.updated',
+        data: office
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/offices/:id
+ * Delete an office (not allowed while users or citizens reference it)
+ */
+router.delete('/:id',
+  authenticate,
+  requirePermission('MANAGE_OFFICES'),
+  async (req, res) => {
+    try {
+      const office = await OfficeService.deleteOffice(req.params.id);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'DELETE_OFFICE',
+        'office',
+        req.params.id,
+        `Deleted office: ${office.name} (${office.code})`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'office.deleted'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,111 @@
+/**
+ * Permission Routes
+ * Permission catalog endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const PermissionService = require('../services/permission.service');
+const ActivityService = require('../services/activity.service');
+
+/**
+ * GET /api/permissions
+ * List the permission catalog grouped by module
+ */
+router.get('/',
+  authenticate,
+  async (req, res) => {
+    try {
+      const catalog = await PermissionService.getCatalog();
+
+      res.json({
+        success: true,
+        data: catalog
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/permissions/matrix
+ * Get the role-by-permission matrix
+ */
+router.get('/matrix',
+  authenticate,
+  requirePermission('MANAGE_ROLES'),
+  async (req, res) => {
+    try {
+      const matrix = await PermissionService.getRoleMatrix();
+
+      res.json({
+        success: true,
+        data: matrix
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/permissions/:code
+ * Update a permission's name, description or module
+ */
+router.put('/:code',
+  authenticate,
+  requirePermission('MANAGE_ROLES'),
+  [
+    body('name').optional().trim().notEmpty().withMessage('permission.nameEmpty'),
+    body('description').optional({ nullable: true }).isLength({ max: 255 }).withMessage('common.descriptionTooLong'),
+    body('module').optional({ nullable: true }).isLength({ max: 50 }).withMessage('permission.moduleTooLong')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const permission = await PermissionService.updatePermission(req.params.code, req.body);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'UPDATE_PERMISSION',
+        'permission',
+        permission.code,
+        `Updated permission: ${permission.code}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'permission.updated',
+        data: permission
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+module.exports = router;
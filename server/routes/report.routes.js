@@ -5,9 +5,13 @@
 
 const express = require('express');
 const router = express.Router();
+const { query, validationResult } = require('express-validator');
 const { authenticate } = require('../middleware/auth.middleware');
 const { requirePermission } = require('../middleware/permission.middleware');
+const { resolveCitizenScope } = require('../middleware/scope.middleware');
 const ReportService = require('../services/report.service');
+const ActivityService = require('../services/activity.service');
+const { toCsv } = require('../utils/csv.util');
 
 /**
  * GET /api/reports
@@ -27,7 +31,7 @@ router.get('/',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -51,14 +55,14 @@ router.get('/summary',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
 );
 
 /**
- * GET /api/reports/citizens
+ * GET /api/reports/citizens?startDate=&endDate=&region=&district=
  * Get citizen registration report
  */
 router.get('/citizens',
@@ -68,7 +72,8 @@ router.get('/citizens',
     try {
       const report = await ReportService.getCitizenReport(
         req.query.startDate,
-        req.query.endDate
+        req.query.endDate,
+        { region: req.query.region, district: req.query.district }
       );
 
       res.json({
@@ -78,14 +83,14 @@ router.get('/citizens',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
 );
 
 /**
- * GET /api/reports/registrations
+ * GET /api/reports/registrations?startDate=&endDate=&region=&district=
  * Get registration statistics
  */
 router.get('/registrations',
@@ -95,7 +100,8 @@ router.get('/registrations',
     try {
       const stats = await ReportService.getRegistrationStats(
         req.query.startDate,
-        req.query.endDate
+        req.query.endDate,
+        { region: req.query.region, district: req.query.district }
       );
 
       res.json({
@@ -105,7 +111,68 @@ router.get('/registrations',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: error.message
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/reports/eligibility?asOf=&minAge=&region=&district=&format=csv
+ * Export living citizens of age on a date (voter and eligibility lists); deceased citizens are never included
+ */
+router.get('/eligibility',
+  authenticate,
+  requirePermission('EXPORT_CITIZENS'),
+  resolveCitizenScope,
+  [
+    query('asOf').optional().isISO8601().withMessage('report.asOfInvalid'),
+    query('minAge').optional().isInt({ min: 0, max: 120 }).withMessage('report.minAgeInvalid'),
+    query('format').optional().isIn(['json', 'csv']).withMessage('report.formatInvalid')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const report = await ReportService.getEligibilityList({
+        asOf: req.query.asOf,
+        minAge: req.query.minAge !== undefined ? parseInt(req.query.minAge) : undefined,
+        region: req.query.region,
+        district: req.query.district
+      }, req.citizenScope);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'EXPORT_ELIGIBILITY',
+        'citizen',
+        null,
+        `Exported ${report.total} citizen(s) aged ${report.minAge}+ as of ${report.asOf}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      if (req.query.format === 'csv') {
+        const columns = ['nationalId', 'firstName', 'middleName', 'lastName', 'gender', 'dateOfBirth', 'age', 'region', 'district'];
+        res.attachment(`eligibility-${report.asOf}.csv`);
+        return res.type('text/csv').send(toCsv(report.data, columns));
+      }
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
       });
     }
   }
@@ -129,7 +196,7 @@ router.get('/users',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -0,0 +1,204 @@
+/**
+ * Role Routes
+ * Role management endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const RoleService = require('../services/role.service');
+const ActivityService = require('../services/activity.service');
+
+/**
+ * GET /api/roles
+ * List roles with permissions and user counts
+ */
+router.get('/',
+  authenticate,
+  requirePermission('MANAGE_ROLES'),
+  async (req, res) => {
+    try {
+      const roles = await RoleService.listRoles();
+
+      res.json({
+        success: true,
+        data: roles
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/roles/:id
+ * Get role by ID
+ */
+router.get('/:id',
+  authenticate,
+  requirePermission('MANAGE_ROLES'),
+  async (req, res) => {
+    try {
+      const role = await RoleService.getRoleById(req.params.id);
+
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'role.notFound'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: role
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/roles
+ * Create a role
+ */
+router.post('/',
+  authenticate,
+  requirePermission('MANAGE_ROLES'),
+  [
+    body('name').trim().notEmpty().withMessage('role.nameRequired'),
+    body('description').optional({ nullable: true }).isLength({ max: 255 }).withMessage('common.descriptionTooLong'),
+    body('permissions').optional().isArray().withMessage('permission.codesArray')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const role = await RoleService.createRole(req.body);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'CREATE_ROLE',
+        'role',
+        role.id,
+        `Created role: ${role.name} (${role.permissions.join(', ') || 'no permissions'})`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'role.created',
+        data: role
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/roles/:id
+ * Update a role's name, description or permissions
+ */
+router.put('/:id',
+  authenticate,
+  requirePermission('MANAGE_ROLES'),
+  [
+    body('name').optional().trim().notEmpty().withMessage('role.nameEmpty'),
+    body('description').optional({ nullable: true }).isLength({ max: 255 }).withMessage('common.descriptionTooLong'),
+    body('permissions').optional().isArray().withMessage('permission.codesArray')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const role = await RoleService.updateRole(req.params.id, req.body);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'UPDATE_ROLE',
+        'role',
+        role.id,
+        `Updated role: ${role.name} (${role.permissions.join(', ') || 'no permissions'})`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'role.updated',
+        data: role
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/roles/:id
+ * Delete a role (not allowed for system roles or roles with users)
+ */
+router.delete('/:id',
+  authenticate,
+  requirePermission('MANAGE_ROLES'),
+  async (req, res) => {
+    try {
+      const role = await RoleService.deleteRole(req.params.id);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'DELETE_ROLE',
+        'role',
+        req.params.id,
+        `Deleted role: ${role.name}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'role.deleted'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -10,9 +10,23 @@ const { authenticate } = require('../middleware/auth.middleware');
 const { requirePermission } = require('../middleware/permission.middleware');
 const UserService = require('../services/user.service');
 const ActivityService = require('../services/activity.service');
+const SessionService = require('../services/session.service');
+const TwoFactorService = require('../services/twoFactor.service');
+const UserPermissionService = require('../services/userPermission.service');
+const { assertPasswordPolicy } = require('../utils/passwordPolicy.util');
 const { uploadProfilePicture, getFileUrl } = require('../utils/fileUpload.util');
 const multer = require('multer');
 
+// Policy failures carry parameters (lengths), which express-validator drops from thrown
+// errors, so they are translated here
+const checkPasswordPolicy = (password, req, options = {}) => {
+  try {
+    return assertPasswordPolicy(password, options);
+  } catch (error) {
+    throw new Error(req.t(error));
+  }
+};
+
 // Multer for profile picture upload
 const upload = multer({
   storage: multer.diskStorage({
@@ -34,9 +48,9 @@ router.post('/',
   requirePermission('MANAGE_USERS'),
   upload.single('profilePicture'),
   [
-    body('username').trim().notEmpty().withMessage('Username is required'),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-    body('role_id').notEmpty().withMessage('Role ID is required')
+    body('username').trim().notEmpty().withMessage('auth.usernameRequired'),
+    body('password').custom((password, { req }) => checkPasswordPolicy(password, req, { username: req.body.username })),
+    body('role_id').notEmpty().withMessage('user.roleIdRequired')
   ],
   async (req, res) => {
     try {
@@ -44,7 +58,7 @@ router.post('/',
       if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Validation error',
+          message: 'common.validationError',
           errors: errors.array()
         });
       }
@@ -69,13 +83,13 @@ router.post('/',
 
       res.status(201).json({
         success: true,
-        message: 'User created successfully',
+        message: 'user.created',
         data: user
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -102,7 +116,7 @@ router.get('/',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -126,7 +140,7 @@ router.get('/roles',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -153,7 +167,7 @@ router.get('/trash',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -172,13 +186,13 @@ router.post('/trash/:id/restore',
 
       res.json({
         success: true,
-        message: 'User restored successfully',
+        message: 'user.restored',
         data: user
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -197,12 +211,12 @@ router.delete('/trash/:id',
 
       res.json({
         success: true,
-        message: 'User permanently deleted'
+        message: 'user.permanentlyDeleted'
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -222,7 +236,7 @@ router.get('/:id',
       if (!user) {
         return res.status(404).json({
           success: false,
-          message: 'User not found'
+          message: 'user.notFound'
         });
       }
 
@@ -233,7 +247,7 @@ router.get('/:id',
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -278,13 +292,13 @@ router.put('/:id',
 
       res.json({
         success: true,
-        message: 'User updated successfully',
+        message: 'user.updated',
         data: user
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -314,12 +328,12 @@ router.delete('/:id',
 
       res.json({
         success: true,
-        message: 'User deleted successfully'
+        message: 'user.deleted'
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -333,7 +347,7 @@ router.post('/:id/status',
   authenticate,
   requirePermission('MANAGE_USERS'),
   [
-    body('status').isIn(['ACTIVE', 'DISABLED']).withMessage('Status must be ACTIVE or DISABLED')
+    body('status').isIn(['ACTIVE', 'DISABLED']).withMessage('user.statusInvalid')
   ],
   async (req, res) => {
     try {
@@ -341,22 +355,33 @@ router.post('/:id/status',
       if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Validation error',
+          message: 'common.validationError',
           errors: errors.array()
         });
       }
 
       const user = await UserService.changeUserStatus(req.params.id, req.body.status);
 
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'CHANGE_USER_STATUS',
+        'user',
+        req.params.id,
+        `Changed status of user ${user.username} to ${user.status}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
       res.json({
         success: true,
-        message: 'User status updated successfully',
+        message: 'user.statusUpdated',
         data: user
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
@@ -370,7 +395,7 @@ router.post('/:id/reset-password',
   authenticate,
   requirePermission('MANAGE_USERS'),
   [
-    body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+    body('newPassword').custom((password, { req }) => checkPasswordPolicy(password, req))
   ],
   async (req, res) => {
     try {
@@ -378,7 +403,7 @@ router.post('/:id/reset-password',
       if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Validation error',
+          message: 'common.validationError',
           errors: errors.array()
         });
       }
@@ -398,17 +423,313 @@ router.post('/:id/reset-password',
 
       res.json({
         success: true,
-        message: 'Password reset successfully'
+        message: 'password.reset'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/users/:id/unlock
+ * Unlock a user locked out by failed login attempts
+ */
+router.post('/:id/unlock',
+  authenticate,
+  requirePermission('MANAGE_USERS'),
+  async (req, res) => {
+    try {
+      const { user, wasLocked } = await UserService.unlockUser(req.params.id);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'UNLOCK_USER',
+        'user',
+        user.id,
+        `Unlocked login for user: ${user.username}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: wasLocked ? 'user.unlocked' : 'user.notLocked',
+        data: user
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/users/:id/2fa/reset
+ * Remove a user's two-factor setup (e.g. lost device); they must enroll again if required
+ */
+router.post('/:id/2fa/reset',
+  authenticate,
+  requirePermission('MANAGE_USERS'),
+  async (req, res) => {
+    try {
+      await TwoFactorService.reset(req.params.id);
+      await SessionService.revokeUserSessions(req.params.id, 'REVOKED_BY_ADMIN');
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'RESET_USER_2FA',
+        'user',
+        req.params.id,
+        `Reset two-factor authentication for user: ${req.params.id}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'twoFactor.reset'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/users/:id/permissions
+ * Get a user's role permissions, permission overrides and effective permissions
+ */
+router.get('/:id/permissions',
+  authenticate,
+  requirePermission('MANAGE_USERS'),
+  async (req, res) => {
+    try {
+      const summary = await UserPermissionService.getUserPermissionSummary(req.params.id);
+
+      res.json({
+        success: true,
+        data: summary
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/users/:id/permissions
+ * Grant (ALLOW) or deny (DENY) a permission for one user, optionally time-bounded
+ */
+router.post('/:id/permissions',
+  authenticate,
+  requirePermission('MANAGE_USERS'),
+  [
+    body('permissionCode').trim().notEmpty().withMessage('permission.codeRequired'),
+    body('effect').isIn(['ALLOW', 'DENY']).withMessage('permission.effectInvalid'),
+    body('startsAt').optional({ nullable: true }).isISO8601().withMessage('common.startDateInvalid'),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('common.expiryDateInvalid'),
+    body('reason').optional({ nullable: true }).isLength({ max: 255 }).withMessage('common.reasonTooLong')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'common.validationError',
+          errors: errors.array()
+        });
+      }
+
+      const override = await UserPermissionService.addOverride(req.params.id, req.body, req.userId);
+
+      // Log activity
+      const period = override.expiresAt ? ` until ${override.expiresAt.toISOString()}` : '';
+      await ActivityService.logActivity(
+        req.userId,
+        override.effect === 'ALLOW' ? 'GRANT_PERMISSION' : 'DENY_PERMISSION',
+        'user',
+        req.params.id,
+        `${override.effect === 'ALLOW' ? 'Granted' : 'Denied'} ${override.permissionCode} for user ${req.params.id}${period}${override.reason ? ` (${override.reason})` : ''}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'permission.overrideAdded',
+        data: override
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/users/:id/permissions/:overrideId
+ * Revoke a permission override
+ */
+router.delete('/:id/permissions/:overrideId',
+  authenticate,
+  requirePermission('MANAGE_USERS'),
+  async (req, res) => {
+    try {
+      const override = await UserPermissionService.revokeOverride(req.params.id, req.params.overrideId, req.userId);
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'REVOKE_PERMISSION_OVERRIDE',
+        'user',
+        req.params.id,
+        `Revoked ${override.effect} ${override.permissionCode} override for user ${req.params.id}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'permission.overrideRevoked',
+        data: override
       });
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: error.message
+        message: req.t(error)
       });
     }
   }
 );
 
+/**
+ * GET /api/users/:id/sessions
+ * List a user's active sessions
+ */
+router.get('/:id/sessions',
+  authenticate,
+  requirePermission('MANAGE_USERS'),
+  async (req, res) => {
+    try {
+      const user = await UserService.getUserById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'user.notFound'
+        });
+      }
+
+      const sessions = await SessionService.listUserSessions(user.id, req.sessionId);
 
+      res.json({
+        success: true,
+        data: sessions
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/users/:id/sessions
+ * Force-terminate all of a user's sessions
+ */
+router.delete('/:id/sessions',
+  authenticate,
+  requirePermission('MANAGE_USERS'),
+  async (req, res) => {
+    try {
+      const user = await UserService.getUserById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'user.notFound'
+        });
+      }
+
+      const revoked = await SessionService.revokeUserSessions(user.id, 'REVOKED_BY_ADMIN');
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'TERMINATE_USER_SESSIONS',
+        'user',
+        user.id,
+        `Terminated ${revoked} session(s) of user: ${user.username}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'session.userSessionsTerminated',
+        revoked
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/users/:id/sessions/:sessionId
+ * Force-terminate one of a user's sessions
+ */
+router.delete('/:id/sessions/:sessionId',
+  authenticate,
+  requirePermission('MANAGE_USERS'),
+  async (req, res) => {
+    try {
+      await SessionService.revokeUserSession(req.params.id, req.params.sessionId, 'REVOKED_BY_ADMIN');
+
+      // Log activity
+      await ActivityService.logActivity(
+        req.userId,
+        'TERMINATE_USER_SESSION',
+        'user',
+        req.params.id,
+        `Terminated session ${req.params.sessionId} of user: ${req.params.id}`,
+        req.ip,
+        req.get('user-agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'session.terminated'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: req.t(error)
+      });
+    }
+  }
+);
 
 module.exports = router;
@@ -0,0 +1,237 @@
+/**
+ * Birth Service
+ * Birth registration of children against their registered mother and/or father
+ */
+
+const Citizen = require('../models/Citizen.model');
+const DeathRegistration = require('../models/DeathRegistration.model');
+const CitizenService = require('./citizen.service');
+const RelationshipService = require('./relationship.service');
+const GeographyService = require('./geography.service');
+const { canonicalName } = require('../utils/nameMatching.util');
+const { LocalizedError } = require('../utils/i18n.util');
+
+const FACILITY_TYPES = ['HOSPITAL', 'HEALTH_CENTRE', 'HOME', 'OTHER'];
+const ATTENDANT_TYPES = ['DOCTOR', 'NURSE', 'MIDWIFE', 'TRADITIONAL_BIRTH_ATTENDANT', 'OTHER', 'NONE'];
+
+// Nationality passed on by either parent
+const HOME_COUNTRY = 'SO';
+
+// How long before a birth the father may have died (about ten months)
+const MAX_POSTHUMOUS_DAYS = 300;
+
+class BirthService {
+  /**
+   * Validate and clean birth details: the parents' national IDs, the facility and the attendant
+   */
+  static validateBirth(data) {
+    const motherNationalId = data.motherNationalId?.toString().trim() || null;
+    const fatherNationalId = data.fatherNationalId?.toString().trim() || null;
+
+    if (!motherNationalId && !fatherNationalId) {
+      throw new Error('A birth registration needs the mother or the father');
+    }
+    if (motherNationalId && motherNationalId === fatherNationalId) {
+      throw new Error('The mother and the father cannot be the same citizen');
+    }
+
+    const facilityType = data.facilityType?.toString().toUpperCase();
+    if (!FACILITY_TYPES.includes(facilityType)) {
+      throw new Error('Birth facility type must be HOSPITAL, HEALTH_CENTRE, HOME or OTHER');
+    }
+
+    const facilityName = data.facilityName?.toString().trim() || null;
+    if (['HOSPITAL', 'HEALTH_CENTRE'].includes(facilityType) && !facilityName) {
+      throw new Error('The name of the hospital or health centre is required');
+    }
+
+    const attendantType = data.attendantType?.toString().toUpperCase();
+    if (!ATTENDANT_TYPES.includes(attendantType)) {
+      throw new Error('Birth attendant type is invalid');
+    }
+
+    const attendantName = data.attendantName?.toString().trim() || null;
+    if (attendantType !== 'NONE' && !attendantName) {
+      throw new Error('Birth attendant name is required');
+    }
+
+    return {
+      motherNationalId,
+      fatherNationalId,
+      facilityName,
+      facilityType,
+      attendantName: attendantType === 'NONE' ? null : attendantName,
+      attendantType
+    };
+  }
+
+  /**
+   * Load a parent by national ID (any office); a national ID retired by a merge resolves to the survivor
+   */
+  static async findParent(nationalId, role) {
+    const parent = await Citizen.findOne({
+      $or: [{ nationalId }, { aliases: nationalId }],
+      deletedAt: null
+    });
+
+    if (!parent) {
+      throw new LocalizedError(`birth.${role}NotRegistered`, { nationalId });
+    }
+
+    return parent;
+  }
+
+  /**
+   * Check the parents against the child's date of birth
+   */
+  static async checkParents(mother, father, dateOfBirth) {
+    if (mother && father && mother.nationalId === father.nationalId) {
+      throw new Error('The mother and the father cannot be the same citizen');
+    }
+    if (mother && mother.gender !== 'FEMALE') {
+      throw new Error('The mother must be a female citizen');
+    }
+    if (father && father.gender !== 'MALE') {
+      throw new Error('The father must be a male citizen');
+    }
+
+    for (const [role, parent] of [['mother', mother], ['father', father]]) {
+      if (parent && RelationshipService.ageOn(parent.dateOfBirth, dateOfBirth) < RelationshipService.MIN_PARENT_AGE) {
+        throw new LocalizedError(`birth.${role}TooYoung`, { age: RelationshipService.MIN_PARENT_AGE });
+      }
+    }
+
+    // A registered death limits when the parent could have had the child
+    const deaths = await DeathRegistration.find({
+      nationalId: { $in: [mother?.nationalId, father?.nationalId].filter(Boolean) },
+      status: 'REGISTERED'
+    });
+    for (const death of deaths) {
+      if (mother && death.nationalId === mother.nationalId && death.dateOfDeath < dateOfBirth) {
+        throw new Error('The mother died before the date of birth');
+      }
+
+      const latestBirth = new Date(death.dateOfDeath);
+      latestBirth.setUTCDate(latestBirth.getUTCDate() + MAX_POSTHUMOUS_DAYS);
+      if (father && death.nationalId === father.nationalId && latestBirth < dateOfBirth) {
+        throw new Error('The father died too long before the date of birth');
+      }
+    }
+  }
+
+  /**
+   * Comparable form of a nationality: the country code when it matches reference data
+   */
+  static async nationalityOf(text) {
+    const country = await GeographyService.findCountry(text);
+    return {
+      key: country ? country.code : canonicalName(text),
+      name: country?.nationality || text
+    };
+  }
+
+  /**
+   * Nationality a child inherits: Somali if either parent is Somali, otherwise the parents'
+   * shared nationality. Parents of two other nationalities must state the child's (`requested`)
+   */
+  static async inheritNationality(parents, requested = null) {
+    const nationalities = await Promise.all(parents.map(parent => this.nationalityOf(parent.nationality)));
+
+    let inherited = nationalities.find(n => n.key === HOME_COUNTRY) || null;
+    if (!inherited && new Set(nationalities.map(n => n.key)).size === 1) {
+      inherited = nationalities[0];
+    }
+
+    if (!requested) {
+      if (!inherited) {
+        throw new Error("The child's nationality is required when the parents' nationalities differ");
+      }
+      return inherited.name;
+    }
+
+    if (!inherited) {
+      return requested;
+    }
+
+    const stated = await this.nationalityOf(requested);
+    if (stated.key !== inherited.key) {
+      throw new Error("The child's nationality does not follow from the parents'");
+    }
+
+    return inherited.name;
+  }
+
+  /**
+   * Check a child's identity and birth details before it is filed or approved
+   * `identity.nationality` is the one stated for the child, if any.
+   * Returns the parents and the identity with the inherited nationality
+   */
+  static async assertBirth(identity, birth) {
+    if (!RelationshipService.isMinor(identity.dateOfBirth)) {
+      throw new LocalizedError('birth.notMinor', { age: RelationshipService.ADULT_AGE });
+    }
+
+    const mother = birth.motherNationalId ? await this.findParent(birth.motherNationalId, 'mother') : null;
+    const father = birth.fatherNationalId ? await this.findParent(birth.fatherNationalId, 'father') : null;
+
+    await this.checkParents(mother, father, new Date(identity.dateOfBirth));
+    const parents = [mother, father].filter(Boolean);
+
+    return {
+      mother,
+      father,
+      identity: { ...identity, nationality: await this.inheritNationality(parents, identity.nationality || null) }
+    };
+  }
+
+  /**
+   * File a birth registration for approval
+   * The child's record is created and linked to the parents when it is approved
+   */
+  static async registerBirth(data, userId, scope, { submit = true, files = {} } = {}) {
+    const birth = this.validateBirth(data);
+    const identity = CitizenService.validateIdentity(data);
+
+    // validateIdentity defaults the nationality; a child's follows from the parents
+    const { mother, father, identity: child } = await this.assertBirth(
+      { ...identity, nationality: data.nationality?.trim() || null },
+      birth
+    );
+
+    const CitizenApplicationService = require('./citizenApplication.service');
+    return await CitizenApplicationService.createRegistration(
+      { ...data, nationality: child.nationality },
+      userId,
+      scope,
+      {
+        submit,
+        files,
+        // Parents are kept under their current national IDs
+        birth: {
+          ...birth,
+          motherNationalId: mother ? mother.nationalId : null,
+          fatherNationalId: father ? father.nationalId : null
+        }
+      }
+    );
+  }
+
+  /**
+   * Link a newly registered child to the parents returned by assertBirth
+   */
+  static async linkParents(child, { mother, father }, userId) {
+    for (const parent of [mother, father]) {
+      if (parent) {
+        await RelationshipService.addRelationship(child.nationalId, {
+          type: 'PARENT',
+          relatedNationalId: parent.nationalId
+        }, userId);
+      }
+    }
+  }
+}
+
+BirthService.FACILITY_TYPES = FACILITY_TYPES;
+BirthService.ATTENDANT_TYPES = ATTENDANT_TYPES;
+
+module.exports = BirthService;
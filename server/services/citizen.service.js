@@ -3,76 +3,282 @@
  * Business logic for citizen operations
  */
 
+const mongoose = require('mongoose');
 const Citizen = require('../models/Citizen.model');
-const { generateNationalId } = require('../utils/nationalIdGenerator.util');
-const StatusChangeLog = require('../models/StatusChangeLog.model');
+const Office = require('../models/Office.model');
+const { generateNationalId, isValidNationalId, ID_SCHEME } = require('../utils/nationalIdGenerator.util');
+const CitizenRelationship = require('../models/CitizenRelationship.model');
+const CitizenHistoryService = require('./citizenHistory.service');
+const GeographyService = require('./geography.service');
+const { LocalizedError } = require('../utils/i18n.util');
 
 class CitizenService {
   /**
-   * Create a new citizen
+   * Build the office filter for a citizen scope
+   * Scope comes from OfficeService.getCitizenScope; omit it only for internal calls
    */
-  static async createCitizen(data, userId) {
-    // Validate required fields
-    const requiredFields = ['firstName', 'lastName', 'gender', 'dateOfBirth', 'placeOfBirth'];
-    for (const field of requiredFields) {
-      if (!data[field] || !data[field].toString().trim()) {
-        throw new Error(`Field '${field}' is required`);
+  static scopeFilter(scope) {
+    if (!scope || scope.national) {
+      return {};
+    }
+
+    return { officeId: { $in: scope.officeIds } };
+  }
+
+  /**
+   * Pick the office a new citizen is registered under
+   */
+  static resolveRegistrationOffice(requestedOfficeId, scope) {
+    if (requestedOfficeId) {
+      const officeId = requestedOfficeId.toString();
+      if (scope && !scope.national && !scope.officeIds.includes(officeId)) {
+        throw new Error('You cannot register citizens for this office');
+      }
+      return officeId;
+    }
+
+    if (scope && !scope.defaultOfficeId) {
+      if (scope.national) {
+        return null;
+      }
+      throw new Error('You are not assigned to an active office');
+    }
+
+    return scope ? scope.defaultOfficeId : null;
+  }
+
+  /**
+   * Resolve the registration office and check that it is active
+   */
+  static async resolveActiveOffice(requestedOfficeId, scope) {
+    const officeId = this.resolveRegistrationOffice(requestedOfficeId, scope);
+    if (!officeId) {
+      return null;
+    }
+
+    const office = mongoose.Types.ObjectId.isValid(officeId) ? await Office.findById(officeId) : null;
+    if (!office || office.status !== 'ACTIVE') {
+      throw new Error('Invalid or inactive office');
+    }
+
+    return office._id;
+  }
+
+  /**
+   * Validate and clean identity fields
+   * With `partial`, only the fields present are validated (for updates and corrections)
+   */
+  static validateIdentity(data, { partial = false } = {}) {
+    const identity = {};
+
+    if (!partial) {
+      // Validate required fields
+      const requiredFields = ['firstName', 'lastName', 'gender', 'dateOfBirth', 'placeOfBirth'];
+      for (const field of requiredFields) {
+        if (!data[field] || !data[field].toString().trim()) {
+          throw new LocalizedError('citizen.fieldRequired', { field });
+        }
       }
     }
 
+    if (data.firstName) identity.firstName = data.firstName.trim();
+    if (data.middleName !== undefined || !partial) identity.middleName = data.middleName?.trim() || null;
+    if (data.lastName) identity.lastName = data.lastName.trim();
+
     // Validate gender
-    const gender = data.gender.toUpperCase();
-    if (!['MALE', 'FEMALE'].includes(gender)) {
-      throw new Error("Gender must be 'MALE' or 'FEMALE'");
+    if (data.gender) {
+      const gender = data.gender.toUpperCase();
+      if (!['MALE', 'FEMALE'].includes(gender)) {
+        throw new Error("Gender must be 'MALE' or 'FEMALE'");
+      }
+      identity.gender = gender;
     }
 
     // Validate date of birth
-    const dateOfBirth = new Date(data.dateOfBirth);
-    const today = new Date();
-    const hundredYearsAgo = new Date();
-    hundredYearsAgo.setFullYear(today.getFullYear() - 100);
+    if (data.dateOfBirth) {
+      const dateOfBirth = new Date(data.dateOfBirth);
+      const today = new Date();
+      const hundredYearsAgo = new Date();
+      hundredYearsAgo.setFullYear(today.getFullYear() - 100);
 
-    if (dateOfBirth > today) {
-      throw new Error('Date of birth cannot be in the future');
+      if (isNaN(dateOfBirth.getTime())) {
+        throw new Error('Date of birth must be a valid date');
+      }
+      if (dateOfBirth > today) {
+        throw new Error('Date of birth cannot be in the future');
+      }
+      if (dateOfBirth < hundredYearsAgo) {
+        throw new Error('Date of birth cannot be more than 100 years ago');
+      }
+      identity.dateOfBirth = dateOfBirth;
     }
 
-    if (dateOfBirth < hundredYearsAgo) {
-      throw new Error('Date of birth cannot be more than 100 years ago');
+    if (data.placeOfBirth) identity.placeOfBirth = data.placeOfBirth.trim();
+    if (data.nationality) {
+      identity.nationality = data.nationality.trim();
+    } else if (!partial) {
+      identity.nationality = 'Somali';
     }
 
-    // Generate unique national ID
-    const nationalId = await generateNationalId();
+    return identity;
+  }
 
-    // Check if national ID already exists (shouldn't happen, but safety check)
-    const exists = await Citizen.findOne({ nationalId });
-    if (exists) {
-      throw new Error('National ID collision. Please try again.');
+  /**
+   * Validate and clean a residential address
+   * Returns null when no address is given
+   */
+  static validateAddress(address) {
+    if (!address) {
+      return null;
+    }
+
+    for (const field of ['region', 'district', 'city']) {
+      if (!address[field] || !address[field].toString().trim()) {
+        throw new LocalizedError('address.fieldRequired', { field });
+      }
+    }
+
+    const clean = {
+      region: address.region.toString().trim(),
+      district: address.district.toString().trim(),
+      city: address.city.toString().trim(),
+      neighbourhood: address.neighbourhood?.toString().trim() || null,
+      latitude: null,
+      longitude: null,
+      effectiveFrom: address.effectiveFrom ? new Date(address.effectiveFrom) : new Date()
+    };
+
+    const hasLatitude = address.latitude !== undefined && address.latitude !== null && address.latitude !== '';
+    const hasLongitude = address.longitude !== undefined && address.longitude !== null && address.longitude !== '';
+    if (hasLatitude !== hasLongitude) {
+      throw new Error('GPS coordinates need both latitude and longitude');
+    }
+    if (hasLatitude) {
+      clean.latitude = Number(address.latitude);
+      clean.longitude = Number(address.longitude);
+      if (isNaN(clean.latitude) || clean.latitude < -90 || clean.latitude > 90 ||
+        isNaN(clean.longitude) || clean.longitude < -180 || clean.longitude > 180) {
+        throw new Error('GPS coordinates are out of range');
+      }
+    }
+
+    if (isNaN(clean.effectiveFrom.getTime()) || clean.effectiveFrom > new Date()) {
+      throw new Error('Address effective date must be a valid date that is not in the future');
+    }
+
+    return clean;
+  }
+
+  /**
+   * Query conditions for citizens whose current address is in a region and/or district
+   * Names known to the reference data match by ID, so every spelling of a place is found
+   */
+  static async addressFilter(filters = {}) {
+    const query = {};
+    const exact = (value) => new RegExp(`^${value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+    let region = null;
+    if (filters.region) {
+      region = await GeographyService.findArea(filters.region, { levels: ['REGION'] });
+      if (region) {
+        query['address.regionId'] = region._id;
+      } else {
+        query['address.region'] = exact(filters.region);
+      }
+    }
+
+    if (filters.district) {
+      const district = await GeographyService.findArea(filters.district, {
+        levels: ['DISTRICT'],
+        parentIds: region ? [region._id] : null
+      });
+      if (district) {
+        query['address.districtId'] = district._id;
+      } else {
+        query['address.district'] = exact(filters.district);
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * Identity fields in `identity` whose values differ from the citizen's current ones
+   */
+  static diffIdentity(citizen, identity) {
+    const changes = {};
+    const previous = {};
+
+    for (const [field, value] of Object.entries(identity)) {
+      const current = citizen[field] ?? null;
+      const same = value instanceof Date
+        ? current instanceof Date && current.getTime() === value.getTime()
+        : current === value;
+
+      if (!same) {
+        changes[field] = value;
+        previous[field] = current;
+      }
+    }
+
+    return { changes, previous };
+  }
+
+  /**
+   * Create a citizen record and issue its national ID
+   * Registrations reach this only through approval (CitizenApplicationService.approveApplication)
+   */
+  static async createCitizen(data, userId, scope) {
+    const identity = this.validateIdentity(data);
+    const officeId = await this.resolveActiveOffice(data.officeId, scope);
+
+    let nationalId;
+    if (data.nationalId) {
+      // Pre-assigned from an offline ID block
+      const taken = await Citizen.exists({ $or: [{ nationalId: data.nationalId }, { aliases: data.nationalId }] });
+      if (taken) {
+        throw new Error('National ID is already in use');
+      }
+      nationalId = data.nationalId;
+    } else {
+      // Allocated from the counter, so concurrent registrations never get the same ID
+      nationalId = await generateNationalId(officeId);
     }
 
     // Create citizen
     const citizen = new Citizen({
       nationalId,
-      firstName: data.firstName.trim(),
-      middleName: data.middleName?.trim() || null,
-      lastName: data.lastName.trim(),
-      gender,
-      dateOfBirth,
-      placeOfBirth: data.placeOfBirth.trim(),
-      nationality: data.nationality?.trim() || 'Somali',
-      status: 'ACTIVE'
+      // IDs reserved before a change of algorithm are recorded as unchecked
+      checkDigitScheme: isValidNationalId(nationalId) ? ID_SCHEME.checkDigit : null,
+      ...identity,
+      status: 'ACTIVE',
+      officeId,
+      address: this.validateAddress(data.address),
+      birth: data.birth || null,
+      imagePath: data.imagePath || null,
+      documentPath: data.documentPath || null,
+      // A pre-assigned ID may have history from a purged record; numbering carries on from it
+      revision: data.nationalId ? await CitizenHistoryService.latestRevision(nationalId) : 0
     });
 
+    await GeographyService.resolveCitizenReferences(citizen);
     await citizen.save();
+    await CitizenHistoryService.recordRevision(citizen, null, userId, 'CREATE', {
+      applicationId: data.applicationId
+    });
+
     return this.normalizeCitizen(citizen);
   }
 
   /**
    * Get citizen by National ID
+   * A national ID retired by a merge resolves to the surviving record
    */
-  static async getCitizenByNationalId(nationalId) {
+  static async getCitizenByNationalId(nationalId, scope) {
     const citizen = await Citizen.findOne({ 
-      nationalId,
-      deletedAt: null 
+      $or: [{ nationalId }, { aliases: nationalId }],
+      deletedAt: null,
+      ...this.scopeFilter(scope)
     });
 
     if (!citizen) {
@@ -84,91 +290,172 @@ class CitizenService {
 
   /**
    * Update citizen
+   * Office changes apply immediately; changes to identity fields are filed as a
+   * correction awaiting approval and returned as `pendingCorrection`.
+   * Status changes only through death registration and reactivation (DeathService)
    */
-  static async updateCitizen(nationalId, data, userId) {
+  static async updateCitizen(nationalId, data, userId, scope) {
     const citizen = await Citizen.findOne({ 
       nationalId,
-      deletedAt: null 
+      deletedAt: null,
+      ...this.scopeFilter(scope)
     });
 
     if (!citizen) {
       throw new Error('Citizen not found');
     }
 
-    // Update allowed fields
-    if (data.firstName) citizen.firstName = data.firstName.trim();
-    if (data.middleName !== undefined) citizen.middleName = data.middleName?.trim() || null;
-    if (data.lastName) citizen.lastName = data.lastName.trim();
-    if (data.gender) {
-      const gender = data.gender.toUpperCase();
-      if (!['MALE', 'FEMALE'].includes(gender)) {
-        throw new Error("Gender must be 'MALE' or 'FEMALE'");
-      }
-      citizen.gender = gender;
+    const before = CitizenHistoryService.snapshot(citizen);
+    const identity = this.validateIdentity(data, { partial: true });
+    const { changes, previous } = this.diffIdentity(citizen, identity);
+
+    if (data.officeId && data.officeId.toString() !== citizen.officeId?.toString()) {
+      // Transfers must land inside the caller's own scope
+      citizen.officeId = await this.resolveActiveOffice(data.officeId, scope);
     }
-    if (data.dateOfBirth) {
-      const dateOfBirth = new Date(data.dateOfBirth);
-      const today = new Date();
-      const hundredYearsAgo = new Date();
-      hundredYearsAgo.setFullYear(today.getFullYear() - 100);
 
-      if (dateOfBirth > today) {
-        throw new Error('Date of birth cannot be in the future');
-      }
-      if (dateOfBirth < hundredYearsAgo) {
-        throw new Error('Date of birth cannot be more than 100 years ago');
-      }
-      citizen.dateOfBirth = dateOfBirth;
+    // File the correction first so a refused one leaves the record untouched
+    let pendingCorrection = null;
+    if (Object.keys(changes).length > 0) {
+      const CitizenApplicationService = require('./citizenApplication.service');
+      pendingCorrection = await CitizenApplicationService.createCorrection(
+        citizen,
+        changes,
+        previous,
+        userId,
+        data.correctionReason
+      );
     }
-    if (data.placeOfBirth) citizen.placeOfBirth = data.placeOfBirth.trim();
-    if (data.nationality) citizen.nationality = data.nationality.trim();
-    if (data.status) {
-      const oldStatus = citizen.status;
-      citizen.status = data.status.toUpperCase();
-      
-      // Log status change
-      if (oldStatus !== citizen.status) {
-        await StatusChangeLog.create({
-          nationalId,
-          oldStatus,
-          newStatus: citizen.status,
-          changedBy: userId
-        });
-      }
+
+    await citizen.save();
+    await CitizenHistoryService.recordRevision(citizen, before, userId, 'UPDATE');
+
+    const normalized = this.normalizeCitizen(citizen);
+    if (pendingCorrection) {
+      normalized.pendingCorrection = pendingCorrection;
     }
 
+    return normalized;
+  }
+
+  /**
+   * Apply approved identity corrections to a citizen
+   */
+  static async applyCorrection(nationalId, changes, userId, applicationId) {
+    const citizen = await Citizen.findOne({ nationalId, deletedAt: null });
+    if (!citizen) {
+      throw new Error('Citizen not found');
+    }
+
+    const before = CitizenHistoryService.snapshot(citizen);
+    const identity = this.validateIdentity(changes, { partial: true });
+    Object.assign(citizen, identity);
+
+    await GeographyService.resolveCitizenReferences(citizen);
     await citizen.save();
+    await CitizenHistoryService.recordRevision(citizen, before, userId, 'CORRECTION', { applicationId });
+
     return this.normalizeCitizen(citizen);
   }
 
   /**
    * Update citizen file paths
    */
-  static async updateCitizenFiles(nationalId, fileData) {
+  static async updateCitizenFiles(nationalId, fileData, userId) {
     const citizen = await Citizen.findOne({ nationalId, deletedAt: null });
     if (!citizen) {
       throw new Error('Citizen not found');
     }
 
+    const before = CitizenHistoryService.snapshot(citizen);
     if (fileData.imagePath) citizen.imagePath = fileData.imagePath;
     if (fileData.documentPath) citizen.documentPath = fileData.documentPath;
 
     await citizen.save();
+    await CitizenHistoryService.recordRevision(citizen, before, userId, 'FILES');
+
     return this.normalizeCitizen(citizen);
   }
 
+  /**
+   * Record a move: the new address becomes current and the old one is closed on the day it takes effect
+   * With `correction`, the current address is fixed in place instead (for mistakes, not moves)
+   */
+  static async changeAddress(nationalId, data, userId, scope, { correction = false } = {}) {
+    const citizen = await Citizen.findOne({
+      nationalId,
+      deletedAt: null,
+      ...this.scopeFilter(scope)
+    });
+
+    if (!citizen) {
+      throw new Error('Citizen not found');
+    }
+
+    const address = this.validateAddress(data);
+    const current = citizen.address;
+    const before = CitizenHistoryService.snapshot(citizen);
+
+    if (correction) {
+      if (!current) {
+        throw new Error('Citizen has no current address to correct');
+      }
+      if (!data.effectiveFrom) {
+        address.effectiveFrom = current.effectiveFrom;
+      }
+    } else if (current) {
+      if (address.effectiveFrom <= current.effectiveFrom) {
+        throw new Error('A new address must take effect after the current one');
+      }
+      citizen.previousAddresses.push({ ...current.toObject(), effectiveTo: address.effectiveFrom });
+    }
+
+    citizen.address = address;
+
+    await GeographyService.resolveCitizenReferences(citizen);
+    await citizen.save();
+    await CitizenHistoryService.recordRevision(citizen, before, userId, 'ADDRESS', {
+      comment: data.comment?.trim() || null
+    });
+
+    return this.getAddresses(nationalId, scope);
+  }
+
+  /**
+   * Current address and earlier ones (newest first)
+   */
+  static async getAddresses(nationalId, scope) {
+    const citizen = await Citizen.findOne({
+      nationalId,
+      deletedAt: null,
+      ...this.scopeFilter(scope)
+    });
+
+    if (!citizen) {
+      throw new Error('Citizen not found');
+    }
+
+    return {
+      nationalId: citizen.nationalId,
+      current: citizen.address ? this.normalizeAddress(citizen.address) : null,
+      history: citizen.previousAddresses.map(a => this.normalizeAddress(a)).reverse()
+    };
+  }
+
   /**
    * List citizens with pagination
+   * Filter by current address with `region` and `district`
    */
-  static async listCitizens(page = 1, limit = 50) {
+  static async listCitizens(page = 1, limit = 50, scope, filters = {}) {
     const skip = (page - 1) * limit;
+    const query = { deletedAt: null, ...this.scopeFilter(scope), ...await this.addressFilter(filters) };
     
     const [citizens, total] = await Promise.all([
-      Citizen.find({ deletedAt: null })
+      Citizen.find(query)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit),
-      Citizen.countDocuments({ deletedAt: null })
+      Citizen.countDocuments(query)
     ]);
 
     return {
@@ -184,12 +471,15 @@ class CitizenService {
 
   /**
    * Search citizens
+   * Filter by current address with `region` and `district`
    */
-  static async searchCitizens(query, limit = 50) {
+  static async searchCitizens(query, limit = 50, scope, filters = {}) {
     const searchRegex = new RegExp(query, 'i');
     
     const citizens = await Citizen.find({
       deletedAt: null,
+      ...this.scopeFilter(scope),
+      ...await this.addressFilter(filters),
       $or: [
         { nationalId: searchRegex },
         { firstName: searchRegex },
@@ -206,14 +496,16 @@ class CitizenService {
   /**
    * Soft delete citizen
    */
-  static async deleteCitizen(nationalId, userId) {
-    const citizen = await Citizen.findOne({ nationalId, deletedAt: null });
+  static async deleteCitizen(nationalId, userId, scope) {
+    const citizen = await Citizen.findOne({ nationalId, deletedAt: null, ...this.scopeFilter(scope) });
     if (!citizen) {
       throw new Error('Citizen not found');
     }
 
+    const before = CitizenHistoryService.snapshot(citizen);
     citizen.deletedAt = new Date();
     await citizen.save();
+    await CitizenHistoryService.recordRevision(citizen, before, userId, 'DELETE');
 
     return true;
   }
@@ -221,43 +513,59 @@ class CitizenService {
   /**
    * Restore citizen from trash
    */
-  static async restoreCitizen(nationalId) {
-    const citizen = await Citizen.findOne({ nationalId });
+  static async restoreCitizen(nationalId, scope, userId) {
+    const citizen = await Citizen.findOne({ nationalId, ...this.scopeFilter(scope) });
     if (!citizen) {
       throw new Error('Citizen not found');
     }
 
+    const before = CitizenHistoryService.snapshot(citizen);
     citizen.deletedAt = null;
     await citizen.save();
+    await CitizenHistoryService.recordRevision(citizen, before, userId, 'RESTORE');
 
     return this.normalizeCitizen(citizen);
   }
 
   /**
    * Permanently delete citizen
+   * The revision history is kept; a final PURGE revision records who removed the record.
+   * Relationships to other citizens go with it
    */
-  static async deleteCitizenPermanent(nationalId) {
-    const citizen = await Citizen.findOne({ nationalId });
+  static async deleteCitizenPermanent(nationalId, scope, userId) {
+    const citizen = await Citizen.findOne({ nationalId, ...this.scopeFilter(scope) });
     if (!citizen) {
       throw new Error('Citizen not found');
     }
 
-    await Citizen.deleteOne({ _id: citizen._id });
+    const before = CitizenHistoryService.snapshot(citizen);
+    await CitizenHistoryService.createRevision(citizen, {
+      action: 'PURGE',
+      changes: CitizenHistoryService.compare(before, null),
+      snapshot: before,
+      changedBy: userId
+    });
+
+    await Promise.all([
+      Citizen.deleteOne({ _id: citizen._id }),
+      CitizenRelationship.deleteMany({ $or: [{ nationalId }, { relatedNationalId: nationalId }] })
+    ]);
     return true;
   }
 
   /**
    * List deleted citizens (trash)
    */
-  static async listTrash(page = 1, limit = 50) {
+  static async listTrash(page = 1, limit = 50, scope) {
     const skip = (page - 1) * limit;
+    const query = { deletedAt: { $ne: null }, ...this.scopeFilter(scope) };
     
     const [citizens, total] = await Promise.all([
-      Citizen.find({ deletedAt: { $ne: null } })
+      Citizen.find(query)
         .sort({ deletedAt: -1 })
         .skip(skip)
         .limit(limit),
-      Citizen.countDocuments({ deletedAt: { $ne: null } })
+      Citizen.countDocuments(query)
     ]);
 
     return {
@@ -271,11 +579,45 @@ class CitizenService {
     };
   }
 
+  /**
+   * Normalize an address for API response
+   */
+  static normalizeAddress(address) {
+    return {
+      region: address.region,
+      district: address.district,
+      city: address.city,
+      neighbourhood: address.neighbourhood,
+      regionId: address.regionId ? address.regionId.toString() : null,
+      districtId: address.districtId ? address.districtId.toString() : null,
+      localityId: address.localityId ? address.localityId.toString() : null,
+      latitude: address.latitude,
+      longitude: address.longitude,
+      effectiveFrom: address.effectiveFrom ? address.effectiveFrom.toISOString().split('T')[0] : null,
+      effectiveTo: address.effectiveTo ? address.effectiveTo.toISOString().split('T')[0] : null
+    };
+  }
+
+  /**
+   * Normalize birth details for API response
+   */
+  static normalizeBirth(birth) {
+    return {
+      motherNationalId: birth.motherNationalId,
+      fatherNationalId: birth.fatherNationalId,
+      facilityName: birth.facilityName,
+      facilityType: birth.facilityType,
+      attendantName: birth.attendantName,
+      attendantType: birth.attendantType
+    };
+  }
+
   /**
    * Normalize citizen data for API response
    */
   static normalizeCitizen(citizen) {
     const { getFileUrl } = require('../utils/fileUpload.util');
+    const RelationshipService = require('./relationship.service');
     
     return {
       id: citizen._id.toString(),
@@ -287,8 +629,16 @@ class CitizenService {
       gender: citizen.gender,
       dateOfBirth: citizen.dateOfBirth.toISOString().split('T')[0],
       placeOfBirth: citizen.placeOfBirth,
+      placeOfBirthId: citizen.placeOfBirthId ? citizen.placeOfBirthId.toString() : null,
       nationality: citizen.nationality,
+      nationalityId: citizen.nationalityId ? citizen.nationalityId.toString() : null,
       status: citizen.status,
+      minor: RelationshipService.isMinor(citizen.dateOfBirth),
+      officeId: citizen.officeId ? citizen.officeId.toString() : null,
+      address: citizen.address ? this.normalizeAddress(citizen.address) : null,
+      birth: citizen.birth ? this.normalizeBirth(citizen.birth) : null,
+      aliases: citizen.aliases || [],
+      revision: citizen.revision || 0,
       imagePath: citizen.imagePath,
       imageUrl: citizen.imagePath ? getFileUrl(citizen.imagePath) : null,
       documentPath: citizen.documentPath,
@@ -0,0 +1,499 @@
+/**
+ * Citizen Application Service
+ * Maker-checker workflow for registrations, identity corrections and reactivations
+ */
+
+const mongoose = require('mongoose');
+const CitizenApplication = require('../models/CitizenApplication.model');
+const CitizenService = require('./citizen.service');
+const DuplicateService = require('./duplicate.service');
+
+// Applications still in progress (APPROVING while an approval is being applied)
+const OPEN_STATUSES = ['DRAFT', 'SUBMITTED', 'APPROVING'];
+
+class CitizenApplicationService {
+  /**
+   * Create a registration application (DRAFT, or SUBMITTED when `submit` is set)
+   * Offline registrations pass the `nationalId` already assigned from an ID block;
+   * birth registrations pass the `birth` details checked by BirthService
+   */
+  static async createRegistration(data, userId, scope, { submit = true, files = {}, offline = null, birth = null } = {}) {
+    const identity = CitizenService.validateIdentity(data);
+    const address = CitizenService.validateAddress(data.address);
+    const officeId = await CitizenService.resolveActiveOffice(data.officeId, scope);
+
+    const application = new CitizenApplication({
+      type: 'REGISTRATION',
+      data: address ? { ...identity, address } : identity,
+      nationalId: offline?.nationalId || null,
+      idBlockId: offline?.idBlockId || null,
+      registeredOfflineAt: offline?.registeredAt || null,
+      birth,
+      officeId,
+      imagePath: files.imagePath || null,
+      documentPath: files.documentPath || null,
+      reason: data.reason?.trim() || null,
+      createdBy: userId,
+      history: [{ action: 'CREATED', by: userId }]
+    });
+
+    let matches = [];
+    if (submit) {
+      matches = await DuplicateService.screenApplication(application);
+      this.markSubmitted(application, userId);
+    }
+
+    await application.save();
+    await DuplicateService.flagMatches(application, matches);
+
+    return this.normalizeApplication(application);
+  }
+
+  /**
+   * File a correction to a registered citizen's identity fields (submitted straight away)
+   */
+  static async createCorrection(citizen, changes, previous, userId, reason = null) {
+    const pending = await CitizenApplication.findOne({
+      type: 'CORRECTION',
+      nationalId: citizen.nationalId,
+      status: { $in: OPEN_STATUSES }
+    });
+
+    if (pending) {
+      throw new Error('A correction for this citizen is already awaiting approval');
+    }
+
+    const application = new CitizenApplication({
+      type: 'CORRECTION',
+      data: changes,
+      previousData: previous,
+      nationalId: citizen.nationalId,
+      officeId: citizen.officeId,
+      reason: reason?.trim() || null,
+      createdBy: userId,
+      history: [{ action: 'CREATED', by: userId }]
+    });
+
+    const matches = await DuplicateService.screenApplication(application);
+    this.markSubmitted(application, userId);
+
+    await application.save();
+    await DuplicateService.flagMatches(application, matches);
+
+    return this.normalizeApplication(application);
+  }
+
+  /**
+   * File the reactivation of a deceased citizen (submitted straight away)
+   * `registration` is the death registration it would revoke, if the citizen has one
+   */
+  static async createReactivation(citizen, registration, userId, reason) {
+    const pending = await CitizenApplication.findOne({
+      type: 'REACTIVATION',
+      nationalId: citizen.nationalId,
+      status: { $in: OPEN_STATUSES }
+    });
+
+    if (pending) {
+      throw new Error('A reactivation for this citizen is already awaiting approval');
+    }
+
+    const application = new CitizenApplication({
+      type: 'REACTIVATION',
+      data: {},
+      previousData: {
+        status: citizen.status,
+        deathRegistrationId: registration ? registration._id.toString() : null,
+        dateOfDeath: registration ? registration.dateOfDeath.toISOString().split('T')[0] : null
+      },
+      nationalId: citizen.nationalId,
+      officeId: citizen.officeId,
+      reason: reason.trim(),
+      createdBy: userId,
+      history: [{ action: 'CREATED', by: userId }]
+    });
+
+    this.markSubmitted(application, userId);
+    await application.save();
+
+    return this.normalizeApplication(application);
+  }
+
+  /**
+   * List applications (filter by status, type, nationalId)
+   */
+  static async listApplications(filters = {}, page = 1, limit = 50, scope) {
+    const skip = (page - 1) * limit;
+    const query = { ...CitizenService.scopeFilter(scope) };
+
+    if (filters.status) query.status = filters.status.toUpperCase();
+    if (filters.type) query.type = filters.type.toUpperCase();
+    if (filters.nationalId) query.nationalId = filters.nationalId;
+
+    const [applications, total] = await Promise.all([
+      CitizenApplication.find(query)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      CitizenApplication.countDocuments(query)
+    ]);
+
+    return {
+      data: applications.map(a => this.normalizeApplication(a)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Review queue: submitted applications the user did not prepare, oldest first
+   */
+  static async getReviewQueue(userId, page = 1, limit = 50, scope) {
+    const skip = (page - 1) * limit;
+    const query = {
+      ...CitizenService.scopeFilter(scope),
+      status: 'SUBMITTED',
+      createdBy: { $ne: userId },
+      history: {
+        $not: {
+          $elemMatch: { by: userId, action: { $in: ['UPDATED', 'SUBMITTED', 'RESUBMITTED'] } }
+        }
+      }
+    };
+
+    const [applications, total] = await Promise.all([
+      CitizenApplication.find(query)
+        .sort({ submittedAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      CitizenApplication.countDocuments(query)
+    ]);
+
+    return {
+      data: applications.map(a => this.normalizeApplication(a)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get application by ID
+   */
+  static async getApplicationById(applicationId, scope) {
+    const application = await this.findApplication(applicationId, scope);
+    return application ? this.normalizeApplication(application) : null;
+  }
+
+  /**
+   * Edit a draft or rejected registration
+   */
+  static async updateApplication(applicationId, data, userId, scope, files = {}) {
+    const application = await this.findApplication(applicationId, scope);
+    if (!application) {
+      throw new Error('Application not found');
+    }
+
+    if (!['DRAFT', 'REJECTED'].includes(application.status)) {
+      throw new Error('Only draft or rejected applications can be edited');
+    }
+
+    // Reactivations carry no identity fields; only the reason can change
+    if (application.type !== 'REACTIVATION') {
+      const identity = CitizenService.validateIdentity(data, { partial: true });
+      application.data = { ...this.getData(application), ...identity };
+    }
+
+    // Corrections keep the citizen's office and files; only the proposed values change
+    if (application.type === 'REGISTRATION') {
+      if (data.address) {
+        application.data = { ...application.data, address: CitizenService.validateAddress(data.address) };
+      }
+      if (data.officeId) {
+        application.officeId = await CitizenService.resolveActiveOffice(data.officeId, scope);
+      }
+      if (files.imagePath) application.imagePath = files.imagePath;
+      if (files.documentPath) application.documentPath = files.documentPath;
+    }
+
+    if (data.reason !== undefined) application.reason = data.reason?.trim() || null;
+
+    application.history.push({ action: 'UPDATED', by: userId });
+
+    await application.save();
+    return this.normalizeApplication(application);
+  }
+
+  /**
+   * Submit a draft, or resubmit a rejected application
+   */
+  static async submitApplication(applicationId, userId, scope) {
+    const application = await this.findApplication(applicationId, scope);
+    if (!application) {
+      throw new Error('Application not found');
+    }
+
+    if (!['DRAFT', 'REJECTED'].includes(application.status)) {
+      throw new Error('Only draft or rejected applications can be submitted');
+    }
+
+    // Re-validate in case the rules changed while the application sat in draft
+    if (application.type === 'REGISTRATION') {
+      CitizenService.validateIdentity(this.getData(application));
+    }
+    if (application.type === 'REACTIVATION' && !application.reason) {
+      throw new Error('Reactivation reason is required');
+    }
+    if (application.birth) {
+      const BirthService = require('./birth.service');
+      await BirthService.assertBirth(this.getData(application), application.birth);
+    }
+
+    const matches = await DuplicateService.screenApplication(application);
+    this.markSubmitted(application, userId);
+
+    await application.save();
+    await DuplicateService.flagMatches(application, matches);
+
+    return this.normalizeApplication(application);
+  }
+
+  /**
+   * Approve a submitted application
+   * Registrations get their national ID here; corrections are applied to the citizen and
+   * reactivations revoke its death registration. Any possible duplicates must have been adjudicated first
+   */
+  static async approveApplication(applicationId, userId, scope, comment = null) {
+    const application = await this.findApplication(applicationId, scope);
+    if (!application) {
+      throw new Error('Application not found');
+    }
+
+    this.assertReviewable(application, userId);
+
+    // Claim the application so that concurrent approvals cannot both apply it
+    const claimed = await CitizenApplication.findOneAndUpdate(
+      { _id: application._id, status: 'SUBMITTED' },
+      { status: 'APPROVING' },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new Error('Only submitted applications can be reviewed');
+    }
+
+    let citizen = null;
+    try {
+      // Citizens registered since submission may match too
+      const matches = await DuplicateService.screenApplication(claimed, { block: false });
+      await DuplicateService.flagMatches(claimed, matches);
+      await DuplicateService.assertCleared(claimed._id);
+
+      // Parents may have changed (or been merged) since a birth was filed
+      const BirthService = require('./birth.service');
+      const parents = claimed.birth
+        ? await BirthService.assertBirth(this.getData(claimed), claimed.birth)
+        : null;
+
+      if (claimed.type === 'REGISTRATION') {
+        citizen = await CitizenService.createCitizen({
+          ...this.getData(claimed),
+          officeId: claimed.officeId,
+          imagePath: claimed.imagePath,
+          documentPath: claimed.documentPath,
+          nationalId: claimed.nationalId,
+          birth: claimed.birth,
+          applicationId: claimed._id
+        }, userId);
+
+        if (parents) {
+          await BirthService.linkParents(citizen, parents, userId);
+        }
+        claimed.nationalId = citizen.nationalId;
+      } else if (claimed.type === 'REACTIVATION') {
+        const DeathService = require('./death.service');
+        citizen = await DeathService.reactivate(
+          claimed.nationalId,
+          claimed.reason,
+          userId,
+          claimed._id
+        );
+      } else {
+        citizen = await CitizenService.applyCorrection(
+          claimed.nationalId,
+          this.getData(claimed),
+          userId,
+          claimed._id
+        );
+      }
+    } catch (error) {
+      await this.releaseApproval(claimed, citizen, userId);
+      throw error;
+    }
+
+    claimed.status = 'APPROVED';
+    claimed.reviewedBy = userId;
+    claimed.reviewedAt = new Date();
+    claimed.rejectionReason = null;
+    claimed.history.push({ action: 'APPROVED', by: userId, comment: comment?.trim() || null });
+
+    await claimed.save();
+
+    return {
+      application: this.normalizeApplication(claimed),
+      citizen
+    };
+  }
+
+  /**
+   * Undo a failed approval: a citizen created for a registration is purged
+   * (its history records the removal) and the application is back in the queue
+   */
+  static async releaseApproval(application, citizen, userId) {
+    if (application.type === 'REGISTRATION' && citizen) {
+      await CitizenService.deleteCitizenPermanent(citizen.nationalId, { national: true }, userId);
+    }
+
+    await CitizenApplication.updateOne(
+      { _id: application._id, status: 'APPROVING' },
+      { status: 'SUBMITTED' }
+    );
+  }
+
+  /**
+   * Reject a submitted application with a reason
+   */
+  static async rejectApplication(applicationId, userId, scope, reason) {
+    if (!reason || !reason.trim()) {
+      throw new Error('Rejection reason is required');
+    }
+
+    const application = await this.findApplication(applicationId, scope);
+    if (!application) {
+      throw new Error('Application not found');
+    }
+
+    this.assertReviewable(application, userId);
+
+    // Only a still-submitted application can be rejected, so a concurrent approval or
+    // rejection cannot be overwritten
+    const rejected = await CitizenApplication.findOneAndUpdate(
+      { _id: application._id, status: 'SUBMITTED' },
+      {
+        $set: {
+          status: 'REJECTED',
+          reviewedBy: userId,
+          reviewedAt: new Date(),
+          rejectionReason: reason.trim()
+        },
+        $push: { history: { action: 'REJECTED', by: userId, comment: reason.trim() } }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!rejected) {
+      throw new Error('Only submitted applications can be reviewed');
+    }
+
+    return this.normalizeApplication(rejected);
+  }
+
+  /**
+   * Check that an application is waiting for review and the reviewer is not one of its makers
+   */
+  static assertReviewable(application, userId) {
+    if (application.status !== 'SUBMITTED') {
+      throw new Error('Only submitted applications can be reviewed');
+    }
+
+    if (application.getMakerIds().includes(userId.toString())) {
+      throw new Error('You cannot review an application you prepared or submitted');
+    }
+  }
+
+  /**
+   * Move an application to SUBMITTED and record who did it
+   */
+  static markSubmitted(application, userId) {
+    const resubmission = application.status === 'REJECTED';
+
+    application.status = 'SUBMITTED';
+    application.submittedAt = new Date();
+    application.reviewedBy = null;
+    application.reviewedAt = null;
+    application.history.push({ action: resubmission ? 'RESUBMITTED' : 'SUBMITTED', by: userId });
+  }
+
+  /**
+   * Load an application within the caller's office scope
+   */
+  static async findApplication(applicationId, scope) {
+    if (!mongoose.Types.ObjectId.isValid(applicationId)) {
+      return null;
+    }
+
+    return await CitizenApplication.findOne({
+      _id: applicationId,
+      ...CitizenService.scopeFilter(scope)
+    });
+  }
+
+  /**
+   * Proposed identity fields as a plain object
+   */
+  static getData(application) {
+    return application.toObject().data || {};
+  }
+
+  /**
+   * Normalize application data for API response
+   */
+  static normalizeApplication(application) {
+    const { getFileUrl } = require('../utils/fileUpload.util');
+    const data = this.getData(application);
+
+    if (data.dateOfBirth instanceof Date) {
+      data.dateOfBirth = data.dateOfBirth.toISOString().split('T')[0];
+    }
+
+    return {
+      id: application._id.toString(),
+      type: application.type,
+      status: application.status,
+      data,
+      previousData: application.previousData,
+      nationalId: application.nationalId,
+      officeId: application.officeId ? application.officeId.toString() : null,
+      imagePath: application.imagePath,
+      imageUrl: application.imagePath ? getFileUrl(application.imagePath) : null,
+      documentPath: application.documentPath,
+      documentUrl: application.documentPath ? getFileUrl(application.documentPath) : null,
+      idBlockId: application.idBlockId ? application.idBlockId.toString() : null,
+      registeredOfflineAt: application.registeredOfflineAt,
+      birth: application.birth,
+      reason: application.reason,
+      rejectionReason: application.rejectionReason,
+      createdBy: application.createdBy.toString(),
+      submittedAt: application.submittedAt,
+      reviewedBy: application.reviewedBy ? application.reviewedBy.toString() : null,
+      reviewedAt: application.reviewedAt,
+      history: application.history.map(event => ({
+        action: event.action,
+        by: event.by.toString(),
+        at: event.at,
+        comment: event.comment
+      })),
+      createdAt: application.createdAt,
+      updatedAt: application.updatedAt
+    };
+  }
+}
+
+CitizenApplicationService.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = CitizenApplicationService;
@@ -0,0 +1,330 @@
+/**
+ * Citizen History Service
+ * Field-level revision history, diffs and reverts for citizen records
+ */
+
+const Citizen = require('../models/Citizen.model');
+const CitizenRevision = require('../models/CitizenRevision.model');
+
+// Fields recorded in every revision snapshot
+const TRACKED_FIELDS = [
+  'firstName', 'middleName', 'lastName', 'gender', 'dateOfBirth', 'placeOfBirth',
+  'nationality', 'status', 'officeId', 'address', 'imagePath', 'documentPath', 'deletedAt'
+];
+
+// Fields a revert restores (files may no longer exist on disk; deletion goes through the trash,
+// and status through death registration and reactivation)
+const REVERTIBLE_FIELDS = [
+  'firstName', 'middleName', 'lastName', 'gender', 'dateOfBirth', 'placeOfBirth',
+  'nationality', 'officeId'
+];
+
+class CitizenHistoryService {
+  /**
+   * Tracked field values in a comparable, JSON-safe form
+   */
+  static snapshot(citizen) {
+    const values = {};
+
+    for (const field of TRACKED_FIELDS) {
+      const value = citizen[field];
+
+      if (value === undefined || value === null) {
+        values[field] = null;
+      } else if (field === 'dateOfBirth') {
+        values[field] = value.toISOString().split('T')[0];
+      } else if (field === 'address') {
+        values[field] = this.formatAddress(value);
+      } else if (value instanceof Date) {
+        values[field] = value.toISOString();
+      } else {
+        values[field] = value.toString();
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * One-line form of an address, e.g. "Taleex, Mogadishu, Hodan, Banadir (2.0469, 45.3182) from 2024-03-01"
+   */
+  static formatAddress(address) {
+    const parts = [address.neighbourhood, address.city, address.district, address.region].filter(Boolean);
+    let line = parts.join(', ');
+
+    if (address.latitude !== null && address.latitude !== undefined &&
+      address.longitude !== null && address.longitude !== undefined) {
+      line += ` (${address.latitude}, ${address.longitude})`;
+    }
+    if (address.effectiveFrom) {
+      line += ` from ${new Date(address.effectiveFrom).toISOString().split('T')[0]}`;
+    }
+
+    return line;
+  }
+
+  /**
+   * Field changes between two snapshots
+   */
+  static compare(before, after) {
+    return TRACKED_FIELDS
+      .filter(field => (before?.[field] ?? null) !== (after?.[field] ?? null))
+      .map(field => ({
+        field,
+        before: before?.[field] ?? null,
+        after: after?.[field] ?? null
+      }));
+  }
+
+  /**
+   * Record a revision for a citizen that was just saved
+   * `before` is the snapshot taken before the change (null for a new record).
+   * Returns the revision, or null when no tracked field changed.
+   */
+  static async recordRevision(citizen, before, userId, action, options = {}) {
+    const after = this.snapshot(citizen);
+    const changes = this.compare(before, after);
+
+    if (changes.length === 0 && action !== 'CREATE') {
+      return null;
+    }
+
+    // Records that predate history tracking get a baseline so they can be reverted to
+    if (before && !citizen.revision) {
+      await this.createRevision(citizen, {
+        action: 'BASELINE',
+        changes: [],
+        snapshot: before,
+        changedBy: userId,
+        comment: 'State before history tracking'
+      });
+    }
+
+    return await this.createRevision(citizen, {
+      action,
+      changes,
+      snapshot: after,
+      changedBy: userId,
+      comment: options.comment || null,
+      applicationId: options.applicationId || null,
+      revertedFrom: options.revertedFrom ?? null
+    });
+  }
+
+  /**
+   * Allocate the next revision number and store the revision
+   */
+  static async createRevision(citizen, data) {
+    const counter = await Citizen.findOneAndUpdate(
+      { _id: citizen._id },
+      { $inc: { revision: 1 } },
+      { new: true, projection: { revision: 1 } }
+    );
+
+    if (!counter) {
+      throw new Error('Citizen not found');
+    }
+
+    return await CitizenRevision.create({
+      nationalId: citizen.nationalId,
+      revision: counter.revision,
+      ...data
+    });
+  }
+
+  /**
+   * Highest revision number recorded for a national ID (0 when there is none)
+   */
+  static async latestRevision(nationalId) {
+    const latest = await CitizenRevision.findOne({ nationalId }).sort({ revision: -1 }).select('revision');
+    return latest ? latest.revision : 0;
+  }
+
+  /**
+   * Check the citizen exists (including trashed and merged records) within the caller's scope
+   */
+  static async assertAccessible(nationalId, scope) {
+    const CitizenService = require('./citizen.service');
+    // Retired IDs keep their history and are visible through the surviving record
+    const exists = await Citizen.exists({
+      $or: [{ nationalId }, { aliases: nationalId }],
+      ...CitizenService.scopeFilter(scope)
+    });
+
+    if (!exists) {
+      throw new Error('Citizen not found');
+    }
+  }
+
+  /**
+   * List a citizen's revisions, newest first
+   */
+  static async getHistory(nationalId, page = 1, limit = 50, scope) {
+    await this.assertAccessible(nationalId, scope);
+
+    const skip = (page - 1) * limit;
+    const [revisions, total] = await Promise.all([
+      CitizenRevision.find({ nationalId })
+        .sort({ revision: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('changedBy', 'username'),
+      CitizenRevision.countDocuments({ nationalId })
+    ]);
+
+    return {
+      data: revisions.map(r => this.normalizeRevision(r)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get one revision, including its full snapshot
+   */
+  static async getRevision(nationalId, revision, scope) {
+    await this.assertAccessible(nationalId, scope);
+
+    const found = await CitizenRevision.findOne({ nationalId, revision })
+      .populate('changedBy', 'username');
+
+    return found ? this.normalizeRevision(found, { includeSnapshot: true }) : null;
+  }
+
+  /**
+   * Field differences between two revisions
+   */
+  static async diffRevisions(nationalId, fromRevision, toRevision, scope) {
+    await this.assertAccessible(nationalId, scope);
+
+    const [from, to] = await Promise.all([
+      CitizenRevision.findOne({ nationalId, revision: fromRevision }),
+      CitizenRevision.findOne({ nationalId, revision: toRevision })
+    ]);
+
+    if (!from || !to) {
+      throw new Error('Revision not found');
+    }
+
+    return {
+      nationalId,
+      from: fromRevision,
+      to: toRevision,
+      changes: this.compare(from.snapshot, to.snapshot)
+    };
+  }
+
+  /**
+   * Restore a citizen's fields to an earlier revision
+   * The office is restored at once (recorded as a REVERT revision) and must be within the
+   * caller's reach; identity fields are filed as a correction, which is screened for
+   * duplicates and only applied once approved (returned as `pendingCorrection`)
+   */
+  static async revertToRevision(nationalId, revision, userId, scope, reason) {
+    if (!reason || !reason.trim()) {
+      throw new Error('Revert reason is required');
+    }
+
+    const CitizenService = require('./citizen.service');
+    const citizen = await Citizen.findOne({
+      nationalId,
+      deletedAt: null,
+      ...CitizenService.scopeFilter(scope)
+    });
+
+    if (!citizen) {
+      throw new Error('Citizen not found');
+    }
+
+    const target = await CitizenRevision.findOne({ nationalId, revision });
+    if (!target) {
+      throw new Error('Revision not found');
+    }
+
+    const before = this.snapshot(citizen);
+    const restore = {};
+    REVERTIBLE_FIELDS.forEach(field => {
+      if (target.snapshot[field] !== undefined && target.snapshot[field] !== before[field]) {
+        restore[field] = target.snapshot[field];
+      }
+    });
+
+    const identity = CitizenService.validateIdentity(restore, { partial: true });
+    const { changes, previous } = CitizenService.diffIdentity(citizen, identity);
+
+    // Records are not taken back out of every office (revisions from before offices existed)
+    const officeChanged = !!restore.officeId;
+    if (Object.keys(changes).length === 0 && !officeChanged) {
+      throw new Error('Citizen already matches this revision');
+    }
+
+    // Transfers must land inside the caller's own scope
+    if (officeChanged) {
+      citizen.officeId = await CitizenService.resolveActiveOffice(restore.officeId, scope);
+    }
+
+    // File the correction first so a refused one leaves the record untouched
+    let pendingCorrection = null;
+    if (Object.keys(changes).length > 0) {
+      const CitizenApplicationService = require('./citizenApplication.service');
+      pendingCorrection = await CitizenApplicationService.createCorrection(
+        citizen,
+        changes,
+        previous,
+        userId,
+        `Revert to revision ${revision}: ${reason.trim()}`
+      );
+    }
+
+    let recorded = null;
+    if (officeChanged) {
+      await citizen.save();
+      recorded = await this.recordRevision(citizen, before, userId, 'REVERT', {
+        comment: reason.trim(),
+        revertedFrom: revision
+      });
+    }
+
+    return {
+      citizen: CitizenService.normalizeCitizen(citizen),
+      revision: recorded ? this.normalizeRevision(recorded) : null,
+      pendingCorrection
+    };
+  }
+
+  /**
+   * Normalize revision data for API response
+   */
+  static normalizeRevision(revision, { includeSnapshot = false } = {}) {
+    const changedBy = revision.changedBy;
+    const normalized = {
+      id: revision._id.toString(),
+      nationalId: revision.nationalId,
+      revision: revision.revision,
+      action: revision.action,
+      changes: revision.changes.map(change => ({
+        field: change.field,
+        before: change.before,
+        after: change.after
+      })),
+      changedBy: changedBy?._id ? changedBy._id.toString() : changedBy?.toString() || null,
+      changedByUsername: changedBy?.username || null,
+      changedAt: revision.changedAt,
+      comment: revision.comment,
+      applicationId: revision.applicationId ? revision.applicationId.toString() : null,
+      revertedFrom: revision.revertedFrom
+    };
+
+    if (includeSnapshot) {
+      normalized.snapshot = revision.snapshot;
+    }
+
+    return normalized;
+  }
+}
+
+module.exports = CitizenHistoryService;
@@ -0,0 +1,497 @@
+/**
+ * Citizen Merge Service
+ * Merges duplicate citizen records into a surviving national ID, and splits wrong merges
+ */
+
+const mongoose = require('mongoose');
+const Citizen = require('../models/Citizen.model');
+const CitizenMerge = require('../models/CitizenMerge.model');
+const CitizenApplication = require('../models/CitizenApplication.model');
+const Activity = require('../models/Activity.model');
+const StatusChangeLog = require('../models/StatusChangeLog.model');
+const DeathRegistration = require('../models/DeathRegistration.model');
+const CitizenService = require('./citizen.service');
+const CitizenHistoryService = require('./citizenHistory.service');
+const RelationshipService = require('./relationship.service');
+const GeographyService = require('./geography.service');
+const { LocalizedError } = require('../utils/i18n.util');
+
+// Fields combined by a merge; files move with the record they are chosen from.
+// Status is not one of them: it only changes through death registration and reactivation
+const MERGE_FIELDS = [
+  'firstName', 'middleName', 'lastName', 'gender', 'dateOfBirth', 'placeOfBirth',
+  'nationality', 'officeId', 'address', 'imagePath', 'documentPath'
+];
+
+class CitizenMergeService {
+  /**
+   * Load an active citizen within the caller's scope
+   */
+  static async findCitizen(nationalId, scope) {
+    const citizen = await Citizen.findOne({
+      nationalId,
+      deletedAt: null,
+      ...CitizenService.scopeFilter(scope)
+    });
+
+    if (!citizen) {
+      throw new LocalizedError('citizen.notFoundById', { nationalId });
+    }
+
+    return citizen;
+  }
+
+  /**
+   * Work out which fields conflict and which the survivor can simply take from the retired record
+   */
+  static planMerge(survivor, retired) {
+    const survivorValues = CitizenHistoryService.snapshot(survivor);
+    const retiredValues = CitizenHistoryService.snapshot(retired);
+    const conflicts = [];
+    const autoFilled = [];
+
+    MERGE_FIELDS.forEach(field => {
+      const survivorValue = survivorValues[field];
+      const retiredValue = retiredValues[field];
+
+      if (retiredValue === null || survivorValue === retiredValue) {
+        return;
+      }
+
+      if (survivorValue === null) {
+        autoFilled.push(field);
+      } else {
+        conflicts.push({ field, survivor: survivorValue, retired: retiredValue });
+      }
+    });
+
+    return { conflicts, autoFilled };
+  }
+
+  /**
+   * Preview a merge: the conflicts that need a choice and the fields filled automatically
+   */
+  static async previewMerge(survivorNationalId, retiredNationalId, scope) {
+    const [survivor, retired] = await this.loadPair(survivorNationalId, retiredNationalId, scope);
+    const plan = this.planMerge(survivor, retired);
+
+    return {
+      survivor: CitizenService.normalizeCitizen(survivor),
+      retired: CitizenService.normalizeCitizen(retired),
+      conflicts: plan.conflicts,
+      autoFilled: plan.autoFilled
+    };
+  }
+
+  /**
+   * Load and check both sides of a merge
+   */
+  static async loadPair(survivorNationalId, retiredNationalId, scope) {
+    if (survivorNationalId === retiredNationalId) {
+      throw new Error('A citizen cannot be merged with itself');
+    }
+
+    return await Promise.all([
+      this.findCitizen(survivorNationalId, scope),
+      this.findCitizen(retiredNationalId, scope)
+    ]);
+  }
+
+  /**
+   * Merge the retired citizen into the survivor
+   * `choices` maps each conflicting field to SURVIVOR or RETIRED; every conflict needs one
+   */
+  static async mergeCitizens(survivorNationalId, retiredNationalId, choices = {}, userId, scope, reason) {
+    if (!reason || !reason.trim()) {
+      throw new Error('Merge reason is required');
+    }
+
+    const [survivor, retired] = await this.loadPair(survivorNationalId, retiredNationalId, scope);
+
+    const openApplication = await CitizenApplication.exists({
+      nationalId: { $in: [survivorNationalId, retiredNationalId] },
+      status: { $in: ['DRAFT', 'SUBMITTED', 'APPROVING'] }
+    });
+    if (openApplication) {
+      throw new Error('Resolve open applications for these citizens before merging');
+    }
+
+    if (survivor.status !== retired.status) {
+      throw new Error('Register the death or reactivate the record so both citizens have the same status before merging');
+    }
+
+    const { conflicts, autoFilled } = this.planMerge(survivor, retired);
+
+    const missing = conflicts.filter(c => !['SURVIVOR', 'RETIRED'].includes(choices[c.field]));
+    if (missing.length > 0) {
+      throw new LocalizedError('merge.choicesMissing', { fields: missing.map(c => c.field).join(', ') });
+    }
+
+    // Both records stay locked until the merge is done, so the same record cannot be
+    // retired twice or be retired while it is taking in another one
+    const mergeId = new mongoose.Types.ObjectId();
+    await this.lockForMerge([retired, survivor], mergeId);
+
+    let merge;
+    // What has been done so far, for undoing a merge that fails partway
+    const progress = {};
+    try {
+      const takenFields = [
+        ...autoFilled,
+        ...conflicts.filter(c => choices[c.field] === 'RETIRED').map(c => c.field)
+      ];
+
+      // Survivor takes the chosen values and keeps every retired ID as an alias
+      const survivorBefore = survivor.toObject();
+      const before = CitizenHistoryService.snapshot(survivor);
+
+      takenFields.forEach(field => {
+        survivor[field] = retired[field];
+      });
+      survivor.aliases = [...new Set([...survivor.aliases, retiredNationalId, ...retired.aliases])];
+
+      await GeographyService.resolveCitizenReferences(survivor);
+      await survivor.save();
+      progress.survivorBefore = survivorBefore;
+      progress.takenFields = takenFields;
+
+      progress.survivorRevision = await CitizenHistoryService.recordRevision(survivor, before, userId, 'MERGE', {
+        comment: `Merged ${retiredNationalId}: ${reason.trim()}`
+      });
+
+      // Re-point status logs, death registrations and activity references to the surviving ID
+      const [statusLogs, deaths, activities, survivorDeath] = await Promise.all([
+        StatusChangeLog.find({ nationalId: retiredNationalId }).select('_id'),
+        DeathRegistration.find({ nationalId: retiredNationalId }).select('_id status'),
+        Activity.find({ entityType: 'citizen', entityId: retiredNationalId }).select('_id'),
+        DeathRegistration.exists({ nationalId: survivorNationalId, status: 'REGISTERED' })
+      ]);
+      const movedStatusLogIds = statusLogs.map(log => log._id);
+      const movedActivityIds = activities.map(activity => activity._id);
+
+      // A survivor already registered as deceased keeps its own registration in effect;
+      // the retired one's stays under the retired ID
+      const movedDeathRegistrationIds = deaths
+        .filter(death => !(survivorDeath && death.status === 'REGISTERED'))
+        .map(death => death._id);
+
+      progress.moved = { movedStatusLogIds, movedDeathRegistrationIds, movedActivityIds };
+      await Promise.all([
+        StatusChangeLog.updateMany({ _id: { $in: movedStatusLogIds } }, { nationalId: survivorNationalId }),
+        DeathRegistration.updateMany({ _id: { $in: movedDeathRegistrationIds } }, { nationalId: survivorNationalId }),
+        Activity.updateMany({ _id: { $in: movedActivityIds } }, { entityId: survivorNationalId })
+      ]);
+
+      const relationships = await RelationshipService.reassignForMerge(retiredNationalId, survivorNationalId);
+      progress.relationships = relationships;
+
+      // Retire the merged record; its history stays under its own ID
+      const retiredRevision = await CitizenHistoryService.createRevision(retired, {
+        action: 'MERGE',
+        changes: [],
+        snapshot: CitizenHistoryService.snapshot(retired),
+        changedBy: userId,
+        comment: `Merged into ${survivorNationalId}: ${reason.trim()}`
+      });
+
+      progress.retiredRevision = retiredRevision;
+
+      const retiredRecord = retired.toObject();
+      retiredRecord.revision = retiredRevision.revision;
+
+      merge = await CitizenMerge.create({
+        _id: mergeId,
+        survivorNationalId,
+        retiredNationalId,
+        officeId: survivor.officeId,
+        choices: Object.fromEntries(conflicts.map(c => [c.field, choices[c.field]])),
+        takenFields,
+        survivorBefore,
+        retiredRecord,
+        movedStatusLogIds,
+        movedDeathRegistrationIds,
+        movedActivityIds,
+        movedRelationshipPairIds: relationships.movedPairIds,
+        removedRelationships: relationships.removed,
+        reason: reason.trim(),
+        mergedBy: userId
+      });
+
+      progress.merge = merge;
+
+      await Citizen.deleteOne({ _id: retired._id });
+    } catch (error) {
+      await this.rollbackMerge(survivor, retired, progress, userId);
+      throw error;
+    } finally {
+      await this.unlockForMerge(mergeId);
+    }
+
+    return {
+      merge: this.normalizeMerge(merge),
+      citizen: CitizenService.normalizeCitizen(survivor)
+    };
+  }
+
+  /**
+   * Undo whatever a failed merge got through, in reverse order
+   * Revisions are append-only, so the history records the rollback instead of losing the merge
+   */
+  static async rollbackMerge(survivor, retired, progress, userId) {
+    const survivorNationalId = survivor.nationalId;
+    const retiredNationalId = retired.nationalId;
+
+    if (progress.merge) {
+      await CitizenMerge.deleteOne({ _id: progress.merge._id });
+    }
+
+    if (progress.retiredRevision) {
+      await CitizenHistoryService.createRevision(retired, {
+        action: 'REVERT',
+        changes: [],
+        snapshot: CitizenHistoryService.snapshot(retired),
+        changedBy: userId,
+        comment: `Merge into ${survivorNationalId} did not complete`,
+        revertedFrom: progress.retiredRevision.revision - 1 || null
+      });
+    }
+
+    if (progress.relationships) {
+      await RelationshipService.restoreForSplit(
+        retiredNationalId,
+        survivorNationalId,
+        progress.relationships.movedPairIds,
+        progress.relationships.removed
+      );
+    }
+
+    if (progress.moved) {
+      await Promise.all([
+        StatusChangeLog.updateMany({ _id: { $in: progress.moved.movedStatusLogIds } }, { nationalId: retiredNationalId }),
+        DeathRegistration.updateMany({ _id: { $in: progress.moved.movedDeathRegistrationIds } }, { nationalId: retiredNationalId }),
+        Activity.updateMany({ _id: { $in: progress.moved.movedActivityIds } }, { entityId: retiredNationalId })
+      ]);
+    }
+
+    if (progress.survivorBefore) {
+      const current = await Citizen.findById(survivor._id);
+      if (!current) {
+        return;
+      }
+
+      const before = CitizenHistoryService.snapshot(current);
+      progress.takenFields.forEach(field => {
+        current[field] = progress.survivorBefore[field] ?? null;
+      });
+      current.aliases = progress.survivorBefore.aliases || [];
+
+      await GeographyService.resolveCitizenReferences(current);
+      await current.save();
+
+      // Without a MERGE revision the history never showed the merged values
+      if (progress.survivorRevision) {
+        await CitizenHistoryService.recordRevision(current, before, userId, 'REVERT', {
+          comment: `Merge of ${retiredNationalId} did not complete`,
+          revertedFrom: progress.survivorRevision.revision - 1 || null
+        });
+      }
+    }
+  }
+
+  /**
+   * Lock citizens for a merge; fails if any of them is deleted or locked by another merge
+   */
+  static async lockForMerge(citizens, mergeId) {
+    for (const citizen of citizens) {
+      const locked = await Citizen.findOneAndUpdate(
+        { _id: citizen._id, deletedAt: null, mergeLock: null },
+        { mergeLock: mergeId },
+        { timestamps: false }
+      );
+
+      if (!locked) {
+        await this.unlockForMerge(mergeId);
+        throw new Error('One of these citizens is already being merged');
+      }
+    }
+  }
+
+  /**
+   * Release the locks a merge holds (the retired record is gone once it succeeds)
+   */
+  static async unlockForMerge(mergeId) {
+    await Citizen.updateMany({ mergeLock: mergeId }, { mergeLock: null }, { timestamps: false });
+  }
+
+  /**
+   * Undo a merge: restore the retired record and give back what the survivor took from it
+   * Fields the survivor has changed since the merge are left alone and reported as kept
+   */
+  static async splitMerge(mergeId, userId, scope, reason) {
+    if (!reason || !reason.trim()) {
+      throw new Error('Split reason is required');
+    }
+
+    const merge = await this.findMerge(mergeId, scope);
+    if (!merge) {
+      throw new Error('Merge not found');
+    }
+
+    if (merge.status !== 'MERGED') {
+      throw new Error('Merge has already been split');
+    }
+
+    const survivor = await Citizen.findOne({ nationalId: merge.survivorNationalId, deletedAt: null });
+    if (!survivor) {
+      throw new Error('The surviving citizen no longer exists or is deleted');
+    }
+
+    const retiredRecord = merge.retiredRecord;
+    if (await Citizen.exists({ $or: [{ nationalId: merge.retiredNationalId }, { _id: retiredRecord._id }] })) {
+      throw new LocalizedError('merge.nationalIdInUse', { nationalId: merge.retiredNationalId });
+    }
+
+    // Give back taken fields the survivor still holds unchanged
+    const before = CitizenHistoryService.snapshot(survivor);
+    const retiredValues = CitizenHistoryService.snapshot(retiredRecord);
+    const keptFields = [];
+
+    // Merges made before status was left out of them may list it; it is never given back
+    merge.takenFields.filter(field => MERGE_FIELDS.includes(field)).forEach(field => {
+      if (before[field] === retiredValues[field]) {
+        survivor[field] = merge.survivorBefore[field] ?? null;
+      } else {
+        keptFields.push(field);
+      }
+    });
+
+    const retiredAliases = [merge.retiredNationalId, ...(retiredRecord.aliases || [])];
+    survivor.aliases = survivor.aliases.filter(alias => !retiredAliases.includes(alias));
+
+    await GeographyService.resolveCitizenReferences(survivor);
+    await survivor.save();
+
+    await CitizenHistoryService.recordRevision(survivor, before, userId, 'SPLIT', {
+      comment: `Split ${merge.retiredNationalId} back out: ${reason.trim()}`
+    });
+
+    // Recreate the retired record exactly as it was
+    const restored = new Citizen(retiredRecord);
+    await restored.save({ timestamps: false });
+
+    await CitizenHistoryService.createRevision(restored, {
+      action: 'SPLIT',
+      changes: CitizenHistoryService.compare(null, CitizenHistoryService.snapshot(restored)),
+      snapshot: CitizenHistoryService.snapshot(restored),
+      changedBy: userId,
+      comment: `Split from ${merge.survivorNationalId}: ${reason.trim()}`
+    });
+
+    await Promise.all([
+      StatusChangeLog.updateMany({ _id: { $in: merge.movedStatusLogIds } }, { nationalId: merge.retiredNationalId }),
+      DeathRegistration.updateMany({ _id: { $in: merge.movedDeathRegistrationIds } }, { nationalId: merge.retiredNationalId }),
+      Activity.updateMany({ _id: { $in: merge.movedActivityIds } }, { entityId: merge.retiredNationalId })
+    ]);
+
+    await RelationshipService.restoreForSplit(
+      merge.retiredNationalId,
+      merge.survivorNationalId,
+      merge.movedRelationshipPairIds,
+      merge.removedRelationships
+    );
+
+    merge.status = 'SPLIT';
+    merge.splitBy = userId;
+    merge.splitAt = new Date();
+    merge.splitReason = reason.trim();
+    merge.keptFields = keptFields;
+    await merge.save();
+
+    return {
+      merge: this.normalizeMerge(merge),
+      survivor: CitizenService.normalizeCitizen(survivor),
+      restored: CitizenService.normalizeCitizen(restored)
+    };
+  }
+
+  /**
+   * List merges (filter by status, nationalId)
+   */
+  static async listMerges(filters = {}, page = 1, limit = 50, scope) {
+    const skip = (page - 1) * limit;
+    const query = { ...CitizenService.scopeFilter(scope) };
+
+    if (filters.status) query.status = filters.status.toUpperCase();
+    if (filters.nationalId) {
+      query.$or = [
+        { survivorNationalId: filters.nationalId },
+        { retiredNationalId: filters.nationalId }
+      ];
+    }
+
+    const [merges, total] = await Promise.all([
+      CitizenMerge.find(query)
+        .sort({ mergedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      CitizenMerge.countDocuments(query)
+    ]);
+
+    return {
+      data: merges.map(m => this.normalizeMerge(m)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get merge by ID
+   */
+  static async getMergeById(mergeId, scope) {
+    const merge = await this.findMerge(mergeId, scope);
+    return merge ? this.normalizeMerge(merge) : null;
+  }
+
+  /**
+   * Load a merge within the caller's office scope
+   */
+  static async findMerge(mergeId, scope) {
+    if (!mongoose.Types.ObjectId.isValid(mergeId)) {
+      return null;
+    }
+
+    return await CitizenMerge.findOne({ _id: mergeId, ...CitizenService.scopeFilter(scope) });
+  }
+
+  /**
+   * Normalize merge data for API response
+   */
+  static normalizeMerge(merge) {
+    return {
+      id: merge._id.toString(),
+      survivorNationalId: merge.survivorNationalId,
+      retiredNationalId: merge.retiredNationalId,
+      officeId: merge.officeId ? merge.officeId.toString() : null,
+      status: merge.status,
+      choices: merge.choices || {},
+      takenFields: merge.takenFields,
+      movedStatusLogs: merge.movedStatusLogIds.length,
+      movedDeathRegistrations: merge.movedDeathRegistrationIds.length,
+      movedActivities: merge.movedActivityIds.length,
+      movedRelationships: merge.movedRelationshipPairIds.length,
+      reason: merge.reason,
+      mergedBy: merge.mergedBy.toString(),
+      mergedAt: merge.mergedAt,
+      splitBy: merge.splitBy ? merge.splitBy.toString() : null,
+      splitAt: merge.splitAt,
+      splitReason: merge.splitReason,
+      keptFields: merge.keptFields
+    };
+  }
+}
+
+module.exports = CitizenMergeService;
@@ -0,0 +1,302 @@
+/**
+ * Death Service
+ * Death registration and the approved reactivation of records registered as deceased
+ */
+
+const Citizen = require('../models/Citizen.model');
+const DeathRegistration = require('../models/DeathRegistration.model');
+const CitizenRelationship = require('../models/CitizenRelationship.model');
+const StatusChangeLog = require('../models/StatusChangeLog.model');
+const CitizenService = require('./citizen.service');
+const CitizenHistoryService = require('./citizenHistory.service');
+const GeographyService = require('./geography.service');
+
+const CAUSE_CATEGORIES = ['NATURAL', 'DISEASE', 'ACCIDENT', 'VIOLENCE', 'MATERNAL', 'UNDETERMINED'];
+
+class DeathService {
+  /**
+   * Validate and clean death registration details for a citizen
+   */
+  static validateDeath(data, citizen) {
+    if (!data.dateOfDeath) {
+      throw new Error('Date of death is required');
+    }
+
+    const dateOfDeath = new Date(data.dateOfDeath);
+    if (isNaN(dateOfDeath.getTime())) {
+      throw new Error('Date of death must be a valid date');
+    }
+    if (dateOfDeath > new Date()) {
+      throw new Error('Date of death cannot be in the future');
+    }
+    if (dateOfDeath < citizen.dateOfBirth) {
+      throw new Error('Date of death cannot be before the date of birth');
+    }
+
+    const placeOfDeath = data.placeOfDeath?.toString().trim();
+    if (!placeOfDeath) {
+      throw new Error('Place of death is required');
+    }
+
+    const causeCategory = data.causeCategory?.toString().toUpperCase();
+    if (!CAUSE_CATEGORIES.includes(causeCategory)) {
+      throw new Error('Cause of death category is invalid');
+    }
+
+    const informant = data.informant || {};
+    if (!informant.name?.toString().trim()) {
+      throw new Error('Informant name is required');
+    }
+    if (!informant.relationship?.toString().trim()) {
+      throw new Error('Informant relationship is required');
+    }
+
+    return {
+      dateOfDeath,
+      placeOfDeath,
+      causeCategory,
+      causeDetail: data.causeDetail?.toString().trim() || null,
+      informant: {
+        name: informant.name.toString().trim(),
+        relationship: informant.relationship.toString().trim(),
+        nationalId: informant.nationalId?.toString().trim() || null,
+        phone: informant.phone?.toString().trim() || null
+      },
+      certificateNumber: data.certificateNumber?.toString().trim() || null
+    };
+  }
+
+  /**
+   * Register a citizen's death: the record becomes DECEASED and current marriages WIDOWED
+   */
+  static async registerDeath(nationalId, data, certificatePath, userId, scope) {
+    const citizen = await Citizen.findOne({
+      nationalId,
+      deletedAt: null,
+      ...CitizenService.scopeFilter(scope)
+    });
+
+    if (!citizen) {
+      throw new Error('Citizen not found');
+    }
+
+    if (citizen.status === 'DECEASED') {
+      throw new Error('Citizen is already registered as deceased');
+    }
+
+    if (!certificatePath) {
+      throw new Error('Death certificate is required');
+    }
+
+    const death = this.validateDeath(data, citizen);
+
+    // An informant who is a registered citizen is linked by national ID
+    if (death.informant.nationalId) {
+      if (death.informant.nationalId === nationalId) {
+        throw new Error('The informant cannot be the deceased');
+      }
+
+      const informant = await Citizen.exists({ nationalId: death.informant.nationalId, deletedAt: null });
+      if (!informant) {
+        throw new Error('Informant national ID is not registered');
+      }
+    }
+
+    const placeOfDeath = await GeographyService.findArea(death.placeOfDeath);
+    const marriages = await CitizenRelationship.find({
+      nationalId,
+      type: 'SPOUSE',
+      marriageStatus: 'MARRIED'
+    }).select('pairId');
+
+    // Mark the citizen deceased first, so two registrations of the same death cannot both proceed
+    const before = CitizenHistoryService.snapshot(citizen);
+    const deceased = await Citizen.findOneAndUpdate(
+      { _id: citizen._id, deletedAt: null, status: { $ne: 'DECEASED' } },
+      { status: 'DECEASED' },
+      { new: true }
+    );
+    if (!deceased) {
+      throw new Error('Citizen is already registered as deceased');
+    }
+
+    const registration = new DeathRegistration({
+      nationalId,
+      ...death,
+      placeOfDeathId: placeOfDeath ? placeOfDeath._id : null,
+      certificatePath,
+      officeId: citizen.officeId,
+      registeredBy: userId,
+      widowedPairIds: marriages.map(edge => edge.pairId)
+    });
+
+    try {
+      await registration.save();
+    } catch (error) {
+      await Citizen.updateOne({ _id: citizen._id, status: 'DECEASED' }, { status: before.status });
+      throw error;
+    }
+
+    await Promise.all([
+      CitizenRelationship.updateMany(
+        { pairId: { $in: registration.widowedPairIds } },
+        { marriageStatus: 'WIDOWED' }
+      ),
+      StatusChangeLog.create({
+        nationalId,
+        oldStatus: before.status,
+        newStatus: 'DECEASED',
+        changedBy: userId,
+        deathRegistrationId: registration._id
+      })
+    ]);
+    await CitizenHistoryService.recordRevision(deceased, before, userId, 'DEATH', {
+      comment: `Died ${death.dateOfDeath.toISOString().split('T')[0]} in ${death.placeOfDeath}`
+    });
+
+    return this.normalizeDeath(registration);
+  }
+
+  /**
+   * The death registration in effect and any revoked ones (newest first)
+   */
+  static async getDeathRecords(nationalId, scope) {
+    const citizen = await Citizen.findOne({
+      nationalId,
+      deletedAt: null,
+      ...CitizenService.scopeFilter(scope)
+    });
+
+    if (!citizen) {
+      throw new Error('Citizen not found');
+    }
+
+    const registrations = await DeathRegistration.find({ nationalId }).sort({ createdAt: -1 });
+    const current = registrations.find(r => r.status === 'REGISTERED');
+
+    return {
+      nationalId,
+      status: citizen.status,
+      current: current ? this.normalizeDeath(current) : null,
+      revoked: registrations.filter(r => r.status === 'REVOKED').map(r => this.normalizeDeath(r))
+    };
+  }
+
+  /**
+   * File a reactivation of a deceased citizen for approval
+   */
+  static async requestReactivation(nationalId, reason, userId, scope) {
+    if (!reason || !reason.trim()) {
+      throw new Error('Reactivation reason is required');
+    }
+
+    const citizen = await Citizen.findOne({
+      nationalId,
+      deletedAt: null,
+      ...CitizenService.scopeFilter(scope)
+    });
+
+    if (!citizen) {
+      throw new Error('Citizen not found');
+    }
+
+    if (citizen.status !== 'DECEASED') {
+      throw new Error('Citizen is not registered as deceased');
+    }
+
+    // Records marked deceased before death registration existed have none to revoke
+    const registration = await DeathRegistration.findOne({ nationalId, status: 'REGISTERED' });
+
+    const CitizenApplicationService = require('./citizenApplication.service');
+    return await CitizenApplicationService.createReactivation(citizen, registration, userId, reason);
+  }
+
+  /**
+   * Reactivate a deceased citizen on approval: the death registration is revoked
+   * and marriages it widowed are restored
+   */
+  static async reactivate(nationalId, reason, userId, applicationId) {
+    const citizen = await Citizen.findOne({ nationalId, deletedAt: null });
+    if (!citizen) {
+      throw new Error('Citizen not found');
+    }
+
+    if (citizen.status !== 'DECEASED') {
+      throw new Error('Citizen is not registered as deceased');
+    }
+
+    const registration = await DeathRegistration.findOne({ nationalId, status: 'REGISTERED' });
+    if (registration) {
+      registration.status = 'REVOKED';
+      registration.revokedAt = new Date();
+      registration.revokedBy = userId;
+      registration.revocationReason = reason;
+      registration.revocationApplicationId = applicationId;
+      await registration.save();
+
+      // Only marriages nobody has changed since
+      await CitizenRelationship.updateMany(
+        { pairId: { $in: registration.widowedPairIds }, marriageStatus: 'WIDOWED' },
+        { marriageStatus: 'MARRIED' }
+      );
+    }
+
+    const before = CitizenHistoryService.snapshot(citizen);
+    citizen.status = 'ACTIVE';
+    await citizen.save();
+
+    await StatusChangeLog.create({
+      nationalId,
+      oldStatus: 'DECEASED',
+      newStatus: 'ACTIVE',
+      changedBy: userId,
+      reason,
+      deathRegistrationId: registration ? registration._id : null,
+      applicationId
+    });
+    await CitizenHistoryService.recordRevision(citizen, before, userId, 'REACTIVATE', {
+      comment: reason,
+      applicationId
+    });
+
+    return CitizenService.normalizeCitizen(citizen);
+  }
+
+  /**
+   * Normalize a death registration for API response
+   */
+  static normalizeDeath(registration) {
+    const { getFileUrl } = require('../utils/fileUpload.util');
+
+    return {
+      id: registration._id.toString(),
+      nationalId: registration.nationalId,
+      dateOfDeath: registration.dateOfDeath.toISOString().split('T')[0],
+      placeOfDeath: registration.placeOfDeath,
+      placeOfDeathId: registration.placeOfDeathId ? registration.placeOfDeathId.toString() : null,
+      causeCategory: registration.causeCategory,
+      causeDetail: registration.causeDetail,
+      informant: {
+        name: registration.informant.name,
+        relationship: registration.informant.relationship,
+        nationalId: registration.informant.nationalId,
+        phone: registration.informant.phone
+      },
+      certificateNumber: registration.certificateNumber,
+      certificatePath: registration.certificatePath,
+      certificateUrl: getFileUrl(registration.certificatePath),
+      officeId: registration.officeId ? registration.officeId.toString() : null,
+      registeredBy: registration.registeredBy.toString(),
+      status: registration.status,
+      revokedAt: registration.revokedAt,
+      revokedBy: registration.revokedBy ? registration.revokedBy.toString() : null,
+      revocationReason: registration.revocationReason,
+      createdAt: registration.createdAt,
+      updatedAt: registration.updatedAt
+    };
+  }
+}
+
+DeathService.CAUSE_CATEGORIES = CAUSE_CATEGORIES;
+
+module.exports = DeathService;
@@ -0,0 +1,451 @@
+/**
+ * Duplicate Service
+ * Detects likely duplicate registrations and records their adjudication
+ */
+
+const mongoose = require('mongoose');
+const Citizen = require('../models/Citizen.model');
+const DuplicateCandidate = require('../models/DuplicateCandidate.model');
+const { canonicalName, nameSkeleton, nameSimilarity, jaroWinkler } = require('../utils/nameMatching.util');
+const { LocalizedError } = require('../utils/i18n.util');
+
+const parseScore = (value, defaultValue) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+};
+
+// Scores (0-100) at or above which a match is flagged for review or blocked outright
+const REVIEW_SCORE = parseScore(process.env.DUPLICATE_REVIEW_SCORE, 70);
+const BLOCK_SCORE = parseScore(process.env.DUPLICATE_BLOCK_SCORE, 95);
+
+// Points each attribute contributes to the score
+const WEIGHTS = {
+  name: 50,
+  dateOfBirth: 25,
+  placeOfBirth: 15,
+  gender: 10
+};
+
+// Identity fields that affect matching
+const MATCH_FIELDS = ['firstName', 'middleName', 'lastName', 'gender', 'dateOfBirth', 'placeOfBirth'];
+
+class DuplicateService {
+  /**
+   * Score how closely an identity matches an existing citizen
+   */
+  static scoreMatch(identity, citizen) {
+    // Given name weighs most; father's and grandfather's names make up the rest
+    const firstName = nameSimilarity(identity.firstName, citizen.firstName);
+    const parts = [
+      { weight: 0.4, similarity: firstName },
+      { weight: 0.3, similarity: nameSimilarity(identity.lastName, citizen.lastName) }
+    ];
+    if (identity.middleName && citizen.middleName) {
+      parts.push({ weight: 0.3, similarity: nameSimilarity(identity.middleName, citizen.middleName) });
+    }
+
+    const totalWeight = parts.reduce((sum, part) => sum + part.weight, 0);
+    let name = parts.reduce((sum, part) => sum + part.weight * part.similarity, 0) / totalWeight;
+
+    // Siblings share the father's and grandfather's names, so a different given name halves the name score
+    if (firstName < 0.85) {
+      name /= 2;
+    }
+
+    const breakdown = {
+      name: Math.round(name * WEIGHTS.name),
+      dateOfBirth: Math.round(this.dateOfBirthSimilarity(identity.dateOfBirth, citizen.dateOfBirth) * WEIGHTS.dateOfBirth),
+      placeOfBirth: 0,
+      gender: identity.gender === citizen.gender ? WEIGHTS.gender : 0
+    };
+
+    const place = jaroWinkler(canonicalName(identity.placeOfBirth), canonicalName(citizen.placeOfBirth));
+    if (place >= 0.8) {
+      breakdown.placeOfBirth = Math.round(place * WEIGHTS.placeOfBirth);
+    }
+
+    return {
+      score: breakdown.name + breakdown.dateOfBirth + breakdown.placeOfBirth + breakdown.gender,
+      breakdown
+    };
+  }
+
+  /**
+   * Similarity of two dates of birth (0 to 1), allowing for swapped day and month
+   */
+  static dateOfBirthSimilarity(a, b) {
+    const first = new Date(a);
+    const second = new Date(b);
+
+    if (isNaN(first.getTime()) || isNaN(second.getTime())) return 0;
+    if (first.getTime() === second.getTime()) return 1;
+
+    if (first.getUTCFullYear() === second.getUTCFullYear()) {
+      const swapped = first.getUTCDate() === second.getUTCMonth() + 1 &&
+        first.getUTCMonth() + 1 === second.getUTCDate();
+      return swapped ? 0.7 : 0.4;
+    }
+
+    const days = Math.abs(first - second) / (24 * 60 * 60 * 1000);
+    return days <= 366 ? 0.2 : 0;
+  }
+
+  /**
+   * Find existing citizens that score at or above the review threshold, best first
+   */
+  static async findMatches(identity, { excludeNationalId = null } = {}) {
+    const dateOfBirth = new Date(identity.dateOfBirth);
+    if (!identity.firstName || !identity.lastName || isNaN(dateOfBirth.getTime())) {
+      return [];
+    }
+
+    const year = dateOfBirth.getUTCFullYear();
+    const query = {
+      deletedAt: null,
+      dateOfBirth: {
+        $gte: new Date(Date.UTC(year - 1, 0, 1)),
+        $lt: new Date(Date.UTC(year + 2, 0, 1))
+      },
+      $or: [
+        { 'matchKeys.firstName': nameSkeleton(identity.firstName) },
+        { 'matchKeys.lastName': nameSkeleton(identity.lastName) }
+      ]
+    };
+
+    if (excludeNationalId) {
+      query.nationalId = { $ne: excludeNationalId };
+    }
+
+    const citizens = await Citizen.find(query).limit(500);
+
+    return citizens
+      .map(citizen => ({ citizen, ...this.scoreMatch(identity, citizen) }))
+      .filter(match => match.score >= REVIEW_SCORE)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Check an identity before an application is submitted
+   * Throws when a match reaches the block threshold; otherwise returns the matches to flag
+   */
+  static async screen(identity, options = {}) {
+    const matches = await this.findMatches(identity, options);
+
+    if (matches.length > 0 && matches[0].score >= BLOCK_SCORE) {
+      throw new LocalizedError('duplicate.likely', { nationalId: matches[0].citizen.nationalId });
+    }
+
+    return matches;
+  }
+
+  /**
+   * The full identity an application would give a citizen
+   * Corrections only carry the changed fields, so the citizen's current values fill the rest
+   */
+  static async getApplicationIdentity(application) {
+    const data = application.toObject().data || {};
+
+    if (application.type !== 'CORRECTION') {
+      return data;
+    }
+
+    const citizen = await Citizen.findOne({ nationalId: application.nationalId });
+    if (!citizen) {
+      return data;
+    }
+
+    const identity = {};
+    MATCH_FIELDS.forEach(field => {
+      identity[field] = data[field] !== undefined ? data[field] : citizen[field];
+    });
+    return identity;
+  }
+
+  /**
+   * Screen an application's identity against existing citizens
+   * With `block` off, matches above the block threshold are returned for review instead of refused
+   */
+  static async screenApplication(application, { block = true } = {}) {
+    const data = application.toObject().data || {};
+
+    // Reactivations leave the identity as it is
+    if (application.type === 'REACTIVATION') {
+      return [];
+    }
+
+    // Corrections that leave the matched fields alone cannot create a duplicate
+    if (application.type === 'CORRECTION' && !MATCH_FIELDS.some(field => data[field] !== undefined)) {
+      return [];
+    }
+
+    const identity = await this.getApplicationIdentity(application);
+    const options = { excludeNationalId: application.nationalId || null };
+
+    return block ? await this.screen(identity, options) : await this.findMatches(identity, options);
+  }
+
+  /**
+   * Record matches for an application
+   * Previous NOT_DUPLICATE decisions stand; DUPLICATE decisions that still match go back to review,
+   * and pending candidates that no longer match are dropped
+   */
+  static async flagMatches(application, matches) {
+    const existing = await DuplicateCandidate.find({ applicationId: application._id });
+    const byNationalId = new Map(existing.map(c => [c.candidateNationalId, c]));
+    const matchedIds = new Set(matches.map(m => m.citizen.nationalId));
+
+    for (const match of matches) {
+      const candidate = byNationalId.get(match.citizen.nationalId);
+
+      if (!candidate) {
+        try {
+          await DuplicateCandidate.create({
+            applicationId: application._id,
+            subjectNationalId: application.type === 'CORRECTION' ? application.nationalId : null,
+            candidateNationalId: match.citizen.nationalId,
+            officeId: application.officeId,
+            score: match.score,
+            breakdown: match.breakdown
+          });
+        } catch (error) {
+          // Flagged meanwhile by another screening of the same application
+          if (error.code !== 11000) {
+            throw error;
+          }
+        }
+      } else if (candidate.status !== 'NOT_DUPLICATE') {
+        candidate.score = match.score;
+        candidate.breakdown = match.breakdown;
+        if (candidate.status === 'DUPLICATE') {
+          candidate.status = 'PENDING';
+          candidate.reviewedBy = null;
+          candidate.reviewedAt = null;
+          candidate.comment = null;
+        }
+        await candidate.save();
+      }
+    }
+
+    const stale = existing
+      .filter(c => c.status === 'PENDING' && !matchedIds.has(c.candidateNationalId))
+      .map(c => c._id);
+    if (stale.length > 0) {
+      await DuplicateCandidate.deleteMany({ _id: { $in: stale } });
+    }
+  }
+
+  /**
+   * Fill in name lookup keys for citizens saved before duplicate detection existed
+   * (findMatches only finds citizens that have them)
+   */
+  static async backfillMatchKeys({ dryRun = false } = {}) {
+    const result = { processed: 0, updated: 0 };
+
+    const cursor = Citizen.find({
+      $or: [{ 'matchKeys.firstName': null }, { 'matchKeys.lastName': null }]
+    }).select('firstName lastName').cursor();
+
+    for await (const citizen of cursor) {
+      result.processed++;
+
+      const matchKeys = {
+        firstName: nameSkeleton(citizen.firstName),
+        lastName: nameSkeleton(citizen.lastName)
+      };
+      if (!matchKeys.firstName || !matchKeys.lastName) {
+        continue;
+      }
+
+      result.updated++;
+      if (!dryRun) {
+        // Not a change to the record itself, so no revision and no new updatedAt
+        await Citizen.updateOne({ _id: citizen._id }, { $set: { matchKeys } }, { timestamps: false });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Refuse approval while any candidate for the application awaits adjudication
+   */
+  static async assertCleared(applicationId) {
+    const pending = await DuplicateCandidate.exists({ applicationId, status: 'PENDING' });
+    if (pending) {
+      throw new Error('Possible duplicates must be adjudicated before approval');
+    }
+  }
+
+  /**
+   * Build the office filter for a citizen scope
+   */
+  static scopeFilter(scope) {
+    const CitizenService = require('./citizen.service');
+    return CitizenService.scopeFilter(scope);
+  }
+
+  /**
+   * List duplicate candidates (filter by status, applicationId, nationalId)
+   */
+  static async listCandidates(filters = {}, page = 1, limit = 50, scope) {
+    const skip = (page - 1) * limit;
+    const query = { ...this.scopeFilter(scope) };
+
+    if (filters.status) query.status = filters.status.toUpperCase();
+    if (filters.applicationId && mongoose.Types.ObjectId.isValid(filters.applicationId)) {
+      query.applicationId = filters.applicationId;
+    }
+    if (filters.nationalId) {
+      query.$or = [
+        { candidateNationalId: filters.nationalId },
+        { subjectNationalId: filters.nationalId }
+      ];
+    }
+
+    const [candidates, total] = await Promise.all([
+      DuplicateCandidate.find(query)
+        .sort({ score: -1, createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      DuplicateCandidate.countDocuments(query)
+    ]);
+
+    return {
+      data: candidates.map(c => this.normalizeCandidate(c)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a candidate with both identities side by side
+   */
+  static async getCandidateById(candidateId, scope) {
+    const candidate = await this.findCandidate(candidateId, scope);
+    if (!candidate) {
+      return null;
+    }
+
+    const CitizenService = require('./citizen.service');
+    const CitizenApplication = require('../models/CitizenApplication.model');
+
+    const [application, citizen] = await Promise.all([
+      CitizenApplication.findById(candidate.applicationId),
+      Citizen.findOne({ nationalId: candidate.candidateNationalId })
+    ]);
+
+    const identity = application ? await this.getApplicationIdentity(application) : null;
+    if (identity?.dateOfBirth instanceof Date) {
+      identity.dateOfBirth = identity.dateOfBirth.toISOString().split('T')[0];
+    }
+
+    return {
+      ...this.normalizeCandidate(candidate),
+      subject: identity,
+      candidate: citizen ? CitizenService.normalizeCitizen(citizen) : null
+    };
+  }
+
+  /**
+   * Decide whether a flagged candidate is the same person
+   * A DUPLICATE decision rejects the application
+   */
+  static async adjudicate(candidateId, decision, userId, scope, comment = null) {
+    if (!['DUPLICATE', 'NOT_DUPLICATE'].includes(decision)) {
+      throw new Error('Decision must be DUPLICATE or NOT_DUPLICATE');
+    }
+
+    const candidate = await this.findCandidate(candidateId, scope);
+    if (!candidate) {
+      throw new Error('Duplicate candidate not found');
+    }
+
+    if (candidate.status !== 'PENDING') {
+      throw new Error('Duplicate candidate has already been adjudicated');
+    }
+
+    const CitizenApplicationService = require('./citizenApplication.service');
+    const application = await CitizenApplicationService.findApplication(candidate.applicationId, scope);
+    if (!application) {
+      throw new Error('Application not found');
+    }
+
+    // Same four-eyes rule as approval
+    CitizenApplicationService.assertReviewable(application, userId);
+
+    // Claim the candidate so that concurrent reviewers cannot both decide it
+    const decided = await DuplicateCandidate.findOneAndUpdate(
+      { _id: candidate._id, status: 'PENDING' },
+      {
+        status: decision,
+        reviewedBy: userId,
+        reviewedAt: new Date(),
+        comment: comment?.trim() || null
+      },
+      { new: true, runValidators: true }
+    );
+    if (!decided) {
+      throw new Error('Duplicate candidate has already been adjudicated');
+    }
+
+    if (decision === 'DUPLICATE') {
+      const reason = `Duplicate of citizen ${decided.candidateNationalId}` +
+        (decided.comment ? `: ${decided.comment}` : '');
+      try {
+        await CitizenApplicationService.rejectApplication(application._id, userId, scope, reason);
+      } catch (error) {
+        // The application moved on in the meantime, so leave the candidate undecided
+        await DuplicateCandidate.updateOne(
+          { _id: decided._id, status: decision },
+          { status: 'PENDING', reviewedBy: null, reviewedAt: null, comment: null }
+        );
+        throw error;
+      }
+    }
+
+    return this.normalizeCandidate(decided);
+  }
+
+  /**
+   * Load a candidate within the caller's office scope
+   */
+  static async findCandidate(candidateId, scope) {
+    if (!mongoose.Types.ObjectId.isValid(candidateId)) {
+      return null;
+    }
+
+    return await DuplicateCandidate.findOne({ _id: candidateId, ...this.scopeFilter(scope) });
+  }
+
+  /**
+   * Normalize candidate data for API response
+   */
+  static normalizeCandidate(candidate) {
+    return {
+      id: candidate._id.toString(),
+      applicationId: candidate.applicationId.toString(),
+      subjectNationalId: candidate.subjectNationalId,
+      candidateNationalId: candidate.candidateNationalId,
+      officeId: candidate.officeId ? candidate.officeId.toString() : null,
+      score: candidate.score,
+      breakdown: {
+        name: candidate.breakdown?.name ?? 0,
+        dateOfBirth: candidate.breakdown?.dateOfBirth ?? 0,
+        placeOfBirth: candidate.breakdown?.placeOfBirth ?? 0,
+        gender: candidate.breakdown?.gender ?? 0
+      },
+      status: candidate.status,
+      reviewedBy: candidate.reviewedBy ? candidate.reviewedBy.toString() : null,
+      reviewedAt: candidate.reviewedAt,
+      comment: candidate.comment,
+      createdAt: candidate.createdAt,
+      updatedAt: candidate.updatedAt
+    };
+  }
+}
+
+module.exports = DuplicateService;
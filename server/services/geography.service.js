@@ -0,0 +1,569 @@
+/**
+ * Geography Service
+ * Reference data for countries and administrative areas, and matching free text against it
+ */
+
+const mongoose = require('mongoose');
+const Country = require('../models/Country.model');
+const AdminArea = require('../models/AdminArea.model');
+const Citizen = require('../models/Citizen.model');
+const { canonicalName } = require('../utils/nameMatching.util');
+const { parseCsv } = require('../utils/csv.util');
+const { LocalizedError } = require('../utils/i18n.util');
+
+const AREA_LEVELS = ['REGION', 'DISTRICT', 'LOCALITY'];
+
+// Levels an area's parent may have
+const PARENT_LEVELS = {
+  REGION: [],
+  DISTRICT: ['REGION'],
+  LOCALITY: ['DISTRICT', 'REGION']
+};
+
+const MAX_IMPORT_ROWS = 5000;
+
+class GeographyService {
+  /**
+   * Aliases from an array or a "|"-separated string
+   */
+  static parseAliases(value) {
+    const aliases = Array.isArray(value) ? value : (value || '').toString().split('|');
+    return [...new Set(aliases.map(alias => alias.toString().trim()).filter(Boolean))];
+  }
+
+  /**
+   * List countries (filter by status, search)
+   */
+  static async listCountries(filters = {}) {
+    const query = {};
+    if (filters.status) query.status = filters.status.toUpperCase();
+    if (filters.search) {
+      const key = canonicalName(filters.search);
+      query.$or = [
+        { code: filters.search.trim().toUpperCase() },
+        ...(key ? [{ matchKeys: { $regex: `^${key}` } }] : [])
+      ];
+    }
+
+    const countries = await Country.find(query).sort({ name: 1 });
+    return countries.map(c => this.normalizeCountry(c));
+  }
+
+  /**
+   * Get country by ID
+   */
+  static async getCountryById(countryId) {
+    if (!mongoose.Types.ObjectId.isValid(countryId)) {
+      return null;
+    }
+
+    const country = await Country.findById(countryId);
+    return country ? this.normalizeCountry(country) : null;
+  }
+
+  /**
+   * Create a country
+   */
+  static async createCountry(data) {
+    if (!data.code || !data.code.trim()) {
+      throw new Error('Country code is required');
+    }
+
+    if (!data.name || !data.name.trim()) {
+      throw new Error('Country name is required');
+    }
+
+    const code = data.code.trim().toUpperCase();
+    if (await Country.exists({ code })) {
+      throw new Error('Country code already exists');
+    }
+
+    const country = new Country({
+      code,
+      alpha3: data.alpha3?.trim() || null,
+      name: data.name.trim(),
+      nationality: data.nationality?.trim() || null,
+      aliases: this.parseAliases(data.aliases),
+      status: data.status?.toUpperCase() || 'ACTIVE'
+    });
+
+    await country.save();
+    return this.normalizeCountry(country);
+  }
+
+  /**
+   * Update a country
+   */
+  static async updateCountry(countryId, data) {
+    const country = mongoose.Types.ObjectId.isValid(countryId) ? await Country.findById(countryId) : null;
+    if (!country) {
+      throw new Error('Country not found');
+    }
+
+    if (data.code !== undefined) {
+      const code = data.code.trim().toUpperCase();
+      if (await Country.exists({ code, _id: { $ne: country._id } })) {
+        throw new Error('Country code already exists');
+      }
+      country.code = code;
+    }
+
+    if (data.alpha3 !== undefined) country.alpha3 = data.alpha3?.trim() || null;
+    if (data.name) country.name = data.name.trim();
+    if (data.nationality !== undefined) country.nationality = data.nationality?.trim() || null;
+    if (data.aliases !== undefined) country.aliases = this.parseAliases(data.aliases);
+    if (data.status) country.status = data.status.toUpperCase();
+
+    await country.save();
+    return this.normalizeCountry(country);
+  }
+
+  /**
+   * Delete a country no citizen refers to
+   */
+  static async deleteCountry(countryId) {
+    const country = mongoose.Types.ObjectId.isValid(countryId) ? await Country.findById(countryId) : null;
+    if (!country) {
+      throw new Error('Country not found');
+    }
+
+    const citizenCount = await Citizen.countDocuments({ nationalityId: country._id });
+    if (citizenCount > 0) {
+      throw new LocalizedError('geography.countryInUse', { citizenCount });
+    }
+
+    await Country.deleteOne({ _id: country._id });
+    return country;
+  }
+
+  /**
+   * List areas (filter by level, parentId, status, search)
+   */
+  static async listAreas(filters = {}) {
+    const query = {};
+    if (filters.level) query.level = filters.level.toUpperCase();
+    if (filters.status) query.status = filters.status.toUpperCase();
+    if (filters.parentId && mongoose.Types.ObjectId.isValid(filters.parentId)) {
+      query.parentId = filters.parentId;
+    }
+    if (filters.search) {
+      const key = canonicalName(filters.search);
+      query.$or = [
+        { code: filters.search.trim().toUpperCase() },
+        ...(key ? [{ matchKeys: { $regex: `^${key}` } }] : [])
+      ];
+    }
+
+    const areas = await AdminArea.find(query).sort({ level: 1, name: 1 });
+    return areas.map(a => this.normalizeArea(a));
+  }
+
+  /**
+   * Get area by ID
+   */
+  static async getAreaById(areaId) {
+    if (!mongoose.Types.ObjectId.isValid(areaId)) {
+      return null;
+    }
+
+    const area = await AdminArea.findById(areaId);
+    return area ? this.normalizeArea(area) : null;
+  }
+
+  /**
+   * Find and check an area's parent, given by ID (`parentId`) or code (`parentCode`)
+   */
+  static async resolveParent(level, data) {
+    const allowed = PARENT_LEVELS[level];
+
+    if (allowed.length === 0) {
+      return null;
+    }
+
+    let parent = null;
+    if (data.parentId && mongoose.Types.ObjectId.isValid(data.parentId)) {
+      parent = await AdminArea.findById(data.parentId);
+    } else if (data.parentCode) {
+      parent = await AdminArea.findOne({ code: data.parentCode.trim().toUpperCase() });
+    }
+
+    if (!parent || !allowed.includes(parent.level)) {
+      throw new LocalizedError(`geography.${level.toLowerCase()}Parent`);
+    }
+
+    return parent._id;
+  }
+
+  /**
+   * Create an area
+   */
+  static async createArea(data) {
+    const level = data.level?.toUpperCase();
+    if (!AREA_LEVELS.includes(level)) {
+      throw new Error('Area level must be REGION, DISTRICT or LOCALITY');
+    }
+
+    if (!data.code || !data.code.trim()) {
+      throw new Error('Area code is required');
+    }
+
+    if (!data.name || !data.name.trim()) {
+      throw new Error('Area name is required');
+    }
+
+    const code = data.code.trim().toUpperCase();
+    if (await AdminArea.exists({ code })) {
+      throw new Error('Area code already exists');
+    }
+
+    const area = new AdminArea({
+      level,
+      code,
+      name: data.name.trim(),
+      parentId: await this.resolveParent(level, data),
+      aliases: this.parseAliases(data.aliases),
+      status: data.status?.toUpperCase() || 'ACTIVE'
+    });
+
+    await area.save();
+    return this.normalizeArea(area);
+  }
+
+  /**
+   * Update an area (its level cannot change)
+   */
+  static async updateArea(areaId, data) {
+    const area = mongoose.Types.ObjectId.isValid(areaId) ? await AdminArea.findById(areaId) : null;
+    if (!area) {
+      throw new Error('Area not found');
+    }
+
+    if (data.code !== undefined) {
+      const code = data.code.trim().toUpperCase();
+      if (await AdminArea.exists({ code, _id: { $ne: area._id } })) {
+        throw new Error('Area code already exists');
+      }
+      area.code = code;
+    }
+
+    if (data.name) area.name = data.name.trim();
+    if (data.parentId || data.parentCode) {
+      area.parentId = await this.resolveParent(area.level, data);
+      if (area.parentId?.equals(area._id)) {
+        throw new Error('An area cannot be its own parent');
+      }
+    }
+    if (data.aliases !== undefined) area.aliases = this.parseAliases(data.aliases);
+    if (data.status) area.status = data.status.toUpperCase();
+
+    await area.save();
+    return this.normalizeArea(area);
+  }
+
+  /**
+   * Delete an area with no sub-areas that no citizen refers to
+   */
+  static async deleteArea(areaId) {
+    const area = mongoose.Types.ObjectId.isValid(areaId) ? await AdminArea.findById(areaId) : null;
+    if (!area) {
+      throw new Error('Area not found');
+    }
+
+    const [childCount, citizenCount] = await Promise.all([
+      AdminArea.countDocuments({ parentId: area._id }),
+      Citizen.countDocuments({
+        $or: [
+          { placeOfBirthId: area._id },
+          { 'address.regionId': area._id },
+          { 'address.districtId': area._id },
+          { 'address.localityId': area._id }
+        ]
+      })
+    ]);
+
+    if (childCount > 0 || citizenCount > 0) {
+      throw new LocalizedError('geography.areaInUse', { childCount, citizenCount });
+    }
+
+    await AdminArea.deleteOne({ _id: area._id });
+    return area;
+  }
+
+  /**
+   * Import countries or areas from CSV
+   * Countries: code, alpha3, name, nationality, aliases, status
+   * Areas: level, code, name, parentCode, aliases, status (parents listed before their children)
+   * Aliases are separated by "|". Rows are matched on code: new codes are created, known ones updated.
+   */
+  static async importCsv(kind, text) {
+    const rows = parseCsv(text);
+
+    if (rows.length === 0) {
+      throw new Error('CSV has no data rows');
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new LocalizedError('geography.csvTooLong', { max: MAX_IMPORT_ROWS });
+    }
+
+    return await this.importRows(kind, rows);
+  }
+
+  /**
+   * Create or update reference data row by row; a bad row is reported and skipped
+   */
+  static async importRows(kind, rows) {
+    if (!['countries', 'areas'].includes(kind)) {
+      throw new Error("Import type must be 'countries' or 'areas'");
+    }
+
+    const Model = kind === 'countries' ? Country : AdminArea;
+    const result = { created: 0, updated: 0, errors: [] };
+
+    for (const [index, row] of rows.entries()) {
+      const line = row.line ?? index + 1;
+
+      try {
+        const code = row.code?.trim().toUpperCase();
+        const existing = code ? await Model.findOne({ code }) : null;
+
+        // Empty cells leave existing values alone
+        const data = Object.fromEntries(Object.entries(row).filter(([key, value]) => key !== 'line' && value !== ''));
+
+        if (existing) {
+          if (kind === 'countries') {
+            await this.updateCountry(existing._id, data);
+          } else {
+            await this.updateArea(existing._id, data);
+          }
+          result.updated++;
+        } else {
+          if (kind === 'countries') {
+            await this.createCountry(data);
+          } else {
+            await this.createArea(data);
+          }
+          result.created++;
+        }
+      } catch (error) {
+        result.errors.push({ line, code: row.code || null, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Active country matching free text (code, alpha-3, name, nationality or alias)
+   */
+  static async findCountry(text) {
+    const value = text?.toString().trim();
+    if (!value) {
+      return null;
+    }
+
+    const countries = await Country.find({
+      status: 'ACTIVE',
+      $or: [
+        { code: value.toUpperCase() },
+        { alpha3: value.toUpperCase() },
+        { matchKeys: canonicalName(value) }
+      ]
+    }).limit(2);
+
+    // Ambiguous text matches nothing
+    return countries.length === 1 ? countries[0] : null;
+  }
+
+  /**
+   * Active area matching free text (name, alias or code)
+   * `levels` are tried in order; `parentIds` narrows the match to areas under those parents.
+   * Text that matches more than one area at the same level is ambiguous and matches nothing.
+   */
+  static async findArea(text, { levels = ['LOCALITY', 'DISTRICT', 'REGION'], parentIds = null } = {}) {
+    const value = text?.toString().trim();
+    if (!value) {
+      return null;
+    }
+
+    const query = {
+      status: 'ACTIVE',
+      level: { $in: levels },
+      $or: [
+        { code: value.toUpperCase() },
+        { matchKeys: canonicalName(value) }
+      ]
+    };
+
+    const parents = (parentIds || []).filter(Boolean);
+    if (parents.length > 0) {
+      query.parentId = { $in: parents };
+    }
+
+    const areas = await AdminArea.find(query);
+
+    for (const level of levels) {
+      const matches = areas.filter(area => area.level === level);
+      if (matches.length === 1) return matches[0];
+      if (matches.length > 1) return null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Reference IDs for a citizen's free-text place of birth, nationality and address
+   * Returned as dotted paths, ready for `$set` or `document.set`
+   */
+  static async referencesFor(citizen) {
+    const [place, country] = await Promise.all([
+      this.findArea(citizen.placeOfBirth),
+      this.findCountry(citizen.nationality)
+    ]);
+
+    const references = {
+      placeOfBirthId: place?._id || null,
+      nationalityId: country?._id || null
+    };
+
+    const address = citizen.address;
+    if (address) {
+      let region = await this.findArea(address.region, { levels: ['REGION'] });
+      const district = await this.findArea(address.district, {
+        levels: ['DISTRICT'],
+        parentIds: region ? [region._id] : null
+      });
+
+      // A district is enough to place an unrecognized region
+      if (!region && district) {
+        region = { _id: district.parentId };
+      }
+
+      const locality = await this.findArea(address.city, {
+        levels: ['LOCALITY', 'DISTRICT'],
+        parentIds: [district?._id, region?._id]
+      });
+
+      references['address.regionId'] = region?._id || null;
+      references['address.districtId'] = district?._id || null;
+      references['address.localityId'] = locality?._id || null;
+    }
+
+    return references;
+  }
+
+  /**
+   * Set a citizen document's reference IDs from its current text (call before saving)
+   */
+  static async resolveCitizenReferences(citizen) {
+    const references = await this.referencesFor(citizen);
+
+    for (const [path, value] of Object.entries(references)) {
+      citizen.set(path, value);
+    }
+
+    return citizen;
+  }
+
+  /**
+   * Map existing citizens' free-text values to reference IDs
+   * Values that match nothing are counted so aliases can be added and the migration run again.
+   * With `dryRun`, reports what would change without writing.
+   */
+  static async migrateCitizens({ dryRun = false } = {}) {
+    const result = { processed: 0, updated: 0, unmatched: {} };
+    const unmatched = {
+      placeOfBirth: new Map(),
+      nationality: new Map(),
+      region: new Map(),
+      district: new Map()
+    };
+
+    const count = (field, value) => {
+      if (!value) return;
+      unmatched[field].set(value, (unmatched[field].get(value) || 0) + 1);
+    };
+
+    const cursor = Citizen.find({}).select('placeOfBirth placeOfBirthId nationality nationalityId address').cursor();
+
+    for await (const citizen of cursor) {
+      result.processed++;
+
+      const references = await this.referencesFor(citizen);
+
+      if (!references.placeOfBirthId) count('placeOfBirth', citizen.placeOfBirth);
+      if (!references.nationalityId) count('nationality', citizen.nationality);
+      if (citizen.address) {
+        if (!references['address.regionId']) count('region', citizen.address.region);
+        if (!references['address.districtId']) count('district', citizen.address.district);
+      }
+
+      const changed = Object.entries(references).some(([path, value]) => {
+        const current = citizen.get(path) ?? null;
+        return (current?.toString() ?? null) !== (value?.toString() ?? null);
+      });
+
+      if (changed) {
+        result.updated++;
+        if (!dryRun) {
+          // Not a change to the record itself, so no revision and no new updatedAt
+          await Citizen.updateOne({ _id: citizen._id }, { $set: references }, { timestamps: false });
+        }
+      }
+    }
+
+    for (const [field, values] of Object.entries(unmatched)) {
+      result.unmatched[field] = [...values.entries()]
+        .map(([value, total]) => ({ value, count: total }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 50);
+    }
+
+    return result;
+  }
+
+  /**
+   * Names of areas by ID, for reports
+   */
+  static async areaNames(areaIds) {
+    const ids = [...new Set(areaIds.filter(Boolean).map(id => id.toString()))];
+    const areas = await AdminArea.find({ _id: { $in: ids } }).select('name');
+    return new Map(areas.map(area => [area._id.toString(), area.name]));
+  }
+
+  /**
+   * Normalize country data for API response
+   */
+  static normalizeCountry(country) {
+    return {
+      id: country._id.toString(),
+      code: country.code,
+      alpha3: country.alpha3,
+      name: country.name,
+      nationality: country.nationality,
+      aliases: country.aliases,
+      status: country.status,
+      createdAt: country.createdAt,
+      updatedAt: country.updatedAt
+    };
+  }
+
+  /**
+   * Normalize area data for API response
+   */
+  static normalizeArea(area) {
+    return {
+      id: area._id.toString(),
+      level: area.level,
+      code: area.code,
+      name: area.name,
+      parentId: area.parentId ? area.parentId.toString() : null,
+      aliases: area.aliases,
+      status: area.status,
+      createdAt: area.createdAt,
+      updatedAt: area.updatedAt
+    };
+  }
+}
+
+module.exports = GeographyService;
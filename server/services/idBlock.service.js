@@ -0,0 +1,258 @@
+/**
+ * ID Block Service
+ * Reserves national IDs for offline registration and accepts the records made with them
+ */
+
+const mongoose = require('mongoose');
+const Citizen = require('../models/Citizen.model');
+const IdBlock = require('../models/IdBlock.model');
+const CitizenService = require('./citizen.service');
+const CitizenApplicationService = require('./citizenApplication.service');
+const { resolvePrefix, reserveSerials, formatNationalId } = require('../utils/nationalIdGenerator.util');
+const { LocalizedError } = require('../utils/i18n.util');
+
+const MAX_BLOCK_SIZE = 5000;
+
+class IdBlockService {
+  /**
+   * Reserve a block of IDs for an office (and optionally one device)
+   */
+  static async reserveBlock(data, userId, scope) {
+    const count = parseInt(data.count);
+    if (!count || count < 1 || count > MAX_BLOCK_SIZE) {
+      throw new LocalizedError('idBlock.countInvalid', { max: MAX_BLOCK_SIZE });
+    }
+
+    const officeId = await CitizenService.resolveActiveOffice(data.officeId, scope);
+    if (!officeId) {
+      throw new Error('A registration office is required to issue a national ID');
+    }
+
+    const prefix = await resolvePrefix(officeId);
+    const first = await reserveSerials(prefix, count);
+
+    // Skip IDs issued before the counter existed that happen to fall in the range
+    const candidates = Array.from({ length: count }, (_, i) => formatNationalId(prefix, first + i));
+    const taken = await Citizen.find({
+      $or: [{ nationalId: { $in: candidates } }, { aliases: { $in: candidates } }]
+    }).select('nationalId aliases');
+    const takenIds = new Set(taken.flatMap(c => [c.nationalId, ...c.aliases]));
+
+    const block = await IdBlock.create({
+      officeId,
+      deviceId: data.deviceId?.trim() || null,
+      prefix,
+      ids: candidates.filter(id => !takenIds.has(id)),
+      note: data.note?.trim() || null,
+      reservedBy: userId
+    });
+
+    return this.normalizeBlock(block, { includeIds: true });
+  }
+
+  /**
+   * Accept citizens registered offline with IDs from the block
+   * Each record becomes a submitted registration application carrying its pre-assigned ID.
+   * Returns a result per record; a rejected record leaves its ID unused so it can be synced again
+   */
+  static async syncBlock(blockId, records, userId, scope) {
+    const block = await this.findBlock(blockId, scope);
+    if (!block) {
+      throw new Error('ID block not found');
+    }
+
+    if (block.status !== 'OPEN') {
+      throw new Error('ID block is closed');
+    }
+
+    const results = [];
+
+    for (const record of records) {
+      const nationalId = record.nationalId?.toString().trim();
+      const result = { nationalId, clientRef: record.clientRef ?? null };
+
+      if (!nationalId || !block.ids.includes(nationalId)) {
+        results.push({ ...result, status: 'REJECTED', error: 'National ID is not part of this block' });
+        continue;
+      }
+
+      // Claim the ID atomically so two syncs cannot use it twice
+      const claim = await IdBlock.updateOne(
+        { _id: block._id, status: 'OPEN', usedIds: { $ne: nationalId } },
+        { $push: { usedIds: nationalId } }
+      );
+
+      if (claim.modifiedCount === 0) {
+        results.push({ ...result, status: 'REJECTED', error: 'National ID from this block has already been used' });
+        continue;
+      }
+
+      try {
+        const application = await CitizenApplicationService.createRegistration(
+          { ...record, officeId: block.officeId },
+          userId,
+          scope,
+          {
+            offline: {
+              nationalId,
+              idBlockId: block._id,
+              registeredAt: record.registeredAt ? new Date(record.registeredAt) : null
+            }
+          }
+        );
+
+        results.push({ ...result, status: 'ACCEPTED', applicationId: application.id });
+      } catch (error) {
+        await IdBlock.updateOne({ _id: block._id }, { $pull: { usedIds: nationalId } });
+        results.push({ ...result, status: 'REJECTED', error: error.message });
+      }
+    }
+
+    const updated = await IdBlock.findById(block._id);
+
+    return {
+      block: this.normalizeBlock(updated),
+      results
+    };
+  }
+
+  /**
+   * Close a block; IDs never used go back to the generator
+   */
+  static async closeBlock(blockId, userId, scope) {
+    const existing = await this.findBlock(blockId, scope);
+    if (!existing) {
+      throw new Error('ID block not found');
+    }
+
+    // Flip the status first so no sync can claim an ID while unused ones are worked out
+    const block = await IdBlock.findOneAndUpdate(
+      { _id: existing._id, status: 'OPEN' },
+      { status: 'CLOSED', closedBy: userId, closedAt: new Date() },
+      { new: true }
+    );
+
+    if (!block) {
+      throw new Error('ID block is closed');
+    }
+
+    const used = new Set(block.usedIds);
+    block.returnedIds = block.ids.filter(id => !used.has(id));
+    await block.save();
+
+    return this.normalizeBlock(block, { includeIds: true });
+  }
+
+  /**
+   * List blocks (filter by status, officeId, deviceId)
+   */
+  static async listBlocks(filters = {}, page = 1, limit = 50, scope) {
+    const skip = (page - 1) * limit;
+    const query = { ...CitizenService.scopeFilter(scope) };
+
+    if (filters.status) query.status = filters.status.toUpperCase();
+    if (filters.deviceId) query.deviceId = filters.deviceId;
+    if (filters.officeId && mongoose.Types.ObjectId.isValid(filters.officeId)) {
+      // Kept apart from the scope filter, which also constrains officeId
+      query.$and = [{ officeId: filters.officeId }];
+    }
+
+    const [blocks, total] = await Promise.all([
+      IdBlock.find(query)
+        .select('-ids -usedIds -returnedIds')
+        .sort({ reservedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      IdBlock.countDocuments(query)
+    ]);
+
+    // Counts without loading every ID
+    const counts = await IdBlock.aggregate([
+      { $match: { _id: { $in: blocks.map(b => b._id) } } },
+      { $project: { total: { $size: '$ids' }, used: { $size: '$usedIds' }, returned: { $size: '$returnedIds' } } }
+    ]);
+    const countsById = new Map(counts.map(c => [c._id.toString(), c]));
+
+    return {
+      data: blocks.map(b => ({
+        ...this.normalizeBlock(b),
+        ...this.summarize(countsById.get(b._id.toString()))
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a block with its used and unused IDs
+   */
+  static async getBlockById(blockId, scope) {
+    const block = await this.findBlock(blockId, scope);
+    return block ? this.normalizeBlock(block, { includeIds: true }) : null;
+  }
+
+  /**
+   * Load a block within the caller's office scope
+   */
+  static async findBlock(blockId, scope) {
+    if (!mongoose.Types.ObjectId.isValid(blockId)) {
+      return null;
+    }
+
+    return await IdBlock.findOne({ _id: blockId, ...CitizenService.scopeFilter(scope) });
+  }
+
+  /**
+   * Usage counts for a block
+   */
+  static summarize({ total = 0, used = 0, returned = 0 } = {}) {
+    return {
+      total,
+      used,
+      unused: total - used,
+      returned
+    };
+  }
+
+  /**
+   * Normalize block data for API response
+   * With `includeIds`, lists the used and unused IDs as well
+   */
+  static normalizeBlock(block, { includeIds = false } = {}) {
+    const normalized = {
+      id: block._id.toString(),
+      officeId: block.officeId.toString(),
+      deviceId: block.deviceId,
+      prefix: block.prefix,
+      status: block.status,
+      note: block.note,
+      reservedBy: block.reservedBy.toString(),
+      reservedAt: block.reservedAt,
+      closedBy: block.closedBy ? block.closedBy.toString() : null,
+      closedAt: block.closedAt
+    };
+
+    if (block.ids) {
+      Object.assign(normalized, this.summarize({
+        total: block.ids.length,
+        used: block.usedIds.length,
+        returned: block.returnedIds.length
+      }));
+    }
+
+    if (includeIds) {
+      const used = new Set(block.usedIds);
+      normalized.usedIds = block.usedIds;
+      normalized.unusedIds = block.ids.filter(id => !used.has(id));
+      normalized.returnedIds = block.returnedIds;
+    }
+
+    return normalized;
+  }
+}
+
+module.exports = IdBlockService;
@@ -0,0 +1,203 @@
+/**
+ * Login Attempt Service
+ * Brute-force protection for login: failure counters, progressive delay and temporary lockout
+ */
+
+const LoginAttempt = require('../models/LoginAttempt.model');
+
+// Failures allowed before a temporary lockout
+const MAX_USERNAME_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+
+// Lockout duration and the window in which failures are counted (in minutes)
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+
+// How long a record is kept after its last failure: long enough for the window and a lockout
+const RETENTION_MINUTES = Math.max(LOCKOUT_MINUTES, ATTEMPT_WINDOW_MINUTES);
+
+// Progressive delay applied before checking credentials (in milliseconds)
+const DELAY_BASE_MS = parseInt(process.env.LOGIN_DELAY_BASE_MS) || 500;
+const DELAY_MAX_MS = parseInt(process.env.LOGIN_DELAY_MAX_MS) || 8000;
+
+class LoginAttemptService {
+  /**
+   * Check whether a username or IP address is currently locked out
+   * Returns null when login may proceed
+   */
+  static async getLockout(username, ipAddress) {
+    const attempts = await this.findAttempts(username, ipAddress);
+    const now = new Date();
+
+    const locked = attempts
+      .filter(a => a.lockedUntil && a.lockedUntil > now)
+      .sort((a, b) => b.lockedUntil - a.lockedUntil)[0];
+
+    if (!locked) {
+      return null;
+    }
+
+    return {
+      scope: locked.scope,
+      lockedUntil: locked.lockedUntil,
+      retryAfter: Math.ceil((locked.lockedUntil - now) / 1000)
+    };
+  }
+
+  /**
+   * Get the delay to apply before checking credentials
+   * Doubles with each recent failure for the username or IP address
+   */
+  static async getDelay(username, ipAddress) {
+    const attempts = await this.findAttempts(username, ipAddress);
+    const failures = Math.max(0, ...attempts.map(a => this.getRecentFailures(a)));
+
+    if (failures === 0) {
+      return 0;
+    }
+
+    return Math.min(DELAY_BASE_MS * Math.pow(2, failures - 1), DELAY_MAX_MS);
+  }
+
+  /**
+   * Record a failed login attempt
+   * Returns the scopes ('USERNAME', 'IP') that became locked by this failure
+   */
+  static async recordFailure(username, ipAddress) {
+    const lockedScopes = [];
+
+    const targets = [
+      { key: this.usernameKey(username), scope: 'USERNAME', max: MAX_USERNAME_ATTEMPTS },
+      { key: this.ipKey(ipAddress), scope: 'IP', max: MAX_IP_ATTEMPTS }
+    ].filter(t => t.key);
+
+    for (const target of targets) {
+      const now = new Date();
+      const attempt = await this.countFailure(target.key, target.scope, now);
+
+      // Only the failure that reaches the limit first sets the lockout
+      if (attempt.failedCount >= target.max) {
+        const locked = await LoginAttempt.findOneAndUpdate(
+          {
+            key: target.key,
+            failedCount: { $gte: target.max },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+          },
+          {
+            lockedUntil: new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000),
+            lastLockedAt: now,
+            $inc: { lockCount: 1 }
+          }
+        );
+
+        if (locked) {
+          lockedScopes.push(target.scope);
+        }
+      }
+    }
+
+    return lockedScopes;
+  }
+
+  /**
+   * Count one failure against a key in a single update, so concurrent failures are not lost
+   * A failure outside the window (and outside a lockout) starts a new window
+   */
+  static async countFailure(key, scope, now) {
+    const windowStart = new Date(now.getTime() - ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+    const counting = {
+      $or: [
+        { $gt: ['$lockedUntil', now] },
+        { $gte: ['$lastFailedAt', windowStart] }
+      ]
+    };
+
+    const update = [{
+      $set: {
+        scope,
+        failedCount: { $cond: [counting, { $add: [{ $ifNull: ['$failedCount', 0] }, 1] }, 1] },
+        firstFailedAt: { $cond: [counting, '$firstFailedAt', now] },
+        lastFailedAt: now,
+        lockedUntil: { $ifNull: ['$lockedUntil', null] },
+        lockCount: { $ifNull: ['$lockCount', 0] },
+        expiresAt: new Date(now.getTime() + RETENTION_MINUTES * 60 * 1000),
+        createdAt: { $ifNull: ['$createdAt', now] }
+      }
+    }];
+
+    try {
+      return await LoginAttempt.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+    } catch (error) {
+      // Two first failures raced to insert the record; the loser updates it instead
+      if (error.code === 11000) {
+        return await LoginAttempt.findOneAndUpdate({ key }, update, { new: true });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Clear failure counters for a username after a successful login
+   */
+  static async recordSuccess(username) {
+    await LoginAttempt.deleteOne({ key: this.usernameKey(username) });
+    return true;
+  }
+
+  /**
+   * Remove a username lockout (admin unlock)
+   * Returns true if the username was locked
+   */
+  static async unlockUsername(username) {
+    const attempt = await LoginAttempt.findOneAndDelete({ key: this.usernameKey(username) });
+    return !!(attempt?.lockedUntil && attempt.lockedUntil > new Date());
+  }
+
+  /**
+   * Get lockout status for a username
+   */
+  static async getUsernameLockout(username) {
+    const attempt = await LoginAttempt.findOne({ key: this.usernameKey(username) });
+
+    return {
+      locked: !!(attempt?.lockedUntil && attempt.lockedUntil > new Date()),
+      lockedUntil: attempt?.lockedUntil || null,
+      failedAttempts: attempt ? this.getRecentFailures(attempt) : 0
+    };
+  }
+
+  /**
+   * Count failures inside the current window
+   */
+  static getRecentFailures(attempt) {
+    if (!attempt.lastFailedAt || !attempt.firstFailedAt) {
+      return 0;
+    }
+
+    // A lockout keeps the counter alive until it ends
+    if (attempt.lockedUntil && attempt.lockedUntil > new Date()) {
+      return attempt.failedCount;
+    }
+
+    const windowStart = Date.now() - ATTEMPT_WINDOW_MINUTES * 60 * 1000;
+    return attempt.lastFailedAt.getTime() >= windowStart ? attempt.failedCount : 0;
+  }
+
+  /**
+   * Load counters for a username and IP address
+   */
+  static async findAttempts(username, ipAddress) {
+    const keys = [this.usernameKey(username), this.ipKey(ipAddress)].filter(Boolean);
+    return await LoginAttempt.find({ key: { $in: keys } });
+  }
+
+  static usernameKey(username) {
+    return username ? `user:${username.trim().toLowerCase()}` : null;
+  }
+
+  static ipKey(ipAddress) {
+    return ipAddress ? `ip:${ipAddress}` : null;
+  }
+}
+
+module.exports = LoginAttemptService;
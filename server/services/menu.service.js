@@ -0,0 +1,288 @@
+/**
+ * Menu Service
+ * Navigation menu management
+ */
+
+const mongoose = require('mongoose');
+const Menu = require('../models/Menu.model');
+const Permission = require('../models/Permission.model');
+const RBACService = require('./rbac.service');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE, LocalizedError } = require('../utils/i18n.util');
+
+class MenuService {
+  /**
+   * Get the full menu tree (all menus, regardless of permissions)
+   */
+  static async getMenuTree(locale = DEFAULT_LOCALE) {
+    const menus = await Menu.find().sort({ orderIndex: 1 });
+    return RBACService.buildMenuTree(menus, locale, (menu, lang) => this.normalizeMenu(menu, lang));
+  }
+
+  /**
+   * List all menus as a flat list
+   */
+  static async listMenus(locale = DEFAULT_LOCALE) {
+    const menus = await Menu.find().sort({ parentId: 1, orderIndex: 1 });
+    return menus.map(m => this.normalizeMenu(m, locale));
+  }
+
+  /**
+   * Get menu by ID
+   */
+  static async getMenuById(menuId, locale = DEFAULT_LOCALE) {
+    if (!mongoose.Types.ObjectId.isValid(menuId)) {
+      return null;
+    }
+
+    const menu = await Menu.findById(menuId);
+    return menu ? this.normalizeMenu(menu, locale) : null;
+  }
+
+  /**
+   * Create a menu item
+   */
+  static async createMenu(data) {
+    if (!data.name || !data.name.trim()) {
+      throw new Error('Menu name is required');
+    }
+
+    const parentId = await this.resolveParentId(data.parentId);
+    const permissionCode = await this.resolvePermissionCode(data.permissionCode);
+
+    const orderIndex = data.orderIndex !== undefined
+      ? parseInt(data.orderIndex)
+      : await this.nextOrderIndex(parentId);
+
+    const menu = new Menu({
+      name: data.name.trim(),
+      labels: this.resolveLabels(data.labels),
+      route: data.route?.trim() || null,
+      icon: data.icon?.trim() || null,
+      parentId,
+      orderIndex,
+      permissionCode
+    });
+
+    await menu.save();
+    return this.normalizeMenu(menu);
+  }
+
+  /**
+   * Update a menu item, including moving it under another parent
+   */
+  static async updateMenu(menuId, data) {
+    const menu = mongoose.Types.ObjectId.isValid(menuId) ? await Menu.findById(menuId) : null;
+    if (!menu) {
+      throw new Error('Menu not found');
+    }
+
+    if (data.name !== undefined) {
+      if (!data.name || !data.name.trim()) {
+        throw new Error('Menu name is required');
+      }
+      menu.name = data.name.trim();
+    }
+
+    if (data.labels !== undefined) menu.labels = this.resolveLabels(data.labels);
+    if (data.route !== undefined) menu.route = data.route?.trim() || null;
+    if (data.icon !== undefined) menu.icon = data.icon?.trim() || null;
+    if (data.orderIndex !== undefined) menu.orderIndex = parseInt(data.orderIndex);
+
+    if (data.permissionCode !== undefined) {
+      menu.permissionCode = await this.resolvePermissionCode(data.permissionCode);
+    }
+
+    if (data.parentId !== undefined) {
+      const parentId = await this.resolveParentId(data.parentId);
+      const parents = await this.getParentMap();
+      parents.set(menu._id.toString(), parentId ? parentId.toString() : null);
+      this.assertNoCycle(menu._id.toString(), parents);
+      menu.parentId = parentId;
+    }
+
+    await menu.save();
+    return this.normalizeMenu(menu);
+  }
+
+  /**
+   * Reorder and reparent several menus at once
+   * items: [{ id, orderIndex, parentId? }] - parentId omitted keeps the current parent
+   */
+  static async reorderMenus(items, locale = DEFAULT_LOCALE) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Items must be a non-empty array');
+    }
+
+    const parents = await this.getParentMap();
+    const seen = new Set();
+
+    for (const item of items) {
+      const id = item.id?.toString();
+      if (!id || !parents.has(id)) {
+        throw new LocalizedError('menu.itemNotFound', { id: item.id });
+      }
+      if (seen.has(id)) {
+        throw new LocalizedError('menu.listedTwice', { id });
+      }
+      seen.add(id);
+
+      if (!Number.isInteger(Number(item.orderIndex))) {
+        throw new LocalizedError('menu.itemOrderInvalid', { id });
+      }
+
+      if (item.parentId !== undefined) {
+        const parentId = item.parentId ? item.parentId.toString() : null;
+        if (parentId && !parents.has(parentId)) {
+          throw new LocalizedError('menu.parentNotFoundId', { id: parentId });
+        }
+        parents.set(id, parentId);
+      }
+    }
+
+    // Validate the resulting structure before writing anything
+    items.forEach(item => this.assertNoCycle(item.id.toString(), parents));
+
+    await Menu.bulkWrite(items.map(item => ({
+      updateOne: {
+        filter: { _id: item.id },
+        update: {
+          $set: {
+            orderIndex: Number(item.orderIndex),
+            parentId: parents.get(item.id.toString())
+          }
+        }
+      }
+    })));
+
+    return await this.getMenuTree(locale);
+  }
+
+  /**
+   * Delete a menu item that has no children
+   */
+  static async deleteMenu(menuId) {
+    const menu = mongoose.Types.ObjectId.isValid(menuId) ? await Menu.findById(menuId) : null;
+    if (!menu) {
+      throw new Error('Menu not found');
+    }
+
+    const childCount = await Menu.countDocuments({ parentId: menu._id });
+    if (childCount > 0) {
+      throw new LocalizedError('menu.hasChildren', { count: childCount });
+    }
+
+    await Menu.deleteOne({ _id: menu._id });
+    return menu;
+  }
+
+  /**
+   * Validate a parent menu ID (null/empty means top level)
+   */
+  static async resolveParentId(parentId) {
+    if (!parentId) {
+      return null;
+    }
+
+    const parent = mongoose.Types.ObjectId.isValid(parentId) ? await Menu.findById(parentId) : null;
+    if (!parent) {
+      throw new Error('Parent menu not found');
+    }
+
+    return parent._id;
+  }
+
+  /**
+   * Validate that a permission code exists (null/empty means visible to everyone)
+   */
+  static async resolvePermissionCode(permissionCode) {
+    if (!permissionCode || !permissionCode.toString().trim()) {
+      return null;
+    }
+
+    const code = permissionCode.toString().trim().toUpperCase();
+    const exists = await Permission.exists({ code });
+    if (!exists) {
+      throw new LocalizedError('menu.unknownPermission', { code });
+    }
+
+    return code;
+  }
+
+  /**
+   * Validate translated labels: { so: '...', ar: '...' } (empty values are dropped)
+   */
+  static resolveLabels(labels) {
+    if (!labels) {
+      return {};
+    }
+
+    if (typeof labels !== 'object' || Array.isArray(labels)) {
+      throw new Error('Labels must be an object keyed by locale');
+    }
+
+    const resolved = {};
+    for (const [locale, label] of Object.entries(labels)) {
+      if (!SUPPORTED_LOCALES.includes(locale)) {
+        throw new LocalizedError('menu.unsupportedLocale', { locale });
+      }
+      if (label && label.toString().trim()) {
+        resolved[locale] = label.toString().trim();
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Map of every menu ID to its parent ID
+   */
+  static async getParentMap() {
+    const menus = await Menu.find().select('_id parentId');
+    return new Map(menus.map(m => [m._id.toString(), m.parentId ? m.parentId.toString() : null]));
+  }
+
+  /**
+   * Throw if following parent links from a menu leads back to it
+   */
+  static assertNoCycle(menuId, parents) {
+    const visited = new Set([menuId]);
+    let current = parents.get(menuId);
+
+    while (current) {
+      if (visited.has(current)) {
+        throw new Error('A menu cannot be placed under itself or one of its descendants');
+      }
+      visited.add(current);
+      current = parents.get(current);
+    }
+  }
+
+  /**
+   * Order index after the last sibling
+   */
+  static async nextOrderIndex(parentId) {
+    const last = await Menu.findOne({ parentId }).sort({ orderIndex: -1 });
+    return last ? last.orderIndex + 1 : 1;
+  }
+
+  /**
+   * Normalize menu data for API response
+   */
+  static normalizeMenu(menu, locale = DEFAULT_LOCALE) {
+    return {
+      id: menu._id.toString(),
+      name: menu.name,
+      label: RBACService.getMenuLabel(menu, locale),
+      labels: Object.fromEntries(menu.labels || []),
+      route: menu.route,
+      icon: menu.icon,
+      parentId: menu.parentId ? menu.parentId.toString() : null,
+      orderIndex: menu.orderIndex,
+      permissionCode: menu.permissionCode,
+      createdAt: menu.createdAt,
+      updatedAt: menu.updatedAt
+    };
+  }
+}
+
+module.exports = MenuService;
@@ -0,0 +1,281 @@
+/**
+ * Office Service
+ * Registration offices and office-based data scoping
+ */
+
+const mongoose = require('mongoose');
+const Office = require('../models/Office.model');
+const User = require('../models/User.model');
+const Citizen = require('../models/Citizen.model');
+const { LocalizedError } = require('../utils/i18n.util');
+
+// Permission that lifts office scoping for citizen records
+const NATIONAL_SCOPE_PERMISSION = 'VIEW_ALL_CITIZENS';
+
+class OfficeService {
+  /**
+   * List offices, optionally filtered by region, district or status
+   */
+  static async listOffices(filters = {}) {
+    const query = {};
+    if (filters.region) query.region = filters.region;
+    if (filters.district) query.district = filters.district;
+    if (filters.status) query.status = filters.status.toUpperCase();
+
+    const offices = await Office.find(query).sort({ region: 1, district: 1, name: 1 });
+    return offices.map(o => this.normalizeOffice(o));
+  }
+
+  /**
+   * Get office by ID
+   */
+  static async getOfficeById(officeId) {
+    if (!mongoose.Types.ObjectId.isValid(officeId)) {
+      return null;
+    }
+
+    const office = await Office.findById(officeId);
+    return office ? this.normalizeOffice(office) : null;
+  }
+
+  /**
+   * Create an office
+   */
+  static async createOffice(data) {
+    if (!data.code || !data.code.trim()) {
+      throw new Error('Office code is required');
+    }
+
+    if (!data.name || !data.name.trim()) {
+      throw new Error('Office name is required');
+    }
+
+    if (!data.region || !data.region.trim()) {
+      throw new Error('Region is required');
+    }
+
+    const code = data.code.trim().toUpperCase();
+    const existing = await Office.findOne({ code });
+    if (existing) {
+      throw new Error('Office code already exists');
+    }
+
+    const level = data.level?.toUpperCase() || 'CENTER';
+    if (level !== 'REGION' && !data.district?.trim()) {
+      throw new Error('District is required for district offices and registration centers');
+    }
+
+    const office = new Office({
+      code,
+      name: data.name.trim(),
+      level,
+      region: data.region.trim(),
+      district: level === 'REGION' ? null : data.district.trim(),
+      idPrefix: data.idPrefix?.toString().trim() || null,
+      status: data.status?.toUpperCase() || 'ACTIVE'
+    });
+
+    await office.save();
+    return this.normalizeOffice(office);
+  }
+
+  /**
+   * Update an office
+   */
+  static async updateOffice(officeId, data) {
+    const office = mongoose.Types.ObjectId.isValid(officeId) ? await Office.findById(officeId) : null;
+    if (!office) {
+      throw new Error('Office not found');
+    }
+
+    if (data.code !== undefined) {
+      const code = data.code.trim().toUpperCase();
+      const existing = await Office.findOne({ code, _id: { $ne: office._id } });
+      if (existing) {
+        throw new Error('Office code already exists');
+      }
+      office.code = code;
+    }
+
+    if (data.name) office.name = data.name.trim();
+    if (data.level) office.level = data.level.toUpperCase();
+    if (data.region) office.region = data.region.trim();
+    if (data.district !== undefined) office.district = data.district?.trim() || null;
+    if (data.idPrefix !== undefined) office.idPrefix = data.idPrefix?.toString().trim() || null;
+    if (data.status) office.status = data.status.toUpperCase();
+
+    if (office.level === 'REGION') {
+      office.district = null;
+    } else if (!office.district) {
+      throw new Error('District is required for district offices and registration centers');
+    }
+
+    await office.save();
+    return this.normalizeOffice(office);
+  }
+
+  /**
+   * Delete an office that no user or citizen refers to
+   */
+  static async deleteOffice(officeId) {
+    const office = mongoose.Types.ObjectId.isValid(officeId) ? await Office.findById(officeId) : null;
+    if (!office) {
+      throw new Error('Office not found');
+    }
+
+    const [userCount, citizenCount] = await Promise.all([
+      User.countDocuments({ officeIds: office._id }),
+      Citizen.countDocuments({ officeId: office._id })
+    ]);
+
+    if (userCount > 0 || citizenCount > 0) {
+      throw new LocalizedError('office.inUse', { userCount, citizenCount });
+    }
+
+    await Office.deleteOne({ _id: office._id });
+    return office;
+  }
+
+  /**
+   * Validate a list of office IDs and return them as ObjectIds
+   */
+  static async resolveOfficeIds(officeIds) {
+    if (!Array.isArray(officeIds)) {
+      officeIds = officeIds ? [officeIds] : [];
+    }
+
+    const uniqueIds = [...new Set(officeIds.map(id => id.toString()))];
+    if (uniqueIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new Error('Invalid office ID');
+    }
+
+    const offices = await Office.find({ _id: { $in: uniqueIds } });
+    if (offices.length !== uniqueIds.length) {
+      throw new Error('Invalid office ID');
+    }
+
+    return offices.map(o => o._id);
+  }
+
+  /**
+   * Work out which citizen records a user may access
+   * Returns { national: true } for national scope, otherwise the accessible office IDs:
+   * a region office covers its region, a district office its district, a center only itself
+   */
+  static async getCitizenScope(user, permissions) {
+    if (permissions.includes(NATIONAL_SCOPE_PERMISSION)) {
+      return { national: true, officeIds: [], defaultOfficeId: user.officeIds?.[0]?.toString() || null };
+    }
+
+    const assigned = await Office.find({ _id: { $in: user.officeIds || [] } });
+    if (assigned.length === 0) {
+      return { national: false, officeIds: [], defaultOfficeId: null };
+    }
+
+    const areas = assigned.map(office => {
+      if (office.level === 'REGION') {
+        return { region: office.region };
+      }
+      if (office.level === 'DISTRICT') {
+        return { region: office.region, district: office.district };
+      }
+      return { _id: office._id };
+    });
+
+    const accessible = await Office.find({ $or: areas }).select('_id');
+
+    return {
+      national: false,
+      officeIds: accessible.map(o => o._id.toString()),
+      defaultOfficeId: assigned.find(o => o.status === 'ACTIVE')?._id.toString() || null
+    };
+  }
+
+  /**
+   * Assign citizens registered before offices existed (officeId null) to an office:
+   * the DISTRICT office for their address district, else the REGION office for their
+   * region, else the office given by `defaultOfficeCode`. Others are left and counted
+   */
+  static async assignLegacyCitizens({ dryRun = false, defaultOfficeCode = null } = {}) {
+    const result = { processed: 0, assigned: 0, offices: [], unassigned: [] };
+
+    let defaultOffice = null;
+    if (defaultOfficeCode) {
+      defaultOffice = await Office.findOne({ code: defaultOfficeCode.toUpperCase(), status: 'ACTIVE' });
+      if (!defaultOffice) {
+        throw new Error('Office not found');
+      }
+    }
+
+    const offices = await Office.find({ status: 'ACTIVE', level: { $in: ['REGION', 'DISTRICT'] } });
+    const areaKey = (...parts) => parts.map(part => (part || '').trim().toLowerCase()).join('|');
+
+    // An area covered by more than one office of a level is ambiguous and not used
+    const byArea = new Map();
+    for (const office of offices) {
+      const key = office.level === 'DISTRICT'
+        ? areaKey(office.level, office.region, office.district)
+        : areaKey(office.level, office.region);
+      byArea.set(key, byArea.has(key) ? null : office);
+    }
+
+    const assigned = new Map();
+    const unassigned = new Map();
+    const cursor = Citizen.find({ officeId: null }).select('address').cursor();
+
+    for await (const citizen of cursor) {
+      result.processed++;
+
+      const address = citizen.address;
+      const office = (address && (
+        byArea.get(areaKey('DISTRICT', address.region, address.district)) ||
+        byArea.get(areaKey('REGION', address.region))
+      )) || defaultOffice;
+
+      if (!office) {
+        const area = address ? [address.region, address.district].filter(Boolean).join(' / ') : '(no address)';
+        unassigned.set(area, (unassigned.get(area) || 0) + 1);
+        continue;
+      }
+
+      result.assigned++;
+      assigned.set(office.code, (assigned.get(office.code) || 0) + 1);
+      if (!dryRun) {
+        // Not a change to the record itself, so no revision and no new updatedAt
+        await Citizen.updateOne({ _id: citizen._id, officeId: null }, { officeId: office._id }, { timestamps: false });
+      }
+    }
+
+    result.offices = [...assigned.entries()]
+      .map(([code, count]) => ({ code, count }))
+      .sort((a, b) => b.count - a.count);
+    result.unassigned = [...unassigned.entries()]
+      .map(([area, count]) => ({ area, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 50);
+
+    return result;
+  }
+
+  /**
+   * Normalize office data for API response
+   */
+  static normalizeOffice(office) {
+    return {
+      id: office._id.toString(),
+      code: office.code,
+      name: office.name,
+      level: office.level,
+      region: office.region,
+      district: office.district,
+      idPrefix: office.idPrefix,
+      status: office.status,
+      createdAt: office.createdAt,
+      updatedAt: office.updatedAt
+    };
+  }
+}
+
+OfficeService.NATIONAL_SCOPE_PERMISSION = NATIONAL_SCOPE_PERMISSION;
+
+module.exports = OfficeService;
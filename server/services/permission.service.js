@@ -0,0 +1,114 @@
+/**
+ * Permission Service
+ * Permission catalog and role-by-permission matrix
+ */
+
+const Permission = require('../models/Permission.model');
+const Role = require('../models/Role.model');
+
+class PermissionService {
+  /**
+   * List all permissions grouped by module
+   */
+  static async getCatalog() {
+    const permissions = await Permission.find().sort({ module: 1, code: 1 });
+    return this.groupByModule(permissions.map(p => this.normalizePermission(p)));
+  }
+
+  /**
+   * Get the role-by-permission matrix
+   * Each permission lists, per role ID, whether the role holds it
+   */
+  static async getRoleMatrix() {
+    const [permissions, roles] = await Promise.all([
+      Permission.find().sort({ module: 1, code: 1 }),
+      Role.find().sort({ name: 1 })
+    ]);
+
+    const roleSets = roles.map(role => ({
+      id: role._id.toString(),
+      permissionIds: new Set(role.permissions.map(p => p.toString()))
+    }));
+
+    const rows = permissions.map(permission => {
+      const grantedTo = {};
+      roleSets.forEach(role => {
+        grantedTo[role.id] = role.permissionIds.has(permission._id.toString());
+      });
+
+      return {
+        ...this.normalizePermission(permission),
+        grantedTo
+      };
+    });
+
+    return {
+      roles: roles.map(role => ({
+        id: role._id.toString(),
+        name: role.name,
+        description: role.description,
+        isSystem: !!role.isSystem
+      })),
+      modules: this.groupByModule(rows)
+    };
+  }
+
+  /**
+   * Update a permission's display details (the code is fixed)
+   */
+  static async updatePermission(code, data) {
+    const permission = await Permission.findOne({ code: code.toUpperCase() });
+    if (!permission) {
+      throw new Error('Permission not found');
+    }
+
+    if (data.name !== undefined) {
+      if (!data.name || !data.name.trim()) {
+        throw new Error('Permission name is required');
+      }
+      permission.name = data.name.trim();
+    }
+
+    if (data.description !== undefined) {
+      permission.description = data.description?.trim() || null;
+    }
+
+    if (data.module !== undefined) {
+      permission.module = data.module?.trim() || 'General';
+    }
+
+    await permission.save();
+    return this.normalizePermission(permission);
+  }
+
+  /**
+   * Group normalized permissions by module, keeping module order
+   */
+  static groupByModule(permissions) {
+    const modules = new Map();
+
+    permissions.forEach(permission => {
+      if (!modules.has(permission.module)) {
+        modules.set(permission.module, []);
+      }
+      modules.get(permission.module).push(permission);
+    });
+
+    return Array.from(modules, ([module, items]) => ({ module, permissions: items }));
+  }
+
+  /**
+   * Normalize permission data for API response
+   */
+  static normalizePermission(permission) {
+    return {
+      id: permission._id.toString(),
+      code: permission.code,
+      name: permission.name,
+      description: permission.description,
+      module: permission.module || 'General'
+    };
+  }
+}
+
+module.exports = PermissionService;
@@ -7,6 +7,17 @@ const Role = require('../models/Role.model');
 const Permission = require('../models/Permission.model');
 const Menu = require('../models/Menu.model');
 const User = require('../models/User.model');
+const UserPermissionOverride = require('../models/UserPermissionOverride.model');
+const { DEFAULT_LOCALE } = require('../utils/i18n.util');
+
+// Resolved permission codes per role ID: { codes, expiresAt }
+// Invalidated when a role changes; the TTL bounds staleness across server processes
+const rolePermissionCache = new Map();
+
+// Unrevoked overrides per user ID: { overrides, expiresAt }
+// Time bounds are checked on every read, so expiring overrides need no invalidation
+const userOverrideCache = new Map();
+const PERMISSION_CACHE_TTL = (parseInt(process.env.PERMISSION_CACHE_TTL) || 300) * 1000; // 5 minutes
 
 class RBACService {
   /**
@@ -14,27 +25,108 @@ class RBACService {
    */
   static async getUserPermissions(userId) {
     try {
-      const user = await User.findById(userId).populate({
-        path: 'roleId',
-        populate: { path: 'permissions' }
-      });
+      const user = await User.findById(userId).select('roleId');
 
       if (!user || !user.roleId) {
         return [];
       }
 
-      const permissions = user.roleId.permissions.map(p => p.code);
-      return permissions;
+      return await this.getEffectivePermissions(user._id, user.roleId);
     } catch (error) {
       console.error('Error getting user permissions:', error);
       return [];
     }
   }
 
+  /**
+   * Get permission codes for a role (cached)
+   */
+  static async getRolePermissions(roleId) {
+    const key = (roleId._id || roleId).toString();
+    const cached = rolePermissionCache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.codes;
+    }
+
+    const role = await Role.findById(key).populate('permissions');
+    if (!role) {
+      rolePermissionCache.delete(key);
+      return [];
+    }
+
+    const codes = role.permissions.filter(p => p && p.code).map(p => p.code);
+    rolePermissionCache.set(key, { codes, expiresAt: Date.now() + PERMISSION_CACHE_TTL });
+
+    return codes;
+  }
+
+  /**
+   * Get a user's effective permissions: role permissions plus active grants, minus active denials
+   * A denial wins over both the role and a grant
+   */
+  static async getEffectivePermissions(userId, roleId) {
+    const [rolePermissions, overrides] = await Promise.all([
+      roleId ? this.getRolePermissions(roleId) : [],
+      this.getUserOverrides(userId)
+    ]);
+
+    const now = new Date();
+    const active = overrides.filter(o => o.isActiveAt(now));
+    if (active.length === 0) {
+      return rolePermissions;
+    }
+
+    const effective = new Set(rolePermissions);
+    active.filter(o => o.effect === 'ALLOW').forEach(o => effective.add(o.permissionCode));
+    active.filter(o => o.effect === 'DENY').forEach(o => effective.delete(o.permissionCode));
+
+    return Array.from(effective);
+  }
+
+  /**
+   * Get a user's unrevoked permission overrides (cached)
+   */
+  static async getUserOverrides(userId) {
+    const key = userId.toString();
+    const cached = userOverrideCache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.overrides;
+    }
+
+    const overrides = await UserPermissionOverride.find({
+      userId: key,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+
+    userOverrideCache.set(key, { overrides, expiresAt: Date.now() + PERMISSION_CACHE_TTL });
+    return overrides;
+  }
+
+  /**
+   * Drop cached overrides for a user
+   */
+  static invalidateUserOverrides(userId) {
+    userOverrideCache.delete(userId.toString());
+  }
+
+  /**
+   * Drop cached permissions for one role, or for all roles when no ID is given
+   */
+  static invalidatePermissionCache(roleId = null) {
+    if (roleId) {
+      rolePermissionCache.delete(roleId.toString());
+    } else {
+      rolePermissionCache.clear();
+    }
+  }
+
   /**
    * Get all menus accessible to a user
    */
-  static async getUserMenus(userId) {
+  static async getUserMenus(userId, locale = DEFAULT_LOCALE) {
     try {
       const permissions = await this.getUserPermissions(userId);
       
@@ -50,7 +142,7 @@ class RBACService {
       }).sort({ orderIndex: 1 });
 
       // Build menu tree
-      return this.buildMenuTree(menus);
+      return this.buildMenuTree(menus, locale);
     } catch (error) {
       console.error('Error getting user menus:', error);
       return [];
@@ -59,22 +151,16 @@ class RBACService {
 
   /**
    * Build hierarchical menu tree
+   * Nests to any depth; items whose parent is not in the list are dropped.
+   * `toItem(menu, locale)` maps a menu document to its tree node (children are added here).
    */
-  static buildMenuTree(menus) {
+  static buildMenuTree(menus, locale = DEFAULT_LOCALE, toItem = this.toMenuItem) {
     const menuMap = new Map();
     const rootMenus = [];
 
     // First pass: create menu map
-    // Use 'label' to match PHP/MySQL database structure (like React frontend expects)
     menus.forEach(menu => {
-      menuMap.set(menu._id.toString(), {
-        id: menu._id.toString(),
-        label: menu.name, // Map MongoDB 'name' to 'label' to match PHP database format
-        route: menu.route,
-        icon: menu.icon,
-        orderIndex: menu.orderIndex,
-        children: []
-      });
+      menuMap.set(menu._id.toString(), { ...toItem(menu, locale), children: [] });
     });
 
     // Second pass: build tree
@@ -91,15 +177,37 @@ class RBACService {
       }
     });
 
-    // Sort root menus and children
-    rootMenus.sort((a, b) => a.orderIndex - b.orderIndex);
-    rootMenus.forEach(menu => {
-      menu.children.sort((a, b) => a.orderIndex - b.orderIndex);
-    });
+    // Sort every level by orderIndex
+    const sortLevel = (items) => {
+      items.sort((a, b) => a.orderIndex - b.orderIndex);
+      items.forEach(item => sortLevel(item.children));
+    };
+    sortLevel(rootMenus);
 
     return rootMenus;
   }
 
+  /**
+   * Map a menu document to a navigation item
+   * Use 'label' to match PHP/MySQL database structure (like React frontend expects)
+   */
+  static toMenuItem(menu, locale) {
+    return {
+      id: menu._id.toString(),
+      label: RBACService.getMenuLabel(menu, locale), // Map MongoDB 'name' to 'label' to match PHP database format
+      route: menu.route,
+      icon: menu.icon,
+      orderIndex: menu.orderIndex
+    };
+  }
+
+  /**
+   * Menu label in the given locale, falling back to the English name
+   */
+  static getMenuLabel(menu, locale) {
+    return menu.labels?.get?.(locale) || menu.name;
+  }
+
   /**
    * Get user role
    */
@@ -0,0 +1,570 @@
+/**
+ * Relationship Service
+ * Family links between citizens: parents and children, spouses, guardians and wards
+ */
+
+const mongoose = require('mongoose');
+const Citizen = require('../models/Citizen.model');
+const CitizenRelationship = require('../models/CitizenRelationship.model');
+const CitizenService = require('./citizen.service');
+const { LocalizedError } = require('../utils/i18n.util');
+
+// The reciprocal edge type: if B is A's PARENT, A is B's CHILD
+const RECIPROCAL = {
+  PARENT: 'CHILD',
+  CHILD: 'PARENT',
+  SPOUSE: 'SPOUSE',
+  GUARDIAN: 'WARD',
+  WARD: 'GUARDIAN'
+};
+
+// Types that can link the same two people only once
+const CATEGORIES = {
+  PARENT: 'FAMILY',
+  CHILD: 'FAMILY',
+  SPOUSE: 'FAMILY',
+  GUARDIAN: 'GUARDIANSHIP',
+  WARD: 'GUARDIANSHIP'
+};
+
+const FAMILY_TYPES = ['PARENT', 'CHILD', 'SPOUSE'];
+
+// A child's PARENT edges each take one of these
+const PARENT_SLOTS = [1, 2];
+
+const ADULT_AGE = 18;
+const MIN_PARENT_AGE = 12;
+const MAX_TREE_DEPTH = 5;
+
+class RelationshipService {
+  /**
+   * Age in whole years on a date
+   */
+  static ageOn(dateOfBirth, date = new Date()) {
+    const birth = new Date(dateOfBirth);
+    let age = date.getUTCFullYear() - birth.getUTCFullYear();
+    const beforeBirthday = date.getUTCMonth() < birth.getUTCMonth() ||
+      (date.getUTCMonth() === birth.getUTCMonth() && date.getUTCDate() < birth.getUTCDate());
+
+    return beforeBirthday ? age - 1 : age;
+  }
+
+  /**
+   * Whether someone born on `dateOfBirth` is under the age of majority
+   */
+  static isMinor(dateOfBirth, date = new Date()) {
+    return this.ageOn(dateOfBirth, date) < ADULT_AGE;
+  }
+
+  /**
+   * Load an active citizen (any office)
+   */
+  static async findCitizen(nationalId) {
+    const citizen = await Citizen.findOne({ nationalId, deletedAt: null });
+    if (!citizen) {
+      throw new LocalizedError('citizen.notFoundById', { nationalId });
+    }
+    return citizen;
+  }
+
+  /**
+   * Load the citizen whose relationships are being viewed or changed, within the caller's scope
+   */
+  static async findSubject(nationalId, scope) {
+    const citizen = await Citizen.findOne({
+      nationalId,
+      deletedAt: null,
+      ...CitizenService.scopeFilter(scope)
+    });
+
+    if (!citizen) {
+      throw new Error('Citizen not found');
+    }
+
+    return citizen;
+  }
+
+  /**
+   * List a citizen's relationships with the related citizens' names
+   */
+  static async listRelationships(nationalId, scope) {
+    await this.findSubject(nationalId, scope);
+
+    const edges = await CitizenRelationship.find({ nationalId }).sort({ type: 1, createdAt: 1 });
+    const related = await Citizen.find({ nationalId: { $in: edges.map(e => e.relatedNationalId) } });
+    const byId = new Map(related.map(c => [c.nationalId, c]));
+
+    return edges.map(edge => this.normalizeRelationship(edge, byId.get(edge.relatedNationalId)));
+  }
+
+  /**
+   * Parent slots not yet taken on a child's PARENT edges, ignoring `excludeIds`
+   */
+  static async freeParentSlots(childNationalId, excludeIds = []) {
+    const parents = await CitizenRelationship.find({
+      nationalId: childNationalId,
+      type: 'PARENT',
+      _id: { $nin: excludeIds }
+    }).select('parentSlot');
+    const taken = parents.map(edge => edge.parentSlot);
+
+    return PARENT_SLOTS.filter(slot => !taken.includes(slot));
+  }
+
+  /**
+   * Check a new link between `subject` and `related` (`type` is what related is to subject)
+   */
+  static async assertConsistent(subject, related, type, data = {}) {
+    if (subject.nationalId === related.nationalId) {
+      throw new Error('A citizen cannot be related to themselves');
+    }
+
+    const existing = await CitizenRelationship.exists({
+      nationalId: subject.nationalId,
+      relatedNationalId: related.nationalId,
+      category: CATEGORIES[type]
+    });
+    if (existing) {
+      throw new Error('These citizens are already linked');
+    }
+
+    if (type === 'PARENT' || type === 'CHILD') {
+      const parent = type === 'PARENT' ? related : subject;
+      const child = type === 'PARENT' ? subject : related;
+
+      if (this.ageOn(parent.dateOfBirth, child.dateOfBirth) < MIN_PARENT_AGE) {
+        throw new LocalizedError('relationship.parentAge', { age: MIN_PARENT_AGE });
+      }
+
+      const parentCount = await CitizenRelationship.countDocuments({ nationalId: child.nationalId, type: 'PARENT' });
+      if (parentCount >= 2) {
+        throw new Error('A citizen cannot have more than two parents');
+      }
+    }
+
+    if (type === 'GUARDIAN' || type === 'WARD') {
+      const guardian = type === 'GUARDIAN' ? related : subject;
+      const ward = type === 'GUARDIAN' ? subject : related;
+
+      if (!this.isMinor(ward.dateOfBirth)) {
+        throw new Error('Only minors can have a guardian');
+      }
+      if (this.isMinor(guardian.dateOfBirth)) {
+        throw new Error('A guardian must be an adult');
+      }
+    }
+
+    if (type === 'SPOUSE' && data.marriageDate) {
+      this.assertMarriageDate(data.marriageDate, subject, related);
+    }
+  }
+
+  /**
+   * A marriage date must be in the past and after both spouses were born
+   */
+  static assertMarriageDate(value, ...spouses) {
+    const marriageDate = new Date(value);
+    if (isNaN(marriageDate.getTime()) || marriageDate > new Date()) {
+      throw new Error('Marriage date must be a valid date that is not in the future');
+    }
+    if (spouses.some(spouse => spouse && marriageDate < spouse.dateOfBirth)) {
+      throw new Error('Marriage date cannot be before either spouse was born');
+    }
+  }
+
+  /**
+   * Link two citizens; the reciprocal edge is created at the same time
+   */
+  static async addRelationship(nationalId, data, userId, scope) {
+    const type = data.type?.toUpperCase();
+    if (!RECIPROCAL[type]) {
+      throw new Error('Relationship type must be PARENT, CHILD, SPOUSE, GUARDIAN or WARD');
+    }
+
+    const subject = await this.findSubject(nationalId, scope);
+    const related = await this.findCitizen(data.relatedNationalId);
+
+    await this.assertConsistent(subject, related, type, data);
+
+    const pairId = new mongoose.Types.ObjectId();
+    const category = CATEGORIES[type];
+    const spouse = type === 'SPOUSE'
+      ? {
+        marriageDate: data.marriageDate ? new Date(data.marriageDate) : null,
+        marriageStatus: data.marriageStatus?.toUpperCase() || 'MARRIED'
+      }
+      : {};
+
+    // The child's PARENT edge takes a free parent slot; the unique index on slots stops
+    // concurrent links from adding a third parent
+    let slot = {};
+    if (type === 'PARENT' || type === 'CHILD') {
+      const [parentSlot] = await this.freeParentSlots(type === 'PARENT' ? nationalId : related.nationalId);
+      if (!parentSlot) {
+        throw new Error('A citizen cannot have more than two parents');
+      }
+      slot = { parentSlot };
+    }
+    const subjectSlot = type === 'PARENT' ? slot : {};
+    const relatedSlot = type === 'CHILD' ? slot : {};
+
+    let edge;
+    try {
+      [edge] = await CitizenRelationship.insertMany([
+        { nationalId, relatedNationalId: related.nationalId, type, category, pairId, createdBy: userId, ...spouse, ...subjectSlot },
+        { nationalId: related.nationalId, relatedNationalId: nationalId, type: RECIPROCAL[type], category, pairId, createdBy: userId, ...spouse, ...relatedSlot }
+      ]);
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // Linked meanwhile by another request; never leave half a pair behind
+      await CitizenRelationship.deleteMany({ pairId });
+
+      const linked = await CitizenRelationship.exists({ nationalId, relatedNationalId: related.nationalId, category });
+      throw new Error(linked ? 'These citizens are already linked' : 'A citizen cannot have more than two parents');
+    }
+
+    return this.normalizeRelationship(edge, related);
+  }
+
+  /**
+   * Update a marriage's date or status (both edges)
+   */
+  static async updateRelationship(nationalId, relationshipId, data, scope) {
+    const subject = await this.findSubject(nationalId, scope);
+
+    const edge = await this.findEdge(nationalId, relationshipId);
+    if (edge.type !== 'SPOUSE') {
+      throw new Error('Only marriages can be updated; remove and re-add other relationships');
+    }
+
+    const update = {};
+    if (data.marriageStatus) update.marriageStatus = data.marriageStatus.toUpperCase();
+    if (data.marriageDate !== undefined) {
+      update.marriageDate = data.marriageDate ? new Date(data.marriageDate) : null;
+
+      if (update.marriageDate) {
+        const spouse = await Citizen.findOne({ nationalId: edge.relatedNationalId });
+        this.assertMarriageDate(update.marriageDate, subject, spouse);
+      }
+    }
+
+    await CitizenRelationship.updateMany({ pairId: edge.pairId }, update);
+
+    const updated = await CitizenRelationship.findById(edge._id);
+    const related = await Citizen.findOne({ nationalId: edge.relatedNationalId });
+    return this.normalizeRelationship(updated, related);
+  }
+
+  /**
+   * Remove a relationship and its reciprocal edge
+   */
+  static async removeRelationship(nationalId, relationshipId, scope) {
+    await this.findSubject(nationalId, scope);
+
+    const edge = await this.findEdge(nationalId, relationshipId);
+    await CitizenRelationship.deleteMany({ pairId: edge.pairId });
+
+    return this.normalizeRelationship(edge);
+  }
+
+  /**
+   * Load one of a citizen's edges
+   */
+  static async findEdge(nationalId, relationshipId) {
+    const edge = mongoose.Types.ObjectId.isValid(relationshipId)
+      ? await CitizenRelationship.findOne({ _id: relationshipId, nationalId })
+      : null;
+
+    if (!edge) {
+      throw new Error('Relationship not found');
+    }
+
+    return edge;
+  }
+
+  /**
+   * Family tree around a citizen: parents, children and spouses up to `depth` links away
+   * Generations are relative to the root (parents -1, children +1)
+   */
+  static async getFamilyTree(nationalId, depth = 2, scope) {
+    const root = await this.findSubject(nationalId, scope);
+    const maxDepth = Math.min(Math.max(parseInt(depth) || 1, 1), MAX_TREE_DEPTH);
+
+    const generations = new Map([[nationalId, 0]]);
+    const pairs = new Map();
+    let frontier = [nationalId];
+
+    for (let level = 0; level < maxDepth && frontier.length > 0; level++) {
+      const edges = await CitizenRelationship.find({
+        nationalId: { $in: frontier },
+        type: { $in: FAMILY_TYPES }
+      });
+
+      const next = [];
+      for (const edge of edges) {
+        pairs.set(edge.pairId.toString(), edge);
+
+        if (!generations.has(edge.relatedNationalId)) {
+          const offset = edge.type === 'PARENT' ? -1 : edge.type === 'CHILD' ? 1 : 0;
+          generations.set(edge.relatedNationalId, generations.get(edge.nationalId) + offset);
+          next.push(edge.relatedNationalId);
+        }
+      }
+      frontier = next;
+    }
+
+    const citizens = await Citizen.find({ nationalId: { $in: [...generations.keys()] } });
+
+    return {
+      root: nationalId,
+      depth: maxDepth,
+      members: citizens.map(citizen => ({
+        ...this.summarizeCitizen(citizen),
+        generation: generations.get(citizen.nationalId)
+      })).sort((a, b) => a.generation - b.generation),
+      relationships: [...pairs.values()]
+        // Only links between people in the tree
+        .filter(edge => generations.has(edge.nationalId) && generations.has(edge.relatedNationalId))
+        .map(edge => this.describePair(edge))
+    };
+  }
+
+  /**
+   * Household of a citizen: spouses in a current marriage, and the minor children and wards
+   * of the citizen and those spouses
+   */
+  static async getHousehold(nationalId, scope) {
+    const head = await this.findSubject(nationalId, scope);
+
+    const spouseEdges = await CitizenRelationship.find({ nationalId, type: 'SPOUSE', marriageStatus: 'MARRIED' });
+    const adults = [nationalId, ...spouseEdges.map(e => e.relatedNationalId)];
+
+    const dependantEdges = await CitizenRelationship.find({
+      nationalId: { $in: adults },
+      type: { $in: ['CHILD', 'WARD'] }
+    });
+
+    const roles = new Map([[nationalId, 'HEAD']]);
+    spouseEdges.forEach(edge => roles.set(edge.relatedNationalId, 'SPOUSE'));
+    dependantEdges.forEach(edge => {
+      if (!roles.has(edge.relatedNationalId)) {
+        roles.set(edge.relatedNationalId, edge.type);
+      }
+    });
+
+    const citizens = await Citizen.find({ nationalId: { $in: [...roles.keys()] }, deletedAt: null });
+    const order = ['HEAD', 'SPOUSE', 'CHILD', 'WARD'];
+
+    return {
+      head: this.summarizeCitizen(head),
+      members: citizens
+        .filter(citizen => ['HEAD', 'SPOUSE'].includes(roles.get(citizen.nationalId)) ||
+          (this.isMinor(citizen.dateOfBirth) && citizen.status !== 'DECEASED'))
+        .map(citizen => ({ ...this.summarizeCitizen(citizen), role: roles.get(citizen.nationalId) }))
+        .sort((a, b) => order.indexOf(a.role) - order.indexOf(b.role) || a.dateOfBirth.localeCompare(b.dateOfBirth))
+    };
+  }
+
+  /**
+   * Move a retired citizen's relationships to the survivor of a merge
+   * Links between the two, or ones the survivor already has, are removed and returned for a split
+   */
+  static async reassignForMerge(retiredNationalId, survivorNationalId) {
+    const edges = await CitizenRelationship.find({
+      $or: [{ nationalId: retiredNationalId }, { relatedNationalId: retiredNationalId }]
+    });
+
+    const movedPairIds = [];
+    const removed = [];
+
+    for (const edge of edges.filter(e => e.nationalId === retiredNationalId)) {
+      const other = edge.relatedNationalId;
+      const duplicate = other === survivorNationalId || await CitizenRelationship.exists({
+        nationalId: survivorNationalId,
+        relatedNationalId: other,
+        category: edge.category
+      });
+
+      if (duplicate) {
+        removed.push(...edges.filter(e => e.pairId.equals(edge.pairId)).map(e => e.toObject()));
+      } else {
+        movedPairIds.push(edge.pairId);
+      }
+    }
+
+    // The retired record's parents move into the survivor's free parent slots
+    const movingParents = edges.filter(edge => edge.nationalId === retiredNationalId && edge.type === 'PARENT' &&
+      movedPairIds.some(pairId => pairId.equals(edge.pairId)));
+    const freeSlots = await this.freeParentSlots(survivorNationalId, removed.map(e => e._id));
+    if (movingParents.length > freeSlots.length) {
+      throw new Error('A citizen cannot have more than two parents');
+    }
+
+    if (removed.length > 0) {
+      await CitizenRelationship.deleteMany({ _id: { $in: removed.map(e => e._id) } });
+    }
+
+    // Give up the retired record's slots first so they cannot collide with the survivor's
+    await CitizenRelationship.updateMany(
+      { _id: { $in: movingParents.map(edge => edge._id) } },
+      { $unset: { parentSlot: 1 } }
+    );
+
+    await Promise.all([
+      CitizenRelationship.updateMany(
+        { pairId: { $in: movedPairIds }, nationalId: retiredNationalId },
+        { nationalId: survivorNationalId }
+      ),
+      CitizenRelationship.updateMany(
+        { pairId: { $in: movedPairIds }, relatedNationalId: retiredNationalId },
+        { relatedNationalId: survivorNationalId }
+      )
+    ]);
+
+    for (const [i, edge] of movingParents.entries()) {
+      await CitizenRelationship.updateOne({ _id: edge._id }, { parentSlot: freeSlots[i] });
+    }
+
+    return { movedPairIds, removed };
+  }
+
+  /**
+   * Undo reassignForMerge when a merge is split
+   */
+  static async restoreForSplit(retiredNationalId, survivorNationalId, movedPairIds = [], removed = []) {
+    await Promise.all([
+      CitizenRelationship.updateMany(
+        { pairId: { $in: movedPairIds }, nationalId: survivorNationalId },
+        { nationalId: retiredNationalId }
+      ),
+      CitizenRelationship.updateMany(
+        { pairId: { $in: movedPairIds }, relatedNationalId: survivorNationalId },
+        { relatedNationalId: retiredNationalId }
+      )
+    ]);
+
+    if (removed.length === 0) {
+      return;
+    }
+
+    // Removed parent links take whichever slots are free now; links removed by merges made
+    // before categories were stored get theirs here
+    const freeSlots = new Map();
+    const restored = [];
+    for (const { parentSlot, ...edge } of removed) {
+      if (edge.type === 'PARENT') {
+        if (!freeSlots.has(edge.nationalId)) {
+          freeSlots.set(edge.nationalId, await this.freeParentSlots(edge.nationalId));
+        }
+        edge.parentSlot = freeSlots.get(edge.nationalId).shift();
+      }
+      restored.push({ ...edge, category: CATEGORIES[edge.type] });
+    }
+
+    await CitizenRelationship.insertMany(restored);
+  }
+
+  /**
+   * Fill in the category and parent slots of links saved before they were stored
+   * Children with more than two parent links keep the extra ones unslotted; they are listed
+   */
+  static async backfillLinkFields({ dryRun = false } = {}) {
+    const result = { categorized: 0, slotted: 0, overLimit: [] };
+
+    for (const type of Object.keys(CATEGORIES)) {
+      const filter = { type, category: null };
+      if (dryRun) {
+        result.categorized += await CitizenRelationship.countDocuments(filter);
+      } else {
+        // Not a change to the link itself, so no new updatedAt
+        const { modifiedCount } = await CitizenRelationship.updateMany(
+          filter,
+          { $set: { category: CATEGORIES[type] } },
+          { timestamps: false }
+        );
+        result.categorized += modifiedCount;
+      }
+    }
+
+    const children = await CitizenRelationship.distinct('nationalId', { type: 'PARENT', parentSlot: null });
+    for (const childNationalId of children) {
+      const unslotted = await CitizenRelationship.find({ nationalId: childNationalId, type: 'PARENT', parentSlot: null })
+        .sort({ createdAt: 1 })
+        .select('_id');
+      const freeSlots = await this.freeParentSlots(childNationalId);
+
+      if (unslotted.length > freeSlots.length) {
+        result.overLimit.push(childNationalId);
+      }
+
+      for (const [i, edge] of unslotted.slice(0, freeSlots.length).entries()) {
+        result.slotted++;
+        if (!dryRun) {
+          await CitizenRelationship.updateOne({ _id: edge._id }, { $set: { parentSlot: freeSlots[i] } }, { timestamps: false });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * One entry per reciprocal pair, in a direction-free form
+   */
+  static describePair(edge) {
+    if (edge.type === 'SPOUSE') {
+      return {
+        type: 'SPOUSE',
+        spouses: [edge.nationalId, edge.relatedNationalId].sort(),
+        marriageDate: edge.marriageDate ? edge.marriageDate.toISOString().split('T')[0] : null,
+        marriageStatus: edge.marriageStatus
+      };
+    }
+
+    const parentIsRelated = edge.type === 'PARENT';
+    return {
+      type: 'PARENT_CHILD',
+      parent: parentIsRelated ? edge.relatedNationalId : edge.nationalId,
+      child: parentIsRelated ? edge.nationalId : edge.relatedNationalId
+    };
+  }
+
+  /**
+   * The few citizen fields shown in family views
+   */
+  static summarizeCitizen(citizen) {
+    return {
+      nationalId: citizen.nationalId,
+      fullName: citizen.fullName,
+      gender: citizen.gender,
+      dateOfBirth: citizen.dateOfBirth.toISOString().split('T')[0],
+      status: citizen.status,
+      minor: this.isMinor(citizen.dateOfBirth)
+    };
+  }
+
+  /**
+   * Normalize relationship data for API response
+   */
+  static normalizeRelationship(edge, related = null) {
+    return {
+      id: edge._id.toString(),
+      nationalId: edge.nationalId,
+      relatedNationalId: edge.relatedNationalId,
+      relatedName: related ? related.fullName : null,
+      type: edge.type,
+      marriageDate: edge.marriageDate ? edge.marriageDate.toISOString().split('T')[0] : null,
+      marriageStatus: edge.marriageStatus,
+      createdBy: edge.createdBy.toString(),
+      createdAt: edge.createdAt
+    };
+  }
+}
+
+RelationshipService.ADULT_AGE = ADULT_AGE;
+RelationshipService.MIN_PARENT_AGE = MIN_PARENT_AGE;
+
+module.exports = RelationshipService;
@@ -6,13 +6,17 @@
 const Citizen = require('../models/Citizen.model');
 const User = require('../models/User.model');
 const Activity = require('../models/Activity.model');
+const CitizenService = require('./citizen.service');
+const GeographyService = require('./geography.service');
+const RelationshipService = require('./relationship.service');
 
 class ReportService {
   /**
    * Get citizen registration report
+   * Filter by current address with `region` and `district`
    */
-  static async getCitizenReport(startDate, endDate) {
-    const query = { deletedAt: null };
+  static async getCitizenReport(startDate, endDate, filters = {}) {
+    const query = { deletedAt: null, ...await CitizenService.addressFilter(filters) };
 
     if (startDate || endDate) {
       query.createdAt = {};
@@ -22,6 +26,16 @@ class ReportService {
 
     const citizens = await Citizen.find(query).sort({ createdAt: -1 });
 
+    // Group by reference area so every spelling of a place counts together
+    const areaNames = await GeographyService.areaNames(
+      citizens.flatMap(c => [c.placeOfBirthId, c.address?.regionId])
+    );
+    const countBy = (label) => citizens.reduce((counts, c) => {
+      const key = label(c) || 'UNKNOWN';
+      counts[key] = (counts[key] || 0) + 1;
+      return counts;
+    }, {});
+
     return {
       total: citizens.length,
       byGender: {
@@ -32,15 +46,18 @@ class ReportService {
         ACTIVE: citizens.filter(c => c.status === 'ACTIVE').length,
         DECEASED: citizens.filter(c => c.status === 'DECEASED').length
       },
+      byRegion: countBy(c => areaNames.get(c.address?.regionId?.toString()) || c.address?.region),
+      byPlaceOfBirth: countBy(c => areaNames.get(c.placeOfBirthId?.toString()) || c.placeOfBirth),
       data: citizens
     };
   }
 
   /**
    * Get registration statistics
+   * Filter by current address with `region` and `district`
    */
-  static async getRegistrationStats(startDate, endDate) {
-    const query = { deletedAt: null };
+  static async getRegistrationStats(startDate, endDate, filters = {}) {
+    const query = { deletedAt: null, ...await CitizenService.addressFilter(filters) };
 
     if (startDate || endDate) {
       query.createdAt = {};
@@ -62,6 +79,45 @@ class ReportService {
     return registrations;
   }
 
+  /**
+   * Citizens eligible on a date, e.g. a voter list: living (not DECEASED), not deleted,
+   * and at least `minAge` years old on `asOf`
+   * Filter by current address with `region` and `district`
+   */
+  static async getEligibilityList({ asOf, minAge = 18, region, district } = {}, scope) {
+    const date = asOf ? new Date(asOf) : new Date();
+    const bornBy = new Date(date);
+    bornBy.setUTCFullYear(bornBy.getUTCFullYear() - minAge);
+
+    const citizens = await Citizen.find({
+      deletedAt: null,
+      status: 'ACTIVE',
+      dateOfBirth: { $lte: bornBy },
+      ...CitizenService.scopeFilter(scope),
+      ...await CitizenService.addressFilter({ region, district })
+    })
+      .select('nationalId firstName middleName lastName gender dateOfBirth address')
+      .sort({ lastName: 1, firstName: 1 })
+      .lean();
+
+    return {
+      asOf: date.toISOString().split('T')[0],
+      minAge,
+      total: citizens.length,
+      data: citizens.map(c => ({
+        nationalId: c.nationalId,
+        firstName: c.firstName,
+        middleName: c.middleName,
+        lastName: c.lastName,
+        gender: c.gender,
+        dateOfBirth: c.dateOfBirth.toISOString().split('T')[0],
+        age: RelationshipService.ageOn(c.dateOfBirth, date),
+        region: c.address?.region || null,
+        district: c.address?.district || null
+      }))
+    };
+  }
+
   /**
    * Get user activity report
    */
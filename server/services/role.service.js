@@ -0,0 +1,193 @@
+/**
+ * Role Service
+ * Business logic for role management and role permission sets
+ */
+
+const mongoose = require('mongoose');
+const Role = require('../models/Role.model');
+const Permission = require('../models/Permission.model');
+const User = require('../models/User.model');
+const RBACService = require('./rbac.service');
+const { LocalizedError } = require('../utils/i18n.util');
+
+class RoleService {
+  /**
+   * List all roles with their permissions and user counts
+   */
+  static async listRoles() {
+    const [roles, userCounts] = await Promise.all([
+      Role.find().populate('permissions').sort({ name: 1 }),
+      User.aggregate([
+        { $match: { deletedAt: null } },
+        { $group: { _id: '$roleId', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countMap = new Map(userCounts.map(c => [c._id?.toString(), c.count]));
+
+    return roles.map(role => this.normalizeRole(role, countMap.get(role._id.toString()) || 0));
+  }
+
+  /**
+   * Get role by ID
+   */
+  static async getRoleById(roleId) {
+    if (!mongoose.Types.ObjectId.isValid(roleId)) {
+      return null;
+    }
+
+    const role = await Role.findById(roleId).populate('permissions');
+    if (!role) {
+      return null;
+    }
+
+    const userCount = await User.countDocuments({ roleId: role._id, deletedAt: null });
+    return this.normalizeRole(role, userCount);
+  }
+
+  /**
+   * Create a new role
+   */
+  static async createRole(data) {
+    const name = this.normalizeName(data.name);
+
+    const existing = await Role.findOne({ name });
+    if (existing) {
+      throw new Error('Role name already exists');
+    }
+
+    const permissionIds = await this.resolvePermissions(data.permissions || []);
+
+    const role = new Role({
+      name,
+      description: data.description?.trim() || null,
+      permissions: permissionIds,
+      isSystem: false
+    });
+
+    await role.save();
+    return await this.getRoleById(role._id);
+  }
+
+  /**
+   * Update a role's name, description or permission set
+   * System roles keep their name
+   */
+  static async updateRole(roleId, data) {
+    const role = mongoose.Types.ObjectId.isValid(roleId) ? await Role.findById(roleId) : null;
+    if (!role) {
+      throw new Error('Role not found');
+    }
+
+    if (data.name !== undefined) {
+      const name = this.normalizeName(data.name);
+
+      if (name !== role.name) {
+        if (role.isSystem) {
+          throw new Error('System roles cannot be renamed');
+        }
+
+        const existing = await Role.findOne({ name, _id: { $ne: role._id } });
+        if (existing) {
+          throw new Error('Role name already exists');
+        }
+
+        role.name = name;
+      }
+    }
+
+    if (data.description !== undefined) {
+      role.description = data.description?.trim() || null;
+    }
+
+    if (data.permissions !== undefined) {
+      role.permissions = await this.resolvePermissions(data.permissions);
+    }
+
+    await role.save();
+    RBACService.invalidatePermissionCache(role._id);
+
+    return await this.getRoleById(role._id);
+  }
+
+  /**
+   * Delete a role
+   * System roles and roles still assigned to users (including users in trash) are refused
+   */
+  static async deleteRole(roleId) {
+    const role = mongoose.Types.ObjectId.isValid(roleId) ? await Role.findById(roleId) : null;
+    if (!role) {
+      throw new Error('Role not found');
+    }
+
+    if (role.isSystem) {
+      throw new Error('System roles cannot be deleted');
+    }
+
+    const userCount = await User.countDocuments({ roleId: role._id });
+    if (userCount > 0) {
+      throw new LocalizedError('role.inUse', { count: userCount });
+    }
+
+    await Role.deleteOne({ _id: role._id });
+    RBACService.invalidatePermissionCache(role._id);
+
+    return role;
+  }
+
+  /**
+   * Resolve permission codes to permission IDs, rejecting unknown codes
+   */
+  static async resolvePermissions(codes) {
+    if (!Array.isArray(codes)) {
+      throw new Error('Permissions must be an array of permission codes');
+    }
+
+    const uniqueCodes = [...new Set(codes.map(c => c.toString().trim().toUpperCase()))];
+    const permissions = await Permission.find({ code: { $in: uniqueCodes } });
+
+    const found = new Set(permissions.map(p => p.code));
+    const unknown = uniqueCodes.filter(c => !found.has(c));
+    if (unknown.length > 0) {
+      throw new LocalizedError('role.unknownPermissions', { codes: unknown.join(', ') });
+    }
+
+    return permissions.map(p => p._id);
+  }
+
+  /**
+   * Normalize and validate a role name
+   */
+  static normalizeName(name) {
+    if (!name || !name.toString().trim()) {
+      throw new Error('Role name is required');
+    }
+
+    const normalized = name.toString().trim().toUpperCase().replace(/[\s-]+/g, '_');
+    if (!/^[A-Z][A-Z0-9_]{1,49}$/.test(normalized)) {
+      throw new Error('Role name must be 2-50 characters: letters, digits and underscores, starting with a letter');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Normalize role data for API response
+   */
+  static normalizeRole(role, userCount = 0) {
+    return {
+      id: role._id.toString(),
+      name: role.name,
+      description: role.description,
+      isSystem: !!role.isSystem,
+      permissions: (role.permissions || [])
+        .filter(p => p && p.code)
+        .map(p => p.code),
+      userCount,
+      createdAt: role.createdAt,
+      updatedAt: role.updatedAt
+    };
+  }
+}
+
+module.exports = RoleService;
@@ -0,0 +1,328 @@
+/**
+ * Session Service
+ * Persisted login sessions with refresh token rotation and revocation
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session.model');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyToken,
+  getTokenExpiry
+} = require('../utils/jwt.util');
+
+// Idle timeout and absolute lifetime (in seconds)
+const SESSION_TIMEOUT = parseInt(process.env.SESSION_TIMEOUT) || 300; // 5 minutes
+const SESSION_MAX_LIFETIME = parseInt(process.env.SESSION_MAX_LIFETIME) || 12 * 60 * 60; // 12 hours
+
+// Keep last-seen writes well inside the idle window
+const LAST_SEEN_WRITE_INTERVAL = Math.min(60, Math.floor(SESSION_TIMEOUT / 5)) * 1000;
+
+// Reason reported to the client for each way a session can end
+const END_REASONS = {
+  IDLE_TIMEOUT: 'idle',
+  EXPIRED: 'expired'
+};
+
+class SessionService {
+  /**
+   * Create a new session for a user and issue its first token pair
+   */
+  static async createSession(userId, client = {}) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const tokenId = this.generateTokenId();
+    const refreshToken = generateRefreshToken(userId.toString(), sessionId.toString(), tokenId);
+
+    const session = new Session({
+      _id: sessionId,
+      userId,
+      refreshTokenHash: this.hashTokenId(tokenId),
+      deviceName: client.deviceName?.toString().trim().slice(0, 100) || this.describeUserAgent(client.userAgent),
+      ipAddress: client.ipAddress || null,
+      userAgent: client.userAgent || null,
+      expiresAt: getTokenExpiry(refreshToken)
+    });
+
+    await session.save();
+
+    return {
+      session,
+      accessToken: generateAccessToken(userId.toString(), sessionId.toString()),
+      refreshToken
+    };
+  }
+
+  /**
+   * Rotate a refresh token
+   * Presenting a refresh token that was already rotated revokes the whole session
+   */
+  static async rotateRefreshToken(refreshToken) {
+    const decoded = verifyToken(refreshToken);
+
+    if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || session.userId.toString() !== decoded.userId) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const endReason = await this.enforceTimeouts(session);
+    if (endReason) {
+      throw new Error(endReason === 'revoked' ? 'Session has been revoked' : 'Session has expired');
+    }
+
+    const newTokenId = this.generateTokenId();
+
+    // Compare-and-swap on the current token hash so two concurrent refreshes
+    // with the same token cannot both succeed
+    const rotated = await Session.findOneAndUpdate(
+      {
+        _id: session._id,
+        refreshTokenHash: this.hashTokenId(decoded.jti),
+        revokedAt: null
+      },
+      { refreshTokenHash: this.hashTokenId(newTokenId), lastSeenAt: new Date() },
+      { new: true }
+    );
+
+    if (!rotated) {
+      // Revoked meanwhile (logout, admin revocation, timeout): not a reuse
+      const current = await Session.findById(session._id).select('revokedAt revokedReason');
+      if (!current || current.revokedAt) {
+        const reason = current ? END_REASONS[current.revokedReason] : null;
+        throw new Error(reason ? 'Session has expired' : 'Session has been revoked');
+      }
+
+      await this.revokeSession(session._id, 'TOKEN_REUSE');
+      const error = new Error('Refresh token reuse detected. Session has been revoked');
+      error.reuseDetected = true;
+      error.userId = session.userId;
+      error.sessionId = session._id.toString();
+      throw error;
+    }
+
+    return {
+      session: rotated,
+      accessToken: generateAccessToken(decoded.userId, rotated._id.toString()),
+      refreshToken: generateRefreshToken(decoded.userId, rotated._id.toString(), newTokenId)
+    };
+  }
+
+  /**
+   * Check a session for an authenticated request
+   * Returns the session and, when it can no longer be used, why: 'idle', 'expired' or 'revoked'
+   */
+  static async checkSession(sessionId, userId) {
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return { session: null, reason: 'revoked' };
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || (userId && session.userId.toString() !== userId.toString())) {
+      return { session: null, reason: 'revoked' };
+    }
+
+    const reason = await this.enforceTimeouts(session);
+    return { session, reason };
+  }
+
+  /**
+   * Apply idle timeout and absolute lifetime to a session, revoking it when either is exceeded
+   * Returns null if the session is still usable, otherwise the end reason
+   */
+  static async enforceTimeouts(session) {
+    if (session.revokedAt) {
+      return END_REASONS[session.revokedReason] || 'revoked';
+    }
+
+    const now = Date.now();
+
+    if (session.expiresAt <= now) {
+      return 'expired';
+    }
+
+    if (now - session.createdAt.getTime() > SESSION_MAX_LIFETIME * 1000) {
+      await this.revokeSession(session._id, 'EXPIRED');
+      return 'expired';
+    }
+
+    if (now - session.lastSeenAt.getTime() > SESSION_TIMEOUT * 1000) {
+      await this.revokeSession(session._id, 'IDLE_TIMEOUT');
+      return 'idle';
+    }
+
+    return null;
+  }
+
+  /**
+   * Get when a session will end if it stays idle from now
+   */
+  static getSessionExpiresAt(session) {
+    const idleExpiry = Date.now() + SESSION_TIMEOUT * 1000;
+    const absoluteExpiry = session.createdAt.getTime() + SESSION_MAX_LIFETIME * 1000;
+    return Math.min(idleExpiry, absoluteExpiry);
+  }
+
+  /**
+   * Get configured session timeouts (in seconds)
+   */
+  static getSessionTimeouts() {
+    return {
+      sessionTimeout: SESSION_TIMEOUT,
+      sessionMaxLifetime: SESSION_MAX_LIFETIME
+    };
+  }
+
+  /**
+   * Revoke a session
+   */
+  static async revokeSession(sessionId, reason = 'LOGOUT') {
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    return true;
+  }
+
+  /**
+   * Record activity on a session
+   * Writes at most once per minute to keep authenticated requests cheap
+   */
+  static async touchSession(session, ipAddress = null) {
+    const now = new Date();
+    if (session.lastSeenAt && now - session.lastSeenAt < LAST_SEEN_WRITE_INTERVAL) {
+      return session;
+    }
+
+    session.lastSeenAt = now;
+    if (ipAddress) {
+      session.ipAddress = ipAddress;
+    }
+
+    await Session.updateOne(
+      { _id: session._id },
+      { lastSeenAt: session.lastSeenAt, ipAddress: session.ipAddress }
+    );
+
+    return session;
+  }
+
+  /**
+   * List active sessions for a user
+   */
+  static async listUserSessions(userId, currentSessionId = null) {
+    const sessions = await Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    return sessions.map(s => this.normalizeSession(s, currentSessionId));
+  }
+
+  /**
+   * Revoke one session belonging to a user
+   */
+  static async revokeUserSession(userId, sessionId, reason) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId) || !mongoose.Types.ObjectId.isValid(userId)) {
+      throw new Error('Session not found');
+    }
+
+    const session = await Session.findOne({ _id: sessionId, userId });
+    if (!session || !session.isActive) {
+      throw new Error('Session not found');
+    }
+
+    await this.revokeSession(session._id, reason);
+    return true;
+  }
+
+  /**
+   * Revoke all sessions of a user, optionally keeping one
+   * Returns the number of sessions revoked
+   */
+  static async revokeUserSessions(userId, reason, exceptSessionId = null) {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(filter, {
+      revokedAt: new Date(),
+      revokedReason: reason
+    });
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Build a short device description from a user agent string
+   */
+  static describeUserAgent(userAgent) {
+    if (!userAgent) {
+      return null;
+    }
+
+    const platforms = [
+      ['Android', /Android/i],
+      ['iOS', /iPhone|iPad|iPod/i],
+      ['Windows', /Windows/i],
+      ['macOS', /Macintosh|Mac OS X/i],
+      ['Linux', /Linux/i]
+    ];
+    const clients = [
+      ['Flutter App', /Dart|Flutter/i],
+      ['Edge', /Edg\//i],
+      ['Chrome', /Chrome\//i],
+      ['Firefox', /Firefox\//i],
+      ['Safari', /Safari\//i],
+      ['Postman', /PostmanRuntime/i]
+    ];
+
+    const platform = platforms.find(([, pattern]) => pattern.test(userAgent));
+    const client = clients.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!platform && !client) {
+      return userAgent.slice(0, 100);
+    }
+
+    return [client?.[0], platform?.[0]].filter(Boolean).join(' on ');
+  }
+
+  /**
+   * Normalize session data for API response
+   */
+  static normalizeSession(session, currentSessionId = null) {
+    return {
+      id: session._id.toString(),
+      deviceName: session.deviceName,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      current: currentSessionId ? session._id.toString() === currentSessionId.toString() : false
+    };
+  }
+
+  /**
+   * Generate a random refresh token ID
+   */
+  static generateTokenId() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Hash a refresh token ID for storage
+   */
+  static hashTokenId(tokenId) {
+    return crypto.createHash('sha256').update(tokenId).digest('hex');
+  }
+}
+
+module.exports = SessionService;
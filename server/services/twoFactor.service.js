@@ -0,0 +1,222 @@
+/**
+ * Two-Factor Service
+ * TOTP enrollment, verification and recovery codes
+ */
+
+const User = require('../models/User.model');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totp.util');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'NIRA System';
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles that must use two-factor authentication
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES ?? 'ADMIN')
+  .split(',')
+  .map(r => r.trim().toUpperCase())
+  .filter(Boolean);
+
+class TwoFactorService {
+  /**
+   * Check if two-factor authentication is enforced for a user's role
+   * The user's roleId must be populated
+   */
+  static isRequired(user) {
+    const roleName = user.roleId?.name;
+    return !!roleName && REQUIRED_ROLES.includes(roleName.toUpperCase());
+  }
+
+  /**
+   * Check if a user has two-factor authentication enabled
+   */
+  static isEnabled(user) {
+    return !!user.twoFactor?.enabled;
+  }
+
+  /**
+   * Start enrollment: generate a pending secret and its otpauth URI
+   */
+  static async beginSetup(userId) {
+    const user = await User.findById(userId);
+    if (!user || user.deletedAt) {
+      throw new Error('User not found');
+    }
+
+    if (this.isEnabled(user)) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.username, ISSUER)
+    };
+  }
+
+  /**
+   * Finish enrollment by confirming a code from the pending secret
+   * Returns the recovery codes (shown only once)
+   */
+  static async enable(userId, code) {
+    const user = await User.findById(userId);
+    if (!user || user.deletedAt) {
+      throw new Error('User not found');
+    }
+
+    if (this.isEnabled(user)) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      throw new Error('Two-factor setup has not been started');
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      throw new Error('Invalid verification code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Verify a TOTP code or a one-time recovery code for a user
+   * Returns 'totp' or 'recovery_code' on success, null otherwise
+   */
+  static async verify(userId, { code, recoveryCode }) {
+    const user = await User.findById(userId);
+    if (!user || !this.isEnabled(user)) {
+      return null;
+    }
+
+    if (code) {
+      const step = verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+      if (step === null) {
+        return null;
+      }
+
+      // Claim the step only if no concurrent login has used it (or a later one)
+      const claimed = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+        },
+        { 'twoFactor.lastUsedStep': step }
+      );
+      return claimed.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+      // Each recovery code works once: only the request that removes it succeeds
+      const hash = hashRecoveryCode(recoveryCode);
+      const consumed = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+      return consumed.modifiedCount === 1 ? 'recovery_code' : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace all recovery codes
+   */
+  static async regenerateRecoveryCodes(userId, code) {
+    const method = await this.verify(userId, { code });
+    if (!method) {
+      throw new Error('Invalid verification code');
+    }
+
+    const user = await User.findById(userId);
+    const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Disable two-factor authentication for the current user
+   */
+  static async disable(userId, { password, code }) {
+    const user = await User.findById(userId).populate('roleId');
+    if (!user || user.deletedAt) {
+      throw new Error('User not found');
+    }
+
+    if (!this.isEnabled(user)) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (this.isRequired(user)) {
+      throw new Error('Two-factor authentication is required for your role');
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      throw new Error('Incorrect password');
+    }
+
+    const method = await this.verify(userId, { code });
+    if (!method) {
+      throw new Error('Invalid verification code');
+    }
+
+    await this.reset(userId);
+    return true;
+  }
+
+  /**
+   * Remove a user's two-factor configuration (admin reset for a lost device)
+   */
+  static async reset(userId) {
+    const user = await User.findById(userId);
+    if (!user || user.deletedAt) {
+      throw new Error('User not found');
+    }
+
+    user.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: null,
+      enabledAt: null
+    };
+    await user.save();
+
+    return true;
+  }
+
+  /**
+   * Get two-factor status for a user
+   */
+  static getStatus(user) {
+    return {
+      enabled: this.isEnabled(user),
+      required: this.isRequired(user),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0
+    };
+  }
+}
+
+module.exports = TwoFactorService;
@@ -5,7 +5,12 @@
 
 const User = require('../models/User.model');
 const Role = require('../models/Role.model');
+const SessionService = require('./session.service');
+const LoginAttemptService = require('./loginAttempt.service');
+const OfficeService = require('./office.service');
+const { assertPasswordPolicy, getPasswordPolicy } = require('../utils/passwordPolicy.util');
 const mongoose = require('mongoose');
+const { LocalizedError } = require('../utils/i18n.util');
 
 class UserService {
   /**
@@ -42,13 +47,11 @@ class UserService {
       throw new Error('Username must be between 3 and 100 characters');
     }
 
-    // Validate password length
-    if (password.length < 6) {
-      throw new Error('Password must be at least 6 characters');
-    }
+    // Validate password against the policy
+    assertPasswordPolicy(password, { username });
 
     // Check if role exists
-    const role = await Role.findById(roleId);
+    const role = mongoose.Types.ObjectId.isValid(roleId) ? await Role.findById(roleId) : null;
     if (!role) {
       throw new Error('Invalid role ID');
     }
@@ -68,18 +71,25 @@ class UserService {
       throw new Error('Invalid phone number format. Use 8-15 digits with optional country code');
     }
 
+    const officeIds = data.officeIds !== undefined
+      ? await OfficeService.resolveOfficeIds(data.officeIds)
+      : [];
+
     // Create user (password will be hashed by pre-save hook)
     const user = new User({
       username,
       password,
       roleId,
-      role: role.name,
       status: data.status || 'ACTIVE',
+      passwordChangedAt: new Date(),
+      mustChangePassword: true, // Admin-chosen password must be replaced at first login
+      officeIds,
       phoneNumber: data.phoneNumber?.trim() || null,
       profilePicturePath: data.profilePicturePath || null
     });
 
     await user.save();
+    await user.populate('roleId');
     return this.normalizeUser(user);
   }
 
@@ -129,7 +139,7 @@ class UserService {
    * Update user
    */
   static async updateUser(userId, data) {
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).populate('roleId');
     if (!user || user.deletedAt) {
       throw new Error('User not found');
     }
@@ -145,12 +155,6 @@ class UserService {
         if (mongoose.Types.ObjectId.isValid(roleId)) {
           role = await Role.findById(roleId);
         }
-
-        // If not found by ID, try to find by name (for hardcoded IDs like "1", "2", "3")
-        if (!role && (roleId === '1' || roleId === '2' || roleId === '3')) {
-          const roleNames = { '1': 'ADMIN', '2': 'OFFICER', '3': 'VIEWER' };
-          role = await Role.findOne({ name: roleNames[roleId] });
-        }
       }
 
       // If still not found, try by role name
@@ -163,14 +167,14 @@ class UserService {
       }
 
       // PREVENT ADMIN ROLE CHANGE
-      if (user.role === 'ADMIN' && role.name !== 'ADMIN') {
+      if (user.roleId?.name === 'ADMIN' && role.name !== 'ADMIN') {
         throw new Error('Cannot change role of an Admin user');
       }
 
-      user.roleId = role._id;
-      user.role = role.name;
+      user.roleId = role;
     }
 
+    const wasActive = user.status === 'ACTIVE';
     if (data.status) {
       user.status = data.status.toUpperCase();
     }
@@ -186,12 +190,22 @@ class UserService {
       user.profilePicturePath = data.profilePicturePath || null;
     }
 
+    if (data.officeIds !== undefined) {
+      user.officeIds = await OfficeService.resolveOfficeIds(data.officeIds);
+    }
+
     await user.save();
+
+    if (wasActive && user.status !== 'ACTIVE') {
+      await SessionService.revokeUserSessions(user._id, 'USER_DISABLED');
+    }
+
     return this.normalizeUser(user);
   }
 
   /**
-   * Update user password
+   * Reset user password (admin)
+   * The user must choose a new password at next login
    */
   static async updateUserPassword(userId, newPassword) {
     const user = await User.findById(userId);
@@ -199,21 +213,61 @@ class UserService {
       throw new Error('User not found');
     }
 
-    if (newPassword.length < 6) {
-      throw new Error('Password must be at least 6 characters');
+    await this.setPassword(user, newPassword, { checkHistory: false });
+    user.mustChangePassword = true;
+    await user.save();
+
+    // Anyone holding the old password must log in again
+    await SessionService.revokeUserSessions(user._id, 'REVOKED_BY_ADMIN');
+
+    return true;
+  }
+
+  /**
+   * Change a user's own password
+   */
+  static async changeOwnPassword(userId, newPassword, { currentPassword } = {}) {
+    const user = await User.findById(userId);
+    if (!user || user.deletedAt) {
+      throw new Error('User not found');
+    }
+
+    if (currentPassword !== undefined && !(await user.comparePassword(currentPassword))) {
+      throw new Error('Current password is incorrect');
     }
 
-    user.password = newPassword; // Will be hashed by pre-save hook
+    await this.setPassword(user, newPassword, { checkHistory: true });
+    user.mustChangePassword = false;
     await user.save();
 
-    return true;
+    return user;
+  }
+
+  /**
+   * Validate and apply a new password, keeping previous hashes for reuse checks
+   */
+  static async setPassword(user, newPassword, { checkHistory }) {
+    const { historyCount } = getPasswordPolicy();
+
+    assertPasswordPolicy(newPassword, { username: user.username });
+
+    if (checkHistory && historyCount > 0 && await user.isPasswordReused(newPassword, historyCount)) {
+      throw new LocalizedError('user.passwordReused', { count: historyCount });
+    }
+
+    if (historyCount > 0 && user.password) {
+      user.passwordHistory = [user.password, ...(user.passwordHistory || [])].slice(0, historyCount);
+    }
+
+    user.password = newPassword; // Will be hashed by pre-save hook
+    user.passwordChangedAt = new Date();
   }
 
   /**
    * Change user status
    */
   static async changeUserStatus(userId, status) {
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).populate('roleId');
     if (!user || user.deletedAt) {
       throw new Error('User not found');
     }
@@ -221,9 +275,31 @@ class UserService {
     user.status = status.toUpperCase();
     await user.save();
 
+    // Disabled users must lose access immediately
+    if (user.status !== 'ACTIVE') {
+      await SessionService.revokeUserSessions(user._id, 'USER_DISABLED');
+    }
+
     return this.normalizeUser(user);
   }
 
+  /**
+   * Unlock a user locked out by failed login attempts
+   */
+  static async unlockUser(userId) {
+    const user = await User.findById(userId).populate('roleId');
+    if (!user || user.deletedAt) {
+      throw new Error('User not found');
+    }
+
+    const wasLocked = await LoginAttemptService.unlockUsername(user.username);
+
+    return {
+      user: this.normalizeUser(user),
+      wasLocked
+    };
+  }
+
   /**
    * Soft delete user
    */
@@ -236,6 +312,8 @@ class UserService {
     user.deletedAt = new Date();
     await user.save();
 
+    await SessionService.revokeUserSessions(user._id, 'USER_DELETED');
+
     return true;
   }
 
@@ -243,7 +321,7 @@ class UserService {
    * Restore user from trash
    */
   static async restoreUser(userId) {
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).populate('roleId');
     if (!user) {
       throw new Error('User not found');
     }
@@ -304,8 +382,10 @@ class UserService {
       id: user._id.toString(),
       username: user.username,
       roleId: user.roleId?._id?.toString() || user.roleId?.toString(),
-      role: user.roleId?.name || user.role || null,
+      role: user.roleId?.name || null,
       status: user.status,
+      mustChangePassword: !!user.mustChangePassword,
+      officeIds: (user.officeIds || []).map(id => id.toString()),
       phoneNumber: user.phoneNumber,
       profilePicturePath: user.profilePicturePath,
       profilePictureUrl: user.profilePicturePath ? getFileUrl(user.profilePicturePath) : null,
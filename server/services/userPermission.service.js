@@ -0,0 +1,153 @@
+/**
+ * User Permission Service
+ * Per-user permission grants and denials
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User.model');
+const Permission = require('../models/Permission.model');
+const UserPermissionOverride = require('../models/UserPermissionOverride.model');
+const RBACService = require('./rbac.service');
+
+class UserPermissionService {
+  /**
+   * Get a user's role permissions, overrides and resulting effective permissions
+   */
+  static async getUserPermissionSummary(userId) {
+    const user = await this.findUser(userId);
+
+    const [rolePermissions, effective, overrides] = await Promise.all([
+      RBACService.getRolePermissions(user.roleId),
+      RBACService.getEffectivePermissions(user._id, user.roleId),
+      UserPermissionOverride.find({ userId: user._id })
+        .populate('grantedBy', 'username')
+        .populate('revokedBy', 'username')
+        .sort({ createdAt: -1 })
+    ]);
+
+    return {
+      rolePermissions,
+      effectivePermissions: effective,
+      overrides: overrides.map(o => this.normalizeOverride(o))
+    };
+  }
+
+  /**
+   * Grant (ALLOW) or deny (DENY) a permission for a user, optionally time-bounded
+   */
+  static async addOverride(userId, data, grantedBy) {
+    const user = await this.findUser(userId);
+
+    if (user._id.toString() === grantedBy.toString()) {
+      throw new Error('You cannot change your own permissions');
+    }
+
+    const permissionCode = data.permissionCode?.toString().trim().toUpperCase();
+    const permission = await Permission.findOne({ code: permissionCode });
+    if (!permission) {
+      throw new Error('Permission not found');
+    }
+
+    const effect = data.effect?.toString().toUpperCase();
+    if (!['ALLOW', 'DENY'].includes(effect)) {
+      throw new Error("Effect must be 'ALLOW' or 'DENY'");
+    }
+
+    const startsAt = data.startsAt ? new Date(data.startsAt) : new Date();
+    const expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+
+    if (Number.isNaN(startsAt.getTime()) || (expiresAt && Number.isNaN(expiresAt.getTime()))) {
+      throw new Error('Invalid start or expiry date');
+    }
+
+    if (expiresAt && expiresAt <= startsAt) {
+      throw new Error('Expiry date must be after the start date');
+    }
+
+    if (expiresAt && expiresAt <= new Date()) {
+      throw new Error('Expiry date must be in the future');
+    }
+
+    const override = new UserPermissionOverride({
+      userId: user._id,
+      permissionCode,
+      effect,
+      startsAt,
+      expiresAt,
+      reason: data.reason?.trim() || null,
+      grantedBy
+    });
+
+    await override.save();
+    RBACService.invalidateUserOverrides(user._id);
+
+    return this.normalizeOverride(override);
+  }
+
+  /**
+   * Revoke a permission override
+   */
+  static async revokeOverride(userId, overrideId, revokedBy) {
+    if (!mongoose.Types.ObjectId.isValid(overrideId)) {
+      throw new Error('Permission override not found');
+    }
+
+    const override = await UserPermissionOverride.findOne({ _id: overrideId, userId });
+    if (!override || override.revokedAt) {
+      throw new Error('Permission override not found');
+    }
+
+    if (override.userId.toString() === revokedBy.toString()) {
+      throw new Error('You cannot change your own permissions');
+    }
+
+    override.revokedAt = new Date();
+    override.revokedBy = revokedBy;
+    await override.save();
+    RBACService.invalidateUserOverrides(override.userId);
+
+    return this.normalizeOverride(override);
+  }
+
+  /**
+   * Find an existing (not deleted) user
+   */
+  static async findUser(userId) {
+    const user = mongoose.Types.ObjectId.isValid(userId) ? await User.findById(userId) : null;
+    if (!user || user.deletedAt) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  /**
+   * Normalize override data for API response
+   */
+  static normalizeOverride(override) {
+    const now = new Date();
+    let status = 'ACTIVE';
+    if (override.revokedAt) {
+      status = 'REVOKED';
+    } else if (override.expiresAt && override.expiresAt <= now) {
+      status = 'EXPIRED';
+    } else if (override.startsAt > now) {
+      status = 'SCHEDULED';
+    }
+
+    return {
+      id: override._id.toString(),
+      permissionCode: override.permissionCode,
+      effect: override.effect,
+      startsAt: override.startsAt,
+      expiresAt: override.expiresAt,
+      reason: override.reason,
+      status,
+      grantedBy: override.grantedBy?.username || override.grantedBy?.toString() || null,
+      revokedAt: override.revokedAt,
+      revokedBy: override.revokedBy?.username || override.revokedBy?.toString() || null,
+      createdAt: override.createdAt
+    };
+  }
+}
+
+module.exports = UserPermissionService;
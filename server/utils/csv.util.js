@@ -0,0 +1,107 @@
+/**
+ * CSV Utility
+ * Minimal RFC 4180 parsing for reference data imports, and writing for exports
+ */
+
+/**
+ * Split CSV text into rows of fields
+ * Handles quoted fields with commas, doubled quotes and line breaks, and CRLF line endings
+ */
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Drop a byte order mark left by spreadsheet exports
+  const input = text.replace(/^﻿/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV with a header row into records keyed by lower-case column name
+ * Each record carries its `line` number (the header is line 1); blank lines are skipped
+ */
+const parseCsv = (text) => {
+  const rows = parseRows(text || '');
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const headers = rows[0].map(header => header.trim().toLowerCase());
+
+  return rows.slice(1)
+    .map((values, index) => ({ values, line: index + 2 }))
+    .filter(({ values }) => values.some(value => value.trim() !== ''))
+    .map(({ values, line }) => {
+      const record = { line };
+      headers.forEach((header, column) => {
+        record[header] = (values[column] ?? '').trim();
+      });
+      return record;
+    });
+};
+
+/**
+ * Quote a value when it holds a comma, quote or line break
+ */
+const formatField = (value) => {
+  const text = value === null || value === undefined ? '' : value.toString();
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write records as CSV with a header row
+ * `columns` lists the record keys to write, in order
+ */
+const toCsv = (records, columns) => {
+  const lines = [columns.map(formatField).join(',')];
+  records.forEach(record => {
+    lines.push(columns.map(column => formatField(record[column])).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -6,6 +6,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const sharp = require('sharp');
 
 // Allowed MIME types
 const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
@@ -29,7 +30,7 @@ const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
 const ensureDirectories = () => {
   const dirs = [
     path.join(UPLOAD_DIR, 'images'),
-  
+    path.join(UPLOAD_DIR, 'documents')
   ];
 
   dirs.forEach(dir => {
@@ -72,6 +73,15 @@ const imageFilter = (req, file, cb) => {
   }
 };
 
+// File filter for documents
+const documentFilter = (req, file, cb) => {
+  if (ALLOWED_DOCUMENT_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only PDF, Word, JPEG, and PNG documents are allowed.'), false);
+  }
+};
+
 
 
 // Multer instances
@@ -81,6 +91,45 @@ const uploadImage = multer({
   limits: { fileSize: MAX_IMAGE_SIZE }
 });
 
+// Citizen photo ('image') and supporting document ('document') uploads
+const uploadCitizenFiles = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      let uploadPath = './uploads';
+      if (file.fieldname === 'image') {
+        uploadPath = './uploads/images';
+      } else if (file.fieldname === 'document') {
+        uploadPath = './uploads/documents';
+      }
+      cb(null, uploadPath);
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      const ext = path.extname(file.originalname);
+      cb(null, `${req.nationalId || 'file'}_${uniqueSuffix}${ext}`);
+    }
+  })
+}).fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'document', maxCount: 1 }
+]);
+
+// Scanned or issued death certificate ('certificate')
+const uploadDeathCertificate = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, path.join(UPLOAD_DIR, 'documents'));
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      const ext = path.extname(file.originalname);
+      cb(null, `${req.params.nationalId || 'file'}_death_${uniqueSuffix}${ext}`);
+    }
+  }),
+  fileFilter: documentFilter,
+  limits: { fileSize: MAX_DOCUMENT_SIZE }
+}).single('certificate');
+
 
 
 
@@ -98,6 +147,26 @@ const deleteFile = (filePath) => {
   }
 };
 
+// Resize an uploaded image to a square JPEG, replacing the original file
+const resizeImage = async (filePath, size = 256) => {
+  const parsed = path.parse(filePath);
+  const outputPath = path.join(parsed.dir, `${parsed.name}_${size}.jpg`);
+
+  try {
+    await sharp(filePath)
+      .rotate() // Respect EXIF orientation from phone cameras
+      .resize(size, size, { fit: 'cover' })
+      .jpeg({ quality: 85 })
+      .toFile(outputPath);
+  } catch (error) {
+    deleteFile(filePath);
+    throw new Error('Invalid or unsupported image file');
+  }
+
+  deleteFile(filePath);
+  return outputPath;
+};
+
 // Get file URL
 const getFileUrl = (filePath) => {
   if (!filePath) return null;
@@ -114,7 +183,10 @@ const getFileUrl = (filePath) => {
 
 module.exports = {
   uploadImage,
+  uploadCitizenFiles,
+  uploadDeathCertificate,
   deleteFile,
+  resizeImage,
   getFileUrl,
   MAX_IMAGE_SIZE,
   MAX_DOCUMENT_SIZE
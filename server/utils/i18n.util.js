@@ -0,0 +1,98 @@
+/**
+ * Internationalization Utility
+ * Message catalogs, locale negotiation and translation
+ */
+
+const catalogs = {
+  en: require('../config/locales/en'),
+  so: require('../config/locales/so'),
+  ar: require('../config/locales/ar')
+};
+
+const LOCALES = {
+  en: { code: 'en', name: 'English', direction: 'ltr' },
+  so: { code: 'so', name: 'Soomaali', direction: 'ltr' },
+  ar: { code: 'ar', name: 'العربية', direction: 'rtl' }
+};
+
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE)
+  ? process.env.DEFAULT_LOCALE
+  : 'en';
+
+// English text -> key, so messages thrown by services as plain English are translated too
+const englishIndex = new Map(Object.entries(catalogs.en).map(([key, text]) => [text, key]));
+
+/**
+ * Pick the response locale: ?lang= override, then Accept-Language, then DEFAULT_LOCALE
+ */
+const negotiateLocale = (req) => {
+  const requested = req.query?.lang?.toString().toLowerCase();
+  if (SUPPORTED_LOCALES.includes(requested)) {
+    return requested;
+  }
+
+  if (!req.get('accept-language')) {
+    return DEFAULT_LOCALE;
+  }
+
+  // Default first so it wins ties and unmatched headers
+  const preferred = [DEFAULT_LOCALE, ...SUPPORTED_LOCALES.filter(l => l !== DEFAULT_LOCALE)];
+  return req.acceptsLanguages(...preferred) || DEFAULT_LOCALE;
+};
+
+/**
+ * Translate a message key (or a catalogued English message) into a locale
+ * Errors are translated by their message, or by key and params when they are LocalizedErrors.
+ * Unknown messages are returned unchanged
+ */
+const translate = (locale, message, params = {}) => {
+  if (message instanceof LocalizedError) {
+    return translate(locale, message.key, message.params);
+  }
+  if (message instanceof Error) {
+    message = message.message;
+  }
+
+  if (typeof message !== 'string') {
+    return message;
+  }
+
+  const key = catalogs.en[message] !== undefined ? message : englishIndex.get(message);
+  if (!key) {
+    return message;
+  }
+
+  const text = catalogs[locale]?.[key] ?? catalogs.en[key];
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? params[name] : match
+  );
+};
+
+/**
+ * An error thrown as a message key with parameters, for messages that carry values:
+ *   throw new LocalizedError('role.inUse', { count: userCount });
+ * The message is the English text, so logs and message checks keep working
+ */
+class LocalizedError extends Error {
+  constructor(key, params = {}) {
+    super(translate('en', key, params));
+    this.key = key;
+    this.params = params;
+  }
+}
+
+/**
+ * Locale metadata for clients (display name and text direction)
+ */
+const getLocaleInfo = (locale) => LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  negotiateLocale,
+  translate,
+  getLocaleInfo,
+  LocalizedError
+};
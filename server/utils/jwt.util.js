@@ -8,9 +8,9 @@ const jwt = require('jsonwebtoken');
 /**
  * Generate access token
  */
-const generateAccessToken = (userId) => {
+const generateAccessToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sid: sessionId },
     process.env.JWT_SECRET,
     {
       expiresIn: process.env.JWT_ACCESS_EXPIRY || '3600m'
@@ -20,13 +20,29 @@ const generateAccessToken = (userId) => {
 
 /**
  * Generate refresh token
+ * tokenId identifies this token within its session so reuse can be detected
  */
-const generateRefreshToken = (userId) => {
+const generateRefreshToken = (userId, sessionId, tokenId) => {
   return jwt.sign(
-    { userId, type: 'refresh' },
+    { userId, sid: sessionId, type: 'refresh' },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d'
+      expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d',
+      jwtid: tokenId
+    }
+  );
+};
+
+/**
+ * Generate a short-lived challenge token for an unfinished login step
+ * (e.g. two-factor verification)
+ */
+const generateChallengeToken = (userId, purpose) => {
+  return jwt.sign(
+    { userId, type: 'challenge', purpose },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_CHALLENGE_EXPIRY || '5m'
     }
   );
 };
@@ -38,8 +54,18 @@ const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
 
+/**
+ * Get token expiry as a Date (without verifying)
+ */
+const getTokenExpiry = (token) => {
+  const decoded = jwt.decode(token);
+  return decoded?.exp ? new Date(decoded.exp * 1000) : null;
+};
+
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
-  verifyToken
+  generateChallengeToken,
+  verifyToken,
+  getTokenExpiry
 };
@@ -0,0 +1,132 @@
+/**
+ * Name Matching Utility
+ * Normalization and fuzzy comparison of names written in Somali, Arabic or English spelling
+ */
+
+// Arabic letters to their usual Latin spelling (short vowels are not written in Arabic)
+const ARABIC_TO_LATIN = {
+  'ا': 'a', 'أ': 'a', 'إ': 'i', 'آ': 'a', 'ى': 'a', 'ة': 'a',
+  'ب': 'b', 'ت': 't', 'ث': 'th', 'ج': 'j', 'ح': 'h', 'خ': 'kh',
+  'د': 'd', 'ذ': 'dh', 'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'sh',
+  'ص': 's', 'ض': 'd', 'ط': 't', 'ظ': 'z', 'ع': '', 'غ': 'gh',
+  'ف': 'f', 'ق': 'q', 'ك': 'k', 'ل': 'l', 'م': 'm', 'ن': 'n',
+  'ه': 'h', 'ء': '', 'ئ': '', 'ؤ': ''
+};
+
+/**
+ * Transliterate Arabic script; و and ي are consonants at the start of a word and long vowels elsewhere
+ */
+const transliterateArabic = (value) => {
+  return value
+    .split(/\s+/)
+    .map(word => Array.from(word).map((char, index) => {
+      if (char === 'و') return index === 0 ? 'w' : 'u';
+      if (char === 'ي') return index === 0 ? 'y' : 'i';
+      return ARABIC_TO_LATIN[char] ?? char;
+    }).join(''))
+    .join(' ');
+};
+
+/**
+ * Canonical spelling of a name, so that transliteration variants compare equal or close
+ * e.g. Maxamed / Mohamed / Muhammad, Cali / Ali, Xuseen / Hussein
+ */
+const canonicalName = (value) => {
+  if (!value) return '';
+
+  return transliterateArabic(value.toString())
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '')
+    // Somali orthography: x = ḥ, c = ʿayn, q = qaf
+    .replace(/kh/g, 'h')
+    .replace(/x/g, 'h')
+    .replace(/c/g, '')
+    .replace(/q/g, 'k')
+    .replace(/dh/g, 'd')
+    .replace(/th/g, 't')
+    .replace(/ph/g, 'f')
+    .replace(/gh/g, 'g')
+    // Vowel spellings
+    .replace(/ou/g, 'u')
+    .replace(/ei/g, 'i')
+    .replace(/e/g, 'i')
+    .replace(/o/g, 'u')
+    .replace(/(.)\1+/g, '$1');
+};
+
+/**
+ * Consonant skeleton of a name (used as a coarse lookup key)
+ */
+const nameSkeleton = (value) => canonicalName(value).replace(/[aiuwy]/g, '');
+
+/**
+ * Jaro-Winkler similarity between two strings (0 to 1)
+ */
+const jaroWinkler = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const window = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+/**
+ * Similarity of two names (0 to 1)
+ * Names that only share a consonant skeleton (e.g. Arabic script without vowels) score 0.85
+ */
+const nameSimilarity = (a, b) => {
+  const canonicalA = canonicalName(a);
+  const canonicalB = canonicalName(b);
+
+  if (!canonicalA || !canonicalB) return 0;
+
+  const similarity = jaroWinkler(canonicalA, canonicalB);
+  const skeletonA = nameSkeleton(a);
+  const sameSkeleton = skeletonA.length > 0 && skeletonA === nameSkeleton(b);
+
+  return Math.max(similarity, sameSkeleton ? 0.85 : 0);
+};
+
+module.exports = {
+  canonicalName,
+  nameSkeleton,
+  jaroWinkler,
+  nameSimilarity
+};
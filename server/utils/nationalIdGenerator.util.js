@@ -0,0 +1,191 @@
+/**
+ * National ID Generator Utility
+ * Issues national IDs as [prefix][serial][check digit] from an atomic counter
+ */
+
+const Citizen = require('../models/Citizen.model');
+const Counter = require('../models/Counter.model');
+const IdBlock = require('../models/IdBlock.model');
+const Office = require('../models/Office.model');
+const { LocalizedError } = require('./i18n.util');
+
+const parseNumber = (value, defaultValue) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+};
+
+const ID_SCHEME = {
+  // NONE, OFFICE (the registering office's idPrefix) or REGION (idPrefix of the region's REGION office)
+  prefixMode: (process.env.NATIONAL_ID_PREFIX_MODE || 'NONE').toUpperCase(),
+  serialLength: parseNumber(process.env.NATIONAL_ID_SERIAL_LENGTH, 9),
+  // LUHN or VERHOEFF
+  checkDigit: (process.env.NATIONAL_ID_CHECK_DIGIT || 'LUHN').toUpperCase()
+};
+
+// Any scheme, including IDs issued before check digits, stays within these bounds
+const NATIONAL_ID_PATTERN = /^\d{8,16}$/;
+
+// Verhoeff tables: dihedral group D5 multiplication, position permutation and inverse
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+const VERHOEFF_INV = [0, 4, 3, 2, 1, 5, 6, 7, 8, 9];
+
+/**
+ * Luhn check digit for a string of digits
+ */
+const luhnCheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return ((10 - (sum % 10)) % 10).toString();
+};
+
+/**
+ * Verhoeff check digit for a string of digits (also catches adjacent transpositions)
+ */
+const verhoeffCheckDigit = (digits) => {
+  let c = 0;
+  const reversed = digits.split('').reverse();
+  for (let i = 0; i < reversed.length; i++) {
+    c = VERHOEFF_D[c][VERHOEFF_P[(i + 1) % 8][parseInt(reversed[i])]];
+  }
+  return VERHOEFF_INV[c].toString();
+};
+
+/**
+ * Check digit for `digits` under an algorithm (defaults to the configured one)
+ */
+const computeCheckDigit = (digits, algorithm = ID_SCHEME.checkDigit) => {
+  return algorithm === 'VERHOEFF' ? verhoeffCheckDigit(digits) : luhnCheckDigit(digits);
+};
+
+/**
+ * Whether a national ID is well formed and its last digit checks out
+ */
+const isValidNationalId = (nationalId, algorithm = ID_SCHEME.checkDigit) => {
+  if (typeof nationalId !== 'string' || !NATIONAL_ID_PATTERN.test(nationalId)) {
+    return false;
+  }
+
+  return computeCheckDigit(nationalId.slice(0, -1), algorithm) === nationalId.slice(-1);
+};
+
+/**
+ * Prefix for IDs issued by an office under the configured scheme
+ */
+const resolvePrefix = async (officeId) => {
+  if (ID_SCHEME.prefixMode === 'NONE') {
+    return '';
+  }
+
+  const office = officeId ? await Office.findById(officeId) : null;
+  if (!office) {
+    throw new Error('A registration office is required to issue a national ID');
+  }
+
+  let prefixOffice = office;
+  if (ID_SCHEME.prefixMode === 'REGION' && office.level !== 'REGION') {
+    prefixOffice = await Office.findOne({ level: 'REGION', region: office.region, idPrefix: { $ne: null } });
+  }
+
+  if (!prefixOffice?.idPrefix) {
+    throw new Error('No national ID prefix is configured for this office or region');
+  }
+
+  return prefixOffice.idPrefix;
+};
+
+/**
+ * Atomically reserve `count` serial numbers for a prefix; returns the first one
+ */
+const reserveSerials = async (prefix, count = 1) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: prefix ? `nationalId:${prefix}` : 'nationalId' },
+    { $inc: { seq: count } },
+    { upsert: true, new: true }
+  );
+
+  const last = counter.seq;
+  if (last.toString().length > ID_SCHEME.serialLength) {
+    throw new LocalizedError('citizen.serialsExhausted', { prefix: prefix || 'none' });
+  }
+
+  return last - count + 1;
+};
+
+/**
+ * Build a full national ID from a prefix and serial number
+ */
+const formatNationalId = (prefix, serial) => {
+  const body = `${prefix}${serial.toString().padStart(ID_SCHEME.serialLength, '0')}`;
+  return body + computeCheckDigit(body);
+};
+
+/**
+ * Take one ID handed back by a closed offline block, if any is left for the prefix
+ */
+const claimReturnedId = async (prefix) => {
+  // $pop removes the first element; the pre-update document tells us which one it was
+  const block = await IdBlock.findOneAndUpdate(
+    { status: 'CLOSED', prefix, 'returnedIds.0': { $exists: true } },
+    { $pop: { returnedIds: -1 } },
+    { new: false, projection: { returnedIds: { $slice: 1 } } }
+  );
+
+  return block ? block.returnedIds[0] : null;
+};
+
+/**
+ * Generate a unique national ID for a citizen registered at `officeId`
+ * IDs returned from offline blocks are used up first; after that serials never repeat.
+ * IDs issued before this scheme are skipped if one happens to match
+ */
+const generateNationalId = async (officeId = null) => {
+  const prefix = await resolvePrefix(officeId);
+
+  for (;;) {
+    const nationalId = await claimReturnedId(prefix) || formatNationalId(prefix, await reserveSerials(prefix));
+
+    const taken = await Citizen.exists({ $or: [{ nationalId }, { aliases: nationalId }] });
+    if (!taken) {
+      return nationalId;
+    }
+  }
+};
+
+module.exports = {
+  generateNationalId,
+  isValidNationalId,
+  computeCheckDigit,
+  formatNationalId,
+  reserveSerials,
+  resolvePrefix,
+  ID_SCHEME,
+  NATIONAL_ID_PATTERN
+};